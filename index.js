@@ -31,6 +31,14 @@ const startServer = async () => {
       console.log(`❤️  Health Check: http://localhost:${PORT}/api/health`);
     });
 
+    // Start background jobs; every instance polls, the job lock decides who runs
+    if (process.env.JOBS_ENABLED !== 'false') {
+      const { registerDefaultJobs } = require("./src/jobs");
+      registerDefaultJobs().start().catch((err) => {
+        console.error("❌ Failed to start job scheduler:", err.message);
+      });
+    }
+
     // Handle server startup errors
     server.on('error', (err) => {
       console.error('❌ Server Error:', err.message);
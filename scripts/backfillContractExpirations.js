@@ -0,0 +1,61 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { SignedContract } = require('../src/contract/models/contract.model');
+
+/**
+ * Marks contracts that expired before the contract-expirations job existed
+ * as processed, so the job does not void their envelopes or send
+ * contract.expired webhooks for them. Run once before deploying the job:
+ *
+ *   node scripts/backfillContractExpirations.js [--dry-run] [--before=2026-10-01]
+ *
+ * Unsigned contracts past their expiry date are set to expired; contracts
+ * already expired get their expiry recorded as processed.
+ */
+const OPEN_STATUSES = ['draft', 'sent', 'partially_signed'];
+
+const backfillContractExpirations = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const beforeArg = process.argv.find(arg => arg.startsWith('--before='));
+    const cutoff = beforeArg ? new Date(beforeArg.split('=')[1]) : new Date();
+
+    try {
+        if (Number.isNaN(cutoff.getTime())) {
+            throw new Error('--before must be a date, e.g. --before=2026-10-01');
+        }
+
+        const mongoUri = process.env.MONGO_URI;
+        if (!mongoUri) {
+            throw new Error('MONGO_URI not found in environment variables');
+        }
+
+        await mongoose.connect(mongoUri);
+        console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}\n`);
+
+        const filter = {
+            status: { $in: [...OPEN_STATUSES, 'expired'] },
+            'dates.expires': { $lte: cutoff },
+            'dates.expired': null
+        };
+
+        const total = await SignedContract.countDocuments(filter);
+        console.log(`📋 ${total} contracts expired before ${cutoff.toISOString()} without being processed`);
+
+        if (!dryRun && total > 0) {
+            // The expiry date stands in for when it was processed
+            const result = await SignedContract.updateMany(filter, [
+                { $set: { status: 'expired', 'dates.expired': '$dates.expires' } }
+            ]);
+            console.log(`✅ Marked ${result.modifiedCount} contracts as expired`);
+        }
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Contract expiration backfill failed:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+};
+
+backfillContractExpirations();
@@ -0,0 +1,90 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+/**
+ * Moves billing documents out of the collections they used to share with the
+ * simpler subscription models. Run once before deploying the release that
+ * reads them from their own collections:
+ *
+ *   node scripts/migrateBillingCollections.js [--dry-run]
+ *
+ * Safe to run again; documents already moved are skipped.
+ */
+const MOVES = [
+    {
+        name: 'billing invoices',
+        from: 'invoices',
+        to: 'billing_invoices',
+        // Subscription invoices (invoice.model.js) have no amounts block
+        filter: { 'amounts.total': { $exists: true } }
+    },
+    {
+        name: 'jurisdiction tax rates',
+        from: 'taxrates',
+        to: 'billing_tax_rates',
+        // The simpler rates (taxRate.model.js) use `type` instead of `taxType`
+        filter: { taxType: { $exists: true } }
+    }
+];
+
+const BATCH_SIZE = 500;
+
+const moveDocuments = async (db, move, dryRun) => {
+    const source = db.collection(move.from);
+    const target = db.collection(move.to);
+
+    const total = await source.countDocuments(move.filter);
+    console.log(`📦 ${move.name}: ${total} documents in ${move.from}`);
+    if (dryRun || total === 0) return 0;
+
+    let moved = 0;
+    let batch = await source.find(move.filter).limit(BATCH_SIZE).toArray();
+
+    while (batch.length > 0) {
+        try {
+            await target.insertMany(batch, { ordered: false });
+        } catch (error) {
+            // Copied by an earlier run that stopped before deleting
+            const otherErrors = (error.writeErrors || []).filter(writeError => writeError.code !== 11000);
+            if (!error.writeErrors || otherErrors.length > 0) {
+                throw error;
+            }
+        }
+
+        await source.deleteMany({ _id: { $in: batch.map(doc => doc._id) } });
+        moved += batch.length;
+        console.log(`   moved ${moved}/${total}`);
+
+        batch = await source.find(move.filter).limit(BATCH_SIZE).toArray();
+    }
+
+    return moved;
+};
+
+const migrateBillingCollections = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        const mongoUri = process.env.MONGO_URI;
+        if (!mongoUri) {
+            throw new Error('MONGO_URI not found in environment variables');
+        }
+
+        await mongoose.connect(mongoUri);
+        console.log(`✅ Connected to MongoDB${dryRun ? ' (dry run)' : ''}\n`);
+
+        for (const move of MOVES) {
+            const moved = await moveDocuments(mongoose.connection.db, move, dryRun);
+            console.log(`✅ ${move.name}: ${dryRun ? 'nothing moved' : `${moved} moved to ${move.to}`}\n`);
+        }
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Billing collection migration failed:', error);
+        await mongoose.connection.close();
+        process.exit(1);
+    }
+};
+
+migrateBillingCollections();
@@ -3,6 +3,7 @@ const { Subscription } = require('../../subscription/models/subscription.model')
 const { EnhancedUser } = require('../../user/models/enhancedUser.model');
 const { Invoice } = require('../../payment/models/billing.model');
 const { Payment } = require('../../payment/models/payment.model');
+const CurrencyService = require('../../payment/services/currency.service');
 
 /**
  * Reporting Service for Revenue Analytics and Business Intelligence
@@ -51,7 +52,7 @@ class ReportingService {
 
         // Convert to specified currency if needed
         if (subscription.currency !== currency) {
-          monthlyAmount = await this.convertCurrency(monthlyAmount, subscription.currency, currency);
+          monthlyAmount = await this.convertCurrency(monthlyAmount, subscription.currency, currency, endOfMonth);
         }
 
         totalMRR += monthlyAmount;
@@ -588,24 +589,14 @@ class ReportingService {
   }
 
   /**
-   * Helper method to convert currency (placeholder)
+   * Helper method to convert currency with the stored rate for a date
    */
-  static async convertCurrency(amount, fromCurrency, toCurrency) {
-    // In a real implementation, you would use a currency conversion service
-    // For now, return the same amount
+  static async convertCurrency(amount, fromCurrency, toCurrency, date = null) {
     if (fromCurrency === toCurrency) {
       return amount;
     }
-    
-    // Placeholder conversion rates
-    const conversionRates = {
-      'USD': { 'EUR': 0.85, 'GBP': 0.73, 'JPY': 110 },
-      'EUR': { 'USD': 1.18, 'GBP': 0.86, 'JPY': 129 },
-      'GBP': { 'USD': 1.37, 'EUR': 1.16, 'JPY': 151 }
-    };
-
-    const rate = conversionRates[fromCurrency]?.[toCurrency] || 1;
-    return amount * rate;
+
+    return new CurrencyService().convertCurrency(amount, fromCurrency, toCurrency, date);
   }
 
   /**
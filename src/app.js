@@ -58,6 +58,9 @@ const subscriptionModuleRoutes = require("./subscription/routes/index");
 // Plan Management Routes
 const { planRoutes } = require("./plans");
 
+// Background Job Routes
+const { jobRoutes } = require("./jobs");
+
 // Transaction Module Routes
 const transactionRoutes = require("./transaction/routes/transaction.routes");
 const paymentSettingsRoutes = require("./routes/paymentSettings.routes");
@@ -78,7 +81,10 @@ const config = require("./config/environment");
 const app = express();
 
 // Trust proxy - Required when behind reverse proxy (Nginx, load balancer, etc.)
-app.set('trust proxy', true);
+// Only the configured hops (a count, or comma-separated addresses/subnets) are
+// trusted, so a client cannot spoof req.ip through X-Forwarded-For
+const trustProxy = process.env.TRUST_PROXY || '1';
+app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
 
 // Database connection is now handled in index.js before app starts
 // This ensures routes are only accessible after DB is ready
@@ -118,7 +124,13 @@ if (process.env.NODE_ENV !== "test") {
 }
 
 // Body parser with size limit
-app.use(express.json({ limit: "50mb" }));
+// E-signature provider webhooks are verified against the exact bytes received
+app.use(express.json({
+  limit: "50mb",
+  verify: (req, res, buf) => {
+    if (req.originalUrl.includes("/webhooks/")) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ limit: "50mb", extended: true }));
 
 // Cookie parser for JWT in cookies
@@ -330,6 +342,7 @@ app.use("/api/v1/subscribers", subscribersRoutes);
 app.use("/api/v1/subscriptions", subscriptionModuleRoutes);
 app.use("/api/plans", planRoutes);
 app.use("/api/transactions", transactionRoutes);
+app.use("/api/jobs", jobRoutes);
 
 // -----------------------------
 // Test Endpoints - CORS DISABLED
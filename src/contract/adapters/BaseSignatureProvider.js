@@ -0,0 +1,115 @@
+/**
+ * Eagle Base Signature Provider Adapter
+ * Abstract base class for external e-signature providers a template can
+ * delegate signing to.
+ *
+ * Providers report status in a shared vocabulary so contracts are updated
+ * the same way whichever provider sent them:
+ *   envelope: sent, delivered, completed, declined, voided, expired
+ *   signer:   sent, opened, signed, declined
+ */
+
+const crypto = require('crypto');
+
+class BaseSignatureProvider {
+  constructor(config = {}) {
+    this.config = config;
+    this.provider = config.provider;
+  }
+
+  // Abstract methods that must be implemented by subclasses
+
+  /**
+   * Create an envelope and send it to the contract's signers
+   * @param {Object} document - html: decrypted contract body
+   * @returns {Object} - { externalId, status, providerData }
+   */
+  async sendEnvelope(contract, document) {
+    throw new Error('sendEnvelope method must be implemented');
+  }
+
+  /**
+   * Current envelope status, in the same shape as parseWebhook
+   */
+  async getEnvelopeStatus(externalId) {
+    throw new Error('getEnvelopeStatus method must be implemented');
+  }
+
+  /**
+   * Check a webhook came from the provider
+   * @param {Object} request - payload (parsed body), rawBody (Buffer) and headers
+   */
+  verifyWebhook(request) {
+    throw new Error('verifyWebhook method must be implemented');
+  }
+
+  /**
+   * Normalize a webhook payload
+   * @returns {Object} - { externalId, event, status, signers: [{ email, status, openedAt,
+   *                     signedAt, declinedAt, declineReason }], completedAt, voidedAt, rawData }
+   */
+  parseWebhook(payload) {
+    throw new Error('parseWebhook method must be implemented');
+  }
+
+  /**
+   * The completed document as signed at the provider
+   * @returns {Object} - { buffer, contentType, fileName }
+   */
+  async downloadSignedDocument(externalId) {
+    throw new Error('downloadSignedDocument method must be implemented');
+  }
+
+  async voidEnvelope(externalId, reason) {
+    throw new Error('voidEnvelope method must be implemented');
+  }
+
+  // Body some providers expect in the webhook response; null for a JSON response
+  getWebhookAcknowledgement() {
+    return null;
+  }
+
+  // Configuration validation
+  validateConfig() {
+    const requiredFields = this.getRequiredConfigFields();
+    const missing = requiredFields.filter(field => !this.config[field]);
+
+    if (missing.length > 0) {
+      throw new Error(`Missing required configuration fields for ${this.provider}: ${missing.join(', ')}`);
+    }
+  }
+
+  getRequiredConfigFields() {
+    // Override in subclasses
+    return [];
+  }
+
+  // Common utility methods
+
+  /**
+   * Signers in the order the provider should route them
+   */
+  getRoutedSigners(contract) {
+    return [...contract.signers].sort((a, b) => (a.routingOrder || 1) - (b.routingOrder || 1));
+  }
+
+  hmac(key, data, encoding = 'hex') {
+    return crypto.createHmac('sha256', key).update(data).digest(encoding);
+  }
+
+  safeCompare(expected, received) {
+    if (!expected || !received) return false;
+
+    const expectedBuffer = Buffer.from(String(expected));
+    const receivedBuffer = Buffer.from(String(received));
+    return expectedBuffer.length === receivedBuffer.length && crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+
+  toDate(value) {
+    if (!value) return null;
+    const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+}
+
+module.exports = BaseSignatureProvider;
@@ -0,0 +1,166 @@
+/**
+ * Eagle DocuSign Signature Provider Adapter
+ * Sends contracts as DocuSign envelopes through the eSignature REST API and
+ * reads DocuSign Connect webhooks (JSON, HMAC-signed)
+ */
+
+const axios = require('axios');
+const BaseSignatureProvider = require('./BaseSignatureProvider');
+
+const ENVELOPE_STATUSES = {
+  created: 'sent',
+  sent: 'sent',
+  delivered: 'delivered',
+  signed: 'delivered', // Signed by every signer, not yet completed by DocuSign
+  completed: 'completed',
+  declined: 'declined',
+  voided: 'voided',
+  expired: 'expired'
+};
+
+const RECIPIENT_STATUSES = {
+  created: 'sent',
+  sent: 'sent',
+  delivered: 'opened',
+  signed: 'signed',
+  completed: 'signed',
+  declined: 'declined'
+};
+
+class DocuSignProvider extends BaseSignatureProvider {
+  constructor(config = {}) {
+    super({ provider: 'docusign', ...config });
+    this.baseUrl = config.baseUrl || 'https://demo.docusign.net/restapi';
+    this.accountId = config.accountId;
+    this.accessToken = config.accessToken;
+    this.hmacKey = config.hmacKey;
+  }
+
+  getRequiredConfigFields() {
+    return ['accountId', 'accessToken'];
+  }
+
+  async request(method, endpoint, data = null, options = {}) {
+    this.validateConfig();
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}/v2.1/accounts/${this.accountId}${endpoint}`,
+        data,
+        headers: { Authorization: `Bearer ${this.accessToken}` },
+        timeout: 30000,
+        ...options
+      });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.message || error.response?.data?.errorCode || error.message;
+      throw new Error(`DocuSign ${method} ${endpoint} failed: ${message}`);
+    }
+  }
+
+  async sendEnvelope(contract, document) {
+    const signers = this.getRoutedSigners(contract).map((signer, index) => ({
+      email: signer.email,
+      name: signer.fullName,
+      recipientId: String(index + 1),
+      routingOrder: String(signer.routingOrder || 1),
+      tabs: {
+        signHereTabs: [{
+          documentId: '1',
+          pageNumber: '1',
+          xPosition: '100',
+          yPosition: String(100 + index * 60)
+        }]
+      }
+    }));
+
+    const envelope = await this.request('POST', '/envelopes', {
+      emailSubject: `Please sign: ${contract.title}`,
+      documents: [{
+        documentBase64: Buffer.from(document.html).toString('base64'),
+        name: contract.title,
+        fileExtension: 'html',
+        documentId: '1'
+      }],
+      recipients: { signers },
+      customFields: {
+        textCustomFields: [{ name: 'contractId', value: contract.id, show: 'false' }]
+      },
+      status: 'sent'
+    });
+
+    return {
+      externalId: envelope.envelopeId,
+      status: 'sent',
+      providerData: envelope
+    };
+  }
+
+  async getEnvelopeStatus(externalId) {
+    const envelope = await this.request('GET', `/envelopes/${externalId}?include=recipients`);
+    return this.normalizeEnvelope(envelope, null);
+  }
+
+  /**
+   * Connect signs the raw body with each configured HMAC key; any matching
+   * X-DocuSign-Signature-N header is accepted
+   */
+  verifyWebhook({ rawBody, headers = {} }) {
+    if (!this.hmacKey || !rawBody) return false;
+
+    const expected = this.hmac(this.hmacKey, rawBody, 'base64');
+    return Object.keys(headers)
+      .filter(header => /^x-docusign-signature-\d+$/i.test(header))
+      .some(header => this.safeCompare(expected, headers[header]));
+  }
+
+  parseWebhook(payload) {
+    const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+    const envelope = data.data?.envelopeSummary || { envelopeId: data.data?.envelopeId };
+
+    return {
+      ...this.normalizeEnvelope({ envelopeId: data.data?.envelopeId, ...envelope }, data.event),
+      rawData: data
+    };
+  }
+
+  normalizeEnvelope(envelope, event) {
+    return {
+      externalId: envelope.envelopeId,
+      event: event || `envelope-${envelope.status}`,
+      status: ENVELOPE_STATUSES[envelope.status?.toLowerCase()] || 'sent',
+      signers: (envelope.recipients?.signers || []).map(signer => ({
+        email: signer.email,
+        status: RECIPIENT_STATUSES[signer.status?.toLowerCase()] || 'sent',
+        openedAt: this.toDate(signer.deliveredDateTime),
+        signedAt: this.toDate(signer.signedDateTime),
+        declinedAt: this.toDate(signer.declinedDateTime),
+        declineReason: signer.declinedReason
+      })),
+      completedAt: this.toDate(envelope.completedDateTime),
+      voidedAt: this.toDate(envelope.voidedDateTime)
+    };
+  }
+
+  async downloadSignedDocument(externalId) {
+    const buffer = await this.request('GET', `/envelopes/${externalId}/documents/combined`, null, {
+      responseType: 'arraybuffer'
+    });
+
+    return {
+      buffer: Buffer.from(buffer),
+      contentType: 'application/pdf',
+      fileName: `docusign_${externalId}.pdf`
+    };
+  }
+
+  async voidEnvelope(externalId, reason) {
+    await this.request('PUT', `/envelopes/${externalId}`, {
+      status: 'voided',
+      voidedReason: reason || 'Voided by sender'
+    });
+  }
+}
+
+module.exports = DocuSignProvider;
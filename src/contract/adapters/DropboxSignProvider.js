@@ -0,0 +1,164 @@
+/**
+ * Eagle Dropbox Sign Signature Provider Adapter
+ * Sends contracts as Dropbox Sign (formerly HelloSign) signature requests
+ * and reads its account callbacks, which arrive as a multipart "json" field
+ * carrying an event hash keyed with the API key
+ */
+
+const axios = require('axios');
+const BaseSignatureProvider = require('./BaseSignatureProvider');
+
+const EVENT_STATUSES = {
+  signature_request_sent: 'sent',
+  signature_request_viewed: 'delivered',
+  signature_request_signed: 'delivered',
+  signature_request_all_signed: 'completed',
+  signature_request_downloadable: 'completed',
+  signature_request_declined: 'declined',
+  signature_request_canceled: 'voided',
+  signature_request_expired: 'expired'
+};
+
+const SIGNATURE_STATUSES = {
+  awaiting_signature: 'sent',
+  on_hold: 'sent',
+  signed: 'signed',
+  declined: 'declined'
+};
+
+class DropboxSignProvider extends BaseSignatureProvider {
+  constructor(config = {}) {
+    super({ provider: 'dropbox_sign', ...config });
+    this.baseUrl = config.baseUrl || 'https://api.hellosign.com/v3';
+    this.apiKey = config.apiKey;
+    this.testMode = config.testMode !== false;
+  }
+
+  getRequiredConfigFields() {
+    return ['apiKey'];
+  }
+
+  async request(method, endpoint, data = null, options = {}) {
+    this.validateConfig();
+
+    try {
+      const response = await axios({
+        method,
+        url: `${this.baseUrl}${endpoint}`,
+        data,
+        auth: { username: this.apiKey, password: '' },
+        timeout: 30000,
+        ...options
+      });
+      return response.data;
+    } catch (error) {
+      const message = error.response?.data?.error?.error_msg || error.message;
+      throw new Error(`Dropbox Sign ${method} ${endpoint} failed: ${message}`);
+    }
+  }
+
+  async sendEnvelope(contract, document) {
+    const form = new FormData();
+    form.append('title', contract.title);
+    form.append('subject', `Please sign: ${contract.title}`);
+    form.append('message', 'Please review and sign this document.');
+    form.append('test_mode', this.testMode ? '1' : '0');
+    form.append('metadata[contract_id]', contract.id);
+    form.append('files[0]', new Blob([document.html], { type: 'text/html' }), `${contract.id}.html`);
+
+    // Dropbox Sign orders signers individually; parallel groups keep their relative order
+    this.getRoutedSigners(contract).forEach((signer, index) => {
+      form.append(`signers[${index}][email_address]`, signer.email);
+      form.append(`signers[${index}][name]`, signer.fullName);
+      form.append(`signers[${index}][order]`, String(index));
+    });
+
+    const response = await this.request('POST', '/signature_request/send', form);
+
+    return {
+      externalId: response.signature_request.signature_request_id,
+      status: 'sent',
+      providerData: response
+    };
+  }
+
+  async getEnvelopeStatus(externalId) {
+    const response = await this.request('GET', `/signature_request/${externalId}`);
+    return this.normalizeRequest(response.signature_request, null);
+  }
+
+  /**
+   * event_hash is HMAC-SHA256(api key, event_time + event_type)
+   */
+  verifyWebhook({ payload }) {
+    if (!this.apiKey) return false;
+
+    const event = this.readPayload(payload).event || {};
+    const expected = this.hmac(this.apiKey, `${event.event_time}${event.event_type}`);
+    return this.safeCompare(expected, event.event_hash);
+  }
+
+  parseWebhook(payload) {
+    const data = this.readPayload(payload);
+
+    return {
+      ...this.normalizeRequest(data.signature_request || {}, data.event?.event_type),
+      rawData: data
+    };
+  }
+
+  readPayload(payload) {
+    const data = payload?.json ?? payload;
+    return typeof data === 'string' ? JSON.parse(data) : data || {};
+  }
+
+  normalizeRequest(request, eventType) {
+    let status = EVENT_STATUSES[eventType];
+    if (!status) {
+      if (request.is_complete) status = 'completed';
+      else if (request.is_declined) status = 'declined';
+      else status = 'sent';
+    }
+
+    return {
+      externalId: request.signature_request_id,
+      event: eventType || 'signature_request_status',
+      status,
+      signers: (request.signatures || []).map(signature => ({
+        email: signature.signer_email_address,
+        status: signature.status_code === 'awaiting_signature' && signature.last_viewed_at
+          ? 'opened'
+          : SIGNATURE_STATUSES[signature.status_code] || 'sent',
+        openedAt: this.toDate(signature.last_viewed_at),
+        signedAt: this.toDate(signature.signed_at),
+        declinedAt: signature.status_code === 'declined' ? this.toDate(signature.status_updated_at) || new Date() : null,
+        declineReason: signature.decline_reason
+      })),
+      completedAt: status === 'completed' ? new Date() : null,
+      voidedAt: status === 'voided' ? new Date() : null
+    };
+  }
+
+  async downloadSignedDocument(externalId) {
+    const buffer = await this.request('GET', `/signature_request/files/${externalId}?file_type=pdf`, null, {
+      responseType: 'arraybuffer'
+    });
+
+    return {
+      buffer: Buffer.from(buffer),
+      contentType: 'application/pdf',
+      fileName: `dropbox_sign_${externalId}.pdf`
+    };
+  }
+
+  async voidEnvelope(externalId) {
+    await this.request('POST', `/signature_request/cancel/${externalId}`);
+  }
+
+  // Dropbox Sign treats any other response as a failed delivery and retries
+  getWebhookAcknowledgement() {
+    return 'Hello API Event Received';
+  }
+}
+
+module.exports = DropboxSignProvider;
@@ -0,0 +1,213 @@
+/**
+ * Eagle Local Signature Provider Adapter
+ * Offline stand-in for an external e-signature provider, for development
+ * and testing. Envelopes live in memory for the life of the process;
+ * simulateEvent() acts as a signer at the "provider" and returns the signed
+ * webhook delivery the provider would have sent.
+ */
+
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const BaseSignatureProvider = require('./BaseSignatureProvider');
+
+const SIGNATURE_HEADER = 'x-local-signature';
+
+// Shared by every instance so webhooks and downloads see envelopes sent earlier
+const envelopes = new Map();
+
+class LocalSignatureProvider extends BaseSignatureProvider {
+  constructor(config = {}) {
+    super({ provider: 'local', ...config });
+    // No built-in default: a known secret would let anyone forge webhooks
+    this.webhookSecret = config.webhookSecret;
+  }
+
+  async sendEnvelope(contract, document) {
+    const envelope = {
+      externalId: `env_local_${crypto.randomBytes(8).toString('hex')}`,
+      contractId: contract.id,
+      title: contract.title,
+      documentHash: crypto.createHash('sha256').update(document.html).digest('hex'),
+      status: 'sent',
+      signers: this.getRoutedSigners(contract).map(signer => ({
+        email: signer.email,
+        name: signer.fullName,
+        routingOrder: signer.routingOrder || 1,
+        required: signer.required !== false,
+        status: 'sent'
+      })),
+      createdAt: new Date()
+    };
+
+    envelopes.set(envelope.externalId, envelope);
+
+    return {
+      externalId: envelope.externalId,
+      status: 'sent',
+      providerData: { envelopeId: envelope.externalId, signers: envelope.signers.length }
+    };
+  }
+
+  async getEnvelopeStatus(externalId) {
+    return this.normalizeEnvelope(this.getEnvelope(externalId), 'status');
+  }
+
+  verifyWebhook({ rawBody, headers = {} }) {
+    if (!this.webhookSecret || !rawBody) return false;
+    return this.safeCompare(this.hmac(this.webhookSecret, rawBody), headers[SIGNATURE_HEADER]);
+  }
+
+  parseWebhook(payload) {
+    const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+
+    return {
+      ...data.envelope,
+      event: data.event,
+      completedAt: this.toDate(data.envelope.completedAt),
+      voidedAt: this.toDate(data.envelope.voidedAt),
+      signers: data.envelope.signers.map(signer => ({
+        ...signer,
+        openedAt: this.toDate(signer.openedAt),
+        signedAt: this.toDate(signer.signedAt),
+        declinedAt: this.toDate(signer.declinedAt)
+      })),
+      rawData: data
+    };
+  }
+
+  async downloadSignedDocument(externalId) {
+    const envelope = this.getEnvelope(externalId);
+    if (envelope.status !== 'completed') {
+      throw new Error(`Envelope ${externalId} is not completed`);
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+
+    const finished = new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+    });
+
+    doc.fontSize(18).text(envelope.title);
+    doc.moveDown().fontSize(10).text(`Envelope: ${envelope.externalId}`);
+    doc.text(`Document hash: ${envelope.documentHash}`);
+    doc.text(`Completed: ${envelope.completedAt.toISOString()}`);
+    doc.moveDown();
+    envelope.signers.forEach(signer => {
+      doc.text(`${signer.name} <${signer.email}>: ${signer.status}${signer.signedAt ? ` at ${signer.signedAt.toISOString()}` : ''}`);
+    });
+    doc.end();
+
+    return {
+      buffer: await finished,
+      contentType: 'application/pdf',
+      fileName: `local_${externalId}.pdf`
+    };
+  }
+
+  async voidEnvelope(externalId) {
+    const envelope = this.getEnvelope(externalId);
+    envelope.status = 'voided';
+    envelope.voidedAt = new Date();
+  }
+
+  /**
+   * Act as a signer at the provider
+   * @param {string} action - open, sign or decline
+   * @returns {Object} - { payload, rawBody, headers } of the webhook the provider would send
+   */
+  simulateEvent(externalId, email, action, options = {}) {
+    const envelope = this.getEnvelope(externalId);
+    const signer = envelope.signers.find(candidate => candidate.email.toLowerCase() === String(email).toLowerCase());
+    if (!signer) {
+      throw new Error(`No signer ${email} on envelope ${externalId}`);
+    }
+
+    if (['completed', 'declined', 'voided'].includes(envelope.status)) {
+      throw new Error(`Envelope ${externalId} is ${envelope.status}`);
+    }
+
+    const waiting = envelope.signers.some(other =>
+      other.routingOrder < signer.routingOrder && other.required && other.status !== 'signed'
+    );
+    if (waiting && action !== 'open') {
+      throw new Error(`Signer ${email} is waiting for earlier signers in the routing order`);
+    }
+
+    const now = new Date();
+    switch (action) {
+      case 'open':
+        if (signer.status === 'sent') signer.status = 'opened';
+        signer.openedAt = signer.openedAt || now;
+        envelope.status = envelope.status === 'sent' ? 'delivered' : envelope.status;
+        break;
+      case 'sign':
+        signer.status = 'signed';
+        signer.openedAt = signer.openedAt || now;
+        signer.signedAt = now;
+        envelope.status = envelope.signers.every(other => !other.required || other.status === 'signed')
+          ? 'completed'
+          : 'delivered';
+        if (envelope.status === 'completed') envelope.completedAt = now;
+        break;
+      case 'decline':
+        signer.status = 'declined';
+        signer.declinedAt = now;
+        signer.declineReason = options.reason;
+        envelope.status = 'declined';
+        break;
+      default:
+        throw new Error(`Unknown signer action: ${action}`);
+    }
+
+    return this.buildWebhook(envelope, `envelope.${envelope.status === 'completed' ? 'completed' : `recipient_${action}`}`);
+  }
+
+  buildWebhook(envelope, event) {
+    if (!this.webhookSecret) {
+      throw new Error('LOCAL_SIGNATURE_WEBHOOK_SECRET is not configured');
+    }
+
+    const payload = { event, envelope: this.normalizeEnvelope(envelope, event) };
+    const rawBody = Buffer.from(JSON.stringify(payload));
+
+    return {
+      payload,
+      rawBody,
+      headers: {
+        'content-type': 'application/json',
+        [SIGNATURE_HEADER]: this.hmac(this.webhookSecret, rawBody)
+      }
+    };
+  }
+
+  normalizeEnvelope(envelope, event) {
+    return {
+      externalId: envelope.externalId,
+      event,
+      status: envelope.status,
+      signers: envelope.signers.map(signer => ({
+        email: signer.email,
+        status: signer.status,
+        openedAt: signer.openedAt || null,
+        signedAt: signer.signedAt || null,
+        declinedAt: signer.declinedAt || null,
+        declineReason: signer.declineReason
+      })),
+      completedAt: envelope.completedAt || null,
+      voidedAt: envelope.voidedAt || null
+    };
+  }
+
+  getEnvelope(externalId) {
+    const envelope = envelopes.get(externalId);
+    if (!envelope) {
+      throw new Error(`Envelope ${externalId} not found`);
+    }
+    return envelope;
+  }
+}
+
+module.exports = LocalSignatureProvider;
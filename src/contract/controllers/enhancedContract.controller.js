@@ -3,6 +3,9 @@ const ContractTemplateService = require('../services/contractTemplate.service');
 const ContractSigningService = require('../services/contractSigning.service');
 const ContractIntegrationService = require('../services/contractIntegration.service');
 const EvidenceComplianceService = require('../services/evidenceCompliance.service');
+const ContractRetentionService = require('../services/contractRetention.service');
+const ReconsentCampaignService = require('../services/reconsentCampaign.service');
+const ContractBulkSendService = require('../services/contractBulkSend.service');
 
 /**
  * Enhanced Contract Controller
@@ -270,22 +273,64 @@ const approveTemplate = async (req, res) => {
 };
 
 /**
- * @desc    Publish contract template
+ * @desc    Validate contract template syntax and variables
+ * @route   POST /api/contracts/templates/:templateId/validate
+ * @access  Protected
+ */
+const validateContractTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const validation = await ContractTemplateService.validateTemplate(templateId);
+
+    res.json({
+      success: true,
+      data: validation
+    });
+  } catch (error) {
+    console.error('Error validating template:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Publish contract template, optionally starting a re-consent campaign
+ *          for subscribers on older versions (body: startReconsent, reconsent options)
  * @route   POST /api/contracts/templates/:templateId/publish
  * @access  Protected
  */
 const publishTemplate = async (req, res) => {
   try {
     const { templateId } = req.params;
+    const { startReconsent = false, reconsent = {} } = req.body || {};
     const userId = req.user.id;
     const userName = req.user.name || `${req.user.firstName} ${req.user.lastName}`;
 
     const template = await ContractTemplateService.publishTemplate(templateId, userId, userName);
 
+    // The template stays published when the campaign cannot start
+    let campaign = null;
+    let reconsentError;
+    if (startReconsent) {
+      try {
+        campaign = await ReconsentCampaignService.startCampaign(template.id, reconsent, userId, userName);
+      } catch (error) {
+        console.error('Error starting re-consent campaign:', error);
+        reconsentError = error.message;
+      }
+    }
+
     res.json({
       success: true,
       message: 'Template published successfully',
-      data: template
+      data: template,
+      ...(startReconsent && {
+        reconsentCampaign: campaign,
+        reconsentError
+      })
     });
   } catch (error) {
     console.error('Error publishing template:', error);
@@ -448,8 +493,9 @@ const initiateContractSigning = async (req, res) => {
 
     let finalResult = contractResult;
 
-    // If using third-party integration, send via external provider
-    if (integrationProvider !== 'native') {
+    // If using third-party integration, send via external provider, unless the
+    // template already delegated signing to one
+    if (integrationProvider !== 'native' && !contractResult.integration) {
       try {
         const integrationResult = await ContractIntegrationService.sendContract(
           contractResult.contract.id,
@@ -512,13 +558,23 @@ const startSigningSession = async (req, res) => {
       requestData
     );
 
+    if (!sessionData.contract.allowOfflineAccess) {
+      res.set('Cache-Control', 'no-store');
+    }
+
     res.json({
       success: true,
       data: sessionData
     });
   } catch (error) {
     console.error('Error starting signing session:', error);
-    res.status(error.message.includes('not found') ? 404 : 400).json({
+    let statusCode = 400;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('IP address') || error.message.includes('view limit')) statusCode = 403;
+    else if (['expired', 'voided', 'declined'].some(state => error.message.includes(state))) statusCode = 410;
+    else if (error.message.includes('signed through')) statusCode = 409;
+
+    res.status(statusCode).json({
       success: false,
       message: error.message
     });
@@ -576,6 +632,8 @@ const submitSignature = async (req, res) => {
       consents,
       identityVerification,
       metadata
+    }, {
+      ip: req.ip || req.connection.remoteAddress
     });
 
     res.json({
@@ -585,7 +643,11 @@ const submitSignature = async (req, res) => {
     });
   } catch (error) {
     console.error('Error submitting signature:', error);
-    res.status(error.message.includes('not found') ? 404 : 400).json({
+    let statusCode = 400;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('IP address')) statusCode = 403;
+
+    res.status(statusCode).json({
       success: false,
       message: error.message
     });
@@ -593,67 +655,76 @@ const submitSignature = async (req, res) => {
 };
 
 /**
- * @desc    Get contract for signing
- * @route   GET /api/contracts/:contractId/sign
+ * @desc    Decline to sign
+ * @route   POST /api/contracts/:contractId/decline
  * @access  Public
  */
-const getContractForSigning = async (req, res) => {
+const declineSignature = async (req, res) => {
   try {
     const { contractId } = req.params;
-    const { signerId, token } = req.query;
+    const { signerId, reason } = req.body;
 
-    const contract = await SignedContract.findOne({ id: contractId });
-    if (!contract) {
-      return res.status(404).json({
-        success: false,
-        message: 'Contract not found'
-      });
-    }
-
-    if (contract.isExpired()) {
+    if (!signerId) {
       return res.status(400).json({
         success: false,
-        message: 'Contract has expired'
+        message: 'Signer ID is required'
       });
     }
 
-    const signer = contract.signers.find(s => s.signerId === signerId);
-    if (!signer) {
-      return res.status(404).json({
-        success: false,
-        message: 'Signer not found'
-      });
-    }
+    const result = await ContractSigningService.declineContract(contractId, signerId, reason, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
 
-    // Get signing requirements
-    const signingRequirements = await ContractSigningService.getSigningRequirements(
-      contract.templateId
-    );
+    res.json({
+      success: true,
+      message: 'Contract declined',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error declining contract:', error);
+    let statusCode = 400;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('IP address')) statusCode = 403;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get contract for signing
+ * @route   GET /api/contracts/:contractId/sign
+ * @access  Public
+ */
+const getContractForSigning = async (req, res) => {
+  try {
+    const { contractId } = req.params;
+    const { signerId, token } = req.query;
+
+    const data = await ContractSigningService.getContractForSigning(contractId, signerId, {
+      ip: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    if (!data.contract.allowOfflineAccess) {
+      res.set('Cache-Control', 'no-store');
+    }
 
     res.json({
       success: true,
-      data: {
-        contract: {
-          id: contract.id,
-          title: contract.title,
-          content: contract.content.originalHtml,
-          language: contract.language,
-          expiresAt: contract.dates.expires,
-          status: contract.status
-        },
-        signer: {
-          id: signer.signerId,
-          name: signer.fullName,
-          email: signer.email,
-          status: signer.status
-        },
-        signingRequirements,
-        progress: contract.getSigningProgress()
-      }
+      data
     });
   } catch (error) {
     console.error('Error getting contract for signing:', error);
-    res.status(500).json({
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('expired')) statusCode = 400;
+    else if (error.message.includes('IP address') || error.message.includes('view limit')) statusCode = 403;
+
+    res.status(statusCode).json({
       success: false,
       message: error.message
     });
@@ -699,7 +770,11 @@ const downloadEvidencePackage = async (req, res) => {
     const { contractId } = req.params;
     const { format = 'zip' } = req.query;
 
-    const packageData = await EvidenceComplianceService.exportEvidencePackage(contractId, format);
+    const packageData = await EvidenceComplianceService.exportEvidencePackage(contractId, format, {
+      actor: req.user?.id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.setHeader('Content-Type', packageData.contentType);
     res.setHeader('Content-Disposition', `attachment; filename="${packageData.filename}"`);
@@ -763,6 +838,76 @@ const verifyEvidenceIntegrity = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Verify a certificate of completion
+ * @route   GET /api/contracts/certificates/:certificateId/verify
+ * @access  Public
+ */
+const verifyCertificate = async (req, res) => {
+  try {
+    const { certificateId } = req.params;
+
+    const verification = await EvidenceComplianceService.verifyCertificate(certificateId);
+
+    res.json({
+      success: true,
+      data: verification
+    });
+  } catch (error) {
+    console.error('Error verifying certificate:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the public key that seals certificate PDFs
+ * @route   GET /api/contracts/certificates/seal-key
+ * @access  Public
+ */
+const getCertificateSealKey = async (req, res) => {
+  try {
+    const sealKey = EvidenceComplianceService.getSealPublicKey();
+
+    res.json({
+      success: true,
+      data: sealKey
+    });
+  } catch (error) {
+    console.error('Error getting certificate seal key:', error);
+    res.status(error.message.includes('not configured') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get compliance status, including evidence chain integrity
+ * @route   GET /api/contracts/:contractId/compliance
+ * @access  Protected
+ */
+const getComplianceStatus = async (req, res) => {
+  try {
+    const { contractId } = req.params;
+
+    const status = await EvidenceComplianceService.getComplianceStatus(contractId);
+
+    res.json({
+      success: true,
+      data: status
+    });
+  } catch (error) {
+    console.error('Error getting compliance status:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 /**
  * @desc    Get contract audit trail
  * @route   GET /api/contracts/:contractId/audit-trail
@@ -1038,7 +1183,16 @@ const handleProviderWebhook = async (req, res) => {
   try {
     const { provider } = req.params;
 
-    const result = await ContractIntegrationService.handleWebhook(provider, req.body);
+    const result = await ContractIntegrationService.handleWebhook(provider, req.body, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      query: req.query
+    });
+
+    // Some providers only accept a fixed plain-text acknowledgement
+    if (result.acknowledgement) {
+      return res.type('text/plain').send(result.acknowledgement);
+    }
 
     res.json({
       success: true,
@@ -1047,7 +1201,11 @@ const handleProviderWebhook = async (req, res) => {
     });
   } catch (error) {
     console.error('Error handling webhook:', error);
-    res.status(500).json({
+    let statusCode = 500;
+    if (error.message.includes('Invalid webhook signature')) statusCode = 401;
+    else if (error.message.includes('not found')) statusCode = 404;
+
+    res.status(statusCode).json({
       success: false,
       message: error.message
     });
@@ -1316,6 +1474,512 @@ const getAllSignatures = async (req, res) => {
   }
 };
 
+// =============================================================================
+// RETENTION & LEGAL HOLD
+// =============================================================================
+
+/**
+ * @desc    List retention policies
+ * @route   GET /api/contracts/retention/policies
+ * @access  Protected
+ */
+const getRetentionPolicies = async (req, res) => {
+  try {
+    const policies = await ContractRetentionService.listPolicies(req.query);
+
+    res.json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    console.error('Error getting retention policies:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create retention policy
+ * @route   POST /api/contracts/retention/policies
+ * @access  Protected
+ */
+const createRetentionPolicy = async (req, res) => {
+  try {
+    const { name, retentionPeriod } = req.body;
+
+    if (!name || retentionPeriod === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and retention period are required'
+      });
+    }
+
+    const userName = req.user.name || `${req.user.firstName} ${req.user.lastName}`;
+    const policy = await ContractRetentionService.createPolicy(req.body, req.user.id, userName);
+
+    res.status(201).json({
+      success: true,
+      message: 'Retention policy created successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error creating retention policy:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update retention policy
+ * @route   PUT /api/contracts/retention/policies/:policyId
+ * @access  Protected
+ */
+const updateRetentionPolicy = async (req, res) => {
+  try {
+    const userName = req.user.name || `${req.user.firstName} ${req.user.lastName}`;
+    const policy = await ContractRetentionService.updatePolicy(req.params.policyId, req.body, req.user.id, userName);
+
+    res.json({
+      success: true,
+      message: 'Retention policy updated successfully',
+      data: policy
+    });
+  } catch (error) {
+    console.error('Error updating retention policy:', error);
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.name === 'ValidationError') statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete retention policy
+ * @route   DELETE /api/contracts/retention/policies/:policyId
+ * @access  Protected
+ */
+const deleteRetentionPolicy = async (req, res) => {
+  try {
+    await ContractRetentionService.deletePolicy(req.params.policyId);
+
+    res.json({
+      success: true,
+      message: 'Retention policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting retention policy:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Contracts due for destruction
+ * @route   GET /api/contracts/retention/upcoming
+ * @access  Protected
+ */
+const getUpcomingDestructions = async (req, res) => {
+  try {
+    const report = await ContractRetentionService.getUpcomingDestructions(req.query);
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error getting upcoming destructions:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set or clear a legal hold
+ * @route   POST /api/contracts/:contractId/legal-hold
+ * @route   DELETE /api/contracts/:contractId/legal-hold
+ * @access  Protected
+ */
+const updateLegalHold = async (req, res) => {
+  try {
+    const { contractId } = req.params;
+    const { reason } = req.body;
+    const hold = req.method === 'POST';
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason is required'
+      });
+    }
+
+    const result = await ContractRetentionService.setLegalHold(contractId, hold, reason, {
+      userId: req.user._id || req.user.id,
+      name: req.user.name || `${req.user.firstName} ${req.user.lastName}`,
+      ipAddress: req.ip || req.connection.remoteAddress,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: hold ? 'Legal hold set' : 'Legal hold cleared',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error updating legal hold:', error);
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('legal hold') || error.message.includes('being destroyed')) statusCode = 409;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// =============================================================================
+// TEMPLATE VERSIONS & RE-CONSENT
+// =============================================================================
+
+/**
+ * @desc    Clause-level diff of two template versions
+ * @route   GET /api/contract-templates/:templateId/diff?from=&to=
+ * @access  Protected
+ */
+const getTemplateDiff = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const { from, to, language, includeUnchanged } = req.query;
+
+    let values;
+    if (req.query.values) {
+      try {
+        values = JSON.parse(req.query.values);
+      } catch (parseError) {
+        return res.status(400).json({
+          success: false,
+          message: 'values must be a JSON object'
+        });
+      }
+    }
+
+    const diff = await ContractTemplateService.diffVersions(templateId, {
+      from,
+      to,
+      language,
+      values,
+      includeUnchanged: includeUnchanged === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: diff
+    });
+  } catch (error) {
+    console.error('Error diffing template versions:', error);
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('no previous version')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Start a re-consent campaign for a published template version
+ * @route   POST /api/contract-templates/:templateId/reconsent-campaigns
+ * @access  Protected
+ */
+const startReconsentCampaign = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    const userId = req.user.id;
+    const userName = req.user.name || `${req.user.firstName} ${req.user.lastName}`;
+
+    const campaign = await ReconsentCampaignService.startCampaign(templateId, req.body || {}, userId, userName);
+
+    res.status(201).json({
+      success: true,
+      message: `Re-consent campaign started for ${campaign.recipients.length} subscribers`,
+      data: campaign
+    });
+  } catch (error) {
+    console.error('Error starting re-consent campaign:', error);
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('already running')) statusCode = 409;
+    else if (error.message.includes('published version') || error.message.includes('no older versions')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List re-consent campaigns of a template
+ * @route   GET /api/contract-templates/:templateId/reconsent-campaigns
+ * @access  Protected
+ */
+const getReconsentCampaigns = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+
+    const result = await ReconsentCampaignService.listCampaigns(templateId, req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting re-consent campaigns:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get re-consent campaign with progress
+ * @route   GET /api/contract-templates/:templateId/reconsent-campaigns/:campaignId
+ * @access  Protected
+ */
+const getReconsentCampaign = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+
+    const campaign = await ReconsentCampaignService.getCampaign(campaignId);
+
+    res.json({
+      success: true,
+      data: campaign
+    });
+  } catch (error) {
+    console.error('Error getting re-consent campaign:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Cancel a running re-consent campaign
+ * @route   POST /api/contract-templates/:templateId/reconsent-campaigns/:campaignId/cancel
+ * @access  Protected
+ */
+const cancelReconsentCampaign = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const userId = req.user.id;
+    const userName = req.user.name || `${req.user.firstName} ${req.user.lastName}`;
+
+    const campaign = await ReconsentCampaignService.cancelCampaign(campaignId, userId, userName);
+
+    res.json({
+      success: true,
+      message: 'Re-consent campaign canceled',
+      data: campaign
+    });
+  } catch (error) {
+    console.error('Error canceling re-consent campaign:', error);
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('already')) statusCode = 409;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+// =============================================================================
+// BULK SEND
+// =============================================================================
+
+/**
+ * @desc    Validate recipients and queue a bulk send of a template
+ * @route   POST /api/contracts/enhanced/bulk-sends
+ * @access  Protected (Admin/Manager)
+ * @body    templateId, and either a CSV (file upload or `csv` text) or `segment`;
+ *          placeholderValues shared by every row, options, dryRun
+ */
+const createBulkSend = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const userName = req.user.name || `${req.user.firstName} ${req.user.lastName}`;
+
+    // Multipart uploads send the structured fields as JSON strings
+    const parseField = (value, name) => {
+      if (typeof value !== 'string') return value;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        throw new Error(`Invalid ${name}: must be JSON`);
+      }
+    };
+
+    const result = await ContractBulkSendService.createJob({
+      templateId: req.body.templateId,
+      csv: req.file ? req.file.buffer.toString('utf8') : req.body.csv,
+      fileName: req.file?.originalname,
+      segment: parseField(req.body.segment, 'segment'),
+      placeholderValues: parseField(req.body.placeholderValues, 'placeholderValues') || {},
+      options: parseField(req.body.options, 'options') || {},
+      dryRun: req.body.dryRun === true || req.body.dryRun === 'true'
+    }, userId, userName);
+
+    const progress = ContractBulkSendService.getProgress(result.job);
+    let message = `Bulk send queued for ${progress.valid} recipients`;
+    if (result.dryRun) message = `Validated ${progress.total} recipients, ${progress.invalid} invalid`;
+    else if (result.job.status === 'validation_failed') message = `${progress.invalid} of ${progress.total} rows failed validation; nothing was sent`;
+
+    res.status(result.dryRun ? 200 : 201).json({
+      success: true,
+      message,
+      data: { ...result.job.toObject(), progress }
+    });
+  } catch (error) {
+    console.error('Error creating bulk send:', error);
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('required') || error.message.includes('Invalid')
+      || error.message.includes('limited to') || error.message.includes('No recipients')
+      || error.message.includes('CSV must')) statusCode = 400;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    List bulk sends
+ * @route   GET /api/contracts/enhanced/bulk-sends
+ * @access  Protected (Admin/Manager)
+ */
+const getBulkSends = async (req, res) => {
+  try {
+    const result = await ContractBulkSendService.listJobs(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting bulk sends:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a bulk send with its progress and rows
+ * @route   GET /api/contracts/enhanced/bulk-sends/:jobId
+ * @access  Protected (Admin/Manager)
+ */
+const getBulkSend = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await ContractBulkSendService.getJob(jobId, req.query);
+
+    res.json({
+      success: true,
+      data: job
+    });
+  } catch (error) {
+    console.error('Error getting bulk send:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Per-row error report of a bulk send
+ * @route   GET /api/contracts/enhanced/bulk-sends/:jobId/errors?format=json|csv
+ * @access  Protected (Admin/Manager)
+ */
+const getBulkSendErrors = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { format = 'json' } = req.query;
+
+    const report = await ContractBulkSendService.getErrorReport(jobId, format);
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${jobId}_errors.csv"`);
+      return res.send(report);
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    console.error('Error getting bulk send errors:', error);
+    res.status(error.message.includes('not found') ? 404 : 500).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Stop a bulk send; contracts already issued stay out for signature
+ * @route   POST /api/contracts/enhanced/bulk-sends/:jobId/cancel
+ * @access  Protected (Admin/Manager)
+ */
+const cancelBulkSend = async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user.id;
+    const userName = req.user.name || `${req.user.firstName} ${req.user.lastName}`;
+
+    const job = await ContractBulkSendService.cancelJob(jobId, userId, userName);
+
+    res.json({
+      success: true,
+      message: 'Bulk send canceled',
+      data: { jobId: job.jobId, status: job.status, progress: ContractBulkSendService.getProgress(job) }
+    });
+  } catch (error) {
+    console.error('Error canceling bulk send:', error);
+    let statusCode = 500;
+    if (error.message.includes('not found')) statusCode = 404;
+    else if (error.message.includes('already')) statusCode = 409;
+
+    res.status(statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   // Template Management
   getContractTemplates,
@@ -1325,15 +1989,31 @@ module.exports = {
   deleteTemplate,
   createTemplateVersion,
   approveTemplate,
+  validateContractTemplate,
   publishTemplate,
   getTemplateStatistics,
   cloneTemplate,
 
+  // Template Versions & Re-consent
+  getTemplateDiff,
+  startReconsentCampaign,
+  getReconsentCampaigns,
+  getReconsentCampaign,
+  cancelReconsentCampaign,
+
+  // Bulk Send
+  createBulkSend,
+  getBulkSends,
+  getBulkSend,
+  getBulkSendErrors,
+  cancelBulkSend,
+
   // Contract Signing
   initiateContractSigning,
   startSigningSession,
   collectSigningEvidence,
   submitSignature,
+  declineSignature,
   getContractForSigning,
 
   // Evidence & Compliance
@@ -1341,6 +2021,9 @@ module.exports = {
   downloadEvidencePackage,
   getCertificateOfCompletion,
   verifyEvidenceIntegrity,
+  verifyCertificate,
+  getCertificateSealKey,
+  getComplianceStatus,
   getContractAuditTrail,
 
   // Admin Controls
@@ -1350,7 +2033,15 @@ module.exports = {
   getAllContracts,
   getAllSignatures,
   getContractAnalytics,
-  handleProviderWebhook
+  handleProviderWebhook,
+
+  // Retention & Legal Hold
+  getRetentionPolicies,
+  createRetentionPolicy,
+  updateRetentionPolicy,
+  deleteRetentionPolicy,
+  getUpcomingDestructions,
+  updateLegalHold
 };
 
 
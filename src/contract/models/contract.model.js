@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const ContractEncryption = require('../utils/contractEncryption');
+const ContractTemplateEngine = require('../utils/templateEngine');
 
 /**
  * Contract Template Schema
@@ -115,6 +117,9 @@ const contractTemplateSchema = new mongoose.Schema({
       requireSelfie: { type: Boolean, default: false },
       requireDocumentUpload: { type: Boolean, default: false },
 
+      // Signing page loads allowed per contract
+      maxViews: { type: Number, default: 10 },
+
       // Consent Checkboxes
       requiredConsents: [{
         id: { type: String, required: true },
@@ -137,10 +142,37 @@ const contractTemplateSchema = new mongoose.Schema({
     expirationDays: { type: Number, default: 30 },
     reminderDays: [{ type: Number }], // Days before expiration to send reminders
 
+    // Signer Routing
+    // Signers every contract from this template is routed to. A signer passed
+    // when the contract is initiated takes the entry with the same role;
+    // entries with a name and email (e.g. a compliance countersignature) are
+    // added when no signer claims the role.
+    signerRouting: [{
+      role: { type: String, required: true },
+      signerType: { type: String, enum: ['subscriber', 'admin', 'third_party'], default: 'subscriber' },
+      routingOrder: { type: Number, default: 1 },
+      required: { type: Boolean, default: true },
+      fullName: { type: String },
+      email: { type: String },
+      title: { type: String },
+      company: { type: String }
+    }],
+
+    // External Signing
+    // Contracts from templates with an external provider are sent to that
+    // provider as an envelope; its webhooks drive signer and contract status
+    signatureProvider: {
+      type: String,
+      enum: ['native', 'docusign', 'dropbox_sign', 'local'],
+      default: 'native'
+    },
+
     // Security
-    requireEncryption: { type: Boolean, default: true },
-    allowOfflineAccess: { type: Boolean, default: false },
-    ipRestrictions: [{ type: String }] // CIDR blocks
+    // Encrypt contract bodies and signatures at rest. Opt-in, since it needs
+    // CONTRACT_ENCRYPTION_MASTER_KEY to be provisioned
+    requireEncryption: { type: Boolean, default: false },
+    allowOfflineAccess: { type: Boolean, default: false }, // Let browsers cache the signing document
+    ipRestrictions: [{ type: String }] // CIDR blocks signing sessions may come from
   },
 
   // Dynamic Placeholders
@@ -206,6 +238,7 @@ const signerInfoSchema = new mongoose.Schema({
   // Signer Identity
   signerId: { type: String, required: true },
   signerType: { type: String, enum: ['subscriber', 'admin', 'third_party'], default: 'subscriber' },
+  role: { type: String }, // e.g. client, compliance
   fullName: { type: String, required: true },
   email: { type: String, required: true },
   phone: { type: String },
@@ -219,13 +252,26 @@ const signerInfoSchema = new mongoose.Schema({
     default: 'pending'
   },
 
+  // Routing
+  // Signers sharing a routing order sign in parallel; a higher order is only
+  // sent out once every required signer of the orders before it has signed
+  routingOrder: { type: Number, default: 1 },
+  required: { type: Boolean, default: true },
+
   // Timestamps
   sentAt: { type: Date },
   openedAt: { type: Date },
   signedAt: { type: Date },
   declinedAt: { type: Date },
+  declineReason: { type: String },
   expiredAt: { type: Date },
 
+  // Reminders sent, by days before expiry from the reminder schedule
+  reminders: [{
+    daysBeforeExpiry: { type: Number },
+    sentAt: { type: Date }
+  }],
+
   // Signature Data
   signature: {
     type: { type: String, enum: ['typed', 'drawn', 'uploaded'] },
@@ -338,6 +384,28 @@ const signerInfoSchema = new mongoose.Schema({
   }
 }, { _id: false });
 
+/**
+ * Evidence Record Schema
+ * One signing event, hashed together with the hash of the record before it so
+ * that changing or removing any record breaks every link after it
+ */
+const evidenceRecordSchema = new mongoose.Schema({
+  sequence: { type: Number, required: true },
+  type: {
+    type: String,
+    enum: ['created', 'routed', 'view', 'consent', 'signature', 'declined', 'completed', 'void', 'expired', 'decrypted', 'signed_document'],
+    required: true
+  },
+  signerId: { type: String },
+  timestamp: { type: Date, required: true },
+  ipAddress: { type: String },
+  userAgent: { type: String },
+  documentHash: { type: String }, // Rendered document hash the event applies to
+  data: { type: mongoose.Schema.Types.Mixed },
+  previousHash: { type: String, default: null },
+  hash: { type: String, required: true }
+}, { _id: false });
+
 const signedContractSchema = new mongoose.Schema({
   id: { type: String, required: true }, // Unique index defined in schema.index() below
   contractId: { type: String }, // External system contract ID
@@ -378,6 +446,17 @@ const signedContractSchema = new mongoose.Schema({
   // Signers
   signers: [signerInfoSchema],
 
+  // Routing progress
+  routing: {
+    currentOrder: { type: Number }, // Highest routing order sent out so far
+    haltedAt: { type: Date },
+    haltedBy: { type: String }, // Signer whose decline stopped routing
+    haltReason: { type: String }
+  },
+
+  // Tamper-evident evidence chain
+  evidenceChain: [evidenceRecordSchema],
+
   // Important Dates
   dates: {
     created: { type: Date, default: Date.now },
@@ -386,6 +465,7 @@ const signedContractSchema = new mongoose.Schema({
     lastActivity: { type: Date },
     completed: { type: Date },
     expires: { type: Date },
+    expired: { type: Date }, // When expiry was processed
     voided: { type: Date }
   },
 
@@ -395,13 +475,18 @@ const signedContractSchema = new mongoose.Schema({
     originalHash: { type: String, required: true },
     finalHash: { type: String },
     hashAlgorithm: { type: String, default: 'SHA-256' },
+    evidenceChainHead: { type: String }, // Hash of the latest evidence record
 
     // Encryption
     encrypted: { type: Boolean, default: false },
-    encryptionKey: { type: String },
+    encryptionKey: { type: String }, // Data key, wrapped by the master key
+    encryptionKeyId: { type: String }, // Master key that wraps the data key
+    encryptionAlgorithm: { type: String },
+    encryptedContentHash: { type: String }, // Hash of the stored ciphertext of the body
 
     // Access Control
-    allowedIPs: [{ type: String }],
+    allowedIPs: [{ type: String }], // CIDR blocks copied from the template
+    allowOfflineAccess: { type: Boolean, default: false },
     maxViews: { type: Number },
     currentViews: { type: Number, default: 0 },
 
@@ -413,11 +498,21 @@ const signedContractSchema = new mongoose.Schema({
 
   // Third-Party Integration
   integration: {
-    provider: { type: String, enum: ['native', 'docusign', 'adobe_sign', 'dropbox_sign'] },
+    provider: { type: String, enum: ['native', 'docusign', 'adobe_sign', 'dropbox_sign', 'local'] },
     externalId: { type: String },
     externalStatus: { type: String },
     webhookData: { type: Map, of: mongoose.Schema.Types.Mixed },
-    syncedAt: { type: Date }
+    syncedAt: { type: Date },
+
+    // Completed document pulled back from the provider, under exports/<contractId>
+    signedDocument: {
+      fileName: { type: String },
+      filePath: { type: String },
+      contentType: { type: String },
+      size: { type: Number },
+      hash: { type: String }, // SHA-256 of the file
+      downloadedAt: { type: Date }
+    }
   },
 
   // Legal & Compliance
@@ -432,8 +527,17 @@ const signedContractSchema = new mongoose.Schema({
 
     // Retention
     retentionPeriod: { type: Number }, // in years
+    retentionPolicyId: { type: String }, // Policy the destruction date was taken from
+    destructionAction: { type: String, enum: ['purge', 'anonymize'] },
     destructionDate: { type: Date },
+    destructionStartedAt: { type: Date }, // Claimed for destruction; no legal hold can be set meanwhile
+    anonymizedAt: { type: Date },
+
+    // Legal hold blocks destruction until it is cleared
     legalHold: { type: Boolean, default: false },
+    legalHoldReason: { type: String },
+    legalHoldSetBy: { type: String },
+    legalHoldSetAt: { type: Date },
 
     // Evidence Package
     evidencePackage: {
@@ -521,31 +625,63 @@ signedContractSchema.index({ 'signers.email': 1 });
 
 // Methods for Contract Template
 contractTemplateSchema.methods = {
+  /**
+   * Declared variables from both content.variables and placeholders
+   */
+  getVariableDefinitions() {
+    const definitions = new Map();
+
+    this.placeholders.forEach(placeholder => {
+      definitions.set(placeholder.key, {
+        name: placeholder.key,
+        label: placeholder.label,
+        type: placeholder.type,
+        required: placeholder.required,
+        defaultValue: placeholder.defaultValue,
+        validation: placeholder.validation
+      });
+    });
+
+    (this.content.variables || []).forEach(variable => {
+      if (!variable.name) return;
+      definitions.set(variable.name, {
+        name: variable.name,
+        label: variable.label || variable.name,
+        type: variable.type,
+        required: variable.required,
+        defaultValue: variable.defaultValue,
+        options: variable.options
+      });
+    });
+
+    return [...definitions.values()];
+  },
+
   /**
    * Render template with placeholder values
+   * @param {Object} options - locale and currency; the locale defaults to the template locale
    */
-  render(placeholderValues = {}, language = 'en') {
-    const content = this.content.languages.get(language) ||
-      this.content.languages.get(this.content.defaultLanguage);
+  render(placeholderValues = {}, language = 'en', options = {}) {
+    const body = this.content.htmlBody || this.content.body;
 
-    if (!content) {
+    if (!body) {
       throw new Error(`Template content not available for language: ${language}`);
     }
 
-    let renderedBody = content.body;
-
-    // Replace placeholders
-    this.placeholders.forEach(placeholder => {
-      const value = placeholderValues[placeholder.key] || placeholder.defaultValue || '';
-      const regex = new RegExp(`{{${placeholder.key}}}`, 'g');
-      renderedBody = renderedBody.replace(regex, value);
-    });
+    const renderOptions = {
+      locale: options.locale || this.locale || language,
+      currency: options.currency,
+      variables: this.getVariableDefinitions()
+    };
 
     return {
-      title: content.title,
-      body: renderedBody,
-      footer: content.footer,
-      metadata: content.metadata
+      title: ContractTemplateEngine.render(this.metadata?.title || this.name || '', placeholderValues, {
+        ...renderOptions,
+        escape: false
+      }),
+      body: ContractTemplateEngine.render(body, placeholderValues, renderOptions),
+      footer: null,
+      metadata: this.metadata
     };
   },
 
@@ -555,21 +691,32 @@ contractTemplateSchema.methods = {
   validatePlaceholders(placeholderValues) {
     const errors = [];
 
-    this.placeholders.forEach(placeholder => {
-      const value = placeholderValues[placeholder.key];
+    this.getVariableDefinitions().forEach(placeholder => {
+      const provided = placeholderValues[placeholder.name];
+      const value = provided === undefined || provided === null || provided === ''
+        ? placeholder.defaultValue
+        : provided;
 
-      if (placeholder.required && !value) {
-        errors.push(`${placeholder.label} is required`);
+      if (value === undefined || value === null || value === '') {
+        if (placeholder.required) {
+          errors.push(`${placeholder.label} is required`);
+        }
         return;
       }
 
-      if (!value) return;
-
       // Type validation
-      if (placeholder.type === 'number' && isNaN(Number(value))) {
+      if (['number', 'currency'].includes(placeholder.type) && isNaN(Number(value))) {
         errors.push(`${placeholder.label} must be a number`);
       }
 
+      if (placeholder.type === 'date' && isNaN(new Date(value).getTime())) {
+        errors.push(`${placeholder.label} must be a valid date`);
+      }
+
+      if (placeholder.type === 'select' && placeholder.options?.length && !placeholder.options.includes(String(value))) {
+        errors.push(`${placeholder.label} must be one of: ${placeholder.options.join(', ')}`);
+      }
+
       if (placeholder.type === 'email') {
         const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
         if (!emailRegex.test(value)) {
@@ -593,11 +740,11 @@ contractTemplateSchema.methods = {
           errors.push(`${placeholder.label} must be no more than ${maxLength} characters`);
         }
 
-        if (min !== undefined && Number(value) < min) {
+        if (min !== undefined && min !== null && Number(value) < min) {
           errors.push(`${placeholder.label} must be at least ${min}`);
         }
 
-        if (max !== undefined && Number(value) > max) {
+        if (max !== undefined && max !== null && Number(value) > max) {
           errors.push(`${placeholder.label} must be no more than ${max}`);
         }
       }
@@ -643,12 +790,60 @@ contractTemplateSchema.methods = {
   }
 };
 
+// Uses for which encrypted contract content may be decrypted
+const DECRYPTION_PURPOSES = ['signing', 'pdf', 'evidence_export'];
+
+/**
+ * Serialize a value with sorted keys so the same record always hashes the same,
+ * whatever order MongoDB returns its fields in
+ */
+const canonicalize = (value) => {
+  if (value instanceof Date) {
+    return JSON.stringify(value.toISOString());
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Hash an evidence record together with its contract and previous link
+ */
+const hashEvidenceRecord = (contractId, record) => crypto
+  .createHash('sha256')
+  .update(canonicalize({
+    contractId,
+    sequence: record.sequence,
+    type: record.type,
+    signerId: record.signerId,
+    timestamp: new Date(record.timestamp),
+    ipAddress: record.ipAddress,
+    userAgent: record.userAgent,
+    documentHash: record.documentHash,
+    data: record.data || {},
+    previousHash: record.previousHash || null
+  }))
+  .digest('hex');
+
 // Methods for Signed Contract
 signedContractSchema.methods = {
   /**
    * Generate document hash
    */
   generateDocumentHash() {
+    // An encrypted body is never rewritten, so the hash taken at creation stands
+    if (ContractEncryption.isEncryptedValue(this.content.originalHtml)) {
+      return this.security.originalHash;
+    }
+
     const content = this.content.originalHtml || this.content.finalHtml;
     this.security.originalHash = crypto
       .createHash(this.security.hashAlgorithm.toLowerCase())
@@ -658,6 +853,138 @@ signedContractSchema.methods = {
     return this.security.originalHash;
   },
 
+  /**
+   * Hash the rendered document without touching the stored hashes
+   */
+  calculateDocumentHash(content = this.content.originalHtml) {
+    const algorithm = (this.security.hashAlgorithm || 'SHA-256').replace('-', '').toLowerCase();
+    return crypto.createHash(algorithm).update(content || '').digest('hex');
+  },
+
+  /**
+   * Decrypt the body and signature images for one of the permitted uses
+   * Every decryption is recorded on the evidence chain; the caller saves.
+   * @param {Object} access - purpose (signing, pdf, evidence_export), actor, signerId, ipAddress, userAgent
+   */
+  openContent(access = {}) {
+    if (!DECRYPTION_PURPOSES.includes(access.purpose)) {
+      throw new Error(`Contract content may only be decrypted for ${DECRYPTION_PURPOSES.join(', ')}`);
+    }
+
+    const content = ContractEncryption.decryptContract(this);
+
+    if (this.security.encrypted) {
+      this.appendEvidence('decrypted', {
+        signerId: access.signerId,
+        ipAddress: access.ipAddress,
+        userAgent: access.userAgent,
+        data: {
+          purpose: access.purpose,
+          actor: access.actor ? String(access.actor) : null,
+          keyId: this.security.encryptionKeyId,
+          signatures: Object.keys(content.signatures).length
+        }
+      });
+    }
+
+    return content;
+  },
+
+  /**
+   * Append an evidence record to the chain
+   * @param {string} type - created, view, consent, signature, completed, void or expired
+   * @param {Object} details - signerId, ipAddress, userAgent, documentHash, data
+   */
+  appendEvidence(type, details = {}) {
+    const previous = this.evidenceChain[this.evidenceChain.length - 1];
+
+    const record = {
+      sequence: this.evidenceChain.length,
+      type,
+      signerId: details.signerId,
+      timestamp: new Date(),
+      ipAddress: details.ipAddress,
+      userAgent: details.userAgent,
+      documentHash: details.documentHash || this.security.originalHash,
+      data: details.data || {},
+      previousHash: previous ? previous.hash : null
+    };
+    record.hash = hashEvidenceRecord(this.id, record);
+
+    this.evidenceChain.push(record);
+    this.security.evidenceChainHead = record.hash;
+
+    return record;
+  },
+
+  /**
+   * Recompute the document hash and every link of the evidence chain
+   * Each failure names the record it was found at. An encrypted body is
+   * checked against the hash of its stored ciphertext unless the decrypted
+   * body is passed in.
+   * @param {string} [content] - Decrypted body
+   */
+  verifyEvidenceChain(content) {
+    const checkCiphertext = content === undefined && ContractEncryption.isEncryptedValue(this.content.originalHtml);
+    const expectedHash = checkCiphertext ? this.security.encryptedContentHash : this.security.originalHash;
+    const actualHash = this.calculateDocumentHash(content === undefined ? this.content.originalHtml : content);
+    const document = {
+      algorithm: this.security.hashAlgorithm,
+      basis: checkCiphertext ? 'ciphertext' : 'plaintext',
+      expectedHash,
+      actualHash,
+      // Evidence records carry the plaintext hash; without the plaintext, a
+      // matching ciphertext vouches for the recorded originalHash
+      documentHash: checkCiphertext ? this.security.originalHash : actualHash,
+      valid: actualHash === expectedHash
+    };
+
+    const failures = [];
+    let previousHash = null;
+
+    this.evidenceChain.forEach((record, index) => {
+      const link = { sequence: index, type: record.type, signerId: record.signerId, timestamp: record.timestamp };
+      const recomputedHash = hashEvidenceRecord(this.id, record);
+
+      if (record.sequence !== index) {
+        failures.push({ ...link, reason: 'sequence_mismatch', expected: index, actual: record.sequence });
+      }
+      if ((record.previousHash || null) !== previousHash) {
+        failures.push({ ...link, reason: 'broken_link', expected: previousHash, actual: record.previousHash });
+      }
+      if (recomputedHash !== record.hash) {
+        failures.push({ ...link, reason: 'record_hash_mismatch', expected: recomputedHash, actual: record.hash });
+      }
+      if (record.documentHash && record.documentHash !== document.documentHash) {
+        failures.push({ ...link, reason: 'document_hash_mismatch', expected: document.documentHash, actual: record.documentHash });
+      }
+
+      previousHash = record.hash;
+    });
+
+    const headHash = previousHash;
+    if (this.security.evidenceChainHead && this.security.evidenceChainHead !== headHash) {
+      failures.push({
+        sequence: this.evidenceChain.length,
+        reason: 'chain_truncated',
+        expected: this.security.evidenceChainHead,
+        actual: headHash
+      });
+    }
+
+    return {
+      valid: document.valid && failures.length === 0,
+      document,
+      chain: {
+        length: this.evidenceChain.length,
+        headHash,
+        valid: failures.length === 0,
+        failedAt: failures[0] || null,
+        failures
+      }
+    };
+  },
+
   /**
    * Add signer evidence
    */
@@ -683,6 +1010,218 @@ signedContractSchema.methods = {
     return signer;
   },
 
+  /**
+   * Distinct routing orders, lowest first
+   */
+  getRoutingOrders() {
+    return [...new Set(this.signers.map(signer => signer.routingOrder || 1))].sort((a, b) => a - b);
+  },
+
+  /**
+   * A routing group is finished once all of its required signers have signed
+   */
+  isRoutingGroupComplete(routingOrder) {
+    return this.signers
+      .filter(signer => (signer.routingOrder || 1) === routingOrder && signer.required !== false)
+      .every(signer => signer.status === 'signed');
+  },
+
+  /**
+   * All required signers have signed
+   */
+  isSigningComplete() {
+    const required = this.signers.filter(signer => signer.required !== false);
+    return required.length > 0 && required.every(signer => signer.status === 'signed');
+  },
+
+  /**
+   * Whether a signer's turn has come. Optional signers of earlier groups may
+   * still sign while later groups are out.
+   */
+  isSignerActive(signer) {
+    if (this.routing?.haltedAt) {
+      return false;
+    }
+    // Contracts sent before routing orders existed never set currentOrder;
+    // they went out to every signer at once
+    if (this.routing?.currentOrder == null) {
+      return this.status !== 'draft';
+    }
+    return (signer.routingOrder || 1) <= this.routing.currentOrder;
+  },
+
+  /**
+   * Move routing past every finished group and return the signers of the
+   * groups that were reached, who now need to be notified
+   */
+  advanceRouting() {
+    // Halted, or sent to everyone before routing orders existed
+    if (this.routing.haltedAt || (this.routing.currentOrder == null && this.status !== 'draft')) {
+      return [];
+    }
+
+    const orders = this.getRoutingOrders();
+    const activated = [];
+    let index = this.routing.currentOrder == null ? -1 : orders.indexOf(this.routing.currentOrder);
+
+    while (index < orders.length - 1 && (index === -1 || this.isRoutingGroupComplete(orders[index]))) {
+      index++;
+      this.routing.currentOrder = orders[index];
+
+      const group = this.signers.filter(signer =>
+        (signer.routingOrder || 1) === orders[index] && ['pending', 'sent', 'opened'].includes(signer.status)
+      );
+      activated.push(...group);
+
+      this.appendEvidence('routed', {
+        data: { routingOrder: orders[index], signers: group.map(signer => signer.signerId) }
+      });
+    }
+
+    if (activated.length > 0 && this.status === 'draft') {
+      this.status = 'sent';
+      this.dates.sent = new Date();
+    }
+
+    return activated;
+  },
+
+  /**
+   * Decline on behalf of a signer. Routing stops and no further signers are
+   * notified.
+   */
+  declineSigning(signerId, reason, evidenceData = {}) {
+    const signer = this.signers.find(s => s.signerId === signerId);
+    if (!signer) {
+      throw new Error('Signer not found');
+    }
+
+    if (['signed', 'declined', 'expired'].includes(signer.status)) {
+      throw new Error(`Signer has already ${signer.status}`);
+    }
+
+    if (!this.isSignerActive(signer)) {
+      throw new Error('Signer is waiting for earlier signers in the routing order');
+    }
+
+    const now = new Date();
+    signer.status = 'declined';
+    signer.declinedAt = now;
+    signer.declineReason = reason;
+
+    this.status = 'declined';
+    this.routing.haltedAt = now;
+    this.routing.haltedBy = signerId;
+    this.routing.haltReason = reason;
+    this.dates.lastActivity = now;
+
+    this.appendEvidence('declined', {
+      signerId,
+      ipAddress: evidenceData.ipAddress,
+      userAgent: evidenceData.userAgent,
+      data: { reason: reason || null, routingOrder: signer.routingOrder || 1 }
+    });
+
+    return signer;
+  },
+
+  /**
+   * Apply a status update from the external provider signing this contract
+   * Updates that arrive out of order never move a signer backwards. Each
+   * change is recorded on the evidence chain with the provider event; the
+   * caller saves.
+   * @param {Object} update - Normalized provider status (see BaseSignatureProvider)
+   * @returns {Object} - { signers: ids of signers that changed, outcome: completed,
+   *                     declined, voided, expired or null }
+   */
+  applyProviderUpdate(update) {
+    const now = new Date();
+    const eventData = {
+      provider: this.integration.provider,
+      externalId: this.integration.externalId,
+      event: update.event
+    };
+    const signerProgress = ['pending', 'sent', 'opened', 'signed'];
+    const evidenceTypes = { sent: 'routed', opened: 'view', signed: 'signature', declined: 'declined' };
+    const changed = [];
+
+    (update.signers || []).forEach(providerSigner => {
+      const signer = this.signers.find(s => s.email.toLowerCase() === String(providerSigner.email).toLowerCase());
+      if (!signer || !evidenceTypes[providerSigner.status]) return;
+      if (['signed', 'declined', 'expired'].includes(signer.status)) return;
+      if (providerSigner.status !== 'declined'
+        && signerProgress.indexOf(providerSigner.status) <= signerProgress.indexOf(signer.status)) return;
+
+      signer.status = providerSigner.status;
+      switch (providerSigner.status) {
+        case 'sent':
+          signer.sentAt = signer.sentAt || now;
+          break;
+        case 'opened':
+          signer.openedAt = providerSigner.openedAt || now;
+          if (!this.dates.firstOpened) this.dates.firstOpened = signer.openedAt;
+          break;
+        case 'signed':
+          signer.signedAt = providerSigner.signedAt || now;
+          break;
+        case 'declined':
+          signer.declinedAt = providerSigner.declinedAt || now;
+          signer.declineReason = providerSigner.declineReason;
+          break;
+      }
+
+      this.appendEvidence(evidenceTypes[providerSigner.status], {
+        signerId: signer.signerId,
+        data: { ...eventData, status: providerSigner.status, reason: providerSigner.declineReason }
+      });
+      changed.push(signer.signerId);
+    });
+
+    this.integration.externalStatus = update.status;
+    this.integration.syncedAt = now;
+    this.dates.lastActivity = now;
+
+    // Closed contracts keep their outcome
+    if (['fully_signed', 'completed', 'declined', 'voided', 'expired'].includes(this.status)) {
+      return { signers: changed, outcome: null };
+    }
+
+    let outcome = null;
+    switch (update.status) {
+      case 'completed':
+        this.status = 'fully_signed';
+        this.dates.completed = update.completedAt || now;
+        this.appendEvidence('completed', {
+          data: { ...eventData, signerCount: this.signers.filter(s => s.status === 'signed').length }
+        });
+        outcome = 'completed';
+        break;
+      case 'declined': {
+        const decliner = this.signers.find(s => s.status === 'declined');
+        this.status = 'declined';
+        this.routing.haltedAt = now;
+        this.routing.haltedBy = decliner?.signerId;
+        this.routing.haltReason = decliner?.declineReason;
+        outcome = 'declined';
+        break;
+      }
+      case 'voided':
+        this.status = 'voided';
+        this.dates.voided = update.voidedAt || now;
+        this.appendEvidence('void', { data: eventData });
+        outcome = 'voided';
+        break;
+      case 'expired':
+        this.expireContract();
+        outcome = 'expired';
+        break;
+      default:
+        this.status = this.signers.some(s => s.status === 'signed') ? 'partially_signed' : 'sent';
+    }
+
+    return { signers: changed, outcome };
+  },
+
   /**
    * Complete signing process
    */
@@ -696,6 +1235,18 @@ signedContractSchema.methods = {
       throw new Error('Document already signed by this signer');
     }
 
+    if (['fully_signed', 'completed'].includes(this.status)) {
+      throw new Error('Contract is already complete');
+    }
+
+    if (this.status === 'declined') {
+      throw new Error('Contract has been declined');
+    }
+
+    if (!this.isSignerActive(signer)) {
+      throw new Error('Signer is waiting for earlier signers in the routing order');
+    }
+
     // Update signer
     signer.status = 'signed';
     signer.signedAt = new Date();
@@ -709,15 +1260,50 @@ signedContractSchema.methods = {
       }));
     }
 
-    // Check if all signers have signed
-    const allSigned = this.signers.every(s => s.status === 'signed');
+    const eventContext = {
+      signerId,
+      ipAddress: signer.evidence?.ipAddress,
+      userAgent: signer.evidence?.userAgent,
+      documentHash: signer.evidence?.documentHash
+    };
+
+    this.appendEvidence('consent', {
+      ...eventContext,
+      data: {
+        consents: (signer.consents || []).map(consent => ({
+          consentId: consent.consentId,
+          label: consent.label,
+          accepted: consent.accepted
+        }))
+      }
+    });
+
+    this.appendEvidence('signature', {
+      ...eventContext,
+      data: {
+        signatureType: signer.signature?.type,
+        // The image itself is stored on the signer; its hash is enough to prove it is unchanged
+        signatureHash: signer.signature?.data
+          ? crypto.createHash('sha256').update(signer.signature.data).digest('hex')
+          : null,
+        sessionId: signer.evidence?.sessionId
+      }
+    });
 
-    if (allSigned) {
+    // Optional signers who have not signed do not hold up completion
+    if (this.isSigningComplete()) {
       this.status = 'fully_signed';
       this.dates.completed = new Date();
 
       // Generate final hash
       this.security.finalHash = this.generateDocumentHash();
+
+      this.appendEvidence('completed', {
+        data: {
+          finalHash: this.security.finalHash,
+          signerCount: this.signers.filter(s => s.status === 'signed').length
+        }
+      });
     } else {
       this.status = 'partially_signed';
     }
@@ -812,6 +1398,14 @@ signedContractSchema.methods = {
     this.metadata.voidedByName = voidedByName;
     this.metadata.voidedAt = new Date();
 
+    this.appendEvidence('void', {
+      data: {
+        reason,
+        voidedBy: voidedBy ? String(voidedBy) : null,
+        voidedByName
+      }
+    });
+
     // Mark all pending signers as voided
     this.signers.forEach(signer => {
       if (signer.status === 'pending' || signer.status === 'sent') {
@@ -822,6 +1416,100 @@ signedContractSchema.methods = {
     return this;
   },
 
+  /**
+   * Expire the contract and every signer who has not signed
+   */
+  expireContract() {
+    const now = new Date();
+
+    this.status = 'expired';
+    this.dates.expired = now;
+
+    const expiredSigners = [];
+    this.signers.forEach(signer => {
+      if (!['signed', 'declined', 'expired'].includes(signer.status)) {
+        signer.status = 'expired';
+        signer.expiredAt = now;
+        expiredSigners.push(signer.signerId);
+      }
+    });
+
+    this.appendEvidence('expired', {
+      data: { expiresAt: this.dates.expires, expiredSigners }
+    });
+
+    return this;
+  },
+
+  /**
+   * When the contract stopped changing; retention is counted from here
+   * Open contracts return null
+   */
+  getClosedAt() {
+    if (!['fully_signed', 'completed', 'declined', 'expired', 'voided'].includes(this.status)) {
+      return null;
+    }
+
+    return this.dates.completed || this.dates.voided || this.dates.expired
+      || this.routing?.haltedAt || this.dates.lastActivity || this.dates.created;
+  },
+
+  /**
+   * Strip the contract of personal data and content, keeping only what
+   * reporting needs. The evidence chain goes too; its head hash stays as proof
+   * of what existed. Encrypted contracts also lose their data key.
+   */
+  anonymize() {
+    const now = new Date();
+    const REDACTED = '[redacted]';
+
+    this.subscriberId = 'anonymized';
+    this.title = REDACTED;
+
+    this.content.originalHtml = REDACTED;
+    this.content.finalHtml = undefined;
+    this.content.pdfUrl = undefined;
+    this.content.placeholderValues = undefined;
+
+    this.signers.forEach(signer => {
+      signer.fullName = REDACTED;
+      signer.email = `${signer.signerId}@anonymized.invalid`;
+      signer.phone = undefined;
+      signer.title = undefined;
+      signer.company = undefined;
+      signer.declineReason = undefined;
+      signer.signature = undefined;
+      signer.verification = undefined;
+
+      // Only the document hashes survive from the signing session
+      if (signer.evidence?.ipAddress) {
+        signer.evidence = {
+          ipAddress: REDACTED,
+          userAgent: REDACTED,
+          documentHash: signer.evidence.documentHash,
+          documentVersion: signer.evidence.documentVersion
+        };
+      }
+    });
+
+    this.evidenceChain = [];
+    this.security.encrypted = false;
+    this.security.encryptionKey = undefined;
+    this.security.encryptedContentHash = undefined;
+    this.security.allowedIPs = [];
+
+    this.integration.webhookData = undefined;
+    this.routing.haltReason = undefined;
+    this.analytics.engagement = undefined;
+    this.metadata.customFields = undefined;
+    this.metadata.referrer = undefined;
+
+    this.compliance.evidencePackage = {};
+    this.compliance.anonymizedAt = now;
+
+    return this;
+  },
+
   /**
    * Check if contract is expired
    */
@@ -835,13 +1523,22 @@ signedContractSchema.methods = {
   getSigningProgress() {
     const totalSigners = this.signers.length;
     const signedCount = this.signers.filter(s => s.status === 'signed').length;
+    const requiredSigners = this.signers.filter(s => s.required !== false);
+    const requiredSignedCount = requiredSigners.filter(s => s.status === 'signed').length;
 
     return {
       totalSigners,
       signedCount,
       pendingCount: totalSigners - signedCount,
-      percentageComplete: totalSigners > 0 ? (signedCount / totalSigners) * 100 : 0,
-      isComplete: signedCount === totalSigners && totalSigners > 0
+      requiredSigners: requiredSigners.length,
+      requiredSignedCount,
+      percentageComplete: requiredSigners.length > 0 ? (requiredSignedCount / requiredSigners.length) * 100 : 0,
+      isComplete: this.isSigningComplete(),
+      routing: {
+        currentOrder: this.routing?.currentOrder ?? null,
+        orders: this.getRoutingOrders(),
+        halted: Boolean(this.routing?.haltedAt)
+      }
     };
   }
 };
@@ -927,6 +1624,22 @@ signedContractSchema.pre('save', function (next) {
     this.status = 'expired';
   }
 
+  // Encrypt any plaintext body or signature image before it is stored
+  if (this.security.encrypted && ContractEncryption.encryptContract(this)) {
+    this.security.encryptedContentHash = this.calculateDocumentHash(this.content.originalHtml);
+  }
+
+  // Start the evidence chain with the document as rendered at creation
+  if (this.isNew && this.evidenceChain.length === 0) {
+    this.appendEvidence('created', {
+      data: {
+        templateId: this.templateId,
+        templateVersion: this.templateVersion,
+        signers: this.signers.map(signer => ({ signerId: signer.signerId, email: signer.email }))
+      }
+    });
+  }
+
   next();
 });
 
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contract Bulk Send Schema
+ * One template issued to many recipients, taken from an uploaded CSV of
+ * contacts or from a subscriber segment. Every row is validated when the
+ * job is created; valid rows are then issued in batches by the job runner.
+ */
+const bulkSendRowSchema = new mongoose.Schema({
+  row: { type: Number, required: true }, // CSV line number, or position in the segment
+  subscriberId: { type: String },
+  subscriptionId: { type: String },
+  planId: { type: String },
+  fullName: { type: String },
+  email: { type: String },
+  phone: { type: String },
+  placeholderValues: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: {
+    type: String,
+    enum: ['pending', 'invalid', 'issued', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  rowErrors: [{ type: String }], // Validation errors, or the reason issuing failed
+  contractId: { type: String },
+  issuedAt: { type: Date }
+}, { _id: false });
+
+const contractBulkSendSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, unique: true },
+  templateId: { type: String, required: true },
+  templateVersion: { type: String },
+
+  source: { type: String, enum: ['csv', 'segment'], required: true },
+  fileName: { type: String }, // Uploaded CSV
+  segment: {
+    planIds: [{ type: String }],
+    plans: [{ type: String }], // Plan names or slugs
+    statuses: [{ type: String }] // Subscription statuses
+  },
+
+  // validation_failed: rows failed validation and skipInvalid was not set; nothing is issued
+  status: {
+    type: String,
+    enum: ['validation_failed', 'queued', 'running', 'completed', 'canceled'],
+    default: 'queued'
+  },
+
+  // Applied to every contract the job issues
+  options: {
+    language: { type: String },
+    currency: { type: String },
+    expirationDays: { type: Number },
+    signerRole: { type: String }, // Routing role each recipient signs as
+    skipInvalid: { type: Boolean, default: false },
+    skipExisting: { type: Boolean, default: true } // Skip recipients with an open or signed contract on the template
+  },
+
+  rows: [bulkSendRowSchema],
+
+  dates: {
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    canceledAt: { type: Date }
+  },
+
+  audit: {
+    createdBy: { type: String },
+    createdByName: { type: String },
+    canceledBy: { type: String },
+    canceledByName: { type: String }
+  }
+}, {
+  timestamps: true,
+  collection: 'contract_bulk_sends'
+});
+
+contractBulkSendSchema.index({ templateId: 1, createdAt: -1 });
+contractBulkSendSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ContractBulkSend', contractBulkSendSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * Contract Certificate Schema
+ * Certificate of completion issued when every signer has signed. The
+ * certificate hash covers the fields below so a stored certificate can be
+ * checked against the contract it was issued for.
+ */
+const contractCertificateSchema = new mongoose.Schema({
+  certificateId: { type: String, required: true },
+  contractId: { type: String, required: true },
+  templateId: { type: String },
+  templateVersion: { type: String },
+
+  // Contract Information
+  title: { type: String },
+  completedAt: { type: Date },
+
+  // Signers Summary (only masked values are ever returned publicly)
+  signers: [{
+    name: { type: String },
+    email: { type: String },
+    role: { type: String },
+    signedAt: { type: Date },
+    ipAddress: { type: String },
+    location: { type: String },
+    device: { type: String }
+  }],
+
+  // Security Information
+  documentHash: { type: String, required: true },
+  finalHash: { type: String },
+  hashAlgorithm: { type: String, default: 'SHA-256' },
+  evidenceChainHead: { type: String },
+  certificateHash: { type: String, required: true },
+
+  // Compliance
+  jurisdiction: { type: String },
+  governingLaw: { type: String },
+
+  // Sealed PDF
+  pdf: {
+    filePath: { type: String },
+    downloadUrl: { type: String },
+    sealed: { type: Boolean, default: false },
+    seal: {
+      algorithm: { type: String },
+      keyId: { type: String },
+      fileHash: { type: String }, // SHA-256 of the PDF bytes
+      signature: { type: String }, // Base64 signature over the PDF bytes
+      signatureUrl: { type: String },
+      sealedAt: { type: Date }
+    },
+    generatedAt: { type: Date }
+  },
+
+  // Certificate Metadata
+  generatedAt: { type: Date, default: Date.now },
+  generatedBy: { type: String },
+  version: { type: String },
+  verificationUrl: { type: String }
+}, {
+  timestamps: true,
+  collection: 'contract_certificates'
+});
+
+contractCertificateSchema.index({ certificateId: 1 }, { unique: true });
+contractCertificateSchema.index({ contractId: 1, generatedAt: -1 });
+
+contractCertificateSchema.methods = {
+  /**
+   * Hash the certified fields in a fixed order
+   */
+  calculateHash() {
+    const toTime = (date) => (date ? new Date(date).toISOString() : null);
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({
+        certificateId: this.certificateId,
+        contractId: this.contractId,
+        templateId: this.templateId || null,
+        templateVersion: this.templateVersion || null,
+        title: this.title || null,
+        completedAt: toTime(this.completedAt),
+        signers: this.signers.map(signer => ({
+          name: signer.name || null,
+          email: signer.email || null,
+          role: signer.role || null,
+          signedAt: toTime(signer.signedAt),
+          ipAddress: signer.ipAddress || null
+        })),
+        documentHash: this.documentHash,
+        finalHash: this.finalHash || null,
+        hashAlgorithm: this.hashAlgorithm,
+        evidenceChainHead: this.evidenceChainHead || null,
+        jurisdiction: this.jurisdiction || null,
+        governingLaw: this.governingLaw || null,
+        generatedAt: toTime(this.generatedAt)
+      }))
+      .digest('hex');
+  }
+};
+
+module.exports = mongoose.model('ContractCertificate', contractCertificateSchema);
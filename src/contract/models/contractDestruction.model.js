@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Contract Destruction Schema
+ * Proof that a contract was purged or anonymized under a retention policy.
+ * Holds hashes and dates only, never contract content or signer data.
+ */
+const contractDestructionSchema = new mongoose.Schema({
+  contractId: { type: String, required: true },
+  templateId: { type: String },
+  policyId: { type: String }, // Empty when the contract's own retention period applied
+  action: { type: String, enum: ['purge', 'anonymize'], required: true },
+
+  // Retention
+  retentionPeriod: { type: Number },
+  closedAt: { type: Date },
+  destructionDate: { type: Date },
+  destroyedAt: { type: Date, default: Date.now },
+
+  // Archive manifest, kept for contracts that require archiving
+  archive: {
+    originalHash: { type: String },
+    finalHash: { type: String },
+    evidenceChainHead: { type: String },
+    certificateIds: [{ type: String }]
+  },
+
+  // What was removed
+  removed: {
+    certificates: { type: Number, default: 0 },
+    files: [{ type: String }]
+  }
+}, {
+  timestamps: true,
+  collection: 'contract_destructions'
+});
+
+contractDestructionSchema.index({ contractId: 1 });
+contractDestructionSchema.index({ destroyedAt: -1 });
+
+module.exports = mongoose.model('ContractDestruction', contractDestructionSchema);
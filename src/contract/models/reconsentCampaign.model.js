@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Re-consent Campaign Schema
+ * Issues a newly published template version to every subscriber whose
+ * active contract was signed on an older version of the same template.
+ * Recipients are fixed when the campaign starts and issued in batches.
+ */
+const recipientSchema = new mongoose.Schema({
+  subscriberId: { type: String, required: true },
+  previousContractId: { type: String, required: true },
+  previousVersion: { type: String },
+  newContractId: { type: String },
+  status: {
+    type: String,
+    enum: ['pending', 'issued', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  error: { type: String },
+  issuedAt: { type: Date }
+}, { _id: false });
+
+const reconsentCampaignSchema = new mongoose.Schema({
+  campaignId: { type: String, required: true, unique: true },
+  templateId: { type: String, required: true },
+  templateVersion: { type: String, required: true },
+  previousVersions: [{ type: String }],
+
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'canceled'],
+    default: 'running'
+  },
+
+  // Applied to every contract the campaign issues
+  options: {
+    expirationDays: { type: Number } // Defaults to the template's expirationDays
+  },
+
+  recipients: [recipientSchema],
+
+  dates: {
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    canceledAt: { type: Date }
+  },
+
+  audit: {
+    createdBy: { type: String },
+    createdByName: { type: String },
+    canceledBy: { type: String },
+    canceledByName: { type: String }
+  }
+}, {
+  timestamps: true,
+  collection: 'contract_reconsent_campaigns'
+});
+
+reconsentCampaignSchema.index({ templateId: 1, createdAt: -1 });
+reconsentCampaignSchema.index({ status: 1 });
+
+module.exports = mongoose.model('ReconsentCampaign', reconsentCampaignSchema);
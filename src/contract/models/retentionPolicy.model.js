@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Retention Policy Schema
+ * How long closed contracts are kept, per template category and
+ * jurisdiction, and what happens to them afterwards. A policy without a
+ * category or jurisdiction applies to all of them; the most specific active
+ * policy wins.
+ */
+const retentionPolicySchema = new mongoose.Schema({
+  policyId: { type: String, required: true },
+  name: { type: String, required: true },
+  description: { type: String },
+
+  // Scope
+  category: {
+    type: String,
+    enum: ['investment_agreement', 'service_agreement', 'privacy_policy', 'terms_of_service', 'nda', 'custom'],
+    default: null // Any category
+  },
+  jurisdiction: { type: String, default: null }, // Any jurisdiction when empty; matched case-insensitively against compliance.jurisdiction
+
+  // Retention
+  retentionPeriod: { type: Number, required: true, min: 0 }, // in years, counted from when the contract closed
+  action: {
+    type: String,
+    enum: ['purge', 'anonymize'],
+    default: 'anonymize'
+  },
+  isActive: { type: Boolean, default: true },
+
+  // Audit Information
+  audit: {
+    createdBy: { type: String },
+    createdByName: { type: String },
+    lastModifiedBy: { type: String },
+    lastModifiedByName: { type: String }
+  }
+}, {
+  timestamps: true,
+  collection: 'contract_retention_policies'
+});
+
+retentionPolicySchema.index({ policyId: 1 }, { unique: true });
+retentionPolicySchema.index({ category: 1, jurisdiction: 1 });
+
+module.exports = mongoose.model('ContractRetentionPolicy', retentionPolicySchema);
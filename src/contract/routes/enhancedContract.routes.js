@@ -1,4 +1,5 @@
 const express = require('express');
+const multer = require('multer');
 const {
   // Template Management
   getContractTemplates,
@@ -8,15 +9,29 @@ const {
   deleteTemplate,
   createTemplateVersion,
   approveTemplate,
+  validateContractTemplate,
   publishTemplate,
   getTemplateStatistics,
   cloneTemplate,
+  getTemplateDiff,
+  startReconsentCampaign,
+  getReconsentCampaigns,
+  getReconsentCampaign,
+  cancelReconsentCampaign,
+
+  // Bulk Send
+  createBulkSend,
+  getBulkSends,
+  getBulkSend,
+  getBulkSendErrors,
+  cancelBulkSend,
 
   // Contract Signing
   initiateContractSigning,
   startSigningSession,
   collectSigningEvidence,
   submitSignature,
+  declineSignature,
   getContractForSigning,
 
   // Evidence & Compliance
@@ -24,6 +39,9 @@ const {
   downloadEvidencePackage,
   getCertificateOfCompletion,
   verifyEvidenceIntegrity,
+  verifyCertificate,
+  getCertificateSealKey,
+  getComplianceStatus,
   getContractAuditTrail,
 
   // Admin Controls
@@ -33,7 +51,15 @@ const {
   getAllContracts,
   getAllSignatures,
   getContractAnalytics,
-  handleProviderWebhook
+  handleProviderWebhook,
+
+  // Retention & Legal Hold
+  getRetentionPolicies,
+  createRetentionPolicy,
+  updateRetentionPolicy,
+  deleteRetentionPolicy,
+  getUpcomingDestructions,
+  updateLegalHold
 } = require('../controllers/enhancedContract.controller');
 
 const { protect, adminOnly, optionalAuth } = require('../../middlewares/auth.middleware');
@@ -106,6 +132,22 @@ const router = express.Router();
  *               status:
  *                 type: string
  *                 enum: [pending, sent, opened, signed, declined, expired]
+ *               role:
+ *                 type: string
+ *               routingOrder:
+ *                 type: integer
+ *               required:
+ *                 type: boolean
+ *         routing:
+ *           type: object
+ *           properties:
+ *             currentOrder:
+ *               type: integer
+ *             haltedAt:
+ *               type: string
+ *               format: date-time
+ *             haltedBy:
+ *               type: string
  */
 
 // =============================================================================
@@ -363,6 +405,42 @@ router.post('/:contractId/evidence', collectSigningEvidence);
  */
 router.post('/:contractId/signatures', submitSignature);
 
+/**
+ * @swagger
+ * /api/contracts/enhanced/{contractId}/decline:
+ *   post:
+ *     summary: Decline to sign a contract
+ *     description: Marks the contract declined and stops routing; no further signers are notified
+ *     tags: [Contract Signing]
+ *     parameters:
+ *       - in: path
+ *         name: contractId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - signerId
+ *             properties:
+ *               signerId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Contract declined
+ *       400:
+ *         description: Signer cannot decline (already signed, not yet routed, or contract closed)
+ *       404:
+ *         description: Contract or signer not found
+ */
+router.post('/:contractId/decline', declineSignature);
+
 /**
  * @swagger
  * /api/contracts/enhanced/{contractId}/verify/{hash}:
@@ -382,17 +460,56 @@ router.post('/:contractId/signatures', submitSignature);
  *           type: string
  *     responses:
  *       200:
- *         description: Evidence integrity verification result
+ *         description: Evidence integrity verification result, naming the first failing link of the evidence chain
  *       404:
  *         description: Contract not found
  */
 router.get('/:contractId/verify/:hash', verifyEvidenceIntegrity);
 
+/**
+ * @swagger
+ * /api/contracts/certificates/seal-key:
+ *   get:
+ *     summary: Get the public key that seals certificate PDFs (public)
+ *     description: Use with the detached .sig file of a certificate PDF to validate it offline
+ *     tags: [Evidence & Compliance]
+ *     responses:
+ *       200:
+ *         description: Key ID, algorithm and PEM public key
+ *       404:
+ *         description: Certificate sealing is not configured
+ */
+router.get('/certificates/seal-key', getCertificateSealKey);
+
+/**
+ * @swagger
+ * /api/contracts/certificates/{certificateId}/verify:
+ *   get:
+ *     summary: Verify a certificate of completion (public verification)
+ *     tags: [Evidence & Compliance]
+ *     parameters:
+ *       - in: path
+ *         name: certificateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Certificate status, masked signer summary, integrity checks and PDF seal
+ *       404:
+ *         description: Certificate not found
+ */
+router.get('/certificates/:certificateId/verify', verifyCertificate);
+
 /**
  * @swagger
  * /api/contracts/enhanced/webhooks/{provider}:
  *   post:
  *     summary: Handle webhooks from third-party e-signature providers
+ *     description: |
+ *       Verified with the provider's signature (DocuSign Connect HMAC, Dropbox Sign event hash,
+ *       Adobe Sign client id, local provider HMAC), then mapped onto the contract's signers.
+ *       When the envelope completes the signed PDF is downloaded into the evidence package.
  *     tags: [Integration]
  *     parameters:
  *       - in: path
@@ -400,7 +517,7 @@ router.get('/:contractId/verify/:hash', verifyEvidenceIntegrity);
  *         required: true
  *         schema:
  *           type: string
- *           enum: [docusign, adobe_sign, dropbox_sign]
+ *           enum: [docusign, adobe_sign, dropbox_sign, local]
  *     requestBody:
  *       required: true
  *       content:
@@ -408,13 +525,25 @@ router.get('/:contractId/verify/:hash', verifyEvidenceIntegrity);
  *           schema:
  *             type: object
  *             description: Provider-specific webhook payload
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               json:
+ *                 type: string
+ *                 description: Dropbox Sign event payload
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook processed successfully (Dropbox Sign receives its plain-text acknowledgement)
+ *       401:
+ *         description: Invalid webhook signature
+ *       404:
+ *         description: No contract for the envelope
  *       500:
  *         description: Webhook processing failed
  */
-router.post('/webhooks/:provider', handleProviderWebhook);
+// Dropbox Sign posts its events as multipart form fields
+router.post('/webhooks/:provider', multer().none(), handleProviderWebhook);
 
 /**
  * @swagger
@@ -790,6 +919,29 @@ router.delete('/templates/:templateId', authRBAC, requireRole(['admin', 'manager
  */
 router.post('/templates/:templateId/versions', authRBAC, requireRole(['admin', 'manager']), createTemplateVersion);
 
+/**
+ * @swagger
+ * /api/contracts/enhanced/templates/{templateId}/validate:
+ *   post:
+ *     summary: Validate template syntax and variable usage
+ *     description: Reports syntax errors and undefined variables as errors, unused variables as warnings
+ *     tags: [Template Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Validation result
+ *       404:
+ *         description: Template not found
+ */
+router.post('/templates/:templateId/validate', authRBAC, requireRole(['admin', 'manager']), validateContractTemplate);
+
 /**
  * @swagger
  * /api/contracts/enhanced/templates/{templateId}/approve:
@@ -826,6 +978,20 @@ router.post('/templates/:templateId/approve', authRBAC, requireRole(['admin']),
  *         required: true
  *         schema:
  *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               startReconsent:
+ *                 type: boolean
+ *                 description: Issue this version to subscribers whose active contract uses an older version
+ *               reconsent:
+ *                 type: object
+ *                 properties:
+ *                   expirationDays:
+ *                     type: integer
  *     responses:
  *       200:
  *         description: Template published successfully
@@ -893,6 +1059,159 @@ router.get('/templates/:templateId/statistics', authRBAC, requireRole(['admin',
  */
 router.post('/templates/:templateId/clone', authRBAC, requireRole(['admin', 'manager']), cloneTemplate);
 
+/**
+ * @swagger
+ * /api/contracts/enhanced/templates/{templateId}/diff:
+ *   get:
+ *     summary: Clause-level diff of two template versions
+ *     description: Both versions are rendered with the same values (defaults or [Label] markers unless given)
+ *     tags: [Template Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *         description: Version number or template id (default the previous version)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *         description: Version number or template id (default templateId)
+ *       - in: query
+ *         name: values
+ *         schema:
+ *           type: string
+ *         description: JSON object of placeholder values to render with
+ *       - in: query
+ *         name: includeUnchanged
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Content changes (added, removed, modified clauses), placeholder changes and title change
+ *       400:
+ *         description: No previous version to compare with
+ *       404:
+ *         description: Template or version not found
+ */
+router.get('/templates/:templateId/diff', authRBAC, requireRole(['admin', 'manager']), getTemplateDiff);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/templates/{templateId}/reconsent-campaigns:
+ *   get:
+ *     summary: List re-consent campaigns of a template
+ *     tags: [Template Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [running, completed, canceled]
+ *     responses:
+ *       200:
+ *         description: Campaigns with pagination
+ *   post:
+ *     summary: Issue the published version to subscribers whose active contract uses an older version
+ *     tags: [Template Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expirationDays:
+ *                 type: integer
+ *     responses:
+ *       201:
+ *         description: Campaign started
+ *       400:
+ *         description: Template is not published or has no older versions
+ *       409:
+ *         description: A campaign is already running for this template
+ */
+router.get('/templates/:templateId/reconsent-campaigns', authRBAC, requireRole(['admin', 'manager']), getReconsentCampaigns);
+router.post('/templates/:templateId/reconsent-campaigns', authRBAC, requireRole(['admin']), startReconsentCampaign);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/templates/{templateId}/reconsent-campaigns/{campaignId}:
+ *   get:
+ *     summary: Get re-consent campaign progress
+ *     tags: [Template Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign with recipients and progress (issued, failed, signed, declined, expired)
+ *       404:
+ *         description: Campaign not found
+ */
+router.get('/templates/:templateId/reconsent-campaigns/:campaignId', authRBAC, requireRole(['admin', 'manager']), getReconsentCampaign);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/templates/{templateId}/reconsent-campaigns/{campaignId}/cancel:
+ *   post:
+ *     summary: Cancel a running re-consent campaign
+ *     description: Contracts already issued stay out for signature
+ *     tags: [Template Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: campaignId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Campaign canceled
+ *       404:
+ *         description: Campaign not found
+ *       409:
+ *         description: Campaign is not running
+ */
+router.post('/templates/:templateId/reconsent-campaigns/:campaignId/cancel', authRBAC, requireRole(['admin']), cancelReconsentCampaign);
+
 // =============================================================================
 // CONTRACT INITIATION & MANAGEMENT (Admin/Manager Access)
 // =============================================================================
@@ -950,6 +1269,17 @@ router.post('/templates/:templateId/clone', authRBAC, requireRole(['admin', 'man
  *                       type: string
  *                     company:
  *                       type: string
+ *                     role:
+ *                       type: string
+ *                       description: Matches a signerRouting entry on the template (e.g. client)
+ *                     routingOrder:
+ *                       type: integer
+ *                       default: 1
+ *                       description: Signers with the same order sign in parallel; higher orders wait for lower ones
+ *                     required:
+ *                       type: boolean
+ *                       default: true
+ *                       description: Optional signers do not hold up routing or completion
  *               expirationDays:
  *                 type: integer
  *               integrationProvider:
@@ -966,56 +1296,284 @@ router.post('/templates/:templateId/clone', authRBAC, requireRole(['admin', 'man
  */
 router.post('/initiate', authRBAC, requireRole(['admin', 'manager']), initiateContractSigning);
 
+// Contact CSVs for bulk sends are read from memory
+const bulkSendUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
 /**
  * @swagger
- * /api/contracts/enhanced/search:
- *   get:
- *     summary: Search contracts with advanced filters
+ * /api/contracts/enhanced/bulk-sends:
+ *   post:
+ *     summary: Validate recipients and queue a bulk send of a template
+ *     description: |
+ *       Recipients come from an uploaded CSV or a subscriber segment. Every row is
+ *       validated against the template's placeholders first; if any row is invalid
+ *       the job is held as validation_failed unless options.skipInvalid is set.
+ *       CSV columns: email (required), fullName or name, phone, subscriberId,
+ *       subscriptionId, planId; any other column is a placeholder value for that row.
  *     tags: [Contract Management]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: subscriberId
- *         schema:
- *           type: string
- *       - in: query
- *         name: templateId
- *         schema:
- *           type: string
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           description: Comma-separated list of statuses
- *       - in: query
- *         name: dateRange
- *         schema:
- *           type: string
- *           description: "Format: startDate,endDate"
- *       - in: query
- *         name: signedBy
- *         schema:
- *           type: string
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 50
- *     responses:
- *       200:
- *         description: Search results
- *         content:
- *           application/json:
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - templateId
+ *             properties:
+ *               templateId:
+ *                 type: string
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: CSV of contacts
+ *               placeholderValues:
+ *                 type: string
+ *                 description: JSON object of values shared by every row
+ *               options:
+ *                 type: string
+ *                 description: JSON object, see the application/json schema
+ *               dryRun:
+ *                 type: boolean
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - templateId
+ *             properties:
+ *               templateId:
+ *                 type: string
+ *               csv:
+ *                 type: string
+ *                 description: CSV of contacts with a header line
+ *               segment:
+ *                 type: object
+ *                 properties:
+ *                   planIds:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   plans:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Plan names or slugs
+ *                   statuses:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     default: [active, trial]
+ *               placeholderValues:
+ *                 type: object
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   language:
+ *                     type: string
+ *                   currency:
+ *                     type: string
+ *                   expirationDays:
+ *                     type: integer
+ *                   signerRole:
+ *                     type: string
+ *                     description: Routing role each recipient signs as
+ *                   skipInvalid:
+ *                     type: boolean
+ *                     default: false
+ *                   skipExisting:
+ *                     type: boolean
+ *                     default: true
+ *                     description: Skip recipients with an open or signed contract on the template
+ *               dryRun:
+ *                 type: boolean
+ *                 description: Validate only; nothing is saved
+ *     responses:
+ *       201:
+ *         description: Bulk send created, with per-row validation results
+ *       200:
+ *         description: Dry run validation results
+ *       400:
+ *         description: No recipients, too many recipients or invalid input
+ *       404:
+ *         description: Template not found
+ */
+router.post('/bulk-sends', authRBAC, requireRole(['admin', 'manager']), bulkSendUpload.single('file'), createBulkSend);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/bulk-sends:
+ *   get:
+ *     summary: List bulk sends with their progress
+ *     tags: [Contract Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [validation_failed, queued, running, completed, canceled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bulk sends
+ */
+router.get('/bulk-sends', authRBAC, requireRole(['admin', 'manager']), getBulkSends);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/bulk-sends/{jobId}:
+ *   get:
+ *     summary: Get a bulk send with its progress and rows
+ *     tags: [Contract Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, invalid, issued, failed, skipped]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Bulk send with progress (total, valid, invalid, pending, issued, failed, skipped, percentComplete)
+ *       404:
+ *         description: Bulk send not found
+ */
+router.get('/bulk-sends/:jobId', authRBAC, requireRole(['admin', 'manager']), getBulkSend);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/bulk-sends/{jobId}/errors:
+ *   get:
+ *     summary: Per-row error report of a bulk send
+ *     description: Rows that were invalid, failed to issue or were skipped, with their errors
+ *     tags: [Contract Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Error report
+ *       404:
+ *         description: Bulk send not found
+ */
+router.get('/bulk-sends/:jobId/errors', authRBAC, requireRole(['admin', 'manager']), getBulkSendErrors);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/bulk-sends/{jobId}/cancel:
+ *   post:
+ *     summary: Cancel a bulk send
+ *     description: Contracts already issued stay out for signature
+ *     tags: [Contract Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Bulk send canceled
+ *       404:
+ *         description: Bulk send not found
+ *       409:
+ *         description: Bulk send already completed or canceled
+ */
+router.post('/bulk-sends/:jobId/cancel', authRBAC, requireRole(['admin', 'manager']), cancelBulkSend);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/search:
+ *   get:
+ *     summary: Search contracts with advanced filters
+ *     tags: [Contract Management]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: subscriberId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: templateId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           description: Comma-separated list of statuses
+ *       - in: query
+ *         name: dateRange
+ *         schema:
+ *           type: string
+ *           description: "Format: startDate,endDate"
+ *       - in: query
+ *         name: signedBy
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Search results
+ *         content:
+ *           application/json:
  *             schema:
  *               type: object
  *               properties:
@@ -1329,6 +1887,28 @@ router.get('/:contractId/certificate', authRBAC, requireRole(['admin', 'legal',
  */
 router.get('/:contractId/audit-trail', authRBAC, requireRole(['admin', 'legal', 'support']), getContractAuditTrail);
 
+/**
+ * @swagger
+ * /api/contracts/enhanced/{contractId}/compliance:
+ *   get:
+ *     summary: Get compliance status and evidence chain integrity
+ *     tags: [Evidence & Compliance]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contractId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Compliance standards, integrity checks and issues
+ *       404:
+ *         description: Contract not found
+ */
+router.get('/:contractId/compliance', authRBAC, requireRole(['admin', 'legal']), getComplianceStatus);
+
 // =============================================================================
 // ADMIN CONTROLS (Admin Only)
 // =============================================================================
@@ -1404,6 +1984,210 @@ router.post('/:contractId/void', authRBAC, requireRole(['admin']), voidContract)
  */
 router.post('/:contractId/resend', authRBAC, requireRole(['admin', 'manager']), resendContract);
 
+// =============================================================================
+// RETENTION & LEGAL HOLD (Admin & Legal)
+// =============================================================================
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/retention/policies:
+ *   get:
+ *     summary: List contract retention policies
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Retention policies
+ *   post:
+ *     summary: Create a retention policy
+ *     description: Applies to closed contracts from templates in the category and jurisdiction; leave either empty to match all
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - retentionPeriod
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               category:
+ *                 type: string
+ *                 enum: [investment_agreement, service_agreement, privacy_policy, terms_of_service, nda, custom]
+ *               jurisdiction:
+ *                 type: string
+ *               retentionPeriod:
+ *                 type: number
+ *                 description: Years after the contract closed
+ *               action:
+ *                 type: string
+ *                 enum: [purge, anonymize]
+ *                 default: anonymize
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Retention policy created
+ *       400:
+ *         description: Invalid policy
+ */
+router.get('/retention/policies', authRBAC, requireRole(['admin', 'legal']), getRetentionPolicies);
+router.post('/retention/policies', authRBAC, requireRole(['admin']), createRetentionPolicy);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/retention/policies/{policyId}:
+ *   put:
+ *     summary: Update a retention policy
+ *     description: Destruction dates of contracts not yet destroyed are recalculated on the next retention run
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retention policy updated
+ *       404:
+ *         description: Retention policy not found
+ *   delete:
+ *     summary: Delete a retention policy
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Retention policy deleted
+ *       404:
+ *         description: Retention policy not found
+ */
+router.put('/retention/policies/:policyId', authRBAC, requireRole(['admin']), updateRetentionPolicy);
+router.delete('/retention/policies/:policyId', authRBAC, requireRole(['admin']), deleteRetentionPolicy);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/retention/upcoming:
+ *   get:
+ *     summary: Contracts due for destruction
+ *     description: Contracts whose destruction date falls within the window, soonest first; contracts under legal hold are listed separately
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Upcoming destructions report
+ */
+router.get('/retention/upcoming', authRBAC, requireRole(['admin', 'legal']), getUpcomingDestructions);
+
+/**
+ * @swagger
+ * /api/contracts/enhanced/{contractId}/legal-hold:
+ *   post:
+ *     summary: Place a contract under legal hold
+ *     description: A held contract is not destroyed when its retention ends. The change is written to the audit log.
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contractId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Legal hold set
+ *       404:
+ *         description: Contract not found
+ *       409:
+ *         description: Contract is already under legal hold
+ *   delete:
+ *     summary: Clear a legal hold
+ *     tags: [Retention]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: contractId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Legal hold cleared
+ *       404:
+ *         description: Contract not found
+ *       409:
+ *         description: Contract is not under legal hold
+ */
+router.post('/:contractId/legal-hold', authRBAC, requireRole(['admin', 'legal']), updateLegalHold);
+router.delete('/:contractId/legal-hold', authRBAC, requireRole(['admin', 'legal']), updateLegalHold);
+
 module.exports = router;
 
 
@@ -0,0 +1,506 @@
+const { SignedContract } = require('../models/contract.model');
+const ContractBulkSend = require('../models/contractBulkSend.model');
+const ContractTemplateService = require('./contractTemplate.service');
+const ContractSigningService = require('./contractSigning.service');
+const Subscription = require('../../subscription/models/subscription.model');
+const MembershipPlan = require('../../subscription/models/membershipPlan.model');
+
+// Recipients issued per job on each run
+const BATCH_SIZE = 50;
+
+// Largest CSV or segment one job takes
+const MAX_ROWS = 5000;
+
+// CSV columns that describe the recipient; every other column is a placeholder value
+const CONTACT_COLUMNS = ['subscriberId', 'subscriptionId', 'planId', 'fullName', 'name', 'firstName', 'lastName', 'email', 'phone'];
+
+// Subscriptions a segment includes when no statuses are given
+const DEFAULT_SEGMENT_STATUSES = ['active', 'trial'];
+
+// Contracts that already cover a recipient when skipExisting is set
+const EXISTING_STATUSES = ['draft', 'sent', 'partially_signed', 'fully_signed', 'completed'];
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Contract Bulk Send Service
+ * Issues one template to the contacts of an uploaded CSV or to a subscriber
+ * segment. Rows are validated up front; a job with invalid rows is held
+ * unless skipInvalid is set, so a bad upload never goes out half-sent.
+ */
+class ContractBulkSendService {
+
+  /**
+   * Validate the recipients and create the job
+   * @param {Object} request - templateId, and either csv (text) or segment ({ planIds, plans, statuses });
+   *                           placeholderValues shared by every row; options; dryRun to only validate
+   */
+  static async createJob(request, userId, userName) {
+    const { templateId, csv, segment, fileName, placeholderValues = {}, options = {}, dryRun = false } = request;
+
+    const template = await ContractTemplateService.findTemplateById(templateId);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    let rows;
+    if (csv) {
+      rows = this.buildRowsFromCsv(csv);
+    } else if (segment) {
+      rows = await this.buildRowsFromSegment(segment);
+    } else {
+      throw new Error('Either a CSV of contacts or a subscriber segment is required');
+    }
+
+    if (rows.length === 0) {
+      throw new Error('No recipients found');
+    }
+
+    if (rows.length > MAX_ROWS) {
+      throw new Error(`A bulk send is limited to ${MAX_ROWS} recipients, got ${rows.length}`);
+    }
+
+    this.validateRows(template, rows, placeholderValues, options);
+
+    const invalid = rows.filter(row => row.status === 'invalid').length;
+    const skipInvalid = options.skipInvalid === true || options.skipInvalid === 'true';
+
+    const job = new ContractBulkSend({
+      jobId: `bulk_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      templateId: template.id,
+      templateVersion: template.version,
+      source: csv ? 'csv' : 'segment',
+      fileName,
+      segment: csv ? undefined : segment,
+      status: invalid > 0 && !skipInvalid ? 'validation_failed' : 'queued',
+      options: {
+        language: options.language,
+        currency: options.currency,
+        expirationDays: options.expirationDays ? parseInt(options.expirationDays) : undefined,
+        signerRole: options.signerRole,
+        skipInvalid,
+        skipExisting: options.skipExisting !== false && options.skipExisting !== 'false'
+      },
+      rows,
+      audit: { createdBy: userId, createdByName: userName }
+    });
+
+    if (dryRun) {
+      await job.validate();
+      return { job, dryRun: true };
+    }
+
+    if (job.status === 'queued' && !rows.some(row => row.status === 'pending')) {
+      job.status = 'completed';
+      job.dates.completedAt = new Date();
+    }
+
+    await job.save();
+    return { job, dryRun: false };
+  }
+
+  /**
+   * Rows from CSV text with a header line
+   * Contact columns describe the recipient; the others are placeholder values
+   */
+  static buildRowsFromCsv(csv) {
+    const records = this.parseCsv(csv);
+    if (records.length === 0) return [];
+
+    const [header, ...lines] = records;
+    const columns = header.map(column => column.trim());
+    if (!columns.includes('email')) {
+      throw new Error('CSV must have an email column');
+    }
+
+    return lines
+      .map((values, index) => ({ values, line: index + 2 }))
+      .filter(({ values }) => values.some(value => value.trim() !== ''))
+      .map(({ values, line }) => {
+        const record = {};
+        columns.forEach((column, index) => {
+          const value = (values[index] || '').trim();
+          if (column && value !== '') record[column] = value;
+        });
+
+        const placeholderValues = {};
+        Object.keys(record)
+          .filter(column => !CONTACT_COLUMNS.includes(column))
+          .forEach(column => {
+            placeholderValues[column] = record[column];
+          });
+
+        return {
+          row: line,
+          subscriberId: record.subscriberId,
+          subscriptionId: record.subscriptionId,
+          planId: record.planId,
+          fullName: record.fullName || record.name
+            || [record.firstName, record.lastName].filter(Boolean).join(' ') || undefined,
+          email: record.email?.toLowerCase(),
+          phone: record.phone,
+          placeholderValues
+        };
+      });
+  }
+
+  /**
+   * Rows for every subscriber with a matching subscription, one per subscriber
+   * @param {Object} segment - planIds, plans (names or slugs), statuses
+   */
+  static async buildRowsFromSegment(segment = {}) {
+    const planIds = [...(segment.planIds || [])];
+
+    if (segment.plans?.length) {
+      const plans = await MembershipPlan.find({
+        $or: [{ name: { $in: segment.plans } }, { slug: { $in: segment.plans } }]
+      }).select('_id name slug');
+
+      const unknown = segment.plans.filter(plan => !plans.some(found => found.name === plan || found.slug === plan));
+      if (unknown.length > 0) {
+        throw new Error(`Plans not found: ${unknown.join(', ')}`);
+      }
+      planIds.push(...plans.map(plan => plan._id.toString()));
+    }
+
+    const query = { status: { $in: segment.statuses?.length ? segment.statuses : DEFAULT_SEGMENT_STATUSES } };
+    if (planIds.length > 0) query.planId = { $in: planIds };
+
+    const subscriptions = await Subscription.find(query)
+      .sort({ createdAt: -1 })
+      .limit(MAX_ROWS + 1)
+      .populate('userId', 'firstName lastName name email phone');
+
+    const seen = new Set();
+    const rows = [];
+    subscriptions.forEach(subscription => {
+      const user = subscription.userId;
+      if (!user || seen.has(user._id.toString())) return;
+      seen.add(user._id.toString());
+
+      rows.push({
+        row: rows.length + 1,
+        subscriberId: user._id.toString(),
+        subscriptionId: subscription._id.toString(),
+        planId: subscription.planId?.toString(),
+        fullName: user.name || [user.firstName, user.lastName].filter(Boolean).join(' ') || undefined,
+        email: user.email?.toLowerCase(),
+        phone: user.phone,
+        placeholderValues: {}
+      });
+    });
+
+    return rows;
+  }
+
+  /**
+   * Mark each row pending or invalid with its errors
+   * Rows get the shared placeholder values, then their own, then recipient
+   * details for any variable the template declares with the same name
+   */
+  static validateRows(template, rows, sharedValues, options) {
+    const declared = template.getVariableDefinitions().map(variable => variable.name);
+    const seen = new Set();
+
+    rows.forEach(row => {
+      const contactValues = {};
+      ['fullName', 'email', 'phone'].forEach(field => {
+        if (declared.includes(field) && row[field]) contactValues[field] = row[field];
+      });
+
+      row.placeholderValues = { ...sharedValues, ...contactValues, ...row.placeholderValues };
+      row.subscriberId = row.subscriberId || row.email;
+
+      const errors = [];
+      if (!row.email || !EMAIL_REGEX.test(row.email)) errors.push('A valid email is required');
+      if (!row.fullName) errors.push('A full name is required');
+
+      const key = `${row.subscriberId}:${row.email}`;
+      if (seen.has(key)) errors.push('Duplicate recipient');
+      seen.add(key);
+
+      errors.push(...template.validatePlaceholders(row.placeholderValues));
+
+      try {
+        ContractSigningService.resolveSigners([this.toSigner(row, options)], template.config.signerRouting);
+      } catch (error) {
+        errors.push(error.message);
+      }
+
+      row.status = errors.length > 0 ? 'invalid' : 'pending';
+      row.rowErrors = errors;
+    });
+  }
+
+  static toSigner(row, options = {}) {
+    return {
+      type: 'subscriber',
+      role: options.signerRole,
+      fullName: row.fullName,
+      email: row.email,
+      phone: row.phone
+    };
+  }
+
+  /**
+   * Issue the next batch of every queued or running job
+   */
+  static async processJobs() {
+    const jobs = await ContractBulkSend.find({ status: { $in: ['queued', 'running'] } });
+    const results = { jobs: jobs.length, issued: 0, failed: 0, skipped: 0 };
+
+    for (const job of jobs) {
+      if (job.status === 'queued') {
+        job.status = 'running';
+        job.dates.startedAt = new Date();
+        await job.save();
+      }
+
+      const batch = job.rows.filter(row => row.status === 'pending').slice(0, BATCH_SIZE);
+
+      for (const row of batch) {
+        await this.issueRow(job, row);
+        results[row.status]++;
+
+        // Saved per row so an interrupted run never issues a contract twice
+        job.markModified('rows');
+        await job.save();
+
+        // Stop as soon as the job is canceled from another request
+        const current = await ContractBulkSend.findOne({ jobId: job.jobId }).select('status');
+        if (current?.status === 'canceled') break;
+      }
+
+      const current = await ContractBulkSend.findOne({ jobId: job.jobId }).select('status');
+      if (current?.status !== 'canceled' && !job.rows.some(row => row.status === 'pending')) {
+        job.status = 'completed';
+        job.dates.completedAt = new Date();
+        await job.save();
+      }
+    }
+
+    return results;
+  }
+
+  static async issueRow(job, row) {
+    try {
+      if (job.options.skipExisting) {
+        const existing = await SignedContract.findOne({
+          templateId: job.templateId,
+          subscriberId: row.subscriberId,
+          status: { $in: EXISTING_STATUSES }
+        }).select('id');
+
+        if (existing) {
+          row.status = 'skipped';
+          row.rowErrors = [`Recipient already has contract ${existing.id} on this template`];
+          return;
+        }
+      }
+
+      const result = await ContractSigningService.initiateContract({
+        templateId: job.templateId,
+        subscriberId: row.subscriberId,
+        subscriptionId: row.subscriptionId,
+        planId: row.planId,
+        language: job.options.language || undefined,
+        currency: job.options.currency || undefined,
+        placeholderValues: row.placeholderValues || {},
+        signers: [this.toSigner(row, job.options)],
+        expirationDays: job.options.expirationDays,
+        metadata: { source: 'bulk_send', campaign: job.jobId }
+      }, job.audit.createdBy);
+
+      row.status = 'issued';
+      row.contractId = result.contract.id;
+      row.issuedAt = new Date();
+      row.rowErrors = [];
+    } catch (error) {
+      console.error(`Bulk send ${job.jobId} failed for row ${row.row}:`, error.message);
+      row.status = 'failed';
+      row.rowErrors = [error.message];
+    }
+  }
+
+  /**
+   * Job with progress; rows are paginated and can be filtered by status
+   */
+  static async getJob(jobId, options = {}) {
+    const job = await ContractBulkSend.findOne({ jobId });
+    if (!job) {
+      throw new Error('Bulk send not found');
+    }
+
+    const page = parseInt(options.page) || 1;
+    const limit = Math.min(parseInt(options.limit) || 100, 500);
+    const rows = options.status ? job.rows.filter(row => row.status === options.status) : job.rows;
+
+    const { rows: allRows, ...summary } = job.toObject();
+
+    return {
+      ...summary,
+      progress: this.getProgress(job),
+      rows: rows.slice((page - 1) * limit, page * limit),
+      pagination: {
+        page,
+        limit,
+        total: rows.length,
+        pages: Math.ceil(rows.length / limit)
+      }
+    };
+  }
+
+  static async listJobs(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 20, 100);
+    const query = {};
+    if (filters.templateId) query.templateId = filters.templateId;
+    if (filters.status) query.status = filters.status;
+
+    const [jobs, total] = await Promise.all([
+      ContractBulkSend.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ContractBulkSend.countDocuments(query)
+    ]);
+
+    return {
+      jobs: jobs.map(job => {
+        const { rows, ...summary } = job.toObject();
+        return { ...summary, progress: this.getProgress(job) };
+      }),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Rows that were invalid, failed or skipped, as objects or CSV
+   */
+  static async getErrorReport(jobId, format = 'json') {
+    const job = await ContractBulkSend.findOne({ jobId });
+    if (!job) {
+      throw new Error('Bulk send not found');
+    }
+
+    const errors = job.rows
+      .filter(row => ['invalid', 'failed', 'skipped'].includes(row.status))
+      .map(row => ({
+        row: row.row,
+        email: row.email,
+        subscriberId: row.subscriberId,
+        status: row.status,
+        errors: row.rowErrors
+      }));
+
+    if (format !== 'csv') {
+      return { jobId, errors };
+    }
+
+    const lines = [
+      ['row', 'email', 'subscriberId', 'status', 'errors'],
+      ...errors.map(error => [error.row, error.email, error.subscriberId, error.status, error.errors.join('; ')])
+    ];
+    return lines.map(line => line.map(value => this.escapeCsv(value)).join(',')).join('\n');
+  }
+
+  /**
+   * Stop issuing contracts; contracts already issued stay out for signature
+   */
+  static async cancelJob(jobId, userId, userName) {
+    const job = await ContractBulkSend.findOne({ jobId });
+    if (!job) {
+      throw new Error('Bulk send not found');
+    }
+
+    if (['completed', 'canceled'].includes(job.status)) {
+      throw new Error(`Bulk send is already ${job.status}`);
+    }
+
+    job.status = 'canceled';
+    job.dates.canceledAt = new Date();
+    job.audit.canceledBy = userId;
+    job.audit.canceledByName = userName;
+
+    await job.save();
+    return job;
+  }
+
+  static getProgress(job) {
+    const count = status => job.rows.filter(row => row.status === status).length;
+    const total = job.rows.length;
+    const invalid = count('invalid');
+    const valid = total - invalid;
+    const done = count('issued') + count('failed') + count('skipped');
+
+    return {
+      total,
+      valid,
+      invalid,
+      pending: count('pending'),
+      issued: count('issued'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      percentComplete: valid > 0 ? Math.round((done / valid) * 100) : 100
+    };
+  }
+
+  /**
+   * Parse CSV text into rows of values
+   * Handles quoted values with commas, line breaks and doubled quotes
+   */
+  static parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+    const input = String(text).replace(/^﻿/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') i++;
+        row.push(value);
+        rows.push(row);
+        row = [];
+        value = '';
+      } else {
+        value += char;
+      }
+    }
+
+    if (value !== '' || row.length > 0) {
+      row.push(value);
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  static escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+module.exports = ContractBulkSendService;
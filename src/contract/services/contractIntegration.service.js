@@ -1,5 +1,16 @@
-const { SignedContract } = require('../models/contract.model');
+const { SignedContract, ContractTemplate } = require('../models/contract.model');
 const ContractSigningService = require('./contractSigning.service');
+const BaseSignatureProvider = require('../adapters/BaseSignatureProvider');
+const DocuSignProvider = require('../adapters/DocuSignProvider');
+const DropboxSignProvider = require('../adapters/DropboxSignProvider');
+const LocalSignatureProvider = require('../adapters/LocalSignatureProvider');
+const webhookTrigger = require('../../services/webhookTrigger.service');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Signed documents are stored with the contract's other exports
+const EXPORTS_DIR = path.join(__dirname, '../../exports');
 
 /**
  * Contract Integration Service
@@ -8,19 +19,72 @@ const ContractSigningService = require('./contractSigning.service');
 class ContractIntegrationService {
 
   /**
-   * Initialize integration based on provider
+   * Provider that actually handles a request
+   * Offline mode (SIGNATURE_PROVIDER_MODE=local) sends every external
+   * contract through the local stand-in
+   */
+  static resolveProvider(provider = 'native') {
+    if (provider !== 'native' && process.env.SIGNATURE_PROVIDER_MODE === 'local') {
+      return 'local';
+    }
+    return provider;
+  }
+
+  /**
+   * Provider configuration from the environment, overridden by config
    */
-  static async initializeProvider(provider, config) {
+  static getProviderConfig(provider, config = {}) {
     switch (provider) {
       case 'docusign':
-        return new DocuSignAdapter(config);
+        return {
+          baseUrl: process.env.DOCUSIGN_BASE_URL,
+          accountId: process.env.DOCUSIGN_ACCOUNT_ID,
+          accessToken: process.env.DOCUSIGN_ACCESS_TOKEN,
+          hmacKey: process.env.DOCUSIGN_CONNECT_HMAC_KEY,
+          ...config
+        };
+      case 'dropbox_sign':
+        return {
+          baseUrl: process.env.DROPBOX_SIGN_BASE_URL,
+          apiKey: process.env.DROPBOX_SIGN_API_KEY,
+          testMode: process.env.DROPBOX_SIGN_TEST_MODE !== 'false',
+          ...config
+        };
+      case 'adobe_sign':
+        return {
+          clientId: process.env.ADOBE_SIGN_CLIENT_ID,
+          webhookToken: process.env.ADOBE_SIGN_WEBHOOK_TOKEN,
+          ...config
+        };
+      case 'local':
+        return {
+          webhookSecret: process.env.LOCAL_SIGNATURE_WEBHOOK_SECRET,
+          ...config
+        };
+      default:
+        return config;
+    }
+  }
+
+  /**
+   * Initialize integration based on provider
+   */
+  static async initializeProvider(provider, config = {}) {
+    const resolved = this.resolveProvider(provider);
+    const providerConfig = this.getProviderConfig(resolved, config);
+
+    switch (resolved) {
+      case 'docusign':
+        return new DocuSignProvider(providerConfig);
       case 'adobe_sign':
-        return new AdobeSignAdapter(config);
+        return new AdobeSignAdapter(providerConfig);
       case 'dropbox_sign':
-        return new DropboxSignAdapter(config);
+        return new DropboxSignProvider(providerConfig);
+      case 'local':
+        return new LocalSignatureProvider(providerConfig);
       case 'native':
       default:
-        return new NativeAdapter(config);
+        return new NativeAdapter(providerConfig);
     }
   }
 
@@ -35,11 +99,16 @@ class ContractIntegrationService {
       }
 
       const adapter = await this.initializeProvider(provider, providerConfig);
-      const result = await adapter.sendContract(contract);
+      const resolvedProvider = this.resolveProvider(provider);
+
+      // Providers receive the decrypted document; the decryption is recorded on the contract
+      const { originalHtml } = contract.openContent({ purpose: 'signing', actor: `provider:${resolvedProvider}` });
+
+      const result = await adapter.sendEnvelope(contract, { html: originalHtml });
 
       // Update contract with integration details
       contract.integration = {
-        provider,
+        provider: resolvedProvider,
         externalId: result.externalId,
         externalStatus: result.status,
         webhookData: new Map(),
@@ -49,6 +118,14 @@ class ContractIntegrationService {
       contract.status = 'sent';
       contract.dates.sent = new Date();
 
+      contract.appendEvidence('routed', {
+        data: {
+          provider: resolvedProvider,
+          externalId: result.externalId,
+          signers: contract.signers.map(signer => signer.signerId)
+        }
+      });
+
       await contract.save();
 
       return {
@@ -75,20 +152,22 @@ class ContractIntegrationService {
         throw new Error('Contract not sent via external provider');
       }
 
-      const adapter = await this.initializeProvider(
-        contract.integration.provider,
-        {} // Config would be retrieved from environment/database
-      );
+      const adapter = await this.initializeProvider(contract.integration.provider);
+      const status = await adapter.getEnvelopeStatus(contract.integration.externalId);
 
-      const status = await adapter.getContractStatus(contract.integration.externalId);
-      
       // Update contract status based on provider response
-      await this.updateContractFromProvider(contract, status);
+      const result = await this.updateContractFromProvider(contract, status);
+
+      // Retry a signed document that could not be downloaded when the contract completed
+      if (this.needsSignedDocument(contract)) {
+        await this.downloadCompletedDocument(contract.id);
+      }
 
       return {
         success: true,
         contract,
-        providerStatus: status
+        providerStatus: status,
+        outcome: result.outcome
       };
     } catch (error) {
       throw new Error(`Failed to sync contract status: ${error.message}`);
@@ -97,14 +176,26 @@ class ContractIntegrationService {
 
   /**
    * Handle webhook from provider
+   * @param {Object} request - rawBody (Buffer), headers and query, for signature verification
    */
-  static async handleWebhook(provider, payload) {
+  static async handleWebhook(provider, payload, request = {}) {
     try {
-      const adapter = await this.initializeProvider(provider, {});
-      const webhookData = await adapter.parseWebhook(payload);
+      const adapter = await this.initializeProvider(provider);
+
+      if (!adapter.verifyWebhook({
+        payload,
+        rawBody: request.rawBody,
+        headers: request.headers || {},
+        query: request.query || {}
+      })) {
+        throw new Error('Invalid webhook signature');
+      }
+
+      const webhookData = adapter.parseWebhook(payload);
 
       // Find contract by external ID
       const contract = await SignedContract.findOne({
+        'integration.provider': this.resolveProvider(provider),
         'integration.externalId': webhookData.externalId
       });
 
@@ -113,18 +204,33 @@ class ContractIntegrationService {
       }
 
       // Store webhook data
+      if (!contract.integration.webhookData) {
+        contract.integration.webhookData = new Map();
+      }
       contract.integration.webhookData.set(
         Date.now().toString(),
         webhookData
       );
 
       // Update contract status
-      await this.updateContractFromProvider(contract, webhookData);
+      const result = await this.updateContractFromProvider(contract, webhookData);
+
+      // The provider keeps retrying a failed webhook, so a failed download is only logged;
+      // syncContractStatus retries it
+      if (this.needsSignedDocument(contract)) {
+        try {
+          await this.downloadCompletedDocument(contract.id);
+        } catch (downloadError) {
+          console.error(`Failed to download signed document for contract ${contract.id}:`, downloadError.message);
+        }
+      }
 
       return {
         success: true,
-        contract,
-        webhookData
+        contractId: contract.id,
+        status: contract.status,
+        outcome: result.outcome,
+        acknowledgement: adapter.getWebhookAcknowledgement()
       };
     } catch (error) {
       throw new Error(`Failed to handle webhook: ${error.message}`);
@@ -136,61 +242,39 @@ class ContractIntegrationService {
    */
   static async updateContractFromProvider(contract, providerData) {
     try {
-      const { status, signers = [], completedAt, voidedAt, declinedAt } = providerData;
-
-      // Map provider status to internal status
-      const statusMapping = {
-        'sent': 'sent',
-        'delivered': 'sent',
-        'opened': 'partially_signed',
-        'signed': 'fully_signed',
-        'completed': 'completed',
-        'declined': 'declined',
-        'voided': 'voided',
-        'expired': 'expired'
-      };
-
-      const mappedStatus = statusMapping[status.toLowerCase()] || contract.status;
-      contract.status = mappedStatus;
-      contract.integration.externalStatus = status;
+      const result = contract.applyProviderUpdate(providerData);
+      await contract.save();
 
-      // Update signer statuses
-      signers.forEach(providerSigner => {
-        const contractSigner = contract.signers.find(s => 
-          s.email === providerSigner.email
+      if (result.outcome === 'declined') {
+        await ContractTemplate.updateOne(
+          { id: contract.templateId },
+          { $inc: { 'statistics.totalDeclined': 1 } }
         );
-
-        if (contractSigner) {
-          contractSigner.status = statusMapping[providerSigner.status?.toLowerCase()] || 'pending';
-          
-          if (providerSigner.signedAt) {
-            contractSigner.signedAt = new Date(providerSigner.signedAt);
-          }
-          if (providerSigner.declinedAt) {
-            contractSigner.declinedAt = new Date(providerSigner.declinedAt);
-          }
-        }
-      });
-
-      // Update completion timestamps
-      if (completedAt && !contract.dates.completed) {
-        contract.dates.completed = new Date(completedAt);
-      }
-      if (voidedAt && !contract.dates.voided) {
-        contract.dates.voided = new Date(voidedAt);
+      } else if (result.outcome === 'expired') {
+        await ContractTemplate.updateOne(
+          { id: contract.templateId },
+          { $inc: { 'statistics.totalExpired': 1 } }
+        );
+        await webhookTrigger.onContractExpired(contract);
       }
 
-      contract.integration.syncedAt = new Date();
-      await contract.save();
-
-      return contract;
+      return result;
     } catch (error) {
       throw new Error(`Failed to update contract from provider: ${error.message}`);
     }
   }
 
+  static needsSignedDocument(contract) {
+    return contract.status === 'fully_signed'
+      && contract.integration?.provider
+      && contract.integration.provider !== 'native'
+      && !contract.integration.signedDocument?.hash;
+  }
+
   /**
    * Download completed document from provider
+   * The signed file is stored under exports/<contractId> and its hash becomes
+   * the contract's final hash, so it is covered by the evidence package
    */
   static async downloadCompletedDocument(contractId) {
     try {
@@ -199,46 +283,86 @@ class ContractIntegrationService {
         throw new Error('Contract not found');
       }
 
-      if (contract.integration.provider === 'native') {
+      if (!contract.integration?.provider || contract.integration.provider === 'native') {
         throw new Error('Native contracts do not require downloading');
       }
 
-      const adapter = await this.initializeProvider(
-        contract.integration.provider,
-        {}
-      );
-
-      const documentData = await adapter.downloadDocument(contract.integration.externalId);
+      const adapter = await this.initializeProvider(contract.integration.provider);
+      const documentData = await adapter.downloadSignedDocument(contract.integration.externalId);
+
+      if (documentData.buffer) {
+        const exportDir = path.join(EXPORTS_DIR, contractId);
+        await fs.promises.mkdir(exportDir, { recursive: true });
+
+        const fileName = `signed_${contract.integration.provider}_${contractId}.pdf`;
+        const filePath = path.join(exportDir, fileName);
+        await fs.promises.writeFile(filePath, documentData.buffer);
+
+        const hash = crypto.createHash('sha256').update(documentData.buffer).digest('hex');
+        contract.integration.signedDocument = {
+          fileName,
+          filePath,
+          contentType: documentData.contentType,
+          size: documentData.buffer.length,
+          hash,
+          downloadedAt: new Date()
+        };
+        contract.content.pdfUrl = `/exports/${contractId}/${fileName}`;
+        contract.security.finalHash = hash;
+
+        // documentHash stays the agreed document's hash; the provider's PDF is a rendering of it
+        const record = contract.appendEvidence('signed_document', {
+          documentHash: contract.security.originalHash,
+          data: {
+            provider: contract.integration.provider,
+            externalId: contract.integration.externalId,
+            signedDocumentHash: hash
+          }
+        });
 
-      // Store document reference
-      contract.content.finalHtml = documentData.html || contract.content.originalHtml;
-      contract.content.pdfUrl = documentData.pdfUrl;
+        const verification = contract.verifyEvidenceChain();
+        if (verification.chain.failures.some(failure => failure.sequence === record.sequence)) {
+          throw new Error('Signed document record does not verify against the evidence chain');
+        }
+      } else if (documentData.pdfUrl) {
+        contract.content.pdfUrl = documentData.pdfUrl;
+      }
 
       await contract.save();
 
       return {
         success: true,
-        documentData,
+        signedDocument: contract.integration.signedDocument,
         contract
       };
     } catch (error) {
       throw new Error(`Failed to download document: ${error.message}`);
     }
   }
+
+  /**
+   * Void the envelope at the provider of a contract voided here
+   */
+  static async voidEnvelope(contract, reason) {
+    if (!contract.integration?.provider || contract.integration.provider === 'native') return;
+
+    const adapter = await this.initializeProvider(contract.integration.provider);
+    await adapter.voidEnvelope(contract.integration.externalId, reason);
+  }
 }
 
 /**
  * Native Eagle E-Signature Adapter
  */
-class NativeAdapter {
-  constructor(config) {
-    this.config = config;
+class NativeAdapter extends BaseSignatureProvider {
+  constructor(config = {}) {
+    super({ provider: 'native', ...config });
   }
 
-  async sendContract(contract) {
+  async sendEnvelope(contract, document) {
     // Use native signing service
     const signingUrls = ContractSigningService.generateSigningUrls(contract);
-    
+
     return {
       externalId: contract.id,
       status: 'sent',
@@ -247,188 +371,51 @@ class NativeAdapter {
     };
   }
 
-  async getContractStatus(externalId) {
+  async getEnvelopeStatus(externalId) {
     const contract = await SignedContract.findOne({ id: externalId });
+    const statuses = { fully_signed: 'completed', partially_signed: 'delivered' };
+
     return {
       externalId,
-      status: contract.status,
+      event: 'status',
+      status: statuses[contract.status] || contract.status,
       signers: contract.signers.map(s => ({
         email: s.email,
         status: s.status,
+        openedAt: s.openedAt,
         signedAt: s.signedAt,
-        declinedAt: s.declinedAt
+        declinedAt: s.declinedAt,
+        declineReason: s.declineReason
       })),
       completedAt: contract.dates.completed,
       voidedAt: contract.dates.voided
     };
   }
 
-  async parseWebhook(payload) {
-    // Native system doesn't use webhooks, return the payload as-is
-    return payload;
-  }
-
-  async downloadDocument(externalId) {
-    const contract = await SignedContract.findOne({ id: externalId });
-    return {
-      html: contract.content.finalHtml || contract.content.originalHtml,
-      pdfUrl: contract.content.pdfUrl
-    };
-  }
-}
-
-/**
- * DocuSign Integration Adapter
- */
-class DocuSignAdapter {
-  constructor(config) {
-    this.config = config;
-    this.baseUrl = config.baseUrl || 'https://demo.docusign.net/restapi';
-    this.accountId = config.accountId;
-    this.accessToken = config.accessToken;
-  }
-
-  async sendContract(contract) {
-    try {
-      // Prepare DocuSign envelope
-      const envelopeData = {
-        emailSubject: `Please sign: ${contract.title}`,
-        documents: [{
-          documentBase64: Buffer.from(contract.content.originalHtml).toString('base64'),
-          name: `${contract.title}.html`,
-          fileExtension: 'html',
-          documentId: '1'
-        }],
-        recipients: {
-          signers: contract.signers.map((signer, index) => ({
-            email: signer.email,
-            name: signer.fullName,
-            recipientId: (index + 1).toString(),
-            tabs: {
-              signHereTabs: [{
-                documentId: '1',
-                pageNumber: '1',
-                xPosition: '100',
-                yPosition: '100'
-              }]
-            }
-          }))
-        },
-        status: 'sent'
-      };
-
-      // Mock DocuSign API call (replace with actual API integration)
-      const response = await this.makeDocuSignRequest('POST', '/envelopes', envelopeData);
-
-      return {
-        externalId: response.envelopeId,
-        status: 'sent',
-        message: 'Contract sent via DocuSign',
-        providerData: response
-      };
-    } catch (error) {
-      throw new Error(`DocuSign integration failed: ${error.message}`);
-    }
-  }
-
-  async getContractStatus(externalId) {
-    try {
-      const response = await this.makeDocuSignRequest('GET', `/envelopes/${externalId}`);
-      
-      return {
-        externalId,
-        status: this.mapDocuSignStatus(response.status),
-        signers: response.recipients?.signers?.map(signer => ({
-          email: signer.email,
-          status: this.mapDocuSignStatus(signer.status),
-          signedAt: signer.signedDateTime,
-          declinedAt: signer.declinedDateTime
-        })) || [],
-        completedAt: response.completedDateTime,
-        voidedAt: response.voidedDateTime
-      };
-    } catch (error) {
-      throw new Error(`Failed to get DocuSign status: ${error.message}`);
-    }
-  }
-
-  async parseWebhook(payload) {
-    const data = JSON.parse(payload);
-    
-    return {
-      externalId: data.envelopeId,
-      status: this.mapDocuSignStatus(data.envelopeStatus),
-      signers: data.recipients?.map(recipient => ({
-        email: recipient.email,
-        status: this.mapDocuSignStatus(recipient.status),
-        signedAt: recipient.signedDateTime,
-        declinedAt: recipient.declinedDateTime
-      })) || [],
-      completedAt: data.completedDateTime,
-      voidedAt: data.voidedDateTime,
-      rawData: data
-    };
-  }
-
-  async downloadDocument(externalId) {
-    try {
-      const response = await this.makeDocuSignRequest('GET', `/envelopes/${externalId}/documents/combined`);
-      
-      return {
-        pdfUrl: response.documentUrl,
-        html: null // DocuSign typically returns PDF
-      };
-    } catch (error) {
-      throw new Error(`Failed to download DocuSign document: ${error.message}`);
-    }
-  }
-
-  mapDocuSignStatus(status) {
-    const statusMap = {
-      'created': 'draft',
-      'sent': 'sent',
-      'delivered': 'sent',
-      'signed': 'signed',
-      'completed': 'completed',
-      'declined': 'declined',
-      'voided': 'voided',
-      'expired': 'expired'
-    };
-    return statusMap[status?.toLowerCase()] || 'pending';
-  }
-
-  async makeDocuSignRequest(method, endpoint, data = null) {
-    // Mock implementation - replace with actual DocuSign API calls
-    console.log(`DocuSign ${method} ${endpoint}`, data);
-    
-    // Return mock response
-    return {
-      envelopeId: `ds_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
-      status: 'sent',
-      recipients: {
-        signers: data?.recipients?.signers || []
-      }
-    };
+  // Native signing does not use webhooks
+  verifyWebhook() {
+    return false;
   }
 }
 
 /**
  * Adobe Sign Integration Adapter
+ * Requests are still mocked; only the interface is in place
  */
-class AdobeSignAdapter {
-  constructor(config) {
-    this.config = config;
+class AdobeSignAdapter extends BaseSignatureProvider {
+  constructor(config = {}) {
+    super({ provider: 'adobe_sign', ...config });
     this.baseUrl = config.baseUrl || 'https://api.adobesign.com/api/rest/v6';
     this.accessToken = config.accessToken;
   }
 
-  async sendContract(contract) {
+  async sendEnvelope(contract, document) {
     try {
       // Prepare Adobe Sign agreement
       const agreementData = {
         fileInfos: [{
           libraryDocumentId: null,
-          transientDocumentId: await this.uploadDocument(contract.content.originalHtml, contract.title)
+          transientDocumentId: await this.uploadDocument(document.html, contract.title)
         }],
         name: contract.title,
         participantSetsInfo: [{
@@ -457,61 +444,72 @@ class AdobeSignAdapter {
     }
   }
 
-  async getContractStatus(externalId) {
+  async getEnvelopeStatus(externalId) {
     try {
       const response = await this.makeAdobeSignRequest('GET', `/agreements/${externalId}`);
-      
-      return {
-        externalId,
-        status: this.mapAdobeSignStatus(response.status),
-        signers: response.participantSets?.flatMap(set => 
-          set.memberInfos?.map(member => ({
-            email: member.email,
-            status: this.mapAdobeSignStatus(member.status),
-            signedAt: member.signedDate,
-            declinedAt: member.declinedDate
-          }))
-        ) || [],
-        completedAt: response.events?.find(e => e.type === 'SIGNED')?.date,
-        voidedAt: response.events?.find(e => e.type === 'CANCELLED')?.date
-      };
+      return this.normalizeAgreement({ id: externalId, ...response }, 'status');
     } catch (error) {
       throw new Error(`Failed to get Adobe Sign status: ${error.message}`);
     }
   }
 
-  async parseWebhook(payload) {
-    const data = JSON.parse(payload);
-    
+  /**
+   * Adobe Sign does not sign webhook bodies, and the client id it sends is no
+   * secret. The webhook is registered with ?token=<ADOBE_SIGN_WEBHOOK_TOKEN>
+   * in its URL, and deliveries without that token are rejected.
+   */
+  verifyWebhook({ headers = {}, query = {} }) {
+    return this.safeCompare(this.config.webhookToken, query.token)
+      && this.safeCompare(this.config.clientId, headers['x-adobesign-clientid']);
+  }
+
+  parseWebhook(payload) {
+    const data = typeof payload === 'string' ? JSON.parse(payload) : payload;
+
+    return {
+      ...this.normalizeAgreement(data.agreement || {}, data.event),
+      rawData: data
+    };
+  }
+
+  normalizeAgreement(agreement, event) {
     return {
-      externalId: data.agreement?.id,
-      status: this.mapAdobeSignStatus(data.agreement?.status),
-      signers: data.agreement?.participantSets?.flatMap(set => 
-        set.memberInfos?.map(member => ({
+      externalId: agreement.id,
+      event,
+      status: this.mapAdobeSignStatus(agreement.status),
+      signers: (agreement.participantSets || []).flatMap(set =>
+        (set.memberInfos || []).map(member => ({
           email: member.email,
-          status: this.mapAdobeSignStatus(member.status),
-          signedAt: member.signedDate,
-          declinedAt: member.declinedDate
+          status: this.mapAdobeSignMemberStatus(member.status),
+          signedAt: this.toDate(member.signedDate),
+          declinedAt: this.toDate(member.declinedDate)
         }))
-      ) || [],
-      completedAt: data.agreement?.events?.find(e => e.type === 'SIGNED')?.date,
-      rawData: data
+      ),
+      completedAt: this.toDate(agreement.events?.find(e => e.type === 'SIGNED')?.date),
+      voidedAt: this.toDate(agreement.events?.find(e => e.type === 'CANCELLED')?.date)
     };
   }
 
-  async downloadDocument(externalId) {
+  async downloadSignedDocument(externalId) {
     try {
       const response = await this.makeAdobeSignRequest('GET', `/agreements/${externalId}/combinedDocument`);
-      
+
       return {
         pdfUrl: response.documentUrl,
-        html: null // Adobe Sign returns PDF
+        buffer: null // Not fetched until the API calls are implemented
       };
     } catch (error) {
       throw new Error(`Failed to download Adobe Sign document: ${error.message}`);
     }
   }
 
+  async voidEnvelope(externalId, reason) {
+    await this.makeAdobeSignRequest('PUT', `/agreements/${externalId}/state`, {
+      state: 'CANCELLED',
+      agreementCancellationInfo: { comment: reason }
+    });
+  }
+
   async uploadDocument(htmlContent, fileName) {
     // Mock implementation for uploading transient document
     console.log(`Uploading document: ${fileName}`);
@@ -520,20 +518,31 @@ class AdobeSignAdapter {
 
   mapAdobeSignStatus(status) {
     const statusMap = {
-      'AUTHORING': 'draft',
+      'AUTHORING': 'sent',
       'IN_PROCESS': 'sent',
+      'OUT_FOR_SIGNATURE': 'sent',
       'SIGNED': 'completed',
       'CANCELLED': 'voided',
       'EXPIRED': 'expired',
       'REJECTED': 'declined'
     };
-    return statusMap[status] || 'pending';
+    return statusMap[status] || 'sent';
+  }
+
+  mapAdobeSignMemberStatus(status) {
+    const statusMap = {
+      'WAITING_FOR_MY_SIGNATURE': 'sent',
+      'SIGNED': 'signed',
+      'COMPLETED': 'signed',
+      'REJECTED': 'declined'
+    };
+    return statusMap[status] || 'sent';
   }
 
   async makeAdobeSignRequest(method, endpoint, data = null) {
     // Mock implementation - replace with actual Adobe Sign API calls
     console.log(`Adobe Sign ${method} ${endpoint}`, data);
-    
+
     return {
       agreementId: `as_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
       status: 'IN_PROCESS',
@@ -542,127 +551,4 @@ class AdobeSignAdapter {
   }
 }
 
-/**
- * Dropbox Sign (formerly HelloSign) Integration Adapter
- */
-class DropboxSignAdapter {
-  constructor(config) {
-    this.config = config;
-    this.baseUrl = config.baseUrl || 'https://api.hellosign.com/v3';
-    this.apiKey = config.apiKey;
-  }
-
-  async sendContract(contract) {
-    try {
-      // Prepare Dropbox Sign signature request
-      const requestData = {
-        title: contract.title,
-        subject: `Please sign: ${contract.title}`,
-        message: 'Please review and sign this document.',
-        signers: contract.signers.map((signer, index) => ({
-          email_address: signer.email,
-          name: signer.fullName,
-          order: index
-        })),
-        files: [Buffer.from(contract.content.originalHtml)],
-        test_mode: this.config.testMode || true
-      };
-
-      // Mock Dropbox Sign API call
-      const response = await this.makeDropboxSignRequest('POST', '/signature_request/send', requestData);
-
-      return {
-        externalId: response.signature_request.signature_request_id,
-        status: 'sent',
-        message: 'Contract sent via Dropbox Sign',
-        providerData: response
-      };
-    } catch (error) {
-      throw new Error(`Dropbox Sign integration failed: ${error.message}`);
-    }
-  }
-
-  async getContractStatus(externalId) {
-    try {
-      const response = await this.makeDropboxSignRequest('GET', `/signature_request/${externalId}`);
-      const request = response.signature_request;
-      
-      return {
-        externalId,
-        status: this.mapDropboxSignStatus(request.status_code),
-        signers: request.signatures?.map(signature => ({
-          email: signature.signer_email_address,
-          status: this.mapDropboxSignStatus(signature.status_code),
-          signedAt: signature.signed_at ? new Date(signature.signed_at * 1000) : null
-        })) || [],
-        completedAt: request.is_complete ? new Date(request.final_copy_uri) : null
-      };
-    } catch (error) {
-      throw new Error(`Failed to get Dropbox Sign status: ${error.message}`);
-    }
-  }
-
-  async parseWebhook(payload) {
-    const data = JSON.parse(payload);
-    const request = data.signature_request;
-    
-    return {
-      externalId: request.signature_request_id,
-      status: this.mapDropboxSignStatus(request.status_code),
-      signers: request.signatures?.map(signature => ({
-        email: signature.signer_email_address,
-        status: this.mapDropboxSignStatus(signature.status_code),
-        signedAt: signature.signed_at ? new Date(signature.signed_at * 1000) : null
-      })) || [],
-      completedAt: request.is_complete ? new Date() : null,
-      rawData: data
-    };
-  }
-
-  async downloadDocument(externalId) {
-    try {
-      const response = await this.makeDropboxSignRequest('GET', `/signature_request/files/${externalId}`);
-      
-      return {
-        pdfUrl: response.file_url,
-        html: null // Dropbox Sign returns PDF
-      };
-    } catch (error) {
-      throw new Error(`Failed to download Dropbox Sign document: ${error.message}`);
-    }
-  }
-
-  mapDropboxSignStatus(statusCode) {
-    const statusMap = {
-      'awaiting_signature': 'sent',
-      'signed': 'completed',
-      'declined': 'declined',
-      'cancelled': 'voided',
-      'expired': 'expired'
-    };
-    return statusMap[statusCode] || 'pending';
-  }
-
-  async makeDropboxSignRequest(method, endpoint, data = null) {
-    // Mock implementation - replace with actual Dropbox Sign API calls
-    console.log(`Dropbox Sign ${method} ${endpoint}`, data);
-    
-    return {
-      signature_request: {
-        signature_request_id: `hs_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
-        status_code: 'awaiting_signature',
-        signatures: data?.signers?.map(signer => ({
-          signer_email_address: signer.email_address,
-          status_code: 'awaiting_signature'
-        })) || []
-      }
-    };
-  }
-}
-
 module.exports = ContractIntegrationService;
-
-
-
-
-
@@ -0,0 +1,159 @@
+const { SignedContract, ContractTemplate } = require('../models/contract.model');
+const ContractSigningService = require('./contractSigning.service');
+const ContractIntegrationService = require('./contractIntegration.service');
+const emailService = require('../../services/emailService');
+const webhookTrigger = require('../../services/webhookTrigger.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Contracts still waiting for signatures
+const OPEN_STATUSES = ['draft', 'sent', 'partially_signed'];
+
+// Signers who can still sign
+const UNSIGNED_SIGNER_STATUSES = ['pending', 'sent', 'opened'];
+
+// Contracts expired per run; the job runs every 15 minutes
+const EXPIRATION_BATCH_SIZE = 100;
+
+/**
+ * Contract Reminder Service
+ * Sends signing reminders on the days before expiry configured on the
+ * template, and expires contracts that were not signed in time
+ */
+class ContractReminderService {
+
+  /**
+   * Send reminders that are due
+   * A signer gets one email per run even when several reminder days have
+   * passed since the last run; all of them are then recorded as sent
+   */
+  static async processDueReminders(now = new Date()) {
+    const contracts = await SignedContract.find({
+      status: { $in: OPEN_STATUSES },
+      'dates.expires': { $gt: now },
+      'signers.status': { $in: UNSIGNED_SIGNER_STATUSES },
+      'workflow.notifications.enabled': { $ne: false },
+      // External providers send their own reminders
+      'integration.provider': { $in: [null, 'native'] }
+    });
+
+    const templateSchedules = new Map();
+    const results = { contracts: contracts.length, sent: 0, failed: 0 };
+
+    for (const contract of contracts) {
+      const schedule = await this.getReminderSchedule(contract, templateSchedules);
+      if (schedule.length === 0) continue;
+
+      const daysLeft = Math.ceil((contract.dates.expires - now) / DAY_MS);
+      const dueDays = schedule.filter(days => daysLeft <= days);
+      if (dueDays.length === 0) continue;
+
+      const signingUrls = ContractSigningService.generateSigningUrls(contract);
+      let changed = false;
+
+      for (const signer of contract.signers) {
+        if (!UNSIGNED_SIGNER_STATUSES.includes(signer.status) || !signer.email) continue;
+
+        // Signers later in the routing order have not been sent the contract yet
+        if (!contract.isSignerActive(signer)) continue;
+
+        const sentDays = (signer.reminders || []).map(reminder => reminder.daysBeforeExpiry);
+        const pendingDays = dueDays.filter(days => !sentDays.includes(days));
+        if (pendingDays.length === 0) continue;
+
+        const signerUrl = signingUrls.find(url => url.signerId === signer.signerId);
+        const result = await emailService.sendContractReminderEmail({
+          email: signer.email,
+          name: signer.fullName,
+          title: contract.title,
+          signingUrl: signerUrl?.signingUrl,
+          expiresAt: contract.dates.expires,
+          daysLeft
+        });
+
+        // Unsent reminders are retried on the next run
+        if (!result.success) {
+          results.failed++;
+          continue;
+        }
+
+        const sentAt = new Date();
+        pendingDays.forEach(days => signer.reminders.push({ daysBeforeExpiry: days, sentAt }));
+        if (!signer.sentAt) signer.sentAt = sentAt;
+        changed = true;
+        results.sent++;
+      }
+
+      if (changed) {
+        contract.dates.lastActivity = new Date();
+        await contract.save();
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Expire contracts past their expiry date and notify webhooks
+   * Contracts already marked expired by a save are picked up as well, so
+   * each expiry fires contract.expired exactly once. Contracts that expired
+   * before this job existed are backfilled by
+   * scripts/backfillContractExpirations.js instead.
+   */
+  static async processExpirations(now = new Date(), { limit = EXPIRATION_BATCH_SIZE } = {}) {
+    const contracts = await SignedContract.find({
+      status: { $in: [...OPEN_STATUSES, 'expired'] },
+      'dates.expires': { $lte: now },
+      'dates.expired': null
+    })
+      .sort({ 'dates.expires': 1 })
+      .limit(limit);
+
+    const results = { expired: 0, failed: 0 };
+
+    for (const contract of contracts) {
+      try {
+        contract.expireContract();
+        await contract.save();
+
+        // Close the envelope so signers at an external provider can no longer sign
+        try {
+          await ContractIntegrationService.voidEnvelope(contract, 'Contract expired');
+        } catch (providerError) {
+          console.error(`Failed to void envelope for expired contract ${contract.id}:`, providerError.message);
+        }
+
+        await ContractTemplate.updateOne(
+          { id: contract.templateId },
+          { $inc: { 'statistics.totalExpired': 1 } }
+        );
+
+        await webhookTrigger.onContractExpired(contract);
+        results.expired++;
+      } catch (error) {
+        console.error(`Failed to expire contract ${contract.id}:`, error.message);
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Reminder days for a contract: its own schedule, or the template's for
+   * contracts created before schedules were copied onto them
+   */
+  static async getReminderSchedule(contract, templateSchedules) {
+    const own = contract.workflow?.notifications?.reminderSchedule || [];
+    if (own.length > 0) return own;
+
+    if (!templateSchedules.has(contract.templateId)) {
+      const template = await ContractTemplate.findOne({ id: contract.templateId }).select('config.reminderDays');
+      templateSchedules.set(contract.templateId, template?.config?.reminderDays || []);
+    }
+
+    return templateSchedules.get(contract.templateId);
+  }
+}
+
+module.exports = ContractReminderService;
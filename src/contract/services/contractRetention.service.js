@@ -0,0 +1,437 @@
+const { SignedContract, ContractTemplate } = require('../models/contract.model');
+const ContractCertificate = require('../models/contractCertificate.model');
+const ContractRetentionPolicy = require('../models/retentionPolicy.model');
+const ContractDestruction = require('../models/contractDestruction.model');
+const AuditLog = require('../../admin/models/auditLog.model');
+const fs = require('fs');
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A destruction claim older than this was left by a run that died and may be taken over
+const DESTRUCTION_CLAIM_MS = 60 * 60 * 1000;
+
+// Contract statuses after which nothing more happens to a contract
+const CLOSED_STATUSES = ['fully_signed', 'completed', 'declined', 'expired', 'voided'];
+
+// Evidence ZIPs, evidence PDFs and certificate PDFs are written under exports/<contractId>
+const EXPORTS_DIR = path.join(__dirname, '../../exports');
+
+/**
+ * Contract Retention Service
+ * Applies retention policies to closed contracts and destroys them, with
+ * their certificates and exported evidence, once retention ends. Contracts
+ * under legal hold are never destroyed.
+ */
+class ContractRetentionService {
+
+  // ===========================================================================
+  // POLICIES
+  // ===========================================================================
+
+  static async listPolicies(filters = {}) {
+    const query = {};
+    if (filters.category) query.category = filters.category;
+    if (filters.isActive !== undefined) query.isActive = filters.isActive === true || filters.isActive === 'true';
+
+    return ContractRetentionPolicy.find(query).sort({ category: 1, jurisdiction: 1, createdAt: 1 });
+  }
+
+  static async createPolicy(policyData, userId, userName) {
+    const policy = new ContractRetentionPolicy({
+      ...this.pickPolicyFields(policyData),
+      policyId: `retention_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      audit: { createdBy: userId, createdByName: userName }
+    });
+
+    await policy.save();
+    await this.resetSchedules();
+
+    return policy;
+  }
+
+  static async updatePolicy(policyId, updates, userId, userName) {
+    const policy = await ContractRetentionPolicy.findOne({ policyId });
+    if (!policy) {
+      throw new Error('Retention policy not found');
+    }
+
+    Object.assign(policy, this.pickPolicyFields(updates));
+    policy.audit.lastModifiedBy = userId;
+    policy.audit.lastModifiedByName = userName;
+
+    await policy.save();
+    await this.resetSchedules();
+
+    return policy;
+  }
+
+  static async deletePolicy(policyId) {
+    const policy = await ContractRetentionPolicy.findOneAndDelete({ policyId });
+    if (!policy) {
+      throw new Error('Retention policy not found');
+    }
+
+    await this.resetSchedules();
+
+    return policy;
+  }
+
+  static pickPolicyFields(data) {
+    const fields = {};
+    ['name', 'description', 'category', 'retentionPeriod', 'action', 'isActive'].forEach(key => {
+      if (data[key] !== undefined) fields[key] = data[key];
+    });
+    if (data.jurisdiction !== undefined) {
+      fields.jurisdiction = data.jurisdiction ? String(data.jurisdiction).trim() : null;
+    }
+    return fields;
+  }
+
+  /**
+   * Drop computed destruction dates so the next run schedules every contract
+   * against the current policies
+   */
+  static async resetSchedules() {
+    await SignedContract.updateMany(
+      { 'compliance.destructionDate': { $ne: null }, 'compliance.anonymizedAt': null },
+      { $unset: { 'compliance.destructionDate': 1, 'compliance.retentionPolicyId': 1, 'compliance.destructionAction': 1 } }
+    );
+  }
+
+  /**
+   * Most specific active policy for a category and jurisdiction:
+   * category and jurisdiction, then category only, then jurisdiction only,
+   * then the catch-all policy
+   */
+  static selectPolicy(policies, category, jurisdiction) {
+    const normalized = (jurisdiction || '').toLowerCase();
+    const score = policy => {
+      if (policy.category && policy.category !== category) return -1;
+      if (policy.jurisdiction && policy.jurisdiction.toLowerCase() !== normalized) return -1;
+      return (policy.category ? 2 : 0) + (policy.jurisdiction ? 1 : 0);
+    };
+
+    return policies
+      .filter(policy => policy.isActive && score(policy) >= 0)
+      .sort((a, b) => score(b) - score(a))[0] || null;
+  }
+
+  // ===========================================================================
+  // SCHEDULING AND DESTRUCTION
+  // ===========================================================================
+
+  /**
+   * Give every closed contract without one a destruction date
+   * Contracts no policy covers keep their own retention period
+   */
+  static async scheduleDestructions() {
+    const contracts = await SignedContract.find({
+      status: { $in: CLOSED_STATUSES },
+      'compliance.destructionDate': null,
+      'compliance.anonymizedAt': null
+    });
+    if (contracts.length === 0) return { scheduled: 0 };
+
+    const policies = await ContractRetentionPolicy.find({ isActive: true });
+    const categories = new Map();
+    let scheduled = 0;
+
+    for (const contract of contracts) {
+      if (!categories.has(contract.templateId)) {
+        const template = await ContractTemplate.findOne({ id: contract.templateId }).select('category');
+        categories.set(contract.templateId, template?.category || 'custom');
+      }
+
+      const policy = this.selectPolicy(policies, categories.get(contract.templateId), contract.compliance.jurisdiction);
+      const retentionPeriod = policy ? policy.retentionPeriod : contract.compliance.retentionPeriod;
+      if (retentionPeriod === undefined || retentionPeriod === null) continue;
+
+      const destructionDate = new Date(contract.getClosedAt());
+      destructionDate.setFullYear(destructionDate.getFullYear() + retentionPeriod);
+
+      contract.compliance.retentionPeriod = retentionPeriod;
+      contract.compliance.retentionPolicyId = policy ? policy.policyId : undefined;
+      contract.compliance.destructionAction = policy ? policy.action : 'anonymize';
+      contract.compliance.destructionDate = destructionDate;
+
+      await contract.save();
+      scheduled++;
+    }
+
+    return { scheduled };
+  }
+
+  /**
+   * Destroy contracts whose destruction date has passed
+   */
+  static async processDueDestructions(now = new Date()) {
+    const contracts = await SignedContract.find({
+      'compliance.destructionDate': { $lte: now },
+      'compliance.legalHold': { $ne: true },
+      'compliance.anonymizedAt': null
+    });
+
+    const results = { purged: 0, anonymized: 0, failed: 0 };
+
+    for (const contract of contracts) {
+      try {
+        const action = await this.destroyContract(contract);
+        results[action === 'purge' ? 'purged' : 'anonymized']++;
+      } catch (error) {
+        console.error(`Failed to destroy contract ${contract.id}:`, error.message);
+        results.failed++;
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Purge or anonymize one contract and remove its certificates and exports
+   * @returns {string} - The action taken
+   */
+  static async destroyContract(contract) {
+    // Claim the contract before touching anything, so a legal hold set in the
+    // meantime either stops the claim or is refused
+    const claimed = await SignedContract.findOneAndUpdate(
+      {
+        _id: contract._id,
+        'compliance.legalHold': { $ne: true },
+        ...this.unclaimedFilter()
+      },
+      { $set: { 'compliance.destructionStartedAt': new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      throw new Error('Contract is under legal hold or already being destroyed');
+    }
+    contract = claimed;
+
+    const action = contract.compliance.destructionAction || 'anonymize';
+    const certificates = await ContractCertificate.find({ contractId: contract.id });
+
+    const files = this.removeContractFiles(contract.id, certificates);
+    await ContractCertificate.deleteMany({ contractId: contract.id });
+
+    await ContractDestruction.create({
+      contractId: contract.id,
+      templateId: contract.templateId,
+      policyId: contract.compliance.retentionPolicyId,
+      action,
+      retentionPeriod: contract.compliance.retentionPeriod,
+      closedAt: contract.getClosedAt(),
+      destructionDate: contract.compliance.destructionDate,
+      archive: contract.security.requiresArchiving !== false ? {
+        originalHash: contract.security.originalHash,
+        finalHash: contract.security.finalHash,
+        evidenceChainHead: contract.security.evidenceChainHead,
+        certificateIds: certificates.map(certificate => certificate.certificateId)
+      } : undefined,
+      removed: {
+        certificates: certificates.length,
+        files
+      }
+    });
+
+    if (action === 'purge') {
+      await SignedContract.deleteOne({ _id: contract._id });
+    } else {
+      contract.anonymize();
+      await contract.save();
+    }
+
+    return action;
+  }
+
+  /**
+   * Matches contracts no destruction run currently holds
+   */
+  static unclaimedFilter(now = new Date()) {
+    return {
+      $or: [
+        { 'compliance.destructionStartedAt': null },
+        { 'compliance.destructionStartedAt': { $lte: new Date(now.getTime() - DESTRUCTION_CLAIM_MS) } }
+      ]
+    };
+  }
+
+  /**
+   * Delete the contract's export directory and any certificate PDF stored
+   * elsewhere
+   * @returns {string[]} - Paths removed, relative to the exports directory where possible
+   */
+  static removeContractFiles(contractId, certificates = []) {
+    const removed = [];
+    const exportDir = path.join(EXPORTS_DIR, contractId);
+
+    if (fs.existsSync(exportDir)) {
+      fs.readdirSync(exportDir).forEach(file => removed.push(path.join(contractId, file)));
+      fs.rmSync(exportDir, { recursive: true, force: true });
+    }
+
+    certificates.forEach(certificate => {
+      const filePath = certificate.pdf?.filePath;
+      if (!filePath) return;
+
+      [filePath, `${filePath}.sig`].forEach(file => {
+        if (fs.existsSync(file)) {
+          fs.rmSync(file, { force: true });
+          removed.push(file);
+        }
+      });
+    });
+
+    return removed;
+  }
+
+  // ===========================================================================
+  // LEGAL HOLD
+  // ===========================================================================
+
+  /**
+   * Set or clear a legal hold; every change is written to the audit log
+   * @param {Object} actor - userId, name, ipAddress, userAgent
+   */
+  static async setLegalHold(contractId, hold, reason, actor = {}) {
+    const contract = await SignedContract.findOne({ id: contractId });
+    if (!contract) {
+      throw new Error('Contract not found');
+    }
+
+    if (!reason) {
+      throw new Error('A reason is required to change a legal hold');
+    }
+
+    if (!!contract.compliance.legalHold === hold) {
+      throw new Error(hold ? 'Contract is already under legal hold' : 'Contract is not under legal hold');
+    }
+
+    const previous = {
+      reason: contract.compliance.legalHoldReason,
+      setBy: contract.compliance.legalHoldSetBy,
+      setAt: contract.compliance.legalHoldSetAt
+    };
+
+    contract.compliance.legalHold = hold;
+    contract.compliance.legalHoldReason = hold ? reason : undefined;
+    contract.compliance.legalHoldSetBy = hold ? String(actor.userId) : undefined;
+    contract.compliance.legalHoldSetAt = hold ? new Date() : undefined;
+
+    if (hold) {
+      // Set the hold only if destruction has not started
+      const held = await SignedContract.updateOne(
+        { _id: contract._id, ...this.unclaimedFilter() },
+        {
+          $set: {
+            'compliance.legalHold': true,
+            'compliance.legalHoldReason': reason,
+            'compliance.legalHoldSetBy': contract.compliance.legalHoldSetBy,
+            'compliance.legalHoldSetAt': contract.compliance.legalHoldSetAt
+          }
+        }
+      );
+      if (held.matchedCount === 0) {
+        throw new Error('Contract is already being destroyed');
+      }
+    } else {
+      await contract.save();
+    }
+
+    await AuditLog.create({
+      userId: actor.userId,
+      action: 'data_modification',
+      resource: 'contract_legal_hold',
+      resourceId: contract.id,
+      details: {
+        operation: hold ? 'set' : 'clear',
+        reason,
+        actorName: actor.name,
+        destructionDate: contract.compliance.destructionDate,
+        ...(hold ? {} : { previousHold: previous })
+      },
+      ipAddress: actor.ipAddress,
+      userAgent: actor.userAgent,
+      success: true
+    });
+
+    return {
+      contractId: contract.id,
+      legalHold: contract.compliance.legalHold,
+      legalHoldReason: contract.compliance.legalHoldReason,
+      legalHoldSetBy: contract.compliance.legalHoldSetBy,
+      legalHoldSetAt: contract.compliance.legalHoldSetAt,
+      destructionDate: contract.compliance.destructionDate
+    };
+  }
+
+  // ===========================================================================
+  // REPORTING
+  // ===========================================================================
+
+  /**
+   * Contracts due for destruction within the window, soonest first
+   * Contracts under legal hold are listed separately since they will not be
+   * destroyed on their date
+   * @param {Object} options - days, page, limit
+   */
+  static async getUpcomingDestructions(options = {}) {
+    const days = parseInt(options.days) || 30;
+    const page = parseInt(options.page) || 1;
+    const limit = Math.min(parseInt(options.limit) || 50, 200);
+    const until = new Date(Date.now() + days * DAY_MS);
+
+    const query = {
+      'compliance.destructionDate': { $lte: until },
+      'compliance.anonymizedAt': null
+    };
+
+    const [contracts, total, held, policies] = await Promise.all([
+      SignedContract.find({ ...query, 'compliance.legalHold': { $ne: true } })
+        .sort({ 'compliance.destructionDate': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('id title templateId status compliance dates.completed dates.created'),
+      SignedContract.countDocuments({ ...query, 'compliance.legalHold': { $ne: true } }),
+      SignedContract.find({ ...query, 'compliance.legalHold': true })
+        .sort({ 'compliance.destructionDate': 1 })
+        .select('id title templateId status compliance'),
+      ContractRetentionPolicy.find().select('policyId name')
+    ]);
+
+    const policyNames = new Map(policies.map(policy => [policy.policyId, policy.name]));
+    const toItem = contract => ({
+      contractId: contract.id,
+      title: contract.title,
+      templateId: contract.templateId,
+      status: contract.status,
+      jurisdiction: contract.compliance.jurisdiction,
+      destructionDate: contract.compliance.destructionDate,
+      action: contract.compliance.destructionAction || 'anonymize',
+      retentionPeriod: contract.compliance.retentionPeriod,
+      policy: contract.compliance.retentionPolicyId
+        ? { policyId: contract.compliance.retentionPolicyId, name: policyNames.get(contract.compliance.retentionPolicyId) || null }
+        : null,
+      overdue: contract.compliance.destructionDate < new Date()
+    });
+
+    return {
+      windowDays: days,
+      until,
+      upcoming: contracts.map(toItem),
+      onLegalHold: held.map(contract => ({
+        ...toItem(contract),
+        legalHoldReason: contract.compliance.legalHoldReason,
+        legalHoldSetAt: contract.compliance.legalHoldSetAt
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+module.exports = ContractRetentionService;
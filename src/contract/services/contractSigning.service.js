@@ -1,5 +1,9 @@
-const { SignedContract } = require('../models/contract.model');
+const { SignedContract, ContractTemplate } = require('../models/contract.model');
+const ContractCertificate = require('../models/contractCertificate.model');
 const ContractTemplateService = require('./contractTemplate.service');
+const emailService = require('../../services/emailService');
+const ContractEncryption = require('../utils/contractEncryption');
+const IPRestrictions = require('../utils/ipRestrictions');
 const crypto = require('crypto');
 const geoip = require('geoip-lite');
 const UAParser = require('ua-parser-js');
@@ -32,9 +36,16 @@ class ContractSigningService {
       const renderedTemplate = await ContractTemplateService.renderTemplate(
         templateId, 
         placeholderValues, 
-        language
+        language,
+        { currency }
       );
 
+      const templateConfig = renderedTemplate.template.config;
+      const encrypt = templateConfig.requireEncryption === true;
+      if (encrypt && !ContractEncryption.isConfigured()) {
+        throw new Error('Template requires encryption at rest but CONTRACT_ENCRYPTION_MASTER_KEY is not configured');
+      }
+
       // Generate unique contract ID
       const contractId = `contract_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
 
@@ -64,16 +75,7 @@ class ContractSigningService {
           originalHtml: renderedTemplate.renderedContent.body,
           placeholderValues: new Map(Object.entries(placeholderValues))
         },
-        signers: signers.map(signer => ({
-          signerId: signer.id || `signer_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`,
-          signerType: signer.type || 'subscriber',
-          fullName: signer.fullName,
-          email: signer.email,
-          phone: signer.phone,
-          title: signer.title,
-          company: signer.company,
-          status: 'pending'
-        })),
+        signers: this.resolveSigners(signers, renderedTemplate.template.config.signerRouting),
         dates: {
           created: new Date(),
           expires: expirationDate
@@ -81,8 +83,10 @@ class ContractSigningService {
         security: {
           originalHash: documentHash,
           hashAlgorithm: 'SHA-256',
-          encrypted: false,
-          maxViews: renderedTemplate.template.config.signingRequirements.maxViews || 10,
+          encrypted: encrypt,
+          allowedIPs: templateConfig.ipRestrictions || [],
+          allowOfflineAccess: templateConfig.allowOfflineAccess === true,
+          maxViews: templateConfig.signingRequirements.maxViews || 10,
           currentViews: 0
         },
         compliance: {
@@ -93,6 +97,10 @@ class ContractSigningService {
           evidencePackage: {}
         },
         workflow: {
+          notifications: {
+            enabled: true,
+            reminderSchedule: renderedTemplate.template.config.reminderDays || []
+          },
           currentStep: 0,
           steps: [
             {
@@ -121,9 +129,31 @@ class ContractSigningService {
 
       await signedContract.save();
 
+      // Templates that delegate signing hand the contract to their provider,
+      // which routes it to the signers itself
+      const signatureProvider = templateConfig.signatureProvider || 'native';
+      if (signatureProvider !== 'native') {
+        // Required here because the integration service depends on this one
+        const ContractIntegrationService = require('./contractIntegration.service');
+        const integration = await ContractIntegrationService.sendContract(contractId, signatureProvider);
+
+        return {
+          contract: integration.contract,
+          signingUrls: [],
+          integration: integration.providerResponse,
+          renderedContent: renderedTemplate.renderedContent
+        };
+      }
+
+      // Send the contract to the first routing group
+      const activeSigners = signedContract.advanceRouting();
+      await signedContract.save();
+      await this.notifySigners(signedContract, activeSigners);
+
       return {
         contract: signedContract,
-        signingUrls: this.generateSigningUrls(signedContract),
+        signingUrls: this.generateSigningUrls(signedContract)
+          .filter(url => activeSigners.some(signer => signer.signerId === url.signerId)),
         renderedContent: renderedTemplate.renderedContent
       };
     } catch (error) {
@@ -131,6 +161,92 @@ class ContractSigningService {
     }
   }
 
+  /**
+   * Contracts sent to an external provider are signed there, not through signing sessions here
+   */
+  static assertNativeSigning(contract) {
+    const provider = contract.integration?.provider;
+    if (provider && provider !== 'native') {
+      throw new Error(`Contract is signed through ${provider}`);
+    }
+  }
+
+  /**
+   * Build contract signers from the request and the template's routing
+   * A requested signer takes the routing entry with the same role; routing
+   * entries nobody claimed are added when they name a signer, otherwise the
+   * role is missing
+   */
+  static resolveSigners(signers, signerRouting = []) {
+    const routing = signerRouting || [];
+    const toSigner = (signer, entry = {}) => ({
+      signerId: signer.id || `signer_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`,
+      signerType: signer.type || entry.signerType || 'subscriber',
+      role: signer.role || entry.role,
+      fullName: signer.fullName,
+      email: signer.email,
+      phone: signer.phone,
+      title: signer.title || entry.title,
+      company: signer.company || entry.company,
+      routingOrder: signer.routingOrder ?? entry.routingOrder ?? 1,
+      required: signer.required ?? entry.required ?? true,
+      status: 'pending'
+    });
+
+    const resolved = signers.map(signer =>
+      toSigner(signer, routing.find(entry => signer.role && entry.role === signer.role))
+    );
+
+    routing
+      .filter(entry => !signers.some(signer => signer.role === entry.role))
+      .forEach(entry => {
+        if (!entry.fullName || !entry.email) {
+          if (entry.required !== false) {
+            throw new Error(`A signer is required for role: ${entry.role}`);
+          }
+          return;
+        }
+        resolved.push(toSigner({ fullName: entry.fullName, email: entry.email }, entry));
+      });
+
+    return resolved;
+  }
+
+  /**
+   * Email signing links to signers whose routing group has been reached
+   */
+  static async notifySigners(contract, signers) {
+    if (signers.length === 0) return [];
+
+    const signingUrls = this.generateSigningUrls(contract);
+    const notified = [];
+
+    for (const signer of signers) {
+      const signerUrl = signingUrls.find(url => url.signerId === signer.signerId);
+      const result = await emailService.sendContractSigningRequestEmail({
+        email: signer.email,
+        name: signer.fullName,
+        title: contract.title,
+        signingUrl: signerUrl?.signingUrl,
+        expiresAt: contract.dates.expires
+      });
+
+      if (result.success) {
+        if (signer.status === 'pending') signer.status = 'sent';
+        signer.sentAt = new Date();
+        notified.push(signer.signerId);
+      } else {
+        console.error(`Failed to send contract ${contract.id} to signer ${signer.signerId}:`, result.error);
+      }
+    }
+
+    if (notified.length > 0) {
+      await contract.save();
+    }
+
+    return notified;
+  }
+
   /**
    * Generate signing URLs for signers
    */
@@ -162,10 +278,20 @@ class ContractSigningService {
         throw new Error('Contract not found');
       }
 
-      if (contract.isExpired()) {
+      if (contract.isExpired() || contract.status === 'expired') {
         throw new Error('Contract has expired');
       }
 
+      if (contract.status === 'voided') {
+        throw new Error('Contract has been voided');
+      }
+
+      if (contract.status === 'declined') {
+        throw new Error('Contract has been declined');
+      }
+
+      this.assertNativeSigning(contract);
+
       const signer = contract.signers.find(s => s.signerId === signerId);
       if (!signer) {
         throw new Error('Signer not found');
@@ -175,6 +301,20 @@ class ContractSigningService {
         throw new Error('Contract already signed by this signer');
       }
 
+      if (signer.status === 'expired') {
+        throw new Error('Signing link has expired');
+      }
+
+      if (['fully_signed', 'completed'].includes(contract.status)) {
+        throw new Error('Contract is already complete');
+      }
+
+      if (!contract.isSignerActive(signer)) {
+        throw new Error('Signer is waiting for earlier signers in the routing order');
+      }
+
+      this.assertIPAllowed(contract, ip);
+
       // Increment view count
       contract.security.currentViews++;
       if (contract.security.currentViews > contract.security.maxViews) {
@@ -241,6 +381,20 @@ class ContractSigningService {
       contract.dates.lastActivity = new Date();
       signer.status = 'opened';
 
+      contract.appendEvidence('view', {
+        signerId,
+        ipAddress: ip,
+        userAgent,
+        documentHash: signer.evidence.documentHash,
+        data: {
+          sessionId: signer.evidence.sessionId,
+          deviceFingerprint: signer.evidence.deviceFingerprint,
+          viewCount: contract.security.currentViews
+        }
+      });
+
+      const { originalHtml } = contract.openContent({ purpose: 'signing', signerId, ipAddress: ip, userAgent });
+
       await contract.save();
 
       return {
@@ -248,9 +402,10 @@ class ContractSigningService {
         contract: {
           id: contract.id,
           title: contract.title,
-          content: contract.content.originalHtml,
+          content: originalHtml,
           signingRequirements: await this.getSigningRequirements(contract.templateId),
-          expiresAt: contract.dates.expires
+          expiresAt: contract.dates.expires,
+          allowOfflineAccess: contract.security.allowOfflineAccess
         },
         signer: {
           id: signer.signerId,
@@ -264,6 +419,69 @@ class ContractSigningService {
     }
   }
 
+  /**
+   * Contract as shown on the signing page
+   * Counts against the view limit like a signing session does
+   */
+  static async getContractForSigning(contractId, signerId, requestData = {}) {
+    const { ip, userAgent } = requestData;
+
+    const contract = await SignedContract.findOne({ id: contractId });
+    if (!contract) {
+      throw new Error('Contract not found');
+    }
+
+    if (contract.isExpired()) {
+      throw new Error('Contract has expired');
+    }
+
+    const signer = contract.signers.find(s => s.signerId === signerId);
+    if (!signer) {
+      throw new Error('Signer not found');
+    }
+
+    this.assertIPAllowed(contract, ip);
+
+    contract.security.currentViews++;
+    if (contract.security.currentViews > contract.security.maxViews) {
+      throw new Error('Maximum view limit exceeded');
+    }
+
+    const { originalHtml } = contract.openContent({ purpose: 'signing', signerId, ipAddress: ip, userAgent });
+    contract.dates.lastActivity = new Date();
+
+    await contract.save();
+
+    return {
+      contract: {
+        id: contract.id,
+        title: contract.title,
+        content: originalHtml,
+        language: contract.language,
+        expiresAt: contract.dates.expires,
+        status: contract.status,
+        allowOfflineAccess: contract.security.allowOfflineAccess
+      },
+      signer: {
+        id: signer.signerId,
+        name: signer.fullName,
+        email: signer.email,
+        status: signer.status
+      },
+      signingRequirements: await this.getSigningRequirements(contract.templateId),
+      progress: contract.getSigningProgress()
+    };
+  }
+
+  /**
+   * Reject requests from outside the CIDR blocks the template allows
+   */
+  static assertIPAllowed(contract, ip) {
+    if (!IPRestrictions.isAllowed(ip, contract.security.allowedIPs)) {
+      throw new Error('Signing is not allowed from this IP address');
+    }
+  }
+
   /**
    * Collect additional evidence during signing
    */
@@ -355,7 +573,7 @@ class ContractSigningService {
   /**
    * Process signature submission
    */
-  static async processSignature(contractId, signerId, signatureData) {
+  static async processSignature(contractId, signerId, signatureData, requestData = {}) {
     try {
       const {
         signature,
@@ -369,6 +587,8 @@ class ContractSigningService {
         throw new Error('Contract not found');
       }
 
+      this.assertNativeSigning(contract);
+
       const signer = contract.signers.find(s => s.signerId === signerId);
       if (!signer) {
         throw new Error('Signer not found');
@@ -378,6 +598,8 @@ class ContractSigningService {
         throw new Error('Contract already signed by this signer');
       }
 
+      this.assertIPAllowed(contract, requestData.ip);
+
       // Get signing requirements
       const requirements = await this.getSigningRequirements(contract.templateId);
 
@@ -434,7 +656,11 @@ class ContractSigningService {
         metadata
       });
 
+      // Send the contract on once this signer's routing group has finished
+      const nextSigners = contract.status === 'fully_signed' ? [] : contract.advanceRouting();
+
       await contract.save();
+      await this.notifySigners(contract, nextSigners);
 
       // Generate certificate if all signers have signed
       let certificateData = null;
@@ -457,6 +683,52 @@ class ContractSigningService {
     }
   }
 
+  /**
+   * Decline to sign. The contract is marked declined and routing stops.
+   */
+  static async declineContract(contractId, signerId, reason, requestData = {}) {
+    try {
+      const contract = await SignedContract.findOne({ id: contractId });
+      if (!contract) {
+        throw new Error('Contract not found');
+      }
+
+      if (['voided', 'expired', 'declined', 'fully_signed', 'completed'].includes(contract.status)) {
+        throw new Error(`Contract cannot be declined while ${contract.status}`);
+      }
+
+      this.assertNativeSigning(contract);
+      this.assertIPAllowed(contract, requestData.ip);
+
+      const signer = contract.declineSigning(signerId, reason, {
+        ipAddress: requestData.ip,
+        userAgent: requestData.userAgent
+      });
+
+      await contract.save();
+
+      await ContractTemplate.updateOne(
+        { id: contract.templateId },
+        { $inc: { 'statistics.totalDeclined': 1 } }
+      );
+
+      return {
+        signer: {
+          id: signer.signerId,
+          status: signer.status,
+          declinedAt: signer.declinedAt
+        },
+        contract: {
+          id: contract.id,
+          status: contract.status,
+          signingProgress: contract.getSigningProgress()
+        }
+      };
+    } catch (error) {
+      throw new Error(`Failed to decline contract: ${error.message}`);
+    }
+  }
+
   /**
    * Generate Certificate of Completion
    */
@@ -489,6 +761,7 @@ class ContractSigningService {
         documentHash: contract.security.originalHash,
         finalHash: contract.security.finalHash,
         hashAlgorithm: contract.security.hashAlgorithm,
+        evidenceChainHead: contract.security.evidenceChainHead,
         
         // Compliance
         jurisdiction: contract.compliance.jurisdiction,
@@ -503,13 +776,12 @@ class ContractSigningService {
         verificationUrl: `${process.env.FRONTEND_URL}/verify-certificate/${certificateId}`
       };
 
-      // Generate certificate hash for integrity
-      const certificateHash = crypto
-        .createHash('sha256')
-        .update(JSON.stringify(certificateData))
-        .digest('hex');
+      // Generate certificate hash for integrity and persist it for public verification
+      const certificate = new ContractCertificate(certificateData);
+      certificate.certificateHash = certificate.calculateHash();
+      await certificate.save();
 
-      certificateData.certificateHash = certificateHash;
+      certificateData.certificateHash = certificate.certificateHash;
 
       // Store certificate reference in contract
       contract.compliance.evidencePackage.certificateUrl = 
@@ -589,6 +861,16 @@ class ContractSigningService {
       contract.voidContract(reason, voidedBy, voidedByName);
       await contract.save();
 
+      // Signers at an external provider could otherwise still sign the envelope
+      if (contract.integration?.provider && contract.integration.provider !== 'native') {
+        const ContractIntegrationService = require('./contractIntegration.service');
+        try {
+          await ContractIntegrationService.voidEnvelope(contract, reason);
+        } catch (providerError) {
+          console.error(`Failed to void envelope for contract ${contract.id}:`, providerError.message);
+        }
+      }
+
       return contract;
     } catch (error) {
       throw new Error(`Failed to void contract: ${error.message}`);
@@ -614,6 +896,10 @@ class ContractSigningService {
         throw new Error('Contract already signed by this signer');
       }
 
+      if (!contract.isSignerActive(signer)) {
+        throw new Error('Signer is waiting for earlier signers in the routing order');
+      }
+
       // Update sent timestamp
       signer.sentAt = new Date();
       contract.dates.lastActivity = new Date();
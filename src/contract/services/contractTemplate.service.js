@@ -1,4 +1,8 @@
 const { ContractTemplate } = require('../models/contract.model');
+const ContractTemplateEngine = require('../utils/templateEngine');
+const ContractEncryption = require('../utils/contractEncryption');
+const IPRestrictions = require('../utils/ipRestrictions');
+const ContractTemplateDiff = require('../utils/templateDiff');
 const crypto = require('crypto');
 
 /**
@@ -311,6 +315,11 @@ class ContractTemplateService {
         throw new Error('Template must be approved before publishing');
       }
 
+      const validation = await this.validateTemplate(template.id);
+      if (!validation.isValid) {
+        throw new Error(`Template is invalid: ${validation.errors.join('; ')}`);
+      }
+
       template.audit.publishedBy = userId;
       template.audit.publishedByName = userName;
       template.audit.publishedAt = new Date();
@@ -381,9 +390,12 @@ class ContractTemplateService {
   /**
    * Render template with placeholder values
    */
-  static async renderTemplate(templateId, placeholderValues, language = 'en') {
+  static async renderTemplate(templateId, placeholderValues, language = 'en', options = {}) {
     try {
-      const template = await this.getTemplate(templateId, language);
+      const template = await this.findTemplateById(templateId);
+      if (!template) {
+        throw new Error('Template not found');
+      }
 
       // Validate placeholder values
       const validationErrors = template.validatePlaceholders(placeholderValues);
@@ -392,7 +404,7 @@ class ContractTemplateService {
       }
 
       // Render content
-      const renderedContent = template.render(placeholderValues, language);
+      const renderedContent = template.render(placeholderValues, language, options);
 
       return {
         template: template,
@@ -405,6 +417,96 @@ class ContractTemplateService {
     }
   }
 
+  /**
+   * All versions of a template, oldest first, linked through previousVersionId
+   */
+  static async getVersionFamily(templateId) {
+    const template = await this.findTemplateById(templateId, true);
+    if (!template) {
+      throw new Error('Template not found');
+    }
+
+    const family = [template];
+
+    let previousId = template.previousVersionId;
+    while (previousId && !family.some(version => version.id === previousId)) {
+      const previous = await ContractTemplate.findOne({ id: previousId });
+      if (!previous) break;
+      family.unshift(previous);
+      previousId = previous.previousVersionId;
+    }
+
+    let next = await ContractTemplate.findOne({ previousVersionId: template.id });
+    while (next && !family.some(version => version.id === next.id)) {
+      family.push(next);
+      next = await ContractTemplate.findOne({ previousVersionId: next.id });
+    }
+
+    return family;
+  }
+
+  /**
+   * Clause-level diff of two versions of a template
+   * Both versions are rendered with the same values: defaults where the
+   * template declares them, [Label] markers otherwise, overridden by values
+   * @param {Object} options - from and to (version number or template id; default the
+   *                           previous version and templateId), values, language
+   */
+  static async diffVersions(templateId, options = {}) {
+    try {
+      const family = await this.getVersionFamily(templateId);
+      const current = family.find(version => version.id === templateId || version._id.toString() === templateId);
+
+      const findVersion = (reference) => {
+        const version = family.find(candidate => candidate.id === reference || candidate.version === reference);
+        if (!version) {
+          throw new Error(`Version not found: ${reference}`);
+        }
+        return version;
+      };
+
+      const to = options.to ? findVersion(options.to) : current;
+      let from;
+      if (options.from) {
+        from = findVersion(options.from);
+      } else {
+        from = family[family.indexOf(to) - 1];
+        if (!from) {
+          throw new Error(`Version ${to.version} has no previous version to compare with`);
+        }
+      }
+
+      const fromVariables = from.getVariableDefinitions();
+      const toVariables = to.getVariableDefinitions();
+
+      const values = {};
+      [...fromVariables, ...toVariables].forEach(variable => {
+        if (variable.name in values) return;
+        const hasDefault = variable.defaultValue !== undefined && variable.defaultValue !== null && variable.defaultValue !== '';
+        values[variable.name] = hasDefault ? variable.defaultValue : `[${variable.label || variable.name}]`;
+      });
+      Object.assign(values, options.values || {});
+
+      const language = options.language || 'en';
+      const fromRendered = from.render(values, language);
+      const toRendered = to.render(values, language);
+
+      return {
+        from: { id: from.id, version: from.version, publishedAt: from.audit?.publishedAt },
+        to: { id: to.id, version: to.version, publishedAt: to.audit?.publishedAt },
+        title: fromRendered.title === toRendered.title
+          ? null
+          : { from: fromRendered.title, to: toRendered.title },
+        content: ContractTemplateDiff.diffContent(fromRendered.body, toRendered.body, {
+          includeUnchanged: options.includeUnchanged
+        }),
+        placeholders: ContractTemplateDiff.diffVariables(fromVariables, toVariables)
+      };
+    } catch (error) {
+      throw new Error(`Failed to diff template versions: ${error.message}`);
+    }
+  }
+
   /**
    * Clone template
    */
@@ -602,28 +704,35 @@ class ContractTemplateService {
 
       // Check required fields
       if (!template.name) errors.push('Template name is required');
-      if (!template.content.languages.size) errors.push('At least one language must be defined');
-
-      // Check content for each language
-      for (const [lang, content] of template.content.languages) {
-        if (!content.title) errors.push(`Title is required for language: ${lang}`);
-        if (!content.body) errors.push(`Body content is required for language: ${lang}`);
-
-        // Check for placeholder usage
-        const placeholders = template.placeholders.map(p => p.key);
-        const usedPlaceholders = [];
-
-        placeholders.forEach(placeholder => {
-          const regex = new RegExp(`{{${placeholder}}}`, 'g');
-          if (content.body.match(regex)) {
-            usedPlaceholders.push(placeholder);
-          }
-        });
 
-        const unusedPlaceholders = placeholders.filter(p => !usedPlaceholders.includes(p));
-        if (unusedPlaceholders.length > 0) {
-          warnings.push(`Unused placeholders in ${lang}: ${unusedPlaceholders.join(', ')}`);
+      const sources = {
+        body: template.content.body,
+        htmlBody: template.content.htmlBody,
+        title: template.metadata?.title
+      };
+      if (!sources.body && !sources.htmlBody) errors.push('Body content is required');
+
+      // Check syntax and variable usage across the body, HTML body and title
+      const referenced = new Set();
+      Object.entries(sources).forEach(([field, source]) => {
+        if (!source) return;
+        try {
+          ContractTemplateEngine.getReferencedVariables(source).forEach(name => referenced.add(name));
+        } catch (error) {
+          (error.syntaxErrors || [error.message]).forEach(message => errors.push(`${field}: ${message}`));
         }
+      });
+
+      const declared = template.getVariableDefinitions().map(variable => variable.name);
+
+      const undefinedVariables = [...referenced].filter(name => !declared.includes(name));
+      if (undefinedVariables.length > 0) {
+        errors.push(`Undefined variables: ${undefinedVariables.join(', ')}`);
+      }
+
+      const unusedVariables = declared.filter(name => !referenced.has(name));
+      if (unusedVariables.length > 0) {
+        warnings.push(`Unused variables: ${unusedVariables.join(', ')}`);
       }
 
       // Check styling
@@ -634,6 +743,29 @@ class ContractTemplateService {
         }
       }
 
+      // Check security settings
+      const invalidRanges = IPRestrictions.findInvalid(template.config.ipRestrictions || []);
+      if (invalidRanges.length > 0) {
+        errors.push(`Invalid IP restrictions: ${invalidRanges.join(', ')}`);
+      }
+
+      if (template.config.requireEncryption === true && !ContractEncryption.isConfigured()) {
+        warnings.push('Template requires encryption but no contract encryption master key is configured');
+      }
+
+      // Check the external signature provider can be reached
+      const signatureProvider = template.config.signatureProvider || 'native';
+      if (signatureProvider !== 'native') {
+        // Required here because the integration service depends on this one
+        const ContractIntegrationService = require('./contractIntegration.service');
+        const adapter = await ContractIntegrationService.initializeProvider(signatureProvider);
+        try {
+          adapter.validateConfig();
+        } catch (configError) {
+          warnings.push(configError.message);
+        }
+      }
+
       // Check legal requirements
       if (!template.config.legal.jurisdiction) {
         warnings.push('Jurisdiction is not specified');
@@ -643,6 +775,12 @@ class ContractTemplateService {
         isValid: errors.length === 0,
         errors,
         warnings,
+        variables: {
+          declared,
+          referenced: [...referenced],
+          undefined: undefinedVariables,
+          unused: unusedVariables
+        },
         checkedAt: new Date()
       };
     } catch (error) {
@@ -1,4 +1,6 @@
 const { SignedContract } = require('../models/contract.model');
+const ContractCertificate = require('../models/contractCertificate.model');
+const ContractSigningService = require('./contractSigning.service');
 const PDFDocument = require('pdfkit');
 const archiver = require('archiver');
 const crypto = require('crypto');
@@ -10,6 +12,17 @@ const EvidenceHelper = require('./evidenceCompliance.helper');
 const writeFile = promisify(fs.writeFile);
 const mkdir = promisify(fs.mkdir);
 
+const SEAL_ALGORITHMS = {
+  rsa: 'RSA-SHA256',
+  'rsa-pss': 'RSA-PSS-SHA256',
+  ec: 'ECDSA-SHA256',
+  ed25519: 'Ed25519',
+  ed448: 'Ed448'
+};
+
+// Loaded once from CONTRACT_SEAL_PRIVATE_KEY; null when no key is configured
+let sealKey;
+
 /**
  * Evidence Compliance Service
  * Handles evidence collection, compliance, and integrity verification for contracts
@@ -41,7 +54,10 @@ class EvidenceComplianceService {
           title: signer.title,
           company: signer.company
         },
-        signature: signer.signature,
+        // Encrypted signature images only leave the database in the ZIP export
+        signature: signer.signature && contract.security.encrypted
+          ? { type: signer.signature.type, coordinates: signer.signature.coordinates, cryptographic: signer.signature.cryptographic }
+          : signer.signature,
         signedAt: signer.signedAt,
         status: signer.status,
         evidence: {
@@ -70,7 +86,7 @@ class EvidenceComplianceService {
       const auditTrail = await this.generateAuditTrail(contractId);
 
       // Calculate integrity hashes
-      const evidenceHash = this.calculateEvidenceHash({
+      const evidenceHash = EvidenceHelper.calculateEvidenceHash({
         contractId,
         signatures,
         auditTrail,
@@ -98,19 +114,38 @@ class EvidenceComplianceService {
         evidence: {
           signatures,
           auditTrail,
+          evidenceChain: contract.evidenceChain,
           security: {
             originalHash: contract.security.originalHash,
             hashAlgorithm: contract.security.hashAlgorithm,
+            evidenceChainHead: contract.security.evidenceChainHead,
             evidenceHash,
             timestampServer: process.env.TIMESTAMP_SERVER || 'internal',
             timestamp: createdAt.toISOString()
           },
           metadata: contract.metadata
         },
+        // Signing delegated to an external provider; its signed document is in the ZIP export
+        externalSigning: contract.integration?.provider && contract.integration.provider !== 'native'
+          ? {
+            provider: contract.integration.provider,
+            externalId: contract.integration.externalId,
+            externalStatus: contract.integration.externalStatus,
+            signedDocument: contract.integration.signedDocument?.hash
+              ? {
+                fileName: contract.integration.signedDocument.fileName,
+                contentType: contract.integration.signedDocument.contentType,
+                size: contract.integration.signedDocument.size,
+                hash: contract.integration.signedDocument.hash,
+                downloadedAt: contract.integration.signedDocument.downloadedAt
+              }
+              : null
+          }
+          : null,
         compliance: {
-          eIDAS: this.checkEIDASCompliance(contract),
-          ESIGN: this.checkESIGNCompliance(contract),
-          UETA: this.checkUETACompliance(contract),
+          eIDAS: EvidenceHelper.checkEIDASCompliance(contract),
+          ESIGN: EvidenceHelper.checkESIGNCompliance(contract),
+          UETA: EvidenceHelper.checkUETACompliance(contract),
           jurisdiction: contract.compliance.jurisdiction,
           governingLaw: contract.compliance.governingLaw,
           retentionPeriod: contract.compliance.retentionPeriod,
@@ -118,7 +153,7 @@ class EvidenceComplianceService {
         },
         verification: {
           canVerify: true,
-          verificationUrl: `${process.env.FRONTEND_URL}/verify/${contractId}/${evidenceHash}`,
+          verificationUrl: `${process.env.FRONTEND_URL}/verify/${contractId}/${contract.security.evidenceChainHead || contract.security.originalHash}`,
           publicKey: contract.security.publicKey || null
         }
       };
@@ -144,18 +179,19 @@ class EvidenceComplianceService {
    * Export evidence package in specified format
    * @param {string} contractId - The contract ID
    * @param {string} format - Export format (zip, json, pdf)
+   * @param {Object} access - actor, ipAddress, userAgent of the requester, recorded when content is decrypted
    * @returns {Object} - Export data
    */
-  static async exportEvidencePackage(contractId, format = 'zip') {
+  static async exportEvidencePackage(contractId, format = 'zip', access = {}) {
     try {
+      // Generate fresh evidence package
+      const evidencePackage = await this.generateEvidencePackage(contractId);
+
       const contract = await SignedContract.findOne({ id: contractId });
       if (!contract) {
         throw new Error('Contract not found');
       }
 
-      // Generate fresh evidence package
-      const evidencePackage = await this.generateEvidencePackage(contractId);
-
       const exportDir = path.join(__dirname, '../../exports', contractId);
       await mkdir(exportDir, { recursive: true });
 
@@ -175,7 +211,9 @@ class EvidenceComplianceService {
       } else {
         // Export as ZIP (default)
         exportPath = path.join(exportDir, `evidence_package_${contractId}.zip`);
-        await this.createZIPPackage(evidencePackage, contract, exportPath);
+        const content = contract.openContent({ ...access, purpose: 'evidence_export' });
+        await contract.save();
+        await this.createZIPPackage(evidencePackage, contract, exportPath, content);
         downloadUrl = `/exports/${contractId}/evidence_package_${contractId}.zip`;
       }
 
@@ -197,6 +235,8 @@ class EvidenceComplianceService {
 
   /**
    * Generate Certificate of Completion PDF
+   * The certificate is issued once per contract and its PDF is sealed with
+   * the server key; later calls return the stored certificate and PDF.
    * @param {string} contractId - The contract ID
    * @returns {Object} - Certificate data
    */
@@ -207,26 +247,50 @@ class EvidenceComplianceService {
         throw new Error('Contract not found');
       }
 
-      if (contract.status !== 'completed') {
+      if (!['fully_signed', 'completed'].includes(contract.status)) {
         throw new Error('Certificate only available for completed contracts');
       }
 
-      const certificateId = `cert_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
-      const exportDir = path.join(__dirname, '../../exports', contractId);
-      await mkdir(exportDir, { recursive: true });
+      let certificate = await ContractCertificate.findOne({ contractId }).sort({ generatedAt: -1 });
+      if (!certificate) {
+        const { certificateId } = await ContractSigningService.generateCertificateOfCompletion(contract);
+        certificate = await ContractCertificate.findOne({ certificateId });
+      }
 
-      const certificatePath = path.join(exportDir, `certificate_${certificateId}.pdf`);
+      const { certificateId } = certificate;
 
-      // Generate certificate PDF
-      await this.generateCertificatePDF(contract, certificatePath, certificateId);
+      if (!certificate.pdf?.filePath || !fs.existsSync(certificate.pdf.filePath)) {
+        const exportDir = path.join(__dirname, '../../exports', contractId);
+        await mkdir(exportDir, { recursive: true });
+
+        const certificatePath = path.join(exportDir, `certificate_${certificateId}.pdf`);
+        const downloadUrl = `/exports/${contractId}/certificate_${certificateId}.pdf`;
+
+        // Generate certificate PDF, then seal the finished file
+        await this.generateCertificatePDF(contract, certificatePath, certificateId, certificate);
+        const seal = this.sealFile(certificatePath);
+
+        certificate.pdf = {
+          filePath: certificatePath,
+          downloadUrl,
+          sealed: !!seal,
+          seal: seal ? { ...seal, signatureUrl: `${downloadUrl}.sig` } : undefined,
+          generatedAt: new Date()
+        };
+        await certificate.save();
+      }
 
       return {
         certificateId,
         contractId: contract.id,
-        generatedAt: new Date(),
-        downloadUrl: `/exports/${contractId}/certificate_${certificateId}.pdf`,
-        filePath: certificatePath,
+        generatedAt: certificate.generatedAt,
+        downloadUrl: certificate.pdf.downloadUrl,
+        filePath: certificate.pdf.filePath,
         expiresAt: null, // Certificates don't expire
+        certificateHash: certificate.certificateHash,
+        verificationUrl: certificate.verificationUrl,
+        sealed: certificate.pdf.sealed,
+        seal: certificate.pdf.seal,
         signers: contract.signers.map(s => ({
           name: s.fullName,
           email: s.email,
@@ -239,10 +303,183 @@ class EvidenceComplianceService {
     }
   }
 
+  /**
+   * Verify a certificate of completion
+   * Public: signers are returned masked and no IP, device or location data
+   * is included
+   * @param {string} certificateId - The certificate ID
+   * @returns {Object} - Verification result
+   */
+  static async verifyCertificate(certificateId) {
+    const certificate = await ContractCertificate.findOne({ certificateId });
+    if (!certificate) {
+      throw new Error('Certificate not found');
+    }
+
+    const contract = await SignedContract.findOne({ id: certificate.contractId });
+    const integrity = contract ? contract.verifyEvidenceChain() : null;
+
+    const checks = {
+      certificateHashValid: certificate.calculateHash() === certificate.certificateHash,
+      contractFound: !!contract,
+      documentValid: !!integrity && integrity.document.valid
+        && contract.security.originalHash === certificate.documentHash,
+      evidenceChainValid: !!integrity && integrity.chain.valid && integrity.chain.length > 0,
+      // Later events such as a void extend the chain, so the certified head only has to be part of it
+      evidenceChainIncludesCertificate: !!contract && !!certificate.evidenceChainHead
+        && contract.evidenceChain.some(record => record.hash === certificate.evidenceChainHead)
+    };
+
+    const valid = Object.values(checks).every(Boolean);
+    let status = valid ? 'valid' : 'invalid';
+    if (valid && contract.status === 'voided') {
+      status = 'voided';
+    }
+
+    return {
+      certificateId,
+      status,
+      verified: status === 'valid',
+      verifiedAt: new Date(),
+      contract: {
+        templateId: certificate.templateId,
+        templateVersion: certificate.templateVersion,
+        completedAt: certificate.completedAt,
+        voidedAt: contract?.dates?.voided || null
+      },
+      signers: certificate.signers.map(signer => ({
+        name: this.maskName(signer.name),
+        email: this.maskEmail(signer.email),
+        role: signer.role,
+        signedAt: signer.signedAt
+      })),
+      integrity: {
+        ...checks,
+        certificateHash: certificate.certificateHash,
+        documentHash: certificate.documentHash,
+        evidenceChainHead: certificate.evidenceChainHead,
+        hashAlgorithm: certificate.hashAlgorithm
+      },
+      seal: certificate.pdf?.sealed
+        ? {
+          algorithm: certificate.pdf.seal.algorithm,
+          keyId: certificate.pdf.seal.keyId,
+          fileHash: certificate.pdf.seal.fileHash,
+          signature: certificate.pdf.seal.signature,
+          sealedAt: certificate.pdf.seal.sealedAt
+        }
+        : null,
+      issuedAt: certificate.generatedAt
+    };
+  }
+
+  /**
+   * Server key used to seal certificate PDFs
+   * Set CONTRACT_SEAL_PRIVATE_KEY to a PEM private key (RSA, EC or Ed25519)
+   * @returns {Object|null} - Key details, or null when sealing is not configured
+   */
+  static getSealKey() {
+    if (sealKey !== undefined) {
+      return sealKey;
+    }
+
+    const pem = process.env.CONTRACT_SEAL_PRIVATE_KEY;
+    if (!pem) {
+      console.warn('CONTRACT_SEAL_PRIVATE_KEY is not set; certificate PDFs will not be sealed');
+      sealKey = null;
+      return sealKey;
+    }
+
+    const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+    const publicKey = crypto.createPublicKey(privateKey);
+    const keyType = privateKey.asymmetricKeyType;
+
+    sealKey = {
+      privateKey,
+      publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+      keyId: process.env.CONTRACT_SEAL_KEY_ID || crypto
+        .createHash('sha256')
+        .update(publicKey.export({ type: 'spki', format: 'der' }))
+        .digest('hex')
+        .substring(0, 16),
+      algorithm: SEAL_ALGORITHMS[keyType] || keyType,
+      // EdDSA keys sign the message directly
+      digest: keyType === 'ed25519' || keyType === 'ed448' ? null : 'sha256'
+    };
+
+    return sealKey;
+  }
+
+  /**
+   * Public half of the seal key, for validating sealed PDFs offline
+   */
+  static getSealPublicKey() {
+    const key = this.getSealKey();
+    if (!key) {
+      throw new Error('Certificate sealing is not configured');
+    }
+
+    return {
+      keyId: key.keyId,
+      algorithm: key.algorithm,
+      publicKey: key.publicKey
+    };
+  }
+
+  /**
+   * Seal a file with the server key
+   * Writes a detached signature next to the file, so a sealed PDF can be
+   * checked offline with the public key, e.g. for RSA and EC keys:
+   *   openssl dgst -sha256 -verify seal.pem -signature certificate.pdf.sig certificate.pdf
+   * @param {string} filePath - File to seal
+   * @returns {Object|null} - Seal data, or null when sealing is not configured
+   */
+  static sealFile(filePath) {
+    const key = this.getSealKey();
+    if (!key) {
+      return null;
+    }
+
+    const content = fs.readFileSync(filePath);
+    const signature = crypto.sign(key.digest, content, key.privateKey);
+    fs.writeFileSync(`${filePath}.sig`, signature);
+
+    return {
+      algorithm: key.algorithm,
+      keyId: key.keyId,
+      fileHash: crypto.createHash('sha256').update(content).digest('hex'),
+      signature: signature.toString('base64'),
+      sealedAt: new Date()
+    };
+  }
+
+  /**
+   * Mask a name to its initials
+   */
+  static maskName(name) {
+    if (!name) return null;
+    return name
+      .split(/\s+/)
+      .filter(Boolean)
+      .map(part => `${part.charAt(0).toUpperCase()}.`)
+      .join(' ');
+  }
+
+  /**
+   * Mask an email address, keeping the first letter of each part
+   */
+  static maskEmail(email) {
+    if (!email || !email.includes('@')) return null;
+    const [local, domain] = email.split('@');
+    const [domainName, ...tld] = domain.split('.');
+    return `${local.charAt(0)}***@${domainName.charAt(0)}***${tld.length ? `.${tld.join('.')}` : ''}`;
+  }
+
   /**
    * Create ZIP package with all evidence
+   * @param {Object} content - Decrypted body and signature images from contract.openContent()
    */
-  static async createZIPPackage(evidencePackage, contract, outputPath) {
+  static async createZIPPackage(evidencePackage, contract, outputPath, content) {
     return new Promise((resolve, reject) => {
       const output = fs.createWriteStream(outputPath);
       const archive = archiver('zip', { zlib: { level: 9 } });
@@ -258,20 +495,26 @@ class EvidenceComplianceService {
       });
 
       // Add contract HTML
-      if (contract.content?.originalHtml) {
-        archive.append(contract.content.originalHtml, {
+      if (content.originalHtml) {
+        archive.append(content.originalHtml, {
           name: 'contract_original.html'
         });
       }
 
+      // Add the document as signed at the external provider
+      const signedDocument = contract.integration?.signedDocument;
+      if (signedDocument?.filePath && fs.existsSync(signedDocument.filePath)) {
+        archive.file(signedDocument.filePath, { name: `contract_signed_${contract.integration.provider}.pdf` });
+      }
+
       // Add README
       const readme = this.generateReadme(evidencePackage);
       archive.append(readme, { name: 'README.txt' });
 
       // Add signature images if available
       contract.signers.forEach((signer, index) => {
-        if (signer.signature?.data) {
-          archive.append(signer.signature.data, {
+        if (content.signatures[signer.signerId]) {
+          archive.append(content.signatures[signer.signerId], {
             name: `signatures/signer_${index + 1}_${signer.fullName.replace(/\s/g, '_')}.png`
           });
         }
@@ -357,7 +600,7 @@ class EvidenceComplianceService {
   /**
    * Generate Certificate of Completion PDF
    */
-  static async generateCertificatePDF(contract, outputPath, certificateId) {
+  static async generateCertificatePDF(contract, outputPath, certificateId, certificate = null) {
     return new Promise((resolve, reject) => {
       try {
         const doc = new PDFDocument({ margin: 50, size: 'A4' });
@@ -407,13 +650,25 @@ class EvidenceComplianceService {
 
         // Footer
         doc.moveDown(2);
-        doc.fontSize(10).font('Helvetica-Italic')
+        doc.fontSize(10).font('Helvetica-Oblique')
           .text('This certificate is digitally signed and verifiable.', { align: 'center' });
         doc.text(`Issued on: ${new Date().toLocaleString()}`, { align: 'center' });
         doc.moveDown();
         doc.fontSize(8)
           .text(`Document Hash: ${contract.security.originalHash}`, { align: 'center' });
 
+        if (certificate) {
+          const key = this.getSealKey();
+          doc.text(`Certificate Hash: ${certificate.certificateHash}`, { align: 'center' });
+          if (certificate.evidenceChainHead) {
+            doc.text(`Evidence Chain: ${certificate.evidenceChainHead}`, { align: 'center' });
+          }
+          if (key) {
+            doc.text(`Sealed with key ${key.keyId} (${key.algorithm})`, { align: 'center' });
+          }
+          doc.text(`Verify: ${certificate.verificationUrl}`, { align: 'center' });
+        }
+
         doc.end();
         stream.on('finish', resolve);
         stream.on('error', reject);
@@ -440,7 +695,9 @@ CONTENTS:
 2. contract_original.html - Original contract HTML
 3. signatures/ - Folder containing signature images
 4. README.txt - This file
-
+${evidencePackage.externalSigning?.signedDocument ? `5. contract_signed_${evidencePackage.externalSigning.provider}.pdf - Document as signed at ${evidencePackage.externalSigning.provider}
+   SHA-256: ${evidencePackage.externalSigning.signedDocument.hash}
+` : ''}
 VERIFICATION:
 -------------
 You can verify the integrity of this evidence package at:
@@ -463,23 +720,50 @@ as per ${evidencePackage.compliance.jurisdiction} regulations.
 
 For questions or support, please contact: ${process.env.SUPPORT_EMAIL || 'support@example.com'}
 `;
-  }  /**
+  }
+
+  /**
    * Verify evidence integrity using hash
+   * Recomputes the rendered document hash and every link of the evidence
+   * chain. The hash given must be the document hash or one of the chain's
+   * record hashes, such as the head published in an evidence package.
    * @param {string} contractId - The contract ID
    * @param {string} hash - Hash to verify
    * @returns {Object} - Verification result
    */
   static async verifyEvidenceIntegrity(contractId, hash) {
-    // TODO: Implement evidence integrity verification
-    console.log(`Verifying evidence integrity for contract ${contractId} with hash ${hash}`);
+    const contract = await SignedContract.findOne({ id: contractId });
+    if (!contract) {
+      throw new Error('Contract not found');
+    }
+
+    const integrity = contract.verifyEvidenceChain();
+    const matchedRecord = contract.evidenceChain.find(record => record.hash === hash);
+    const hashMatch = {
+      matched: !!matchedRecord || hash === integrity.document.documentHash,
+      matchedRecord: matchedRecord ? { sequence: matchedRecord.sequence, type: matchedRecord.type } : null,
+      isChainHead: hash === integrity.chain.headHash
+    };
+
+    let status = 'valid';
+    if (!integrity.valid) {
+      status = 'tampered';
+    } else if (integrity.chain.length === 0) {
+      status = 'unverifiable';
+    } else if (!hashMatch.matched) {
+      status = 'unknown_hash';
+    }
 
     return {
       contractId,
       hash,
-      verified: true, // TODO: Implement actual verification
+      verified: status === 'valid',
       verifiedAt: new Date(),
       algorithm: 'SHA-256',
-      status: 'valid'
+      status,
+      hashMatch,
+      document: integrity.document,
+      chain: integrity.chain
     };
   }
 
@@ -489,18 +773,55 @@ For questions or support, please contact: ${process.env.SUPPORT_EMAIL || 'suppor
    * @returns {Object} - Compliance status
    */
   static async getComplianceStatus(contractId) {
-    // TODO: Implement compliance status check
-    console.log(`Getting compliance status for contract ${contractId}`);
+    const contract = await SignedContract.findOne({ id: contractId });
+    if (!contract) {
+      throw new Error('Contract not found');
+    }
+
+    const integrity = contract.verifyEvidenceChain();
+    const issues = EvidenceHelper.getComplianceIssues(contract);
+
+    if (!integrity.document.valid) {
+      issues.push({
+        severity: 'high',
+        type: 'document_altered',
+        message: 'Rendered document does not match its recorded hash'
+      });
+    }
+
+    if (integrity.chain.length === 0) {
+      issues.push({
+        severity: 'medium',
+        type: 'missing_evidence_chain',
+        message: 'No evidence chain was recorded for this contract'
+      });
+    } else if (!integrity.chain.valid) {
+      const { failedAt } = integrity.chain;
+      issues.push({
+        severity: 'high',
+        type: 'evidence_chain_broken',
+        message: `Evidence chain fails at record ${failedAt.sequence}${failedAt.type ? ` (${failedAt.type})` : ''}: ${failedAt.reason}`,
+        failures: integrity.chain.failures
+      });
+    }
+
+    const standards = {
+      eIDAS: EvidenceHelper.checkEIDASCompliance(contract),
+      ESIGN: EvidenceHelper.checkESIGNCompliance(contract),
+      UETA: EvidenceHelper.checkUETACompliance(contract)
+    };
 
     return {
       contractId,
-      compliant: true,
-      standards: {
-        eIDAS: false,
-        ESIGN: true,
-        UETA: true
+      compliant: integrity.valid && !issues.some(issue => issue.severity === 'high'),
+      standards,
+      integrity: {
+        documentValid: integrity.document.valid,
+        chainValid: integrity.chain.valid,
+        chainLength: integrity.chain.length,
+        headHash: integrity.chain.headHash
       },
-      issues: [],
+      issues,
       lastChecked: new Date()
     };
   }
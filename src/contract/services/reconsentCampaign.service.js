@@ -0,0 +1,274 @@
+const { SignedContract } = require('../models/contract.model');
+const ReconsentCampaign = require('../models/reconsentCampaign.model');
+const ContractTemplateService = require('./contractTemplate.service');
+const ContractSigningService = require('./contractSigning.service');
+
+// Contracts a subscriber has agreed to and that are still in force
+const ACTIVE_STATUSES = ['fully_signed', 'completed'];
+
+// Contracts on the new version that already cover a subscriber
+const COVERED_STATUSES = ['draft', 'sent', 'partially_signed', 'fully_signed', 'completed'];
+
+// Recipients issued per campaign on each job run
+const BATCH_SIZE = 25;
+
+/**
+ * Re-consent Campaign Service
+ * Issues a newly published template version to subscribers whose active
+ * contract was signed on an older version, and tracks how many re-signed
+ */
+class ReconsentCampaignService {
+
+  /**
+   * Start a campaign for a published template version
+   * Each subscriber's most recent active contract on an older version is
+   * re-issued; subscribers already holding a contract on this version are left out
+   * @param {Object} options - expirationDays
+   */
+  static async startCampaign(templateId, options = {}, userId, userName) {
+    const family = await ContractTemplateService.getVersionFamily(templateId);
+    const template = family.find(version => version.id === templateId || version._id.toString() === templateId);
+
+    if (!template.isActive || !template.audit.publishedAt) {
+      throw new Error('Only the published version of a template can be issued for re-consent');
+    }
+
+    const running = await ReconsentCampaign.findOne({ templateId: template.id, status: 'running' });
+    if (running) {
+      throw new Error(`Re-consent campaign ${running.campaignId} is already running for this template`);
+    }
+
+    const olderVersions = family.slice(0, family.indexOf(template));
+    if (olderVersions.length === 0) {
+      throw new Error('Template has no older versions to re-consent from');
+    }
+
+    const [previousContracts, covered] = await Promise.all([
+      SignedContract.find({
+        templateId: { $in: olderVersions.map(version => version.id) },
+        status: { $in: ACTIVE_STATUSES },
+        'compliance.anonymizedAt': null
+      })
+        .sort({ 'dates.created': -1 })
+        .select('id subscriberId templateVersion'),
+      SignedContract.distinct('subscriberId', {
+        templateId: template.id,
+        status: { $in: COVERED_STATUSES }
+      })
+    ]);
+
+    const recipients = new Map();
+    previousContracts.forEach(contract => {
+      if (recipients.has(contract.subscriberId) || covered.includes(contract.subscriberId)) return;
+      recipients.set(contract.subscriberId, {
+        subscriberId: contract.subscriberId,
+        previousContractId: contract.id,
+        previousVersion: contract.templateVersion
+      });
+    });
+
+    const now = new Date();
+    const campaign = new ReconsentCampaign({
+      campaignId: `reconsent_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`,
+      templateId: template.id,
+      templateVersion: template.version,
+      previousVersions: olderVersions.map(version => version.version),
+      status: recipients.size > 0 ? 'running' : 'completed',
+      options: {
+        expirationDays: options.expirationDays ? parseInt(options.expirationDays) : undefined
+      },
+      recipients: [...recipients.values()],
+      dates: {
+        startedAt: now,
+        completedAt: recipients.size > 0 ? undefined : now
+      },
+      audit: { createdBy: userId, createdByName: userName }
+    });
+
+    await campaign.save();
+    return campaign;
+  }
+
+  /**
+   * Issue the next batch of every running campaign
+   */
+  static async processCampaigns() {
+    const campaigns = await ReconsentCampaign.find({ status: 'running' });
+    const results = { campaigns: campaigns.length, issued: 0, failed: 0, skipped: 0 };
+
+    for (const campaign of campaigns) {
+      const batch = campaign.recipients.filter(recipient => recipient.status === 'pending').slice(0, BATCH_SIZE);
+
+      for (const recipient of batch) {
+        await this.issueToRecipient(campaign, recipient);
+        results[recipient.status]++;
+
+        // Saved per recipient so an interrupted run never issues a contract twice
+        await campaign.save();
+      }
+
+      if (!campaign.recipients.some(recipient => recipient.status === 'pending')) {
+        campaign.status = 'completed';
+        campaign.dates.completedAt = new Date();
+        await campaign.save();
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Issue the campaign's template version in place of a recipient's previous contract
+   * Signers, placeholder values, language and currency carry over; signers the
+   * new version fixes by name (e.g. a compliance countersignature) come from the template
+   */
+  static async issueToRecipient(campaign, recipient) {
+    try {
+      const previous = await SignedContract.findOne({ id: recipient.previousContractId });
+
+      if (!previous || !ACTIVE_STATUSES.includes(previous.status) || previous.compliance?.anonymizedAt) {
+        recipient.status = 'skipped';
+        recipient.error = 'Previous contract is no longer active';
+        return;
+      }
+
+      const template = await ContractTemplateService.findTemplateById(campaign.templateId);
+      if (!template) {
+        throw new Error('Template version is no longer active');
+      }
+
+      const fixedRoles = (template.config.signerRouting || [])
+        .filter(entry => entry.fullName && entry.email)
+        .map(entry => entry.role);
+
+      const signers = previous.signers
+        .filter(signer => !signer.role || !fixedRoles.includes(signer.role))
+        .map(signer => ({
+          type: signer.signerType,
+          role: signer.role,
+          fullName: signer.fullName,
+          email: signer.email,
+          phone: signer.phone,
+          title: signer.title,
+          company: signer.company,
+          routingOrder: signer.routingOrder,
+          required: signer.required
+        }));
+
+      const result = await ContractSigningService.initiateContract({
+        templateId: campaign.templateId,
+        subscriberId: previous.subscriberId,
+        subscriptionId: previous.subscriptionId,
+        planId: previous.planId,
+        language: previous.language,
+        currency: previous.currency,
+        placeholderValues: Object.fromEntries(previous.content.placeholderValues || []),
+        signers,
+        expirationDays: campaign.options?.expirationDays,
+        metadata: { source: 'reconsent', campaign: campaign.campaignId }
+      }, campaign.audit.createdBy);
+
+      recipient.status = 'issued';
+      recipient.newContractId = result.contract.id;
+      recipient.issuedAt = new Date();
+      recipient.error = undefined;
+    } catch (error) {
+      console.error(`Re-consent campaign ${campaign.campaignId} failed for contract ${recipient.previousContractId}:`, error.message);
+      recipient.status = 'failed';
+      recipient.error = error.message;
+    }
+  }
+
+  /**
+   * Campaign with progress: recipients by issue status, issued contracts by outcome
+   */
+  static async getCampaign(campaignId) {
+    const campaign = await ReconsentCampaign.findOne({ campaignId });
+    if (!campaign) {
+      throw new Error('Re-consent campaign not found');
+    }
+
+    const contractStatuses = await SignedContract.aggregate([
+      { $match: { 'metadata.campaign': campaign.campaignId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return {
+      ...campaign.toObject(),
+      progress: this.getProgress(campaign, contractStatuses)
+    };
+  }
+
+  static async listCampaigns(templateId, options = {}) {
+    const page = parseInt(options.page) || 1;
+    const limit = Math.min(parseInt(options.limit) || 20, 100);
+    const query = { templateId };
+    if (options.status) query.status = options.status;
+
+    const [campaigns, total] = await Promise.all([
+      ReconsentCampaign.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-recipients'),
+      ReconsentCampaign.countDocuments(query)
+    ]);
+
+    return {
+      campaigns,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Stop issuing contracts; contracts already issued stay out for signature
+   */
+  static async cancelCampaign(campaignId, userId, userName) {
+    const campaign = await ReconsentCampaign.findOne({ campaignId });
+    if (!campaign) {
+      throw new Error('Re-consent campaign not found');
+    }
+
+    if (campaign.status !== 'running') {
+      throw new Error(`Re-consent campaign is already ${campaign.status}`);
+    }
+
+    campaign.status = 'canceled';
+    campaign.dates.canceledAt = new Date();
+    campaign.audit.canceledBy = userId;
+    campaign.audit.canceledByName = userName;
+
+    await campaign.save();
+    return campaign;
+  }
+
+  static getProgress(campaign, contractStatuses) {
+    const countRecipients = status => campaign.recipients.filter(recipient => recipient.status === status).length;
+    const countContracts = statuses => contractStatuses
+      .filter(group => statuses.includes(group._id))
+      .reduce((sum, group) => sum + group.count, 0);
+
+    const total = campaign.recipients.length;
+    const signed = countContracts(ACTIVE_STATUSES);
+
+    return {
+      total,
+      pending: countRecipients('pending'),
+      issued: countRecipients('issued'),
+      failed: countRecipients('failed'),
+      skipped: countRecipients('skipped'),
+      signed,
+      awaitingSignature: countContracts(['draft', 'sent', 'partially_signed']),
+      declined: countContracts(['declined']),
+      expired: countContracts(['expired', 'voided']),
+      percentSigned: total > 0 ? Math.round((signed / total) * 100) : 0
+    };
+  }
+}
+
+module.exports = ReconsentCampaignService;
@@ -0,0 +1,166 @@
+/**
+ * Contract Encryption
+ * Envelope encryption for contract bodies and signature images. Each
+ * contract gets its own AES-256-GCM data key, stored wrapped by the master
+ * key from CONTRACT_ENCRYPTION_MASTER_KEY. Values are bound to their
+ * contract and field, so a ciphertext copied elsewhere fails to decrypt.
+ *
+ * Stored value format: enc:v1:<base64 of iv | auth tag | ciphertext>
+ */
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const VALUE_PREFIX = 'enc:v1:';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Loaded once from CONTRACT_ENCRYPTION_MASTER_KEY; null when no key is configured
+let masterKey;
+
+class ContractEncryption {
+
+  /**
+   * Master key and its id, or null when encryption is not configured
+   * The key is 32 bytes, given as base64 or hex
+   */
+  static getMasterKey() {
+    if (masterKey !== undefined) return masterKey;
+
+    const configured = (process.env.CONTRACT_ENCRYPTION_MASTER_KEY || '').trim();
+    if (!configured) {
+      masterKey = null;
+      return masterKey;
+    }
+
+    const key = /^[0-9a-f]{64}$/i.test(configured)
+      ? Buffer.from(configured, 'hex')
+      : Buffer.from(configured, 'base64');
+
+    if (key.length !== 32) {
+      throw new Error('CONTRACT_ENCRYPTION_MASTER_KEY must be 32 bytes encoded as base64 or hex');
+    }
+
+    masterKey = {
+      key,
+      keyId: process.env.CONTRACT_ENCRYPTION_KEY_ID || 'contract-master-1'
+    };
+    return masterKey;
+  }
+
+  static isConfigured() {
+    return !!this.getMasterKey();
+  }
+
+  static isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(VALUE_PREFIX);
+  }
+
+  static encryptValue(plaintext, key, aad) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+    return VALUE_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  }
+
+  static decryptValue(value, key, aad) {
+    const payload = Buffer.from(value.slice(VALUE_PREFIX.length), 'base64');
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, payload.subarray(0, IV_LENGTH));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+    return Buffer.concat([
+      decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)),
+      decipher.final()
+    ]).toString('utf8');
+  }
+
+  /**
+   * Data key for a contract, created and wrapped on first use
+   */
+  static getDataKey(contract) {
+    const master = this.getMasterKey();
+    if (!master) {
+      throw new Error('Contract encryption master key is not configured');
+    }
+
+    const security = contract.security;
+    if (!security.encryptionKey) {
+      const dataKey = crypto.randomBytes(32);
+      security.encryptionKey = this.encryptValue(dataKey.toString('base64'), master.key, `${contract.id}:data-key`);
+      security.encryptionKeyId = master.keyId;
+      security.encryptionAlgorithm = 'AES-256-GCM';
+      return dataKey;
+    }
+
+    if (security.encryptionKeyId && security.encryptionKeyId !== master.keyId) {
+      throw new Error(`Contract data key is wrapped by master key ${security.encryptionKeyId}, not ${master.keyId}`);
+    }
+
+    return Buffer.from(this.decryptValue(security.encryptionKey, master.key, `${contract.id}:data-key`), 'base64');
+  }
+
+  /**
+   * Encrypted fields of a contract with their associated data
+   */
+  static getFields(contract) {
+    const fields = [
+      { aad: `${contract.id}:content.originalHtml`, owner: contract.content, path: 'originalHtml' },
+      { aad: `${contract.id}:content.finalHtml`, owner: contract.content, path: 'finalHtml' }
+    ];
+
+    contract.signers.forEach(signer => {
+      if (signer.signature) {
+        fields.push({ aad: `${contract.id}:signature:${signer.signerId}`, owner: signer.signature, path: 'data', signerId: signer.signerId });
+      }
+    });
+
+    return fields;
+  }
+
+  /**
+   * Encrypt every field that still holds plaintext
+   * @returns {boolean} - Whether anything was encrypted
+   */
+  static encryptContract(contract) {
+    const pending = this.getFields(contract)
+      .filter(field => field.owner[field.path] && !this.isEncryptedValue(field.owner[field.path]));
+    if (pending.length === 0) return false;
+
+    const dataKey = this.getDataKey(contract);
+    pending.forEach(field => {
+      field.owner[field.path] = this.encryptValue(field.owner[field.path], dataKey, field.aad);
+    });
+
+    return true;
+  }
+
+  /**
+   * Plaintext copies of the encrypted fields; the document is left encrypted
+   */
+  static decryptContract(contract) {
+    const fields = this.getFields(contract);
+    const needsKey = fields.some(field => this.isEncryptedValue(field.owner[field.path]));
+    const dataKey = needsKey ? this.getDataKey(contract) : null;
+
+    const read = field => {
+      const value = field.owner[field.path];
+      return this.isEncryptedValue(value) ? this.decryptValue(value, dataKey, field.aad) : value;
+    };
+
+    const signatures = {};
+    fields.filter(field => field.signerId).forEach(field => {
+      signatures[field.signerId] = read(field);
+    });
+
+    return {
+      originalHtml: read(fields[0]),
+      finalHtml: read(fields[1]),
+      signatures
+    };
+  }
+}
+
+module.exports = ContractEncryption;
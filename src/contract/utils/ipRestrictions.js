@@ -0,0 +1,56 @@
+/**
+ * IP Restrictions
+ * Matches client addresses against CIDR blocks (or single addresses) from
+ * ContractTemplate.config.ipRestrictions. An empty list allows every address.
+ */
+
+const net = require('net');
+
+class IPRestrictions {
+
+  /**
+   * Parse a CIDR block or single address
+   * @returns {Object|null} - { address, prefix, type } or null when invalid
+   */
+  static parse(entry) {
+    const [address, prefixText] = String(entry || '').trim().split('/');
+    const version = net.isIP(address);
+    if (!version) return null;
+
+    const type = version === 4 ? 'ipv4' : 'ipv6';
+    const maxPrefix = version === 4 ? 32 : 128;
+    if (prefixText !== undefined && !/^\d+$/.test(prefixText)) return null;
+
+    const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+    if (prefix > maxPrefix) return null;
+
+    return { address, prefix, type };
+  }
+
+  /**
+   * Entries that are not valid CIDR blocks or addresses
+   */
+  static findInvalid(entries = []) {
+    return entries.filter(entry => !this.parse(entry));
+  }
+
+  static isAllowed(ip, entries = []) {
+    if (!entries || entries.length === 0) return true;
+    if (!ip) return false;
+
+    // Express reports IPv4 clients on dual-stack sockets as ::ffff:a.b.c.d
+    const address = ip.startsWith('::ffff:') && net.isIPv4(ip.slice(7)) ? ip.slice(7) : ip;
+    const version = net.isIP(address);
+    if (!version) return false;
+
+    const blockList = new net.BlockList();
+    entries.forEach(entry => {
+      const block = this.parse(entry);
+      if (block) blockList.addSubnet(block.address, block.prefix, block.type);
+    });
+
+    return blockList.check(address, version === 4 ? 'ipv4' : 'ipv6');
+  }
+}
+
+module.exports = IPRestrictions;
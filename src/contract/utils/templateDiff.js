@@ -0,0 +1,210 @@
+/**
+ * Contract Template Diff
+ * Compares two rendered contract documents clause by clause, and two sets of
+ * variable definitions field by field.
+ *
+ * A clause is a paragraph, list item, heading or table row of the rendered
+ * document. Clauses are aligned on their text; removed and added clauses
+ * between the same unchanged neighbours are paired as modifications when
+ * they share enough words, and modified clauses carry a word-level diff.
+ */
+
+const BLOCK_END_REGEX = /<\/(p|li|h[1-6]|div|tr|blockquote|pre|section|article)>|<br\s*\/?>/gi;
+const TAG_REGEX = /<[^>]+>/g;
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+// Share of words two clauses must have in common to count as one modified clause
+const MODIFIED_SIMILARITY = 0.5;
+
+// Variable definition fields compared between versions
+const VARIABLE_FIELDS = ['label', 'type', 'required', 'defaultValue', 'options', 'validation'];
+
+class ContractTemplateDiff {
+
+  /**
+   * Split rendered HTML or plain text into clause texts
+   */
+  static splitClauses(content = '') {
+    return content
+      .replace(BLOCK_END_REGEX, '\n\n')
+      .replace(TAG_REGEX, ' ')
+      .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+      .split(/\n\s*\n/)
+      .map(clause => clause.replace(/\s+/g, ' ').trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Longest common subsequence alignment of two lists
+   * @returns {Array} - Operations { type: equal|removed|added, from, to } in document order
+   */
+  static align(from, to, equals = (a, b) => a === b) {
+    const lengths = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+
+    for (let i = from.length - 1; i >= 0; i--) {
+      for (let j = to.length - 1; j >= 0; j--) {
+        lengths[i][j] = equals(from[i], to[j])
+          ? lengths[i + 1][j + 1] + 1
+          : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+    }
+
+    const operations = [];
+    let i = 0;
+    let j = 0;
+    while (i < from.length && j < to.length) {
+      if (equals(from[i], to[j])) {
+        operations.push({ type: 'equal', from: i++, to: j++ });
+      } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+        operations.push({ type: 'removed', from: i++ });
+      } else {
+        operations.push({ type: 'added', to: j++ });
+      }
+    }
+    while (i < from.length) operations.push({ type: 'removed', from: i++ });
+    while (j < to.length) operations.push({ type: 'added', to: j++ });
+
+    return operations;
+  }
+
+  static similarity(a, b) {
+    const wordsA = new Set(a.toLowerCase().split(' '));
+    const wordsB = new Set(b.toLowerCase().split(' '));
+    const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+    return shared / Math.max(wordsA.size, wordsB.size, 1);
+  }
+
+  /**
+   * Word-level diff of a modified clause, with neighbouring words of the
+   * same kind merged into one segment
+   */
+  static diffWords(from, to) {
+    const fromWords = from.split(' ');
+    const toWords = to.split(' ');
+    const segments = [];
+
+    this.align(fromWords, toWords).forEach(operation => {
+      const type = operation.type === 'equal' ? 'unchanged' : operation.type;
+      const word = operation.type === 'added' ? toWords[operation.to] : fromWords[operation.from];
+      const last = segments[segments.length - 1];
+
+      if (last && last.type === type) {
+        last.text += ` ${word}`;
+      } else {
+        segments.push({ type, text: word });
+      }
+    });
+
+    return segments;
+  }
+
+  /**
+   * Clause-level diff of two rendered documents
+   * @param {Object} options - includeUnchanged
+   */
+  static diffContent(fromContent, toContent, options = {}) {
+    const from = this.splitClauses(fromContent);
+    const to = this.splitClauses(toContent);
+    const changes = [];
+
+    let removed = [];
+    let added = [];
+
+    // Pair the removed and added clauses of one gap between unchanged clauses
+    const flush = () => {
+      removed.forEach(removedOp => {
+        const match = added
+          .filter(addedOp => !addedOp.paired)
+          .map(addedOp => ({ addedOp, score: this.similarity(from[removedOp.from], to[addedOp.to]) }))
+          .sort((a, b) => b.score - a.score)[0];
+
+        if (match && match.score >= MODIFIED_SIMILARITY) {
+          match.addedOp.paired = true;
+          removedOp.pairedWith = match.addedOp.to;
+        }
+      });
+
+      const gap = [
+        ...removed.map(op => op.pairedWith !== undefined
+          ? {
+            type: 'modified',
+            fromClause: op.from + 1,
+            toClause: op.pairedWith + 1,
+            from: from[op.from],
+            to: to[op.pairedWith],
+            words: this.diffWords(from[op.from], to[op.pairedWith])
+          }
+          : { type: 'removed', fromClause: op.from + 1, from: from[op.from] }),
+        ...added
+          .filter(op => !op.paired)
+          .map(op => ({ type: 'added', toClause: op.to + 1, to: to[op.to] }))
+      ];
+
+      // Keep the new document's order; removed clauses sit where they were
+      gap.sort((a, b) => (a.toClause ?? a.fromClause) - (b.toClause ?? b.fromClause));
+      changes.push(...gap);
+
+      removed = [];
+      added = [];
+    };
+
+    this.align(from, to).forEach(operation => {
+      if (operation.type === 'removed') {
+        removed.push(operation);
+      } else if (operation.type === 'added') {
+        added.push(operation);
+      } else {
+        flush();
+        if (options.includeUnchanged) {
+          changes.push({ type: 'unchanged', fromClause: operation.from + 1, toClause: operation.to + 1, text: from[operation.from] });
+        }
+      }
+    });
+    flush();
+
+    const count = type => changes.filter(change => change.type === type).length;
+
+    return {
+      summary: {
+        fromClauses: from.length,
+        toClauses: to.length,
+        added: count('added'),
+        removed: count('removed'),
+        modified: count('modified'),
+        unchanged: from.length - count('removed') - count('modified')
+      },
+      changes
+    };
+  }
+
+  /**
+   * Added, removed and changed variable definitions
+   */
+  static diffVariables(fromVariables = [], toVariables = []) {
+    const fromByName = new Map(fromVariables.map(variable => [variable.name, variable]));
+    const toByName = new Map(toVariables.map(variable => [variable.name, variable]));
+    const normalize = value => JSON.stringify(value === undefined ? null : value);
+
+    const changed = [];
+    toVariables.forEach(variable => {
+      const previous = fromByName.get(variable.name);
+      if (!previous) return;
+
+      const fields = VARIABLE_FIELDS
+        .filter(field => normalize(previous[field]) !== normalize(variable[field]))
+        .map(field => ({ field, from: previous[field], to: variable[field] }));
+
+      if (fields.length > 0) {
+        changed.push({ name: variable.name, fields });
+      }
+    });
+
+    return {
+      added: toVariables.filter(variable => !fromByName.has(variable.name)),
+      removed: fromVariables.filter(variable => !toByName.has(variable.name)),
+      changed
+    };
+  }
+}
+
+module.exports = ContractTemplateDiff;
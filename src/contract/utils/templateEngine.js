@@ -0,0 +1,435 @@
+/**
+ * Contract Template Engine
+ * Renders contract templates with conditional sections, loops and
+ * locale-aware formatting.
+ *
+ * Syntax:
+ *   {{name}}                         Value, formatted by its declared type
+ *   {{amount | currency:EUR}}        Value through filters (currency, date, number, percent, upper, lower, default)
+ *   {{{html}}}                       Value without HTML escaping
+ *   {{#if billing_cycle == "annual"}} ... {{else if trial}} ... {{else}} ... {{/if}}
+ *   {{#each line_items as item}} {{@number}}. {{item.description}} {{/each}}
+ *   {{! comment }}
+ */
+
+const TAG_REGEX = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const COMPARISON_REGEX = /^(.+?)\s*(==|!=|>=|<=|>|<)\s*(.+)$/;
+const PATH_REGEX = /^@?[A-Za-z_][\w-]*(\.[\w-]+)*$/;
+const FILTERS = ['currency', 'date', 'number', 'percent', 'upper', 'lower', 'default'];
+const CURRENCY_CODE_REGEX = /^[A-Z]{3}$/;
+
+class ContractTemplateEngine {
+
+  /**
+   * Parse a template into a syntax tree
+   * Throws one error listing every syntax problem found
+   */
+  static parse(source = '') {
+    const root = { type: 'root', body: [] };
+    const stack = [root];
+    const errors = [];
+    let current = root.body;
+    let lastIndex = 0;
+    let match;
+
+    const lineAt = index => source.slice(0, index).split('\n').length;
+
+    TAG_REGEX.lastIndex = 0;
+    while ((match = TAG_REGEX.exec(source)) !== null) {
+      if (match.index > lastIndex) {
+        current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+      }
+      lastIndex = TAG_REGEX.lastIndex;
+
+      const raw = match[1] !== undefined;
+      const tag = (raw ? match[1] : match[2]).trim();
+      const line = lineAt(match.index);
+      const block = stack[stack.length - 1];
+
+      if (tag.startsWith('!')) {
+        continue;
+      }
+
+      if (tag.startsWith('#if ')) {
+        const node = { type: 'if', line, branches: [{ condition: tag.slice(4).trim(), body: [] }], elseBody: null };
+        this.checkExpression(node.branches[0].condition, line, errors);
+        current.push(node);
+        stack.push(node);
+        current = node.branches[0].body;
+      } else if (tag.startsWith('#each ')) {
+        const eachMatch = tag.slice(6).trim().match(/^(\S+)\s+as\s+([A-Za-z_]\w*)$/);
+        if (!eachMatch) {
+          errors.push(`Line ${line}: each blocks must be written as {{#each list as item}}`);
+        }
+        const node = {
+          type: 'each',
+          line,
+          path: eachMatch ? eachMatch[1] : '',
+          alias: eachMatch ? eachMatch[2] : '',
+          body: []
+        };
+        current.push(node);
+        stack.push(node);
+        current = node.body;
+      } else if (tag === 'else' || tag.startsWith('else if ')) {
+        if (block.type !== 'if' || block.elseBody) {
+          errors.push(`Line ${line}: {{${tag}}} without a matching {{#if}}`);
+          continue;
+        }
+        if (tag === 'else') {
+          block.elseBody = [];
+          current = block.elseBody;
+        } else {
+          const branch = { condition: tag.slice(8).trim(), body: [] };
+          this.checkExpression(branch.condition, line, errors);
+          block.branches.push(branch);
+          current = branch.body;
+        }
+      } else if (tag === '/if' || tag === '/each') {
+        const type = tag.slice(1);
+        if (block.type !== type) {
+          errors.push(`Line ${line}: {{${tag}}} does not close an open {{#${type}}}`);
+          continue;
+        }
+        stack.pop();
+        const parent = stack[stack.length - 1];
+        current = this.getOpenBody(parent);
+      } else {
+        const [path, ...filterParts] = tag.split('|').map(part => part.trim());
+        if (!PATH_REGEX.test(path)) {
+          errors.push(`Line ${line}: invalid placeholder {{${tag}}}`);
+          continue;
+        }
+        const filters = filterParts.map(part => {
+          const [name, ...args] = part.split(':');
+          return { name: name.trim(), args: args.join(':').split(',').map(arg => this.unquote(arg.trim())).filter(arg => arg !== '') };
+        });
+        filters
+          .filter(filter => !FILTERS.includes(filter.name))
+          .forEach(filter => errors.push(`Line ${line}: unknown filter "${filter.name}" in {{${tag}}}`));
+        current.push({ type: 'output', line, path, raw, filters });
+      }
+    }
+
+    if (lastIndex < source.length) {
+      current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+
+    stack.slice(1).forEach(block => {
+      errors.push(`Line ${block.line}: {{#${block.type}}} is never closed`);
+    });
+
+    if (errors.length > 0) {
+      const error = new Error(`Template syntax error: ${errors.join('; ')}`);
+      error.syntaxErrors = errors;
+      throw error;
+    }
+
+    return root;
+  }
+
+  /**
+   * Render a template
+   * @param {string} source - Template source
+   * @param {Object} values - Placeholder values
+   * @param {Object} options - locale, currency, variables (declared name/type/defaultValue) and
+   *                           escape (false for plain text output such as titles)
+   */
+  static render(source, values = {}, options = {}) {
+    const tree = this.parse(source);
+    const context = {
+      values,
+      locale: options.locale || 'en-US',
+      currency: options.currency || 'USD',
+      variables: new Map((options.variables || []).map(variable => [variable.name, variable])),
+      escape: options.escape !== false,
+      scopes: []
+    };
+
+    return this.renderNodes(tree.body, context);
+  }
+
+  /**
+   * Root variable names a template reads; loop aliases and loop variables are excluded
+   */
+  static getReferencedVariables(source) {
+    const tree = this.parse(source);
+    const referenced = new Set();
+
+    const addPath = (path, aliases) => {
+      const name = path.split('.')[0];
+      if (!name.startsWith('@') && !aliases.includes(name)) {
+        referenced.add(name);
+      }
+    };
+
+    const addExpression = (expression, aliases) => {
+      this.getExpressionOperands(expression)
+        .filter(operand => PATH_REGEX.test(operand))
+        .forEach(operand => addPath(operand, aliases));
+    };
+
+    const walk = (nodes, aliases) => {
+      nodes.forEach(node => {
+        if (node.type === 'output') {
+          addPath(node.path, aliases);
+        } else if (node.type === 'if') {
+          node.branches.forEach(branch => {
+            addExpression(branch.condition, aliases);
+            walk(branch.body, aliases);
+          });
+          if (node.elseBody) walk(node.elseBody, aliases);
+        } else if (node.type === 'each') {
+          addPath(node.path, aliases);
+          walk(node.body, [...aliases, node.alias]);
+        }
+      });
+    };
+
+    walk(tree.body, []);
+    return [...referenced];
+  }
+
+  static renderNodes(nodes, context) {
+    return nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.value;
+        case 'output': {
+          const output = this.formatOutput(node, context);
+          return node.raw || !context.escape ? output : this.escapeHtml(output);
+        }
+        case 'if': {
+          const branch = node.branches.find(item => this.evaluate(item.condition, context));
+          if (branch) return this.renderNodes(branch.body, context);
+          return node.elseBody ? this.renderNodes(node.elseBody, context) : '';
+        }
+        case 'each': {
+          const list = this.resolve(node.path, context);
+          if (!Array.isArray(list)) return '';
+          return list.map((item, index) => {
+            context.scopes.push({
+              [node.alias]: item,
+              '@index': index,
+              '@number': index + 1,
+              '@first': index === 0,
+              '@last': index === list.length - 1
+            });
+            const output = this.renderNodes(node.body, context);
+            context.scopes.pop();
+            return output;
+          }).join('');
+        }
+        default:
+          return '';
+      }
+    }).join('');
+  }
+
+  /**
+   * Look a path up in the loop scopes, then the values, then declared defaults
+   */
+  static resolve(path, context) {
+    const [name, ...keys] = path.split('.');
+
+    let value;
+    const scope = [...context.scopes].reverse().find(item => Object.prototype.hasOwnProperty.call(item, name));
+    if (scope) {
+      value = scope[name];
+    } else {
+      const variable = context.variables.get(name);
+      value = context.values[name];
+      if ((value === undefined || value === null || value === '') && variable) {
+        value = variable.defaultValue;
+      }
+      if (variable && keys.length === 0) {
+        value = this.coerce(value, variable.type);
+      }
+    }
+
+    return keys.reduce((result, key) => (result === undefined || result === null ? undefined : result[key]), value);
+  }
+
+  static coerce(value, type) {
+    if (value === undefined || value === null || value === '') return value;
+
+    switch (type) {
+      case 'boolean':
+        return value === true || ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+      case 'number':
+      case 'currency':
+        return isNaN(Number(value)) ? value : Number(value);
+      default:
+        return value;
+    }
+  }
+
+  /**
+   * Evaluate an if condition: comparisons joined with && and ||, optionally negated with !
+   */
+  static evaluate(expression, context) {
+    return expression.split('||').some(any => any.split('&&').every(term => {
+      let condition = term.trim();
+      let negate = false;
+      while (condition.startsWith('!')) {
+        negate = !negate;
+        condition = condition.slice(1).trim();
+      }
+
+      const comparison = condition.match(COMPARISON_REGEX);
+      let result;
+      if (comparison) {
+        const left = this.getOperandValue(comparison[1].trim(), context);
+        const right = this.getOperandValue(comparison[3].trim(), context);
+        result = this.compare(left, comparison[2], right);
+      } else {
+        result = this.isTruthy(this.getOperandValue(condition, context));
+      }
+
+      return negate ? !result : result;
+    }));
+  }
+
+  static compare(left, operator, right) {
+    const numeric = left !== '' && right !== '' && !isNaN(Number(left)) && !isNaN(Number(right))
+      && left !== null && right !== null && typeof left !== 'boolean' && typeof right !== 'boolean';
+    const a = numeric ? Number(left) : String(left ?? '');
+    const b = numeric ? Number(right) : String(right ?? '');
+
+    switch (operator) {
+      case '==': return a === b;
+      case '!=': return a !== b;
+      case '>': return a > b;
+      case '>=': return a >= b;
+      case '<': return a < b;
+      case '<=': return a <= b;
+      default: return false;
+    }
+  }
+
+  static isTruthy(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    return !!value && value !== 'false';
+  }
+
+  static getOperandValue(operand, context) {
+    if (/^(['"]).*\1$/.test(operand)) return operand.slice(1, -1);
+    if (/^-?\d+(\.\d+)?$/.test(operand)) return Number(operand);
+    if (operand === 'true') return true;
+    if (operand === 'false') return false;
+    if (operand === 'null') return null;
+    return this.resolve(operand, context);
+  }
+
+  static getExpressionOperands(expression) {
+    return expression
+      .split(/\|\||&&/)
+      .flatMap(term => {
+        const condition = term.trim().replace(/^!+\s*/, '');
+        const comparison = condition.match(COMPARISON_REGEX);
+        return comparison ? [comparison[1].trim(), comparison[3].trim()] : [condition];
+      })
+      .filter(operand => !/^(['"]).*\1$/.test(operand) && !/^-?\d+(\.\d+)?$/.test(operand)
+        && !['true', 'false', 'null'].includes(operand));
+  }
+
+  static checkExpression(expression, line, errors) {
+    if (!expression) {
+      errors.push(`Line ${line}: {{#if}} needs a condition`);
+      return;
+    }
+    this.getExpressionOperands(expression).forEach(operand => {
+      if (!PATH_REGEX.test(operand)) {
+        errors.push(`Line ${line}: invalid condition "${expression}"`);
+      }
+    });
+  }
+
+  static formatOutput(node, context) {
+    let value = this.resolve(node.path, context);
+
+    if (node.filters.length === 0) {
+      const isRootVariable = !node.path.includes('.') && !context.scopes.some(scope => node.path in scope);
+      const variable = isRootVariable ? context.variables.get(node.path) : null;
+      return this.formatValue(value, variable?.type, [], context);
+    }
+
+    node.filters.forEach(filter => {
+      value = filter.name === 'default'
+        ? (value === undefined || value === null || value === '' ? filter.args[0] : value)
+        : this.formatValue(value, filter.name, filter.args, context);
+    });
+
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * Format a value by type using the template locale
+   */
+  static formatValue(value, type, args, context) {
+    if (value === undefined || value === null || value === '') return '';
+
+    switch (type) {
+      case 'currency': {
+        const amount = Number(value);
+        if (isNaN(amount)) return String(value);
+        // A malformed code would make Intl throw, so fall through to the next one
+        const currency = [args[0], context.values.currency, context.currency]
+          .map(code => String(code || '').trim().toUpperCase())
+          .find(code => CURRENCY_CODE_REGEX.test(code));
+        if (!currency) return new Intl.NumberFormat(context.locale).format(amount);
+        return new Intl.NumberFormat(context.locale, { style: 'currency', currency }).format(amount);
+      }
+      case 'number':
+      case 'percent': {
+        const amount = Number(value);
+        if (isNaN(amount)) return String(value);
+        const digits = args[0] !== undefined ? Number(args[0]) : undefined;
+        return new Intl.NumberFormat(context.locale, {
+          style: type === 'percent' ? 'percent' : 'decimal',
+          minimumFractionDigits: digits,
+          maximumFractionDigits: digits
+        }).format(amount);
+      }
+      case 'date': {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return String(value);
+        // Dates are stored as UTC days, so format in UTC to avoid shifting them
+        return new Intl.DateTimeFormat(context.locale, {
+          dateStyle: args[0] || 'long',
+          timeZone: 'UTC'
+        }).format(date);
+      }
+      case 'boolean':
+        return this.isTruthy(value) ? 'Yes' : 'No';
+      case 'upper':
+        return String(value).toUpperCase();
+      case 'lower':
+        return String(value).toLowerCase();
+      default:
+        return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+  }
+
+  static getOpenBody(node) {
+    if (node.type === 'if') {
+      return node.elseBody || node.branches[node.branches.length - 1].body;
+    }
+    return node.body;
+  }
+
+  static unquote(value) {
+    return /^(['"]).*\1$/.test(value) ? value.slice(1, -1) : value;
+  }
+
+  static escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+}
+
+module.exports = ContractTemplateEngine;
@@ -0,0 +1,84 @@
+const SendGridProvider = require('../integrations/providers/SendGridProvider');
+const PostmarkProvider = require('../integrations/providers/PostmarkProvider');
+const TwilioProvider = require('../integrations/providers/TwilioProvider');
+const suppressionService = require('../services/suppression.service');
+
+/**
+ * Communication Webhook Handlers
+ * Bounce, complaint and opt-out events from the email and SMS providers,
+ * recorded on the suppression list
+ */
+
+const recordEvents = async (provider, events) => {
+    const suppressions = await suppressionService.recordEvents(events);
+    console.log(`📭 ${provider} webhook: ${events.length} deliverability events, ${suppressions.length} applied`);
+    return suppressions;
+};
+
+/**
+ * SendGrid Event Webhook (signed)
+ */
+exports.handleSendGridWebhook = async (req, res) => {
+    try {
+        if (!SendGridProvider.verifyWebhook({ rawBody: req.rawBody, headers: req.headers })) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid webhook signature'
+            });
+        }
+
+        const events = SendGridProvider.parseWebhookEvents(req.body);
+        const suppressions = await recordEvents('SendGrid', events);
+
+        res.status(200).json({ success: true, received: events.length, applied: suppressions.length });
+    } catch (error) {
+        console.error('SendGrid webhook error:', error);
+        res.status(500).json({ success: false, message: 'Webhook processing failed' });
+    }
+};
+
+/**
+ * Postmark Bounce, Spam Complaint, Subscription Change and Delivery webhooks
+ */
+exports.handlePostmarkWebhook = async (req, res) => {
+    try {
+        if (!PostmarkProvider.verifyWebhook({ headers: req.headers })) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid webhook token'
+            });
+        }
+
+        const events = PostmarkProvider.parseWebhookEvents(req.body || {});
+        const suppressions = await recordEvents('Postmark', events);
+
+        res.status(200).json({ success: true, received: events.length, applied: suppressions.length });
+    } catch (error) {
+        console.error('Postmark webhook error:', error);
+        res.status(500).json({ success: false, message: 'Webhook processing failed' });
+    }
+};
+
+/**
+ * Twilio inbound messages (STOP/START) and status callbacks
+ * The signature covers the public URL, which TWILIO_WEBHOOK_URL overrides
+ * when the app sits behind a proxy
+ */
+exports.handleTwilioWebhook = async (req, res) => {
+    try {
+        const url = process.env.TWILIO_WEBHOOK_URL || `${req.protocol}://${req.get('host')}${req.originalUrl}`;
+
+        if (!TwilioProvider.verifyWebhook({ url, params: req.body || {}, headers: req.headers })) {
+            return res.status(401).type('text/plain').send('Invalid webhook signature');
+        }
+
+        const events = TwilioProvider.parseWebhookEvents(req.body || {});
+        await recordEvents('Twilio', events);
+
+        // Empty TwiML: no reply beyond Twilio's own opt-out confirmation
+        res.status(200).type('text/xml').send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
+    } catch (error) {
+        console.error('Twilio webhook error:', error);
+        res.status(500).type('text/plain').send('Webhook processing failed');
+    }
+};
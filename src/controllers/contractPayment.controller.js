@@ -5,6 +5,10 @@ const Transaction = require("../transaction/models/transaction.model");
 const PAYMENT_BRANDING = require("../config/paymentBranding");
 const crypto = require("crypto");
 const emailService = require("../services/emailService");
+const { DiscountCode } = require("../payment/models/discount.model");
+const DiscountVelocityService = require("../payment/services/discountVelocity.service");
+
+const velocityService = new DiscountVelocityService();
 
 // Initialize Stripe - env vars already loaded by index.js
 const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
@@ -158,6 +162,62 @@ const resolveSubscriptionWithDatabase = async (subscriptionName, normalizedProdu
   return { subscriptionName: finalSubscriptionName, plan: actualPlan };
 };
 
+// Reserve a redemption of a discount code against its hourly, daily and per-session limits
+// before taking the payment. The reservation is the redemption count; validation only reads
+// the counters, so release the reservation if the payment does not go through.
+const reserveDiscountRedemption = async (discountCode, req) => {
+  const discount = await DiscountCode.findOne({ code: discountCode.toUpperCase() }).select("_id code usageLimits");
+  if (!discount) return { allowed: true, counterKeys: [] };
+
+  // Same limits and context validateDiscountCode checks
+  return velocityService.reserveRedemption(discount, {
+    perHour: discount.usageLimits?.perHour,
+    perDay: discount.usageLimits?.perDay,
+    perSession: discount.usageLimits?.perSession
+  }, {
+    ipAddress: req.ip,
+    userAgent: req.get("User-Agent"),
+    sessionId: req.body?.sessionId || req.get("X-Session-Id")
+  });
+};
+
+const releaseDiscountRedemption = async (counterKeys) => {
+  try {
+    await velocityService.releaseRedemption(counterKeys);
+  } catch (error) {
+    // The counters expire with their window, so a missed release only delays the code
+    console.error("Failed to release discount redemption:", error);
+  }
+};
+
+// Give back the redemption reserved for a contract's Stripe payment intent
+// (any intent when paymentIntentId is omitted). Taking it off the contract
+// first means two requests can never release it twice.
+const releaseContractDiscountReservation = async (contractId, paymentIntentId) => {
+  const filter = { _id: contractId, "discountReservation.counterKeys.0": { $exists: true } };
+  if (paymentIntentId) {
+    filter["discountReservation.paymentIntentId"] = paymentIntentId;
+  }
+
+  const previous = await SignedContract.findOneAndUpdate(
+    filter,
+    { $unset: { discountReservation: 1 } },
+    { new: false }
+  ).select("discountReservation");
+
+  if (previous) {
+    await releaseDiscountRedemption(previous.discountReservation.counterKeys);
+  }
+};
+
+const discountLimitReachedResponse = (reservation) => ({
+  success: false,
+  message: reservation.breaches[0]?.type === "session_limit"
+    ? "Discount code has already been used in this session"
+    : "Discount code is temporarily unavailable. Please try again later.",
+  availableAt: reservation.nextAllowedAt
+});
+
 // Helper function to handle user account creation/update after successful payment
 const handlePostPaymentUserAccount = async (contract) => {
   try {
@@ -579,6 +639,9 @@ exports.createContractOrder = async (req, res) => {
 
 // ✅ Capture Contract Order
 exports.captureContractOrder = async (req, res) => {
+  // Redemption reserved for this capture, released if the capture fails
+  let discountReservation = null;
+
   try {
     const { orderId } = req.params;
     const { contractId, subscriptionType = "monthly", discountCode, discountAmount, amount } = req.body; // Get discount info and amount from request
@@ -665,6 +728,13 @@ exports.captureContractOrder = async (req, res) => {
       });
     }
 
+    if (discountCode && discountAmount) {
+      discountReservation = await reserveDiscountRedemption(discountCode, req);
+      if (!discountReservation.allowed) {
+        return res.status(429).json(discountLimitReachedResponse(discountReservation));
+      }
+    }
+
     const accessToken = await generateAccessToken();
 
     const response = await axios.post(
@@ -680,6 +750,9 @@ exports.captureContractOrder = async (req, res) => {
 
     // Check if payment was successful
     if (response.data.status === "COMPLETED") {
+      // The payment went through, so the reservation now counts the redemption
+      discountReservation = null;
+
       // Get pricing information with normalized product type
       const normalizedProductType = normalizeProductType(contract.productType);
       const productInfo = PRODUCT_PRICING[normalizedProductType];
@@ -958,6 +1031,10 @@ exports.captureContractOrder = async (req, res) => {
         },
       });
     } else {
+      if (discountReservation) {
+        await releaseDiscountRedemption(discountReservation.counterKeys);
+      }
+
       res.status(400).json({
         success: false,
         message: "Payment was not completed",
@@ -967,6 +1044,10 @@ exports.captureContractOrder = async (req, res) => {
   } catch (error) {
     console.error("PayPal Capture Error:", error);
 
+    if (discountReservation) {
+      await releaseDiscountRedemption(discountReservation.counterKeys);
+    }
+
     // Update contract status to cancelled on payment failure
     if (req.body.contractId) {
       await SignedContract.findByIdAndUpdate(req.body.contractId, {
@@ -1248,25 +1329,53 @@ exports.createStripePaymentIntent = async (req, res) => {
       productType: contract.productType
     });
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(parseFloat(finalPrice) * 100), // Convert to cents with discount applied
-      currency: "usd",
-      metadata: {
-        contractId: contract._id.toString(),
-        userId: userId || "guest",
-        productType: contract.productType,
-        subscriptionType: subscriptionType,
-        ...PAYMENT_BRANDING.stripe.metadata,
-        productName: productName,
-        ...(discountCode && { discountCode }),
-        ...(discountAmount && { discountAmount: discountAmount.toString() }),
-        ...(discountAmount && { originalPrice: price.toString() }),
-      },
-      description: productDescription,
-      statement_descriptor: PAYMENT_BRANDING.stripe.statementDescriptor,
-      statement_descriptor_suffix: statementSuffix,
-      receipt_email: receiptEmail,
-    });
+    // A retried checkout replaces the previous intent, so give back its redemption first
+    await releaseContractDiscountReservation(contract._id);
+
+    let discountReservation = null;
+    if (discountCode && discountAmount) {
+      discountReservation = await reserveDiscountRedemption(discountCode, req);
+      if (!discountReservation.allowed) {
+        return res.status(429).json(discountLimitReachedResponse(discountReservation));
+      }
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(parseFloat(finalPrice) * 100), // Convert to cents with discount applied
+        currency: "usd",
+        metadata: {
+          contractId: contract._id.toString(),
+          userId: userId || "guest",
+          productType: contract.productType,
+          subscriptionType: subscriptionType,
+          ...PAYMENT_BRANDING.stripe.metadata,
+          productName: productName,
+          ...(discountCode && { discountCode }),
+          ...(discountAmount && { discountAmount: discountAmount.toString() }),
+          ...(discountAmount && { originalPrice: price.toString() }),
+        },
+        description: productDescription,
+        statement_descriptor: PAYMENT_BRANDING.stripe.statementDescriptor,
+        statement_descriptor_suffix: statementSuffix,
+        receipt_email: receiptEmail,
+      });
+    } catch (stripeError) {
+      if (discountReservation) {
+        await releaseDiscountRedemption(discountReservation.counterKeys);
+      }
+      throw stripeError;
+    }
+
+    // The card is charged in the browser, so the reservation stays with the
+    // contract until the intent succeeds or is cancelled
+    if (discountReservation?.counterKeys.length) {
+      await SignedContract.updateOne(
+        { _id: contract._id },
+        { discountReservation: { paymentIntentId: paymentIntent.id, counterKeys: discountReservation.counterKeys } }
+      );
+    }
 
     res.json({
       success: true,
@@ -1334,13 +1443,26 @@ exports.confirmStripePayment = async (req, res) => {
 
     if (isFreeSubscription) {
       console.log("✅ Processing free subscription");
-      // For free subscriptions, no Stripe payment intent exists
+      // For free subscriptions, no Stripe payment intent exists, so nothing
+      // reserved the discount redemption yet
+      if (discountCode && discountAmount) {
+        const discountReservation = await reserveDiscountRedemption(discountCode, req);
+        if (!discountReservation.allowed) {
+          return res.status(429).json(discountLimitReachedResponse(discountReservation));
+        }
+      }
     } else {
       // Retrieve payment intent from Stripe for paid subscriptions
       const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
       paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
       if (paymentIntent.status !== "succeeded") {
+        // A failed attempt leaves the intent open for another card, so only
+        // a cancelled intent gives the redemption back
+        if (paymentIntent.status === "canceled") {
+          await releaseContractDiscountReservation(contract._id, paymentIntent.id);
+        }
+
         return res.status(400).json({
           success: false,
           message: "Payment not completed",
@@ -1466,9 +1588,10 @@ exports.confirmStripePayment = async (req, res) => {
       updateData.originalPrice = price;
     }
 
+    // The reservation made with the payment intent now counts the redemption
     const updatedContract = await SignedContract.findByIdAndUpdate(
       contractId,
-      updateData,
+      { ...updateData, $unset: { discountReservation: 1 } },
       { new: true }
     );
 
@@ -1719,6 +1842,11 @@ exports.completeFreeOrder = async (req, res) => {
       });
     }
 
+    const discountReservation = await reserveDiscountRedemption(discountCode, req);
+    if (!discountReservation.allowed) {
+      return res.status(429).json(discountLimitReachedResponse(discountReservation));
+    }
+
     // Mark contract as paid (use "completed" status - valid enum value)
     contract.paymentStatus = "paid";
     contract.status = "completed";
@@ -1733,7 +1861,12 @@ exports.completeFreeOrder = async (req, res) => {
     contract.discount.amount = discountAmount;
     contract.discount.appliedAt = new Date();
 
-    await contract.save();
+    try {
+      await contract.save();
+    } catch (saveError) {
+      await releaseDiscountRedemption(discountReservation.counterKeys);
+      throw saveError;
+    }
 
     console.log("✅ Contract marked as paid (free order):", contract._id);
 
@@ -1,4 +1,5 @@
 const Notification = require('../models/notification.model');
+const notificationPreferences = require('../services/notificationPreference.service');
 
 /**
  * @desc Get user notifications
@@ -256,3 +257,94 @@ exports.deleteAllNotifications = async (req, res) => {
         });
     }
 };
+
+/**
+ * @desc Get the user's notification preferences per channel and category
+ * @route GET /api/notifications/preferences
+ * @access Private
+ */
+exports.getPreferences = async (req, res) => {
+    try {
+        const preferences = await notificationPreferences.getPreferences(req.user._id);
+
+        res.status(200).json({
+            success: true,
+            data: preferences
+        });
+    } catch (error) {
+        console.error('Error getting notification preferences:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to retrieve notification preferences',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc Update notification preferences
+ * @route PUT /api/notifications/preferences
+ * @access Private
+ */
+exports.updatePreferences = async (req, res) => {
+    try {
+        const preferences = await notificationPreferences.updatePreferences(req.user._id, req.body.preferences || req.body);
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated successfully',
+            data: preferences
+        });
+    } catch (error) {
+        console.error('Error updating notification preferences:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to update notification preferences',
+            error: error.message
+        });
+    }
+};
+
+/**
+ * @desc Unsubscribe link in an email. Changes nothing: link scanners and
+ * prefetchers follow GET links, so the user is sent to a confirmation page
+ * in the preference center, which confirms with POST
+ * @route GET /api/notifications/unsubscribe?token=
+ * @access Public (signed token)
+ */
+exports.showUnsubscribe = (req, res) => {
+    const preferenceCenterUrl = notificationPreferences.getPreferenceCenterUrl();
+    const claims = notificationPreferences.verifyUnsubscribeToken(req.query.token);
+
+    if (!claims) {
+        return res.redirect(302, `${preferenceCenterUrl}?error=invalid_link`);
+    }
+
+    const query = new URLSearchParams({ unsubscribe: req.query.token, category: claims.category });
+    res.redirect(302, `${preferenceCenterUrl}?${query}`);
+};
+
+/**
+ * @desc Confirm an unsubscribe, from the confirmation page or as a one-click
+ * unsubscribe from the List-Unsubscribe-Post header (RFC 8058)
+ * @route POST /api/notifications/unsubscribe?token=
+ * @access Public (signed token)
+ */
+exports.confirmUnsubscribe = async (req, res) => {
+    try {
+        const via = req.body?.['List-Unsubscribe'] === 'One-Click' ? 'list_unsubscribe' : 'unsubscribe_link';
+        const result = await notificationPreferences.unsubscribe(req.query.token || req.body?.token, via);
+
+        res.status(200).json({
+            success: true,
+            message: 'Unsubscribed successfully',
+            data: { category: result.category }
+        });
+    } catch (error) {
+        console.error('Error processing unsubscribe:', error.message);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            message: error.statusCode ? error.message : 'Failed to unsubscribe'
+        });
+    }
+};
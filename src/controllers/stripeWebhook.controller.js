@@ -2,6 +2,10 @@
 const User = require('../user/models/user.model');
 const Transaction = require('../transaction/models/transaction.model');
 const paymentTransactionService = require('../transaction/services/paymentTransaction.service');
+const FailedPayment = require('../payment/models/failedPayment.model');
+const DunningEngineService = require('../payment/services/dunningEngine.service');
+
+const dunningEngine = new DunningEngineService();
 
 /**
  * Stripe Recurring Subscription Webhook Handler
@@ -263,6 +267,9 @@ async function handleInvoicePaymentSucceeded(invoice) {
 
         console.log('✅ Recurring payment processed successfully for subscription:', subscription._id);
 
+        // A successful charge ends any dunning still running for this subscription
+        await dunningEngine.stopForSubscription(subscription._id, 'recovered');
+
         // TODO: Send payment success email to user
         // TODO: Update user access/permissions if needed
 
@@ -305,9 +312,23 @@ async function handleInvoicePaymentFailed(invoice) {
             responseMessage: invoice.last_finalization_error?.message || 'Payment failed'
         };
 
-        // TODO: Log failed payment
-        // TODO: Send payment failure email to user
-        // TODO: Implement dunning management (retry logic)
+        // Record the failure and start the default dunning campaign
+        const user = subscription.userId;
+        let failedPayment = await FailedPayment.findOne({ externalInvoiceId: invoice.id });
+        if (!failedPayment) {
+            failedPayment = await FailedPayment.create({
+                customer: String(user?._id || invoice.customer),
+                userId: user?._id,
+                subscriptionId: subscription._id,
+                externalInvoiceId: invoice.id,
+                externalInvoiceProvider: 'stripe',
+                amount: paymentData.amount,
+                currency: paymentData.currency,
+                reason: paymentData.responseMessage,
+                status: 'failed'
+            });
+        }
+        await dunningEngine.enroll(failedPayment);
 
         console.log('⚠️ Payment failed for subscription:', subscription._id,
             `Attempts: ${subscription.billingAttempts}`);
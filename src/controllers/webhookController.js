@@ -167,6 +167,13 @@ exports.updateWebhook = async (req, res) => {
         if (enabled !== undefined) {
             webhook.enabled = enabled;
             webhook.status = enabled ? 'active' : 'disabled';
+
+            // Re-enabling clears an automatic disable
+            if (enabled) {
+                webhook.consecutiveFailures = 0;
+                webhook.disabledAt = null;
+                webhook.disabledReason = null;
+            }
         }
         if (retryPolicy !== undefined) webhook.retryPolicy = retryPolicy;
         if (maxRetries !== undefined) webhook.maxRetries = maxRetries;
@@ -304,7 +311,7 @@ exports.testWebhook = async (req, res) => {
         };
 
         // Deliver webhook
-        const result = await deliverWebhook(webhook, testEvent, testPayload, true);
+        const result = await deliverWebhook(webhook, testEvent, testPayload, { isTest: true });
 
         res.status(200).json({
             success: result.success,
@@ -361,124 +368,249 @@ exports.getWebhookDeliveries = async (req, res) => {
     }
 };
 
-// Helper function to deliver webhook
-async function deliverWebhook(webhook, event, payload, isTest = false) {
-    const startTime = Date.now();
-    let attempt = 1;
-    let lastError = null;
-
-    while (attempt <= (isTest ? 1 : webhook.maxRetries)) {
-        try {
-            // Create signature
-            const signature = createSignature(webhook.secret, payload);
-
-            // Prepare headers
-            const headers = {
-                'Content-Type': 'application/json',
-                'X-Webhook-Signature': signature,
-                'X-Webhook-Event': event,
-                'X-Webhook-Attempt': attempt.toString(),
-                'User-Agent': 'Eagle-Webhook/1.0'
-            };
-
-            // Add custom auth headers
-            if (webhook.authHeaders && webhook.authHeaders.length > 0) {
-                webhook.authHeaders.forEach(header => {
-                    headers[header.name] = header.value;
-                });
-            }
+// @desc    Get webhook outbox entries (pending, delivered and dead-lettered deliveries)
+// @route   GET /api/webhooks/:id/outbox
+// @access  Private (Admin/Super Admin)
+exports.getWebhookOutbox = async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            createdBy: req.user._id
+        });
 
-            // Make HTTP request
-            const response = await axios.post(webhook.url, payload, {
-                headers,
-                timeout: webhook.timeout * 1000,
-                validateStatus: () => true, // Accept all status codes
-                httpsAgent: webhook.verifySsl ? undefined : new (require('https').Agent)({
-                    rejectUnauthorized: false
-                })
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
             });
+        }
 
-            const duration = Date.now() - startTime;
-            const success = response.status >= 200 && response.status < 300;
-
-            // Log delivery
-            if (!isTest) {
-                await WebhookDelivery.create({
-                    webhook: webhook._id,
-                    event,
-                    payload,
-                    statusCode: response.status,
-                    response: JSON.stringify(response.data).substring(0, 5000),
-                    duration,
-                    success,
-                    attempt
-                });
+        const result = await getOutboxService().getOutbox(webhook._id, {
+            status: req.query.status,
+            page: parseInt(req.query.page) || 1,
+            limit: Math.min(parseInt(req.query.limit) || 20, 100)
+        });
 
-                // Update webhook stats
-                webhook.lastDelivery = new Date();
-                webhook.deliveryStats.total += 1;
-                if (success) {
-                    webhook.deliveryStats.successful += 1;
-                } else {
-                    webhook.deliveryStats.failed += 1;
-                }
-                await webhook.save();
-            }
+        res.status(200).json({
+            success: true,
+            count: result.entries.length,
+            pagination: { page: result.page, pages: result.pages, total: result.total },
+            data: result.entries
+        });
+    } catch (error) {
+        console.error('Get outbox error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrieve webhook outbox',
+            error: error.message
+        });
+    }
+};
 
-            if (success) {
-                return {
-                    success: true,
-                    statusCode: response.status,
-                    response: response.data,
-                    duration,
-                    attempt
-                };
-            }
+// @desc    Replay a single webhook delivery
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/replay
+// @access  Private (Admin/Super Admin)
+exports.replayDelivery = async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            createdBy: req.user._id
+        });
 
-            lastError = `HTTP ${response.status}: ${response.statusText}`;
-
-        } catch (error) {
-            const duration = Date.now() - startTime;
-            lastError = error.message;
-
-            // Log failed delivery
-            if (!isTest) {
-                await WebhookDelivery.create({
-                    webhook: webhook._id,
-                    event,
-                    payload,
-                    statusCode: error.response?.status || 0,
-                    response: error.response?.data ? JSON.stringify(error.response.data).substring(0, 5000) : null,
-                    duration,
-                    success: false,
-                    attempt,
-                    error: error.message
-                });
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
+        }
 
-                webhook.deliveryStats.total += 1;
-                webhook.deliveryStats.failed += 1;
-                await webhook.save();
-            }
+        const replay = await getOutboxService().replay(webhook._id, req.params.deliveryId, req.user._id);
+
+        if (!replay) {
+            return res.status(404).json({
+                success: false,
+                message: 'Delivery not found'
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            message: webhook.enabled
+                ? 'Delivery queued for replay'
+                : 'Delivery queued for replay; it will be dead-lettered unless the webhook is re-enabled',
+            data: replay
+        });
+    } catch (error) {
+        console.error('Replay delivery error:', error);
+
+        if (error.name === 'CastError') {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid delivery ID'
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            message: 'Failed to replay delivery',
+            error: error.message
+        });
+    }
+};
+
+// @desc    Replay webhook deliveries in a time range
+// @route   POST /api/webhooks/:id/deliveries/replay
+// @access  Private (Admin/Super Admin)
+exports.replayDeliveries = async (req, res) => {
+    try {
+        const webhook = await Webhook.findOne({
+            _id: req.params.id,
+            createdBy: req.user._id
+        });
+
+        if (!webhook) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook not found'
+            });
         }
 
-        // Calculate retry delay
-        if (attempt < webhook.maxRetries) {
-            const delay = webhook.retryPolicy === 'exponential'
-                ? Math.min(1000 * Math.pow(2, attempt - 1), 30000) // Max 30 seconds
-                : 5000; // 5 seconds for linear
+        const { from, to, status = 'dead_letter', event } = req.body;
+        const fromDate = new Date(from);
+        const toDate = to ? new Date(to) : new Date();
 
-            await new Promise(resolve => setTimeout(resolve, delay));
+        if (!from || isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide a valid time range (from, to)'
+            });
         }
 
-        attempt++;
+        if (!['dead_letter', 'delivered', 'all'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Status must be one of: dead_letter, delivered, all'
+            });
+        }
+
+        const replays = await getOutboxService().replayRange(webhook._id, {
+            from: fromDate,
+            to: toDate,
+            status,
+            event
+        }, req.user._id);
+
+        res.status(202).json({
+            success: true,
+            message: `${replays.length} deliveries queued for replay`,
+            count: replays.length
+        });
+    } catch (error) {
+        console.error('Bulk replay error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to replay deliveries',
+            error: error.message
+        });
+    }
+};
+
+// The outbox service delivers through deliverWebhook below, so it is required lazily
+function getOutboxService() {
+    return require('../services/webhookOutbox.service');
+}
+
+// Helper function to deliver webhook
+// Makes a single attempt; retries are scheduled by the webhook outbox worker
+async function deliverWebhook(webhook, event, payload, options = {}) {
+    const { isTest = false, attempt = 1, outboxId = null } = options;
+    const startTime = Date.now();
+    let statusCode = 0;
+    let responseData = null;
+    let error = null;
+
+    try {
+        // Create signature
+        const signature = createSignature(webhook.secret, payload);
+
+        // Prepare headers
+        const headers = {
+            'Content-Type': 'application/json',
+            'X-Webhook-Signature': signature,
+            'X-Webhook-Event': event,
+            'X-Webhook-Attempt': attempt.toString(),
+            'User-Agent': 'Eagle-Webhook/1.0'
+        };
+
+        if (outboxId) {
+            headers['X-Webhook-Delivery'] = outboxId.toString();
+        }
+
+        // Add custom auth headers
+        if (webhook.authHeaders && webhook.authHeaders.length > 0) {
+            webhook.authHeaders.forEach(header => {
+                headers[header.name] = header.value;
+            });
+        }
+
+        // Make HTTP request
+        const response = await axios.post(webhook.url, payload, {
+            headers,
+            timeout: webhook.timeout * 1000,
+            validateStatus: () => true, // Accept all status codes
+            httpsAgent: webhook.verifySsl ? undefined : new (require('https').Agent)({
+                rejectUnauthorized: false
+            })
+        });
+
+        statusCode = response.status;
+        responseData = response.data;
+
+        if (response.status < 200 || response.status >= 300) {
+            error = `HTTP ${response.status}: ${response.statusText}`;
+        }
+    } catch (err) {
+        statusCode = err.response?.status || 0;
+        responseData = err.response?.data || null;
+        error = err.message;
+    }
+
+    const duration = Date.now() - startTime;
+    const success = !error;
+
+    // Log delivery
+    if (!isTest) {
+        await WebhookDelivery.create({
+            webhook: webhook._id,
+            outbox: outboxId,
+            event,
+            payload,
+            statusCode,
+            response: responseData ? JSON.stringify(responseData).substring(0, 5000) : null,
+            duration,
+            success,
+            attempt,
+            error: error ? error.substring(0, 1000) : undefined
+        });
+
+        // Update webhook stats
+        await Webhook.updateOne({ _id: webhook._id }, {
+            $set: { lastDelivery: new Date() },
+            $inc: {
+                'deliveryStats.total': 1,
+                'deliveryStats.successful': success ? 1 : 0,
+                'deliveryStats.failed': success ? 0 : 1
+            }
+        });
     }
 
     return {
-        success: false,
-        statusCode: 0,
-        error: lastError,
-        duration: Date.now() - startTime,
-        attempt: attempt - 1
+        success,
+        statusCode,
+        response: responseData,
+        duration,
+        attempt,
+        error
     };
 }
 
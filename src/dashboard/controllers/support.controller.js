@@ -1,4 +1,5 @@
 const supportService = require('../services/support.service');
+const suppressionService = require('../../services/suppression.service');
 const asyncHandler = require('../../../utils/asyncHandler');
 const ApiError = require('../../../utils/ApiError');
 const ApiResponse = require('../../../utils/ApiResponse');
@@ -471,6 +472,11 @@ const sendEmail = asyncHandler(async (req, res) => {
 
   const { to, subject, message, isHtml = false } = req.body;
 
+  const suppression = await suppressionService.getActiveSuppression('EMAIL', to);
+  if (suppression) {
+    throw new ApiError(409, `${to} is on the suppression list (${suppression.reason})`);
+  }
+
   try {
     // Mock email sending for now
     // In a real implementation, you would use the emailService
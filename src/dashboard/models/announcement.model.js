@@ -1,4 +1,13 @@
 const mongoose = require('mongoose');
+const notificationPreferences = require('../../services/notificationPreference.service');
+
+// Announcement type => notification preference category; service notices
+// (warning, error, maintenance) are shown regardless of preferences
+const PREFERENCE_CATEGORIES = {
+  promotional: 'marketing',
+  info: 'productAlerts',
+  success: 'productAlerts'
+};
 
 const announcementSchema = new mongoose.Schema({
   // Basic Information
@@ -279,6 +288,11 @@ announcementSchema.methods.isTargetedToUser = function(user, page = null) {
     }
   }
   
+  // Respect the user's in-app opt-outs
+  if (!notificationPreferences.isAllowed(user, 'inApp', this.getPreferenceCategory())) {
+    return false;
+  }
+  
   // Check specific user targeting
   if (this.targetUserIds.length > 0) {
     return this.targetUserIds.some(id => id.equals(user._id));
@@ -292,6 +306,10 @@ announcementSchema.methods.isTargetedToUser = function(user, page = null) {
   return this.targetSegments.some(segment => userSegments.includes(segment));
 };
 
+announcementSchema.methods.getPreferenceCategory = function() {
+  return PREFERENCE_CATEGORIES[this.type] || 'transactional';
+};
+
 announcementSchema.methods.getUserSegments = function(user) {
   const segments = [];
   
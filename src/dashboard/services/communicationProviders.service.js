@@ -1,5 +1,9 @@
 const IntegrationConfig = require('../models/integrationConfig.model');
 const { logger } = require('../utils/logger');
+const suppressionService = require('../../services/suppression.service');
+const SendGridEvents = require('../../integrations/providers/SendGridProvider');
+const PostmarkEvents = require('../../integrations/providers/PostmarkProvider');
+const TwilioEvents = require('../../integrations/providers/TwilioProvider');
 
 /**
  * Base Communication Provider
@@ -272,6 +276,11 @@ class SendGridProvider extends BaseCommunicationProvider {
           case 'bounce':
             await this.handleEmailBounced(event);
             break;
+          case 'dropped':
+          case 'spamreport':
+          case 'unsubscribe':
+            await this.handleEmailSuppressed(event);
+            break;
           case 'open':
             await this.handleEmailOpened(event);
             break;
@@ -309,6 +318,17 @@ class SendGridProvider extends BaseCommunicationProvider {
       reason: event.reason,
       timestamp: event.timestamp
     });
+    await suppressionService.recordEvents(SendGridEvents.parseWebhookEvents([event]));
+  }
+
+  async handleEmailSuppressed(event) {
+    logger.warn(`Email ${event.event}:`, {
+      messageId: event.sg_message_id,
+      email: event.email,
+      reason: event.reason,
+      timestamp: event.timestamp
+    });
+    await suppressionService.recordEvents(SendGridEvents.parseWebhookEvents([event]));
   }
 
   async handleEmailOpened(event) {
@@ -472,6 +492,10 @@ class PostmarkProvider extends BaseCommunicationProvider {
         case 'Bounce':
           await this.handleEmailBounced(event);
           break;
+        case 'SpamComplaint':
+        case 'SubscriptionChange':
+          await this.handleEmailSuppressed(event);
+          break;
         case 'Open':
           await this.handleEmailOpened(event);
           break;
@@ -510,6 +534,16 @@ class PostmarkProvider extends BaseCommunicationProvider {
       description: event.Description,
       timestamp: event.BouncedAt
     });
+    await suppressionService.recordEvents(PostmarkEvents.parseWebhookEvents(event));
+  }
+
+  async handleEmailSuppressed(event) {
+    logger.warn(`Email ${event.RecordType}:`, {
+      messageId: event.MessageID,
+      email: event.Email || event.Recipient,
+      timestamp: event.BouncedAt || event.ChangedAt
+    });
+    await suppressionService.recordEvents(PostmarkEvents.parseWebhookEvents(event));
   }
 
   async handleEmailOpened(event) {
@@ -693,6 +727,7 @@ class TwilioProvider extends BaseCommunicationProvider {
       errorCode: event.ErrorCode,
       errorMessage: event.ErrorMessage
     });
+    await suppressionService.recordEvents(TwilioEvents.parseWebhookEvents(event));
   }
 
   async handleMessageUndelivered(event) {
@@ -701,6 +736,7 @@ class TwilioProvider extends BaseCommunicationProvider {
       to: event.To,
       errorCode: event.ErrorCode
     });
+    await suppressionService.recordEvents(TwilioEvents.parseWebhookEvents(event));
   }
 }
 
@@ -4,6 +4,7 @@
  */
 
 const nodemailer = require('nodemailer');
+const suppressionService = require('../../services/suppression.service');
 
 class EmailService {
   constructor() {
@@ -33,13 +34,17 @@ class EmailService {
     try {
       const { to, subject, text, html, from } = options;
       
-      const mailOptions = {
+      const { message: mailOptions } = await suppressionService.filterEmailMessage({
         from: from || process.env.FROM_EMAIL || 'noreply@example.com',
         to,
         subject,
         text,
         html
-      };
+      });
+      if (!mailOptions) {
+        console.warn(`Email to ${to} not sent: on the suppression list`);
+        return false;
+      }
 
       // In development mode, just log the email
       if (process.env.NODE_ENV === 'development') {
@@ -4,6 +4,7 @@
  */
 
 const nodemailer = require('nodemailer');
+const suppressionService = require('../../services/suppression.service');
 
 class NotificationService {
   constructor() {
@@ -54,13 +55,17 @@ class NotificationService {
    */
   async sendEmail(to, subject, text, html = null) {
     try {
-      const mailOptions = {
+      const { message: mailOptions } = await suppressionService.filterEmailMessage({
         from: process.env.FROM_EMAIL || 'noreply@example.com',
         to,
         subject,
         text,
         html
-      };
+      });
+      if (!mailOptions) {
+        console.warn(`Email to ${to} not sent: on the suppression list`);
+        return false;
+      }
 
       await this.emailTransporter.sendMail(mailOptions);
       console.log(`Email sent to ${to}: ${subject}`);
@@ -140,6 +140,7 @@ class BasePaymentProcessor {
       return this.formatResponse(false, null, {
         message: error.message,
         code: error.code || 'UNKNOWN_ERROR',
+        declineCode: error.decline_code || error.declineCode || null,
         provider: this.provider
       });
     }
@@ -0,0 +1,42 @@
+/**
+ * Eagle Base Tax ID Verifier Adapter
+ * Abstract base class for registry lookups of VAT/GST numbers
+ *
+ * verify() resolves to { status, name, address, consultationNumber, checkedAt, raw }
+ * where status is one of:
+ *   valid       - the registry confirms the number is registered
+ *   invalid     - the registry says it is not
+ *   unavailable - the registry could not be reached or answered with an error
+ */
+
+class BaseTaxIdVerifier {
+  constructor(config = {}) {
+    this.config = config;
+    this.provider = config.provider;
+    this.timeoutMs = config.timeoutMs || 10000;
+  }
+
+  // Abstract methods
+  supports(country) {
+    throw new Error('supports method must be implemented');
+  }
+
+  async verify(check, requester = {}) {
+    throw new Error('verify method must be implemented');
+  }
+
+  formatResult(status, details = {}) {
+    return {
+      provider: this.provider,
+      status,
+      name: details.name || null,
+      address: details.address || null,
+      consultationNumber: details.consultationNumber || null,
+      error: details.error || null,
+      checkedAt: details.checkedAt || new Date(),
+      raw: details.raw || null
+    };
+  }
+}
+
+module.exports = BaseTaxIdVerifier;
@@ -95,7 +95,10 @@ class BraintreePaymentProcessor extends BasePaymentProcessor {
       const result = await this.gateway.transaction.sale(transactionData);
 
       if (!result.success) {
-        throw new Error(result.message || 'Transaction failed');
+        const error = new Error(result.message || 'Transaction failed');
+        error.code = result.transaction?.status || 'processor_declined';
+        error.declineCode = result.transaction?.processorResponseCode || null;
+        throw error;
       }
 
       const transaction = result.transaction;
@@ -0,0 +1,161 @@
+/**
+ * Eagle Local Payment Processor Adapter
+ * Offline stand-in that mimics processor behaviour for development and testing
+ */
+
+const crypto = require('crypto');
+const BasePaymentProcessor = require('./BasePaymentProcessor');
+
+// Test tokens follow Stripe's naming so the same fixtures work against both
+const DECLINE_TOKENS = {
+  pm_card_chargeDeclined: { code: 'card_declined', declineCode: 'generic_decline', message: 'Your card was declined.' },
+  pm_card_insufficientFunds: { code: 'card_declined', declineCode: 'insufficient_funds', message: 'Your card has insufficient funds.' },
+  pm_card_lostCard: { code: 'card_declined', declineCode: 'lost_card', message: 'Your card was declined.' },
+  pm_card_stolenCard: { code: 'card_declined', declineCode: 'stolen_card', message: 'Your card was declined.' },
+  pm_card_expiredCard: { code: 'expired_card', declineCode: 'expired_card', message: 'Your card has expired.' },
+  pm_card_incorrectCvc: { code: 'incorrect_cvc', declineCode: 'incorrect_cvc', message: "Your card's security code is incorrect." },
+  pm_card_processingError: { code: 'processing_error', declineCode: 'processing_error', message: 'An error occurred while processing your card.' },
+  pm_card_authenticationRequired: { code: 'authentication_required', declineCode: 'authentication_required', message: 'This payment requires authentication.' }
+};
+
+class LocalPaymentProcessor extends BasePaymentProcessor {
+  constructor(config = {}) {
+    super({ provider: 'local', isActive: true, ...config });
+    this.customers = new Map();
+    this.payments = new Map();
+  }
+
+  generateId(prefix) {
+    return `${prefix}_local_${crypto.randomBytes(8).toString('hex')}`;
+  }
+
+  /**
+   * Raise the decline mapped to a token, if any
+   */
+  assertChargeable(token) {
+    const decline = DECLINE_TOKENS[token];
+    if (!decline) return;
+
+    const error = new Error(decline.message);
+    error.code = decline.code;
+    error.decline_code = decline.declineCode;
+    throw error;
+  }
+
+  async createCustomer(customerData) {
+    return this.executeWithErrorHandling('create_customer', async () => {
+      const customer = {
+        id: this.generateId('cus'),
+        email: customerData.email,
+        name: customerData.name,
+        created: Math.floor(Date.now() / 1000),
+        metadata: customerData.metadata || {}
+      };
+      this.customers.set(customer.id, customer);
+      return customer;
+    });
+  }
+
+  async createPaymentMethod(customerId, paymentMethodData) {
+    return this.executeWithErrorHandling('create_payment_method', async () => {
+      return {
+        id: paymentMethodData.token || this.generateId('pm'),
+        type: paymentMethodData.type || 'card',
+        customerId,
+        created: Math.floor(Date.now() / 1000)
+      };
+    });
+  }
+
+  async createPayment(paymentData) {
+    return this.executeWithErrorHandling('create_payment', async () => {
+      const token = paymentData.paymentMethodId || paymentData.paymentMethodToken;
+      if (!token) {
+        const error = new Error('No payment method supplied');
+        error.code = 'payment_method_missing';
+        throw error;
+      }
+
+      this.assertChargeable(token);
+
+      const payment = {
+        id: this.generateId('pi'),
+        status: 'succeeded',
+        amount: paymentData.amount,
+        currency: (paymentData.currency || 'usd').toLowerCase(),
+        customerId: paymentData.customerId,
+        paymentMethodId: token,
+        created: Math.floor(Date.now() / 1000),
+        metadata: paymentData.metadata || {}
+      };
+      this.payments.set(payment.id, payment);
+      return payment;
+    });
+  }
+
+  async createSubscription(subscriptionData) {
+    return this.executeWithErrorHandling('create_subscription', async () => {
+      const now = Math.floor(Date.now() / 1000);
+      return {
+        id: this.generateId('sub'),
+        status: 'active',
+        customerId: subscriptionData.customerId,
+        currentPeriodStart: now,
+        currentPeriodEnd: now + 30 * 24 * 60 * 60
+      };
+    });
+  }
+
+  async cancelSubscription(subscriptionId, reason) {
+    return this.executeWithErrorHandling('cancel_subscription', async () => {
+      return {
+        id: subscriptionId,
+        status: 'canceled',
+        canceledAt: Math.floor(Date.now() / 1000),
+        reason
+      };
+    });
+  }
+
+  async processRefund(paymentId, amount, reason) {
+    return this.executeWithErrorHandling('process_refund', async () => {
+      const payment = this.payments.get(paymentId);
+      return {
+        id: this.generateId('re'),
+        amount: amount || payment?.amount || 0,
+        currency: payment?.currency || 'usd',
+        status: 'succeeded',
+        reason: reason || 'requested_by_customer',
+        created: Math.floor(Date.now() / 1000)
+      };
+    });
+  }
+
+  async verifyWebhookSignature(payload, signature, secret) {
+    const expected = crypto
+      .createHmac('sha256', secret || this.config.webhookSecret || 'local')
+      .update(typeof payload === 'string' ? payload : JSON.stringify(payload))
+      .digest('hex');
+
+    return { valid: expected === signature, event: payload };
+  }
+
+  async processWebhook(payload, signature) {
+    return this.executeWithErrorHandling('process_webhook', async () => {
+      const verification = await this.verifyWebhookSignature(payload, signature);
+      if (!verification.valid) {
+        throw new Error('Webhook verification failed');
+      }
+
+      return {
+        eventId: payload.id,
+        eventType: payload.type,
+        processed: true
+      };
+    });
+  }
+}
+
+LocalPaymentProcessor.DECLINE_TOKENS = DECLINE_TOKENS;
+
+module.exports = LocalPaymentProcessor;
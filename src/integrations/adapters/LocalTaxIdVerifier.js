@@ -0,0 +1,38 @@
+/**
+ * Eagle Local Tax ID Verifier Adapter
+ * Offline stand-in for registry lookups, for development and testing.
+ * Every well-formed number is reported as registered except those listed
+ * as invalid or unavailable.
+ */
+
+const crypto = require('crypto');
+const BaseTaxIdVerifier = require('./BaseTaxIdVerifier');
+
+class LocalTaxIdVerifier extends BaseTaxIdVerifier {
+  constructor(config = {}) {
+    super({ provider: 'local', ...config });
+    this.invalid = (config.invalid || []).map(taxId => taxId.toUpperCase());
+    this.unavailable = (config.unavailable || []).map(taxId => taxId.toUpperCase());
+  }
+
+  supports(country) {
+    return true;
+  }
+
+  async verify(check) {
+    if (this.unavailable.includes(check.formatted)) {
+      return this.formatResult('unavailable', { error: 'SERVICE_UNAVAILABLE' });
+    }
+
+    if (this.invalid.includes(check.formatted)) {
+      return this.formatResult('invalid');
+    }
+
+    return this.formatResult('valid', {
+      name: `Local Test Company ${check.number.slice(-4)}`,
+      consultationNumber: `LOCAL-${crypto.randomBytes(6).toString('hex').toUpperCase()}`
+    });
+  }
+}
+
+module.exports = LocalTaxIdVerifier;
@@ -75,6 +75,7 @@ class StripePaymentProcessor extends BasePaymentProcessor {
         payment_method: paymentData.paymentMethodId,
         confirmation_method: 'manual',
         confirm: paymentData.confirm || false,
+        off_session: paymentData.offSession || undefined,
         description: paymentData.description,
         metadata: {
           ...paymentData.metadata,
@@ -84,7 +85,8 @@ class StripePaymentProcessor extends BasePaymentProcessor {
         receipt_email: paymentData.receiptEmail,
         statement_descriptor: 'EAGLE INVESTORS'
       }, {
-        idempotencyKey: this.generateIdempotencyKey(`payment_${paymentData.orderId || Date.now()}`)
+        // A caller key makes a retried charge return the original PaymentIntent
+        idempotencyKey: paymentData.idempotencyKey || this.generateIdempotencyKey(`payment_${paymentData.orderId || Date.now()}`)
       });
 
       return {
@@ -160,6 +162,32 @@ class StripePaymentProcessor extends BasePaymentProcessor {
     });
   }
 
+  /**
+   * Pay an open Stripe invoice off session. Paying the invoice itself, rather
+   * than charging its amount separately, closes it and ends Stripe's retries.
+   */
+  async payInvoice(invoiceId, options = {}) {
+    return this.executeWithErrorHandling('pay_invoice', async () => {
+      let invoice = await this.stripe.invoices.retrieve(invoiceId);
+
+      // Stripe's own retries may have collected it in the meantime
+      if (invoice.status !== 'paid') {
+        invoice = await this.stripe.invoices.pay(invoiceId, {
+          off_session: true,
+          payment_method: options.paymentMethodId
+        }, options.idempotencyKey ? { idempotencyKey: options.idempotencyKey } : undefined);
+      }
+
+      return {
+        id: invoice.payment_intent?.id || invoice.payment_intent,
+        invoiceId: invoice.id,
+        status: invoice.status === 'paid' ? 'succeeded' : invoice.status,
+        amount: invoice.amount_paid / 100,
+        currency: invoice.currency
+      };
+    });
+  }
+
   async processRefund(paymentId, amount, reason) {
     return this.executeWithErrorHandling('process_refund', async () => {
       const refund = await this.stripe.refunds.create({
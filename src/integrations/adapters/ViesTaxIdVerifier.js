@@ -0,0 +1,63 @@
+/**
+ * Eagle VIES Tax ID Verifier Adapter
+ * Checks EU VAT numbers (and XI numbers for Northern Ireland) against the
+ * European Commission's VIES service. Passing the business's own VAT number
+ * as the requester gets a consultation number back, which is the proof of
+ * the check a tax authority asks for.
+ */
+
+const axios = require('axios');
+const BaseTaxIdVerifier = require('./BaseTaxIdVerifier');
+const { EU_VAT_COUNTRIES } = require('../../payment/utils/taxIdChecksums');
+
+const DEFAULT_BASE_URL = 'https://ec.europa.eu/taxation_customs/vies/rest-api';
+
+// VIES answers these when a member state's registry is down or busy
+const UNAVAILABLE_ERRORS = [
+  'MS_UNAVAILABLE', 'MS_MAX_CONCURRENT_REQ', 'SERVICE_UNAVAILABLE',
+  'TIMEOUT', 'GLOBAL_MAX_CONCURRENT_REQ', 'SERVER_BUSY'
+];
+
+class ViesTaxIdVerifier extends BaseTaxIdVerifier {
+  constructor(config = {}) {
+    super({ provider: 'vies', ...config });
+    this.baseUrl = config.baseUrl || DEFAULT_BASE_URL;
+  }
+
+  supports(country) {
+    return EU_VAT_COUNTRIES.includes(country) || country === 'XI';
+  }
+
+  async verify(check, requester = {}) {
+    const requesterId = requester.vatNumber ? String(requester.vatNumber).toUpperCase().replace(/[\s.\-]/g, '') : null;
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/check-vat-number`, {
+        countryCode: check.prefix,
+        vatNumber: check.number,
+        ...(requesterId && {
+          requesterMemberStateCode: requesterId.slice(0, 2),
+          requesterNumber: requesterId.slice(2)
+        })
+      }, { timeout: this.timeoutMs });
+
+      const data = response.data || {};
+      if (data.userError && UNAVAILABLE_ERRORS.includes(data.userError)) {
+        return this.formatResult('unavailable', { error: data.userError, raw: data });
+      }
+
+      return this.formatResult(data.valid ? 'valid' : 'invalid', {
+        name: data.name && data.name !== '---' ? data.name : null,
+        address: data.address && data.address !== '---' ? data.address : null,
+        consultationNumber: data.requestIdentifier || null,
+        checkedAt: data.requestDate ? new Date(data.requestDate) : new Date(),
+        raw: data
+      });
+    } catch (error) {
+      const code = error.response?.data?.errorWrappers?.[0]?.error || error.code || error.message;
+      return this.formatResult('unavailable', { error: code });
+    }
+  }
+}
+
+module.exports = ViesTaxIdVerifier;
@@ -4,6 +4,15 @@
  */
 
 const CommunicationManager = require('../managers/CommunicationManager');
+const suppressionService = require('../../services/suppression.service');
+const notificationPreferences = require('../../services/notificationPreference.service');
+
+// Suppression service errors => HTTP status
+const SUPPRESSION_ERROR_STATUS = {
+  'Suppression not found': 404,
+  'Suppression is already lifted': 409,
+  'A valid address is required': 400
+};
 
 class CommunicationController {
   /**
@@ -22,6 +31,7 @@ class CommunicationController {
         replyTo,
         cc,
         bcc,
+        category,
         preferredProvider,
         enableFailover = true
       } = req.body;
@@ -44,7 +54,8 @@ class CommunicationController {
         attachments,
         replyTo,
         cc,
-        bcc
+        bcc,
+        category
       }, {
         preferredProvider,
         enableFailover
@@ -90,6 +101,7 @@ class CommunicationController {
         statusCallback,
         validityPeriod,
         maxPrice,
+        category,
         preferredProvider,
         enableFailover = true
       } = req.body;
@@ -109,7 +121,8 @@ class CommunicationController {
         templateData,
         statusCallback,
         validityPeriod,
-        maxPrice
+        maxPrice,
+        category
       }, {
         preferredProvider,
         enableFailover
@@ -153,6 +166,7 @@ class CommunicationController {
         template,
         batchSize = 10,
         delayMs = 1000,
+        category = 'marketing',
         preferredProvider
       } = req.body;
 
@@ -180,8 +194,23 @@ class CommunicationController {
         });
       }
 
+      // Bulk sends go straight to the provider, so suppressions and opt-outs are applied here
+      const phones = recipients.map(recipient => recipient.phone);
+      const { suppressed } = await suppressionService.filterRecipients('SMS', phones);
+      const { optedOut } = await notificationPreferences.filterRecipients('sms', category, phones);
+      const excluded = new Set([...suppressed.map(entry => entry.address), ...optedOut]);
+      const permitted = recipients.filter(recipient => !excluded.has(suppressionService.normalizeAddress('SMS', recipient.phone)));
+
+      if (permitted.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'All recipients are suppressed or have opted out',
+          details: { suppressed, optedOut }
+        });
+      }
+
       const provider = providers[0].provider;
-      const result = await provider.sendBulkSMS(recipients, message || template, {
+      const result = await provider.sendBulkSMS(permitted, message || template, {
         batchSize,
         delayMs
       });
@@ -189,7 +218,8 @@ class CommunicationController {
       res.status(200).json({
         success: true,
         message: 'Bulk SMS operation completed',
-        data: result.data || result
+        data: result.data || result,
+        skipped: { suppressed, optedOut }
       });
     } catch (error) {
       console.error('Send bulk SMS error:', error);
@@ -476,6 +506,115 @@ class CommunicationController {
       });
     }
   }
+
+  /**
+   * List suppressed email addresses and phone numbers
+   */
+  static async getSuppressions(req, res) {
+    try {
+      const result = await suppressionService.listSuppressions(req.query);
+
+      res.status(200).json({
+        success: true,
+        ...result
+      });
+    } catch (error) {
+      console.error('Get suppressions error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a suppression with its event history
+   */
+  static async getSuppression(req, res) {
+    try {
+      const suppression = await suppressionService.getSuppression(req.params.id);
+
+      res.status(200).json({
+        success: true,
+        data: suppression
+      });
+    } catch (error) {
+      CommunicationController.handleSuppressionError(res, error, 'Get suppression error:');
+    }
+  }
+
+  /**
+   * Suppress an address by hand
+   */
+  static async createSuppression(req, res) {
+    try {
+      const { channel = 'EMAIL', address, reason = 'MANUAL', description } = req.body;
+      const normalizedChannel = String(channel).toUpperCase();
+
+      if (!['EMAIL', 'SMS'].includes(normalizedChannel)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Channel must be EMAIL or SMS'
+        });
+      }
+
+      const suppression = await suppressionService.suppress({
+        channel: normalizedChannel,
+        address,
+        reason: String(reason).toUpperCase(),
+        description
+      }, req.user._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Address suppressed',
+        data: suppression
+      });
+    } catch (error) {
+      if (error.name === 'ValidationError') {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+      CommunicationController.handleSuppressionError(res, error, 'Create suppression error:');
+    }
+  }
+
+  /**
+   * Lift a suppression so the address can be sent to again
+   */
+  static async liftSuppression(req, res) {
+    try {
+      const suppression = await suppressionService.lift(req.params.id, { reason: req.body.reason }, req.user._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Suppression lifted',
+        data: suppression
+      });
+    } catch (error) {
+      CommunicationController.handleSuppressionError(res, error, 'Lift suppression error:');
+    }
+  }
+
+  static handleSuppressionError(res, error, label) {
+    const statusCode = SUPPRESSION_ERROR_STATUS[error.message] || (error.name === 'CastError' ? 404 : 500);
+    if (statusCode === 500) {
+      console.error(label, error);
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        details: error.message
+      });
+    }
+
+    res.status(statusCode).json({
+      success: false,
+      error: statusCode === 404 ? 'Suppression not found' : error.message
+    });
+  }
 }
 
 module.exports = CommunicationController;
\ No newline at end of file
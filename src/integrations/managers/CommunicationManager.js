@@ -7,6 +7,8 @@ const IntegrationSettings = require('../models/integrationSettings.model');
 const SendGridProvider = require('../providers/SendGridProvider');
 const PostmarkProvider = require('../providers/PostmarkProvider');
 const TwilioProvider = require('../providers/TwilioProvider');
+const suppressionService = require('../../services/suppression.service');
+const notificationPreferences = require('../../services/notificationPreference.service');
 
 class CommunicationManager {
   constructor() {
@@ -143,6 +145,36 @@ class CommunicationManager {
       throw new Error('No active email providers available');
     }
 
+    // Bounced, complained and unsubscribed addresses are dropped before any provider sees them
+    const { message, suppressed } = await this.removeSuppressedRecipients('EMAIL', emailData, ['to', 'cc', 'bcc']);
+    if (!message) {
+      return {
+        success: false,
+        error: 'All recipients are on the suppression list',
+        provider: null,
+        suppressed
+      };
+    }
+    emailData = message;
+
+    // Billing, product alert and marketing email honours the recipients' preferences
+    // and carries an unsubscribe link; transactional email (the default) does neither
+    const category = emailData.category || 'transactional';
+    let optedOut = [];
+    if (notificationPreferences.isOptional(category)) {
+      const permitted = await this.removeOptedOutRecipients('email', category, emailData, ['to', 'cc', 'bcc']);
+      optedOut = permitted.optedOut;
+      if (!permitted.message) {
+        return {
+          success: false,
+          error: `All recipients have opted out of ${category} email`,
+          provider: null,
+          optedOut
+        };
+      }
+      emailData = notificationPreferences.addUnsubscribe(permitted.message, category, permitted.account);
+    }
+
     let lastError;
     
     for (const { provider, setting } of providers) {
@@ -154,7 +186,9 @@ class CommunicationManager {
           return {
             success: true,
             provider: setting.provider,
-            data: result.data
+            data: result.data,
+            ...(suppressed.length > 0 && { suppressed }),
+            ...(optedOut.length > 0 && { optedOut })
           };
         } else {
           lastError = result.error;
@@ -186,6 +220,34 @@ class CommunicationManager {
       throw new Error('No active SMS providers available');
     }
 
+    // Numbers that replied STOP or cannot receive SMS are never sent to
+    const { message, suppressed } = await this.removeSuppressedRecipients('SMS', smsData, ['to']);
+    if (!message) {
+      return {
+        success: false,
+        error: 'All recipients are on the suppression list',
+        provider: null,
+        suppressed
+      };
+    }
+    smsData = message;
+
+    const category = smsData.category || 'transactional';
+    let optedOut = [];
+    if (notificationPreferences.isOptional(category)) {
+      const permitted = await this.removeOptedOutRecipients('sms', category, smsData, ['to']);
+      optedOut = permitted.optedOut;
+      if (!permitted.message) {
+        return {
+          success: false,
+          error: `All recipients have opted out of ${category} SMS`,
+          provider: null,
+          optedOut
+        };
+      }
+      smsData = permitted.message;
+    }
+
     let lastError;
     
     for (const { provider, setting } of providers) {
@@ -197,7 +259,9 @@ class CommunicationManager {
           return {
             success: true,
             provider: setting.provider,
-            data: result.data
+            data: result.data,
+            ...(suppressed.length > 0 && { suppressed }),
+            ...(optedOut.length > 0 && { optedOut })
           };
         } else {
           lastError = result.error;
@@ -219,6 +283,62 @@ class CommunicationManager {
     };
   }
 
+  /**
+   * Copy of the message without suppressed recipients
+   * message is null when none of the primary recipients may be sent to
+   */
+  async removeSuppressedRecipients(channel, data, fields) {
+    const message = { ...data };
+    const suppressed = [];
+
+    for (const field of fields) {
+      if (!data[field]) continue;
+
+      const result = await suppressionService.filterRecipients(channel, data[field]);
+      suppressed.push(...result.suppressed.map(entry => ({ ...entry, field })));
+
+      if (result.suppressed.length > 0) {
+        message[field] = Array.isArray(data[field]) ? result.allowed : result.allowed[0];
+      }
+    }
+
+    const primary = message[fields[0]];
+    const hasRecipients = Array.isArray(primary) ? primary.length > 0 : Boolean(primary);
+    return { message: hasRecipients ? message : null, suppressed };
+  }
+
+  /**
+   * Copy of the message without recipients who opted out of the category
+   * account is the recipient's user when the message goes to one address
+   * only, so the unsubscribe link can be personal
+   */
+  async removeOptedOutRecipients(channel, category, data, fields) {
+    const message = { ...data };
+    const optedOut = [];
+    let accounts = [];
+
+    for (const field of fields) {
+      if (!data[field]) continue;
+
+      const result = await notificationPreferences.filterRecipients(channel, category, data[field]);
+      optedOut.push(...result.optedOut.map(address => ({ address, field })));
+
+      if (result.optedOut.length > 0) {
+        message[field] = Array.isArray(data[field]) ? result.allowed : result.allowed[0];
+      }
+      if (field === fields[0]) accounts = result.accounts;
+    }
+
+    const hasAny = value => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+    const hasCopies = fields.slice(1).some(field => hasAny(message[field]));
+
+    return {
+      message: hasAny(message[fields[0]]) ? message : null,
+      account: accounts.length === 1 && !hasCopies ? accounts[0] : null,
+      optedOut
+    };
+  }
+
   getOrderedProviders(type, preferredProvider = null) {
     const providerMap = type === 'email' ? this.emailProviders : this.smsProviders;
     let providers = Array.from(providerMap.values());
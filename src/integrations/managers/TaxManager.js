@@ -7,6 +7,7 @@ const IntegrationSettings = require('../models/integrationSettings.model');
 const StripeTaxProvider = require('../providers/StripeTaxProvider');
 const TaxJarProvider = require('../providers/TaxJarProvider');
 const AvalaraProvider = require('../providers/AvalaraProvider');
+const NativeTaxProvider = require('../providers/NativeTaxProvider');
 
 class TaxManager {
   constructor() {
@@ -28,6 +29,22 @@ class TaxManager {
         await this.loadTaxProvider(setting);
       }
 
+      // The native provider needs no credentials, so unless it is configured in
+      // the database it is added as the last fallback; TAX_NATIVE_PROVIDER=primary
+      // puts it first and TAX_NATIVE_PROVIDER=off leaves it out
+      const nativeMode = (process.env.TAX_NATIVE_PROVIDER || 'fallback').toLowerCase();
+      if (nativeMode !== 'off' && !this.taxProviders.has('native_tax')) {
+        await this.loadTaxProvider({
+          provider: 'native_tax',
+          category: 'TAX',
+          isActive: true,
+          isPrimary: nativeMode === 'primary',
+          priority: nativeMode === 'primary' ? -1 : Number.MAX_SAFE_INTEGER,
+          configuration: {},
+          usage: { totalRequests: 0, successfulRequests: 0, failedRequests: 0 }
+        });
+      }
+
       this.initialized = true;
       console.log(`Tax Manager initialized with ${this.taxProviders.size} tax providers`);
     } catch (error) {
@@ -69,6 +86,13 @@ class TaxManager {
           });
           break;
 
+        case 'native_tax':
+          provider = new NativeTaxProvider({
+            ...setting.configuration,
+            isActive: setting.isActive
+          });
+          break;
+
         default:
           console.warn(`Unknown tax provider: ${setting.provider}`);
           return;
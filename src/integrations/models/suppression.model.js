@@ -0,0 +1,86 @@
+/**
+ * Eagle Suppression Model
+ * Email addresses and phone numbers we must not send to, fed by provider
+ * bounce, complaint and opt-out events. One record per channel and address;
+ * lifting a suppression keeps the record and its event history.
+ */
+
+const mongoose = require('mongoose');
+
+// Reasons that never expire on their own
+const PERMANENT_REASONS = ['HARD_BOUNCE', 'SPAM_COMPLAINT', 'INVALID_ADDRESS', 'UNSUBSCRIBE', 'SMS_STOP', 'MANUAL'];
+
+const suppressionSchema = new mongoose.Schema({
+  channel: {
+    type: String,
+    required: true,
+    enum: ['EMAIL', 'SMS']
+  },
+  // Lowercased email, or phone number in +digits form
+  address: {
+    type: String,
+    required: true
+  },
+  reason: {
+    type: String,
+    required: true,
+    enum: ['HARD_BOUNCE', 'SOFT_BOUNCE', 'SPAM_COMPLAINT', 'INVALID_ADDRESS', 'UNSUBSCRIBE', 'SMS_STOP', 'MANUAL']
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'LIFTED'],
+    default: 'ACTIVE'
+  },
+  provider: String,
+  description: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Soft bounces only suppress for a while once they repeat
+  softBounceCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: Date,
+
+  suppressedAt: Date,
+  lastEventAt: Date,
+  // Most recent provider events, newest last
+  events: [{
+    type: {
+      type: String
+    },
+    provider: String,
+    providerEventId: String,
+    description: String,
+    occurredAt: Date
+  }],
+
+  lifted: {
+    at: Date,
+    by: mongoose.Schema.Types.ObjectId,
+    reason: String
+  },
+  createdBy: mongoose.Schema.Types.ObjectId
+}, {
+  timestamps: true,
+  collection: 'suppressions'
+});
+
+suppressionSchema.index({ channel: 1, address: 1 }, { unique: true });
+suppressionSchema.index({ status: 1, reason: 1 });
+suppressionSchema.index({ status: 1, expiresAt: 1 });
+
+suppressionSchema.methods.isActive = function (now = new Date()) {
+  return this.status === 'ACTIVE' && (!this.expiresAt || this.expiresAt > now);
+};
+
+suppressionSchema.methods.isPermanent = function () {
+  return PERMANENT_REASONS.includes(this.reason);
+};
+
+suppressionSchema.statics.PERMANENT_REASONS = PERMANENT_REASONS;
+
+module.exports = mongoose.models.Suppression || mongoose.model('Suppression', suppressionSchema);
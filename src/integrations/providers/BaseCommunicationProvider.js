@@ -3,6 +3,7 @@
  * Abstract base class for email and SMS providers
  */
 
+const crypto = require('crypto');
 const IntegrationSettings = require('../models/integrationSettings.model');
 
 class BaseCommunicationProvider {
@@ -169,6 +170,13 @@ class BaseCommunicationProvider {
       };
     });
   }
+
+  // Constant-time comparison for webhook secrets and signatures
+  static safeCompare(expected, received) {
+    const a = Buffer.from(String(expected || ''));
+    const b = Buffer.from(String(received || ''));
+    return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
 }
 
 module.exports = BaseCommunicationProvider;
\ No newline at end of file
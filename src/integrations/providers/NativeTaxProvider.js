@@ -0,0 +1,493 @@
+/**
+ * Eagle Native Tax Provider
+ * Rules-based tax calculation from the billing tax rates, with no external
+ * API. Rates on file stand for the jurisdictions the business is registered
+ * in: US sales tax stacks state, county, city and district rates; EU VAT
+ * follows the OSS place-of-supply rules and the B2B reverse charge.
+ */
+
+const mongoose = require('mongoose');
+const BaseTaxProvider = require('./BaseTaxProvider');
+const TaxCalculationService = require('../../payment/services/taxCalculation.service');
+const TaxIdValidationService = require('../../payment/services/taxIdValidation.service');
+const { TaxRate } = require('../../payment/models/billing.model');
+
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR',
+  'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL',
+  'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+];
+
+// EU-wide threshold for cross-border B2C sales, in EUR, below which a seller
+// not registered for OSS charges its own country's VAT
+const EU_DISTANCE_SALES_THRESHOLD = 10000;
+
+// Order rates stack in; compound rates apply on top of everything before them
+const JURISDICTION_LEVELS = ['COUNTRY', 'STATE', 'COUNTY', 'CITY', 'DISTRICT'];
+
+// VAT-style taxes the customer self-accounts for under the reverse charge
+const REVERSE_CHARGE_TAX_TYPES = ['VAT', 'GST'];
+
+const PRODUCT_TYPES = ['DIGITAL_SERVICES', 'PHYSICAL_GOODS', 'SUBSCRIPTIONS', 'LICENSES'];
+
+// Product tax codes of the external providers, so line items priced for them
+// resolve to the same TaxRate product types here
+const PRODUCT_TAX_CODES = {
+  // Stripe Tax
+  txcd_10000000: { productType: 'DIGITAL_SERVICES', description: 'Electronically supplied services' },
+  txcd_10103001: { productType: 'DIGITAL_SERVICES', description: 'Software as a service' },
+  txcd_99999999: { productType: 'PHYSICAL_GOODS', description: 'General tangible goods' },
+  // TaxJar
+  31000: { productType: 'DIGITAL_SERVICES', description: 'Digital goods' },
+  30070: { productType: 'LICENSES', description: 'Software' },
+  20010: { productType: 'PHYSICAL_GOODS', description: 'Clothing' },
+  40030: { productType: 'PHYSICAL_GOODS', description: 'Food and groceries' },
+  '00000': { productType: 'PHYSICAL_GOODS', description: 'General goods' },
+  // Avalara
+  D0000000: { productType: 'DIGITAL_SERVICES', description: 'Digital goods' },
+  P0000000: { productType: 'PHYSICAL_GOODS', description: 'Tangible personal property' }
+};
+
+class NativeTaxProvider extends BaseTaxProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      provider: 'native_tax',
+      rateLimits: config.rateLimits || { requestsPerMinute: 1000 }
+    });
+    this.originAddress = config.originAddress || {
+      country: process.env.BUSINESS_COUNTRY || 'US',
+      state: process.env.BUSINESS_STATE,
+      city: process.env.BUSINESS_CITY,
+      postalCode: process.env.BUSINESS_POSTAL_CODE
+    };
+    this.ossRegistered = config.ossRegistered ?? process.env.TAX_EU_OSS_REGISTERED !== 'false';
+    this.euCrossBorderSales = config.euCrossBorderSales || 0;
+    this.nexusStates = (config.nexusStates || []).map(state => state.toUpperCase());
+    this.defaultProductType = config.defaultProductType || 'DIGITAL_SERVICES';
+    this.shippingTaxable = config.shippingTaxable === true;
+    this.rateService = new TaxCalculationService();
+    this.taxIdValidationService = new TaxIdValidationService();
+  }
+
+  async calculateTax(taxData) {
+    return this.executeWithErrorHandling('calculate_tax', () => this.computeTax(taxData));
+  }
+
+  /**
+   * Tax for an order
+   * @param {Object} taxData - amount, toAddress, fromAddress (defaults to the business address),
+   *                           lineItems [{ id, amount | unitPrice + quantity, discount, taxCode,
+   *                           productType, taxBehavior: exclusive|inclusive }], shipping,
+   *                           customerDetails { type, vatNumber, taxExempt }, taxInclusive
+   */
+  async computeTax(taxData) {
+    const { amount, currency = 'USD', toAddress, lineItems = [], customerDetails = {}, taxInclusive = false } = taxData;
+
+    if (!toAddress) {
+      throw new Error('Missing required fields: toAddress');
+    }
+    if (!amount && lineItems.length === 0) {
+      throw new Error('Either amount or line items are required');
+    }
+    this.validateAddressInput(toAddress);
+
+    const items = (lineItems.length > 0 ? lineItems : [{ id: 'default_item', amount }]).map((item, index) => ({
+      id: item.id || item.reference || index.toString(),
+      amount: item.amount !== undefined
+        ? Number(item.amount) - Number(item.discount || 0)
+        : Number(item.unitPrice || 0) * (item.quantity || 1) - Number(item.discount || 0),
+      productType: this.resolveProductType(item),
+      inclusive: (item.taxBehavior || (taxInclusive ? 'inclusive' : 'exclusive')) === 'inclusive'
+    }));
+
+    const shippingAmount = Number(typeof taxData.shipping === 'object' ? taxData.shipping?.amount : taxData.shipping) || 0;
+    if (shippingAmount > 0 && this.shippingTaxable) {
+      items.push({ id: 'shipping', amount: shippingAmount, productType: 'PHYSICAL_GOODS', inclusive: taxInclusive });
+    }
+
+    const situs = await this.resolveTaxLocation(taxData);
+    const exempt = customerDetails.taxExempt === true || taxData.customerExempt === true;
+    // Rate thresholds depend on the amount, so lookups are shared per product type and amount
+    const rateCache = new Map();
+
+    const calculatedItems = [];
+    for (const item of items) {
+      let rates = [];
+      let noTaxReason = exempt ? 'customer_exempt' : situs.hasNexus ? null : 'no_nexus';
+      if (!noTaxReason) {
+        const key = `${item.productType}:${item.amount}`;
+        if (!rateCache.has(key)) {
+          const applicable = await this.rateService.getApplicableTaxRates(
+            situs.location,
+            situs.customerType,
+            item.productType,
+            item.amount
+          );
+          // Untaxed rather than failing checkout, but flagged so the missing rate gets configured
+          if (applicable.length === 0) {
+            console.warn(`No tax rate configured for ${[situs.location.state, situs.location.country].filter(Boolean).join(', ')}; charging no tax`);
+          }
+          rateCache.set(key, this.selectRates(applicable, item.productType)
+            .filter(rate => !situs.reverseCharge.applicable || !REVERSE_CHARGE_TAX_TYPES.includes(rate.taxType)));
+        }
+        rates = rateCache.get(key);
+        if (rates.length === 0) {
+          noTaxReason = situs.reverseCharge.applicable ? 'reverse_charge' : 'no_rate_configured';
+        }
+      }
+      calculatedItems.push({ ...this.calculateLine(item, rates), noTaxReason });
+    }
+
+    const taxableAmount = this.round(calculatedItems.reduce((sum, item) => sum + item.taxableAmount, 0));
+    const totalTax = this.round(calculatedItems.reduce((sum, item) => sum + item.taxAmount, 0));
+    const untaxedShipping = this.shippingTaxable ? 0 : shippingAmount;
+
+    return {
+      totalTax,
+      subtotal: taxableAmount,
+      taxableAmount,
+      shipping: shippingAmount,
+      total: this.round(taxableAmount + totalTax + untaxedShipping),
+      rate: taxableAmount > 0 ? this.round((totalTax / taxableAmount) * 100, 4) : 0,
+      currency: currency.toUpperCase(),
+      taxInclusive: items.some(item => item.inclusive),
+      hasNexus: situs.hasNexus,
+      taxSource: situs.taxSource,
+      exempt,
+      reverseCharge: situs.reverseCharge,
+      jurisdictions: {
+        country: situs.location.country,
+        state: situs.location.state,
+        county: situs.location.county,
+        city: situs.location.city
+      },
+      breakdown: this.summarizeBreakdown(calculatedItems),
+      lineItems: calculatedItems,
+      provider: 'native_tax'
+    };
+  }
+
+  /**
+   * Where the sale is taxed
+   * Destination by default; EU cross-border B2C sales stay at origin when the
+   * seller is not OSS-registered and is under the distance-sales threshold;
+   * EU B2B sales to another country are reverse charged once the customer's
+   * VAT number validates, and taxed as B2C otherwise
+   */
+  async resolveTaxLocation(taxData) {
+    const { customerDetails = {} } = taxData;
+    const seller = this.normalizeAddress(taxData.fromAddress || this.originAddress);
+    const buyer = this.normalizeAddress(taxData.toAddress);
+    seller.country = seller.country.toUpperCase();
+    buyer.country = buyer.country.toUpperCase();
+    buyer.county = taxData.toAddress.county;
+
+    const vatNumber = customerDetails.vatNumber || taxData.toAddress.vatNumber;
+    const customerType = (customerDetails.type || customerDetails.customerType || (vatNumber ? 'BUSINESS' : 'INDIVIDUAL')).toUpperCase();
+    const crossBorder = seller.country !== buyer.country;
+
+    const situs = {
+      location: buyer,
+      customerType,
+      taxSource: 'destination',
+      hasNexus: true,
+      reverseCharge: { applicable: false }
+    };
+
+    let verification = null;
+    if (EU_COUNTRIES.includes(buyer.country) && crossBorder && customerType === 'BUSINESS' && vatNumber) {
+      verification = await this.taxIdValidationService.verifyForReverseCharge(vatNumber, buyer.country, {
+        customerId: taxData.customerId,
+        source: 'tax_calculation'
+      });
+    }
+
+    if (verification?.eligible) {
+      situs.reverseCharge = {
+        applicable: true,
+        reason: 'EU B2B reverse charge mechanism',
+        customerVatNumber: verification.taxId,
+        customerTaxIdType: verification.taxIdType,
+        validationId: verification.validation._id,
+        validationStatus: verification.validation.status,
+        validatedAt: verification.validation.checkedAt,
+        consultationNumber: verification.validation.remote?.consultationNumber
+      };
+    } else if (EU_COUNTRIES.includes(seller.country) && EU_COUNTRIES.includes(buyer.country) && crossBorder
+      && !this.ossRegistered && this.euCrossBorderSales <= EU_DISTANCE_SALES_THRESHOLD) {
+      situs.location = { ...seller, county: taxData.fromAddress?.county };
+      situs.taxSource = 'origin';
+    }
+
+    if (verification && !verification.eligible) {
+      situs.reverseCharge = {
+        applicable: false,
+        reason: `Customer VAT number could not be validated (${verification.validation?.status || 'unsupported'})`,
+        customerVatNumber: verification.taxId,
+        validationId: verification.validation?._id
+      };
+    }
+
+    if (situs.location.country === 'US' && this.nexusStates.length > 0) {
+      situs.hasNexus = this.nexusStates.includes(String(situs.location.state).toUpperCase());
+    }
+
+    return situs;
+  }
+
+  /**
+   * One rate per jurisdiction level and tax type, in stacking order
+   * A rate limited to the product type wins over a general one, then the
+   * most recent; rates at different levels stack
+   */
+  selectRates(rates, productType) {
+    const selected = new Map();
+
+    rates.forEach(rate => {
+      const key = `${rate.getJurisdictionLevel()}:${rate.taxType}`;
+      const current = selected.get(key);
+      if (!current || this.compareRates(rate, current, productType) < 0) {
+        selected.set(key, rate);
+      }
+    });
+
+    return Array.from(selected.values()).sort((a, b) =>
+      JURISDICTION_LEVELS.indexOf(a.getJurisdictionLevel()) - JURISDICTION_LEVELS.indexOf(b.getJurisdictionLevel())
+    );
+  }
+
+  compareRates(a, b, productType) {
+    const specific = rate => (rate.applicableToProducts || []).includes(productType) ? 0 : 1;
+    return specific(a) - specific(b) || new Date(b.effectiveFrom) - new Date(a.effectiveFrom);
+  }
+
+  /**
+   * Stack the rates on one line item
+   * Tax-inclusive amounts are split into net and tax so the two add back up
+   * to the amount charged
+   */
+  calculateLine(item, rates) {
+    const effectiveRate = this.stackRates(rates, 1).reduce((sum, amount) => sum + amount, 0);
+    const taxableAmount = this.round(item.inclusive ? item.amount / (1 + effectiveRate) : item.amount);
+    const amounts = this.stackRates(rates, taxableAmount).map(amount => this.round(amount));
+
+    if (item.inclusive && amounts.length > 0) {
+      const difference = this.round(item.amount - taxableAmount - amounts.reduce((sum, amount) => sum + amount, 0));
+      amounts[amounts.length - 1] = this.round(amounts[amounts.length - 1] + difference);
+    }
+
+    const taxLines = rates.map((rate, index) => ({
+      taxRateId: rate._id,
+      name: rate.name,
+      taxType: rate.taxType,
+      level: rate.getJurisdictionLevel(),
+      jurisdiction: this.formatJurisdiction(rate),
+      rate: rate.rate,
+      compound: rate.compoundTax,
+      taxableAmount,
+      amount: amounts[index]
+    }));
+
+    return {
+      id: item.id,
+      productType: item.productType,
+      taxBehavior: item.inclusive ? 'inclusive' : 'exclusive',
+      amount: this.round(item.amount),
+      taxableAmount,
+      taxAmount: this.round(amounts.reduce((sum, amount) => sum + amount, 0)),
+      taxLines
+    };
+  }
+
+  /**
+   * Unrounded tax of each rate on a base amount, in stacking order
+   */
+  stackRates(rates, base) {
+    let previousTax = 0;
+    return rates.map(rate => {
+      const amount = rate.calculateTax(base, previousTax);
+      previousTax += amount;
+      return amount;
+    });
+  }
+
+  summarizeBreakdown(lineItems) {
+    const breakdown = new Map();
+
+    lineItems.forEach(item => {
+      item.taxLines.forEach(line => {
+        const key = `${line.jurisdiction}:${line.taxType}:${line.rate}`;
+        const entry = breakdown.get(key) || {
+          type: line.level.toLowerCase(),
+          taxType: line.taxType,
+          name: line.name,
+          rate: line.rate,
+          amount: 0,
+          taxableAmount: 0,
+          jurisdiction: line.jurisdiction
+        };
+        entry.amount = this.round(entry.amount + line.amount);
+        entry.taxableAmount = this.round(entry.taxableAmount + line.taxableAmount);
+        breakdown.set(key, entry);
+      });
+    });
+
+    return Array.from(breakdown.values());
+  }
+
+  resolveProductType(item) {
+    const productType = String(item.productType || '').toUpperCase();
+    if (PRODUCT_TYPES.includes(productType)) return productType;
+    return PRODUCT_TAX_CODES[item.taxCode]?.productType || this.defaultProductType;
+  }
+
+  formatJurisdiction(rate) {
+    return [rate.country, rate.state, rate.county, rate.city, rate.postalCode].filter(Boolean).join(', ');
+  }
+
+  round(value, decimals = 2) {
+    const factor = Math.pow(10, decimals);
+    return Math.round((value + Number.EPSILON) * factor) / factor;
+  }
+
+  async createTransaction(transactionData) {
+    return this.executeWithErrorHandling('create_transaction', async () => {
+      const calculation = await this.computeTax(transactionData);
+
+      return {
+        transactionId: transactionData.transactionId || this.generateTransactionId(),
+        totalTax: calculation.totalTax,
+        breakdown: calculation.breakdown,
+        provider: 'native_tax',
+        status: 'created',
+        created: new Date().toISOString()
+      };
+    });
+  }
+
+  async commitTransaction(transactionId) {
+    return this.executeWithErrorHandling('commit_transaction', async () => {
+      // Nothing is held remotely; the tax is recorded with the invoice
+      return {
+        transactionId,
+        status: 'committed',
+        provider: 'native_tax',
+        message: 'Native tax transactions are recorded with the invoice'
+      };
+    });
+  }
+
+  async voidTransaction(transactionId) {
+    return this.executeWithErrorHandling('void_transaction', async () => {
+      return {
+        transactionId,
+        status: 'voided',
+        provider: 'native_tax'
+      };
+    });
+  }
+
+  async validateAddress(address) {
+    return this.executeWithErrorHandling('validate_address', async () => {
+      this.validateAddressInput(address);
+
+      const normalized = { ...this.normalizeAddress(address), county: address.county };
+      normalized.country = normalized.country.toUpperCase();
+      const issues = [];
+
+      if (!/^[A-Z]{2}$/.test(normalized.country)) {
+        issues.push('Country must be an ISO 3166-1 alpha-2 code');
+      }
+      if (normalized.country === 'US') {
+        if (!normalized.state) issues.push('State is required for US addresses');
+        if (normalized.postalCode && !/^\d{5}(-\d{4})?$/.test(normalized.postalCode)) {
+          issues.push('US postal code must be 5 digits or ZIP+4');
+        }
+      }
+
+      return {
+        valid: issues.length === 0,
+        address: normalized,
+        issues,
+        provider: 'native_tax'
+      };
+    });
+  }
+
+  async getTaxRates(location) {
+    return this.executeWithErrorHandling('get_tax_rates', async () => {
+      const productType = this.resolveProductType(location);
+      const situs = await this.resolveTaxLocation({
+        toAddress: location,
+        customerDetails: { type: location.customerType, vatNumber: location.vatNumber }
+      });
+
+      const applicable = situs.hasNexus
+        ? await this.rateService.getApplicableTaxRates(situs.location, situs.customerType, productType, 0)
+        : [];
+      const rates = this.selectRates(applicable, productType)
+        .filter(rate => !situs.reverseCharge.applicable || !REVERSE_CHARGE_TAX_TYPES.includes(rate.taxType));
+
+      return {
+        location: situs.location,
+        productType,
+        rates: rates.map(rate => ({
+          type: rate.getJurisdictionLevel().toLowerCase(),
+          taxType: rate.taxType,
+          name: rate.name,
+          rate: rate.rate,
+          compound: rate.compoundTax,
+          jurisdiction: this.formatJurisdiction(rate)
+        })),
+        combinedRate: this.round(this.stackRates(rates, 100).reduce((sum, amount) => sum + amount, 0), 4),
+        taxSource: situs.taxSource,
+        reverseCharge: situs.reverseCharge,
+        provider: 'native_tax'
+      };
+    });
+  }
+
+  async getTaxCodes() {
+    return this.executeWithErrorHandling('get_tax_codes', async () => {
+      return {
+        codes: Object.entries(PRODUCT_TAX_CODES).map(([code, { productType, description }]) => ({
+          code,
+          description,
+          productType,
+          isPhysical: productType === 'PHYSICAL_GOODS'
+        })),
+        provider: 'native_tax'
+      };
+    });
+  }
+
+  getSupportedCountries() {
+    // Any country with rates on file; these have dedicated rules
+    return ['US', ...EU_COUNTRIES];
+  }
+
+  getSupportedTaxTypes() {
+    return ['sales_tax', 'vat', 'gst'];
+  }
+
+  async healthCheck() {
+    return this.executeWithErrorHandling('health_check', async () => {
+      if (mongoose.connection.readyState !== 1) {
+        throw new Error('Tax rate database is not connected');
+      }
+
+      const activeRates = await TaxRate.countDocuments({ active: true });
+
+      return {
+        status: 'healthy',
+        provider: 'native_tax',
+        type: 'TAX',
+        activeRates,
+        timestamp: new Date().toISOString()
+      };
+    });
+  }
+}
+
+module.exports = NativeTaxProvider;
@@ -5,6 +5,19 @@
 
 const BaseCommunicationProvider = require('./BaseCommunicationProvider');
 
+// Postmark bounce types => suppression events; unlisted types are ignored
+const BOUNCE_TYPES = {
+  HardBounce: 'HARD_BOUNCE',
+  BadEmailAddress: 'INVALID_ADDRESS',
+  ManuallyDeactivated: 'HARD_BOUNCE',
+  SpamComplaint: 'SPAM_COMPLAINT',
+  SpamNotification: 'SPAM_COMPLAINT',
+  Unsubscribe: 'UNSUBSCRIBE',
+  SoftBounce: 'SOFT_BOUNCE',
+  Transient: 'SOFT_BOUNCE',
+  DnsError: 'SOFT_BOUNCE'
+};
+
 class PostmarkProvider extends BaseCommunicationProvider {
   constructor(config) {
     super({ ...config, provider: 'postmark', type: 'EMAIL' });
@@ -80,7 +93,8 @@ class PostmarkProvider extends BaseCommunicationProvider {
       cc,
       bcc,
       tag,
-      metadata
+      metadata,
+      headers
     } = emailData;
 
     return this.executeWithErrorHandling('send_email', async () => {
@@ -112,6 +126,11 @@ class PostmarkProvider extends BaseCommunicationProvider {
         message.Bcc = bccRecipients.filter(email => this.isValidEmail(email)).join(',');
       }
 
+      // Custom headers, e.g. List-Unsubscribe
+      if (headers && Object.keys(headers).length > 0) {
+        message.Headers = Object.entries(headers).map(([Name, Value]) => ({ Name, Value }));
+      }
+
       // Handle template or content
       if (template) {
         message.TemplateAlias = template.alias || template.id;
@@ -350,6 +369,57 @@ class PostmarkProvider extends BaseCommunicationProvider {
       };
     });
   }
+
+  /**
+   * Postmark webhooks carry no signature; they are configured with a custom
+   * X-Postmark-Webhook-Token header matching POSTMARK_WEBHOOK_TOKEN
+   */
+  static verifyWebhook({ headers = {} }, token = process.env.POSTMARK_WEBHOOK_TOKEN) {
+    if (!token) return false;
+    return BaseCommunicationProvider.safeCompare(token, headers['x-postmark-webhook-token']);
+  }
+
+  /**
+   * Bounce, SpamComplaint, SubscriptionChange and Delivery webhooks => deliverability events
+   */
+  static parseWebhookEvents(payload) {
+    let type = null;
+    let address = payload.Email || payload.Recipient;
+    let occurredAt = payload.BouncedAt;
+
+    switch (payload.RecordType) {
+      case 'Bounce':
+        type = BOUNCE_TYPES[payload.Type] || null;
+        break;
+      case 'SpamComplaint':
+        type = 'SPAM_COMPLAINT';
+        break;
+      case 'SubscriptionChange':
+        occurredAt = payload.ChangedAt;
+        if (!payload.SuppressSending) type = 'RESUBSCRIBE';
+        else if (payload.SuppressionReason === 'HardBounce') type = 'HARD_BOUNCE';
+        else if (payload.SuppressionReason === 'SpamComplaint') type = 'SPAM_COMPLAINT';
+        else type = 'UNSUBSCRIBE';
+        break;
+      case 'Delivery':
+        address = payload.Recipient;
+        occurredAt = payload.DeliveredAt;
+        type = 'DELIVERED';
+        break;
+    }
+
+    if (!type || !address) return [];
+
+    return [{
+      channel: 'EMAIL',
+      type,
+      address,
+      provider: 'postmark',
+      providerEventId: payload.ID ? String(payload.ID) : payload.MessageID,
+      description: payload.Description || payload.Details || payload.SuppressionReason || payload.RecordType,
+      occurredAt: occurredAt ? new Date(occurredAt) : new Date()
+    }];
+  }
 }
 
 module.exports = PostmarkProvider;
\ No newline at end of file
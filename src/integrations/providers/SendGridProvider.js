@@ -3,8 +3,17 @@
  * Handles email operations through SendGrid API
  */
 
+const crypto = require('crypto');
 const BaseCommunicationProvider = require('./BaseCommunicationProvider');
 
+// Reasons SendGrid gives when it drops a message for a suppressed address
+const DROP_REASONS = [
+  [/bounced address/i, 'HARD_BOUNCE'],
+  [/spam reporting address/i, 'SPAM_COMPLAINT'],
+  [/unsubscribed address/i, 'UNSUBSCRIBE'],
+  [/invalid/i, 'INVALID_ADDRESS']
+];
+
 class SendGridProvider extends BaseCommunicationProvider {
   constructor(config) {
     super({ ...config, provider: 'sendgrid', type: 'EMAIL' });
@@ -57,7 +66,8 @@ class SendGridProvider extends BaseCommunicationProvider {
       attachments = [],
       replyTo,
       cc,
-      bcc
+      bcc,
+      headers
     } = emailData;
 
     return this.executeWithErrorHandling('send_email', async () => {
@@ -95,6 +105,11 @@ class SendGridProvider extends BaseCommunicationProvider {
         msg.bcc = bccRecipients.filter(email => this.isValidEmail(email));
       }
 
+      // Custom headers, e.g. List-Unsubscribe
+      if (headers && Object.keys(headers).length > 0) {
+        msg.headers = headers;
+      }
+
       // Handle template or content
       if (template) {
         msg.templateId = template.id;
@@ -277,6 +292,72 @@ class SendGridProvider extends BaseCommunicationProvider {
       };
     });
   }
+
+  /**
+   * Verify a signed Event Webhook request
+   * SendGrid signs the timestamp header plus the raw body with ECDSA; the
+   * verification key is SENDGRID_WEBHOOK_PUBLIC_KEY
+   */
+  static verifyWebhook({ rawBody, headers = {} }, publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY) {
+    const signature = headers['x-twilio-email-event-webhook-signature'];
+    const timestamp = headers['x-twilio-email-event-webhook-timestamp'];
+    if (!publicKey || !rawBody || !signature || !timestamp) return false;
+
+    try {
+      const key = publicKey.includes('BEGIN PUBLIC KEY')
+        ? publicKey
+        : `-----BEGIN PUBLIC KEY-----\n${publicKey}\n-----END PUBLIC KEY-----`;
+      return crypto.verify(
+        'sha256',
+        Buffer.concat([Buffer.from(timestamp), Buffer.from(rawBody)]),
+        key,
+        Buffer.from(signature, 'base64')
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Event Webhook batch => deliverability events for the suppression list
+   */
+  static parseWebhookEvents(payload) {
+    const events = Array.isArray(payload) ? payload : [payload];
+
+    return events.map(event => {
+      let type = null;
+      switch (event.event) {
+        case 'bounce':
+          // "blocked" bounces are temporary refusals, not dead mailboxes
+          type = event.type === 'blocked' ? 'SOFT_BOUNCE' : 'HARD_BOUNCE';
+          break;
+        case 'dropped': {
+          const match = DROP_REASONS.find(([pattern]) => pattern.test(event.reason || ''));
+          type = match ? match[1] : null;
+          break;
+        }
+        case 'spamreport':
+          type = 'SPAM_COMPLAINT';
+          break;
+        case 'unsubscribe':
+          type = 'UNSUBSCRIBE';
+          break;
+        case 'delivered':
+          type = 'DELIVERED';
+          break;
+      }
+
+      return type && {
+        channel: 'EMAIL',
+        type,
+        address: event.email,
+        provider: 'sendgrid',
+        providerEventId: event.sg_event_id,
+        description: event.reason || event.response || event.event,
+        occurredAt: event.timestamp ? new Date(event.timestamp * 1000) : new Date()
+      };
+    }).filter(Boolean);
+  }
 }
 
 module.exports = SendGridProvider;
\ No newline at end of file
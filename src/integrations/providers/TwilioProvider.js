@@ -3,8 +3,22 @@
  * Handles SMS operations through Twilio API
  */
 
+const crypto = require('crypto');
 const BaseCommunicationProvider = require('./BaseCommunicationProvider');
 
+// Carrier-standard opt-out and opt-in keywords Twilio honours on inbound SMS
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'];
+const START_KEYWORDS = ['START', 'YES', 'UNSTOP'];
+
+// Delivery error codes => suppression events
+const ERROR_CODES = {
+  21610: 'SMS_STOP', // Recipient has replied STOP
+  21211: 'INVALID_ADDRESS', // Invalid 'To' number
+  21614: 'INVALID_ADDRESS', // Not a mobile number
+  30005: 'INVALID_ADDRESS', // Unknown destination handset
+  30006: 'INVALID_ADDRESS' // Landline or unreachable carrier
+};
+
 class TwilioProvider extends BaseCommunicationProvider {
   constructor(config) {
     super({ ...config, provider: 'twilio', type: 'SMS' });
@@ -333,6 +347,57 @@ class TwilioProvider extends BaseCommunicationProvider {
       };
     });
   }
+
+  /**
+   * Verify X-Twilio-Signature: HMAC-SHA1 with the auth token over the full
+   * webhook URL followed by the POST parameters sorted by name
+   */
+  static verifyWebhook({ url, params = {}, headers = {} }, authToken = process.env.TWILIO_AUTH_TOKEN) {
+    const signature = headers['x-twilio-signature'];
+    if (!authToken || !url || !signature) return false;
+
+    const data = Object.keys(params).sort().reduce((result, key) => result + key + params[key], url);
+    const expected = crypto.createHmac('sha1', authToken).update(Buffer.from(data, 'utf-8')).digest('base64');
+    return BaseCommunicationProvider.safeCompare(expected, signature);
+  }
+
+  /**
+   * Inbound message or status callback => deliverability events
+   * Inbound STOP/START keywords (or OptOutType with Advanced Opt-Out) change
+   * the sender's opt-out; failed deliveries with a known error code suppress
+   * the recipient
+   */
+  static parseWebhookEvents(params) {
+    const keyword = String(params.OptOutType || params.Body || '').trim().toUpperCase();
+    const occurredAt = new Date();
+
+    if (params.Body !== undefined || params.OptOutType) {
+      let type = null;
+      if (STOP_KEYWORDS.includes(keyword)) type = 'SMS_STOP';
+      else if (START_KEYWORDS.includes(keyword)) type = 'SMS_START';
+
+      return type ? [{
+        channel: 'SMS',
+        type,
+        address: params.From,
+        provider: 'twilio',
+        providerEventId: params.MessageSid,
+        description: `Replied ${keyword}`,
+        occurredAt
+      }] : [];
+    }
+
+    const type = ERROR_CODES[params.ErrorCode];
+    return type ? [{
+      channel: 'SMS',
+      type,
+      address: params.To,
+      provider: 'twilio',
+      providerEventId: `${params.MessageSid}:${params.MessageStatus || params.SmsStatus}`,
+      description: `Error ${params.ErrorCode}`,
+      occurredAt
+    }] : [];
+  }
 }
 
 module.exports = TwilioProvider;
\ No newline at end of file
@@ -12,7 +12,7 @@ const router = express.Router();
  *     description: Communication Integrations API endpoints
  */
 const CommunicationController = require('../controllers/CommunicationController');
-const { protect } = require('../../middlewares/auth.middleware');
+const { protect, adminOnly } = require('../../middlewares/auth.middleware');
 
 // Apply authentication middleware to all routes
 router.use(protect);
@@ -32,6 +32,7 @@ router.use(protect);
  *   replyTo?: string,
  *   cc?: string | string[],
  *   bcc?: string | string[],
+ *   category?: 'transactional' | 'billing' | 'productAlerts' | 'marketing', // Optional categories honour preferences and add an unsubscribe link
  *   preferredProvider?: string,
  *   enableFailover?: boolean
  * }
@@ -50,6 +51,7 @@ router.post('/email/send', CommunicationController.sendEmail);
  *   statusCallback?: string,
  *   validityPeriod?: number,
  *   maxPrice?: number,
+ *   category?: 'transactional' | 'billing' | 'productAlerts' | 'marketing',
  *   preferredProvider?: string,
  *   enableFailover?: boolean
  * }
@@ -66,6 +68,7 @@ router.post('/sms/send', CommunicationController.sendSMS);
  *   template?: string,
  *   batchSize?: number,
  *   delayMs?: number,
+ *   category?: string, // Defaults to marketing
  *   preferredProvider?: string
  * }
  */
@@ -160,4 +163,50 @@ router.post('/test/email', CommunicationController.testEmailConfig);
  */
 router.post('/test/sms', CommunicationController.testSMSConfig);
 
+/**
+ * @route GET /api/integrations/communication/suppressions
+ * @desc List suppressed email addresses and phone numbers
+ * @access Private (Admin only)
+ * @query {
+ *   channel?: 'EMAIL' | 'SMS',
+ *   status?: 'ACTIVE' | 'LIFTED',
+ *   reason?: string,
+ *   userId?: string,
+ *   search?: string,
+ *   page?: number,
+ *   limit?: number
+ * }
+ */
+router.get('/suppressions', adminOnly, CommunicationController.getSuppressions);
+
+/**
+ * @route POST /api/integrations/communication/suppressions
+ * @desc Suppress an email address or phone number by hand
+ * @access Private (Admin only)
+ * @body {
+ *   channel?: 'EMAIL' | 'SMS',
+ *   address: string, // Required
+ *   reason?: string, // Defaults to MANUAL
+ *   description?: string
+ * }
+ */
+router.post('/suppressions', adminOnly, CommunicationController.createSuppression);
+
+/**
+ * @route GET /api/integrations/communication/suppressions/:id
+ * @desc Get a suppression with its provider event history
+ * @access Private (Admin only)
+ */
+router.get('/suppressions/:id', adminOnly, CommunicationController.getSuppression);
+
+/**
+ * @route POST /api/integrations/communication/suppressions/:id/lift
+ * @desc Lift a suppression so the address can be sent to again
+ * @access Private (Admin only)
+ * @body {
+ *   reason?: string
+ * }
+ */
+router.post('/suppressions/:id/lift', adminOnly, CommunicationController.liftSuppression);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,176 @@
+const { validationResult } = require('express-validator');
+const AuditLog = require('../../admin/models/auditLog.model');
+const jobScheduler = require('../services/jobScheduler.service');
+
+/**
+ * Job Management Controller
+ * Admin visibility and control over the background job scheduler
+ */
+class JobsController {
+  /**
+   * List all scheduled jobs with their state
+   * GET /api/jobs
+   */
+  async listJobs(req, res) {
+    try {
+      const jobs = await jobScheduler.listJobs();
+
+      res.json({
+        success: true,
+        data: {
+          instanceId: jobScheduler.instanceId,
+          schedulerRunning: jobScheduler.started,
+          jobs
+        }
+      });
+    } catch (error) {
+      console.error('Error listing jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to list jobs',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Get one job and its recent run history
+   * GET /api/jobs/:name/runs
+   */
+  async getJobRuns(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const job = await jobScheduler.getJob(req.params.name);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      const { runs, pagination } = await jobScheduler.getRuns(req.params.name, {
+        status: req.query.status,
+        page: parseInt(req.query.page) || 1,
+        limit: parseInt(req.query.limit) || 20
+      });
+
+      res.json({
+        success: true,
+        data: { job, runs, pagination }
+      });
+    } catch (error) {
+      console.error('Error getting job runs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get job runs',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  /**
+   * Pause or resume a job
+   * POST /api/jobs/:name/pause, POST /api/jobs/:name/resume
+   */
+  async setPaused(req, res, paused) {
+    try {
+      const job = paused
+        ? await jobScheduler.pause(req.params.name, req.user._id)
+        : await jobScheduler.resume(req.params.name);
+
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      await AuditLog.create({
+        userId: req.user._id,
+        action: 'system_action',
+        resource: 'scheduled_job',
+        resourceId: job.name,
+        details: { operation: paused ? 'pause' : 'resume' },
+        ipAddress: req.ip
+      });
+
+      res.json({
+        success: true,
+        message: `Job ${job.name} ${paused ? 'paused' : 'resumed'}`,
+        data: job
+      });
+    } catch (error) {
+      console.error('Error updating job state:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update job',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  async pauseJob(req, res) {
+    return this.setPaused(req, res, true);
+  }
+
+  async resumeJob(req, res) {
+    return this.setPaused(req, res, false);
+  }
+
+  /**
+   * Run a job immediately
+   * POST /api/jobs/:name/trigger
+   */
+  async triggerJob(req, res) {
+    try {
+      const job = await jobScheduler.getJob(req.params.name);
+      if (!job) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      const run = await jobScheduler.trigger(job.name, req.user._id);
+
+      await AuditLog.create({
+        userId: req.user._id,
+        action: 'system_action',
+        resource: 'scheduled_job',
+        resourceId: job.name,
+        details: { operation: 'trigger' },
+        ipAddress: req.ip
+      });
+
+      res.status(202).json({
+        success: true,
+        message: `Job ${job.name} started`,
+        data: run
+      });
+    } catch (error) {
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      console.error('Error triggering job:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to trigger job',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
+  }
+}
+
+module.exports = new JobsController();
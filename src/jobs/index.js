@@ -0,0 +1,14 @@
+/**
+ * Jobs Module Index
+ * Background job scheduler, its admin routes and the default job set
+ */
+
+const jobRoutes = require('./routes/jobs.routes');
+const jobScheduler = require('./services/jobScheduler.service');
+const { registerDefaultJobs } = require('./jobs');
+
+module.exports = {
+  jobRoutes,
+  jobScheduler,
+  registerDefaultJobs
+};
@@ -0,0 +1,127 @@
+/**
+ * Eagle Background Jobs
+ * Registers the recurring jobs that used to require external cron scripts
+ */
+
+const jobScheduler = require('./services/jobScheduler.service');
+const SubscriptionRenewalService = require('../subscription/services/subscriptionRenewal.service');
+const DowngradeProcessor = require('../subscription/services/downgradeProcessor');
+const DunningEngineService = require('../payment/services/dunningEngine.service');
+const Announcement = require('../dashboard/models/announcement.model');
+const webhookOutbox = require('../services/webhookOutbox.service');
+const CreditLedgerService = require('../payment/services/creditLedger.service');
+const CreditNoteService = require('../payment/services/creditNote.service');
+const CurrencyService = require('../payment/services/currency.service');
+const ContractReminderService = require('../contract/services/contractReminder.service');
+const ContractRetentionService = require('../contract/services/contractRetention.service');
+const ReconsentCampaignService = require('../contract/services/reconsentCampaign.service');
+const ContractBulkSendService = require('../contract/services/contractBulkSend.service');
+const suppressionService = require('../services/suppression.service');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+const renewalService = new SubscriptionRenewalService();
+const downgradeProcessor = new DowngradeProcessor();
+const dunningEngine = new DunningEngineService();
+const creditLedger = new CreditLedgerService();
+const creditNotes = new CreditNoteService();
+const currencyService = new CurrencyService();
+
+const registerDefaultJobs = () => {
+  jobScheduler.register('subscription-renewals', () => renewalService.processDueRenewals(), {
+    description: 'Charge locally billed subscriptions whose billing date has passed',
+    intervalMs: HOUR_MS
+  });
+
+  jobScheduler.register('scheduled-downgrades', async () => {
+    const scheduledChanges = await renewalService.processScheduledChanges();
+    await downgradeProcessor.processScheduledDowngrades();
+    return { scheduledChanges };
+  }, {
+    description: 'Apply scheduled plan changes, cancellations and contract downgrades',
+    intervalMs: HOUR_MS
+  });
+
+  jobScheduler.register('trial-expirations', () => renewalService.processTrialExpirations(), {
+    description: 'Convert or expire subscriptions whose trial has ended',
+    intervalMs: HOUR_MS
+  });
+
+  jobScheduler.register('dunning', () => dunningEngine.processDueSteps(), {
+    description: 'Run due dunning campaign steps for failed payments',
+    intervalMs: 15 * MINUTE_MS,
+    lockTtlMs: 30 * MINUTE_MS
+  });
+
+  jobScheduler.register('announcement-expirations', async () => {
+    const result = await Announcement.updateExpiredAnnouncements();
+    return { expired: result.modifiedCount };
+  }, {
+    description: 'Mark announcements past their end date as expired',
+    intervalMs: HOUR_MS
+  });
+
+  jobScheduler.register('webhook-outbox', () => webhookOutbox.processDue({ limit: 500 }), {
+    description: 'Deliver queued webhooks and retry failed deliveries',
+    intervalMs: MINUTE_MS,
+    maxRetries: 0
+  });
+
+  jobScheduler.register('credit-expirations', async () => {
+    const expired = await creditLedger.expireCredits();
+    return { expired: expired.length };
+  }, {
+    description: 'Expire the unused part of account credits past their expiry date',
+    intervalMs: HOUR_MS
+  });
+
+  jobScheduler.register('credit-note-retries', () => creditNotes.processCreditNoteRequests(), {
+    description: 'Retry credit notes that failed after their refund went through',
+    intervalMs: 5 * MINUTE_MS
+  });
+
+  // Hourly so a missed fetch is retried; rates are only stored once per day
+  jobScheduler.register('exchange-rates', () => currencyService.refreshDailyRates(), {
+    description: 'Store daily exchange rates from the configured provider',
+    intervalMs: HOUR_MS
+  });
+
+  jobScheduler.register('contract-reminders', () => ContractReminderService.processDueReminders(), {
+    description: 'Email signers whose contracts reach a configured reminder day before expiry',
+    intervalMs: HOUR_MS
+  });
+
+  jobScheduler.register('contract-expirations', () => ContractReminderService.processExpirations(), {
+    description: 'Expire unsigned contracts past their expiry date and send contract.expired webhooks',
+    intervalMs: 15 * MINUTE_MS
+  });
+
+  jobScheduler.register('contract-retention', async () => {
+    const scheduled = await ContractRetentionService.scheduleDestructions();
+    const destroyed = await ContractRetentionService.processDueDestructions();
+    return { ...scheduled, ...destroyed };
+  }, {
+    description: 'Schedule destruction of closed contracts and purge or anonymize those past retention',
+    intervalMs: 24 * HOUR_MS
+  });
+
+  jobScheduler.register('reconsent-campaigns', () => ReconsentCampaignService.processCampaigns(), {
+    description: 'Issue new template versions to subscribers in running re-consent campaigns',
+    intervalMs: 5 * MINUTE_MS
+  });
+
+  jobScheduler.register('contract-bulk-sends', () => ContractBulkSendService.processJobs(), {
+    description: 'Issue contracts to the validated rows of queued bulk sends',
+    intervalMs: MINUTE_MS
+  });
+
+  jobScheduler.register('suppression-expiry', () => suppressionService.liftExpired(), {
+    description: 'Lift soft-bounce email suppressions whose window has passed',
+    intervalMs: HOUR_MS
+  });
+
+  return jobScheduler;
+};
+
+module.exports = { registerDefaultJobs };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Run history is kept for 90 days
+const RUN_RETENTION_SECONDS = 90 * 24 * 60 * 60;
+
+/**
+ * Job Run
+ * History entry for every execution of a scheduled job
+ */
+const jobRunSchema = new mongoose.Schema({
+    jobName: { type: String, required: true, index: true },
+    trigger: { type: String, enum: ['schedule', 'retry', 'manual'], default: 'schedule' },
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    instanceId: { type: String },
+    attempt: { type: Number, default: 0 },
+    status: { type: String, enum: ['running', 'success', 'failed'], default: 'running', index: true },
+    startedAt: { type: Date, default: Date.now },
+    finishedAt: { type: Date },
+    durationMs: { type: Number },
+    result: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+    nextRetryAt: { type: Date }
+}, {
+    timestamps: true
+});
+
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_RETENTION_SECONDS });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+/**
+ * Scheduled Job
+ * One document per named recurring job; the lock fields make sure only one
+ * application instance runs a job at a time
+ */
+const scheduledJobSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String },
+    intervalMs: { type: Number, required: true, min: 1000 },
+
+    // Scheduling
+    nextRunAt: { type: Date, default: Date.now, index: true },
+    paused: { type: Boolean, default: false },
+    pausedAt: { type: Date },
+    pausedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+
+    // Distributed lock
+    lockedBy: { type: String, default: null },
+    lockedUntil: { type: Date, default: null },
+    lockTtlMs: { type: Number, default: 10 * 60 * 1000 },
+
+    // Retry policy
+    maxRetries: { type: Number, default: 3, min: 0 },
+    retryBackoffMs: { type: Number, default: 60 * 1000, min: 0 },
+    attempt: { type: Number, default: 0 },
+
+    // Last run summary
+    lastRunAt: { type: Date },
+    lastFinishedAt: { type: Date },
+    lastStatus: { type: String, enum: ['running', 'success', 'failed'] },
+    lastError: { type: String },
+    lastDurationMs: { type: Number },
+    runCount: { type: Number, default: 0 },
+    failureCount: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
+scheduledJobSchema.virtual('isLocked').get(function () {
+    return Boolean(this.lockedUntil && this.lockedUntil > new Date());
+});
+
+scheduledJobSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { protect, adminOnly } = require('../../middlewares/auth.middleware');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Background Jobs
+ *   description: Scheduled job monitoring and control
+ */
+
+const jobsController = require('../controllers/jobs.controller');
+
+// All job routes are admin only
+router.use(protect, adminOnly);
+
+/**
+ * @route GET /api/jobs
+ * @desc List scheduled jobs with lock, schedule and last run state
+ * @access Admin
+ */
+router.get('/', (req, res) => jobsController.listJobs(req, res));
+
+/**
+ * @route GET /api/jobs/:name/runs
+ * @desc Get a job's run history
+ * @access Admin
+ */
+router.get('/:name/runs',
+  [
+    param('name').trim().notEmpty().withMessage('Job name is required'),
+    query('status').optional().isIn(['running', 'success', 'failed']).withMessage('Invalid status'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Page must be positive integer'),
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be 1-100')
+  ],
+  (req, res) => jobsController.getJobRuns(req, res)
+);
+
+/**
+ * @route POST /api/jobs/:name/pause
+ * @desc Stop a job from running on its schedule
+ * @access Admin
+ */
+router.post('/:name/pause', (req, res) => jobsController.pauseJob(req, res));
+
+/**
+ * @route POST /api/jobs/:name/resume
+ * @desc Resume a paused job
+ * @access Admin
+ */
+router.post('/:name/resume', (req, res) => jobsController.resumeJob(req, res));
+
+/**
+ * @route POST /api/jobs/:name/trigger
+ * @desc Run a job now on this instance
+ * @access Admin
+ */
+router.post('/:name/trigger', (req, res) => jobsController.triggerJob(req, res));
+
+module.exports = router;
@@ -0,0 +1,317 @@
+const os = require('os');
+const ScheduledJob = require('../models/scheduledJob.model');
+const JobRun = require('../models/jobRun.model');
+
+const DEFAULT_POLL_INTERVAL_MS = 30 * 1000;
+
+/**
+ * Eagle Job Scheduler
+ * Runs named recurring jobs out of MongoDB so every PM2 instance can poll
+ * safely: a job is only executed by the instance that wins its lock
+ */
+class JobScheduler {
+  constructor() {
+    this.handlers = new Map();
+    this.activeRuns = new Set();
+    this.timer = null;
+    this.started = false;
+    this.pollIntervalMs = parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || DEFAULT_POLL_INTERVAL_MS;
+    this.instanceId = `${os.hostname()}:${process.env.INSTANCE_ID ?? 'single'}:${process.pid}`;
+  }
+
+  /**
+   * Register a job handler; persisted settings are synced on start()
+   * @param {string} name - Unique job name
+   * @param {Function} handler - async (context) => result
+   * @param {Object} options - intervalMs, description, maxRetries, retryBackoffMs, lockTtlMs
+   */
+  register(name, handler, options = {}) {
+    if (!options.intervalMs) {
+      throw new Error(`Job ${name} requires an intervalMs`);
+    }
+
+    this.handlers.set(name, {
+      handler,
+      description: options.description || '',
+      intervalMs: options.intervalMs,
+      maxRetries: options.maxRetries ?? 3,
+      retryBackoffMs: options.retryBackoffMs ?? 60 * 1000,
+      lockTtlMs: options.lockTtlMs ?? 10 * 60 * 1000
+    });
+
+    return this;
+  }
+
+  /**
+   * Upsert job definitions and begin polling for due jobs
+   */
+  async start() {
+    if (this.started) return;
+
+    for (const [name, definition] of this.handlers) {
+      await ScheduledJob.findOneAndUpdate(
+        { name },
+        {
+          $set: {
+            description: definition.description,
+            intervalMs: definition.intervalMs,
+            maxRetries: definition.maxRetries,
+            retryBackoffMs: definition.retryBackoffMs,
+            lockTtlMs: definition.lockTtlMs
+          },
+          $setOnInsert: { nextRunAt: new Date(), paused: false }
+        },
+        { upsert: true, new: true }
+      );
+    }
+
+    this.started = true;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+    this.timer.unref();
+
+    console.log(`⏱️ Job scheduler started on ${this.instanceId} with ${this.handlers.size} jobs`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.started = false;
+  }
+
+  /**
+   * Try to claim and run every registered job that is due
+   */
+  async tick() {
+    for (const name of this.handlers.keys()) {
+      if (this.activeRuns.has(name)) continue;
+
+      try {
+        const job = await this.acquire(name);
+        if (job) {
+          await this.execute(job, { trigger: job.attempt > 0 ? 'retry' : 'schedule' });
+        }
+      } catch (error) {
+        console.error(`Job scheduler tick failed for ${name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Atomically take the lock on a job; returns null when another instance holds it
+   */
+  async acquire(name, options = {}) {
+    const { ignoreSchedule = false } = options;
+    const now = new Date();
+    const definition = this.handlers.get(name);
+
+    const filter = {
+      name,
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    };
+    if (!ignoreSchedule) {
+      filter.paused = false;
+      filter.nextRunAt = { $lte: now };
+    }
+
+    return ScheduledJob.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          lockedBy: this.instanceId,
+          lockedUntil: new Date(now.getTime() + definition.lockTtlMs)
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Run a locked job, record its history and schedule the next run or retry
+   */
+  async execute(job, options = {}) {
+    const { trigger = 'schedule', triggeredBy } = options;
+    const definition = this.handlers.get(job.name);
+    const startedAt = new Date();
+
+    const run = await JobRun.create({
+      jobName: job.name,
+      trigger,
+      triggeredBy,
+      instanceId: this.instanceId,
+      attempt: job.attempt,
+      status: 'running',
+      startedAt
+    });
+
+    await ScheduledJob.updateOne({ _id: job._id }, { $set: { lastRunAt: startedAt, lastStatus: 'running' } });
+
+    // Keep the lock alive while long jobs are still working
+    const heartbeat = setInterval(() => {
+      ScheduledJob.updateOne(
+        { _id: job._id, lockedBy: this.instanceId },
+        { $set: { lockedUntil: new Date(Date.now() + definition.lockTtlMs) } }
+      ).catch(error => console.error(`Failed to extend lock for ${job.name}:`, error.message));
+    }, Math.max(1000, Math.floor(definition.lockTtlMs / 2)));
+    heartbeat.unref();
+    this.activeRuns.add(job.name);
+
+    try {
+      const result = await definition.handler({
+        jobName: job.name,
+        runId: run._id,
+        attempt: job.attempt,
+        trigger,
+        triggeredBy
+      });
+
+      const finishedAt = new Date();
+      const durationMs = finishedAt - startedAt;
+
+      await JobRun.updateOne({ _id: run._id }, {
+        $set: { status: 'success', finishedAt, durationMs, result }
+      });
+
+      await ScheduledJob.updateOne({ _id: job._id }, {
+        $set: {
+          lastStatus: 'success',
+          lastFinishedAt: finishedAt,
+          lastDurationMs: durationMs,
+          lastError: null,
+          attempt: 0,
+          nextRunAt: new Date(finishedAt.getTime() + job.intervalMs),
+          lockedBy: null,
+          lockedUntil: null
+        },
+        $inc: { runCount: 1 }
+      });
+
+      return { runId: run._id, status: 'success', result };
+    } catch (error) {
+      const finishedAt = new Date();
+      const durationMs = finishedAt - startedAt;
+      const attempt = job.attempt + 1;
+      const willRetry = attempt <= job.maxRetries;
+
+      // Exponential backoff between retries, then fall back to the normal interval
+      const nextRunAt = willRetry
+        ? new Date(finishedAt.getTime() + job.retryBackoffMs * Math.pow(2, attempt - 1))
+        : new Date(finishedAt.getTime() + job.intervalMs);
+
+      console.error(`❌ Job ${job.name} failed (attempt ${attempt}):`, error.message);
+
+      await JobRun.updateOne({ _id: run._id }, {
+        $set: {
+          status: 'failed',
+          finishedAt,
+          durationMs,
+          error: error.message,
+          nextRetryAt: willRetry ? nextRunAt : undefined
+        }
+      });
+
+      await ScheduledJob.updateOne({ _id: job._id }, {
+        $set: {
+          lastStatus: 'failed',
+          lastFinishedAt: finishedAt,
+          lastDurationMs: durationMs,
+          lastError: error.message,
+          attempt: willRetry ? attempt : 0,
+          nextRunAt,
+          lockedBy: null,
+          lockedUntil: null
+        },
+        $inc: { runCount: 1, failureCount: 1 }
+      });
+
+      return { runId: run._id, status: 'failed', error: error.message, nextRunAt };
+    } finally {
+      clearInterval(heartbeat);
+      this.activeRuns.delete(job.name);
+    }
+  }
+
+  /**
+   * Run a job now, regardless of its schedule or pause state
+   * Resolves once the lock is taken; the job itself keeps running in the background
+   */
+  async trigger(name, triggeredBy = null) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`Job ${name} is not registered`);
+    }
+
+    const job = await this.acquire(name, { ignoreSchedule: true });
+    if (!job) {
+      const error = new Error(`Job ${name} is already running`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const execution = this.execute(job, { trigger: 'manual', triggeredBy });
+    execution.catch(error => console.error(`Manual run of ${name} failed:`, error.message));
+
+    return { job: job.name, lockedBy: this.instanceId, startedAt: new Date() };
+  }
+
+  async pause(name, pausedBy = null) {
+    return ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: { paused: true, pausedAt: new Date(), pausedBy } },
+      { new: true }
+    );
+  }
+
+  async resume(name) {
+    return ScheduledJob.findOneAndUpdate(
+      { name },
+      { $set: { paused: false, pausedAt: null, pausedBy: null } },
+      { new: true }
+    );
+  }
+
+  async listJobs() {
+    const jobs = await ScheduledJob.find().sort({ name: 1 }).lean();
+
+    return jobs.map(job => ({
+      ...job,
+      isLocked: Boolean(job.lockedUntil && job.lockedUntil > new Date()),
+      registered: this.handlers.has(job.name)
+    }));
+  }
+
+  async getJob(name) {
+    return ScheduledJob.findOne({ name });
+  }
+
+  async getRuns(name, options = {}) {
+    const { status, page = 1, limit = 20 } = options;
+    const query = { jobName: name };
+    if (status) {
+      query.status = status;
+    }
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(query)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('triggeredBy', 'firstName lastName email'),
+      JobRun.countDocuments(query)
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new JobScheduler();
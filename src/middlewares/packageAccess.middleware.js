@@ -1,99 +1,60 @@
 const createError = require("http-errors");
+const entitlementService = require("../plans/services/entitlement.service");
 
 /**
- * Package access hierarchy:
- * Basic -> Limited features
- * Diamond -> Premium features
- * Infinity -> All features including advanced tools
- * Script -> Script-specific features
+ * Package and feature access is resolved from the Plan documents a user holds
+ * (subscription, add-ons and included plans). The legacy tables below only
+ * apply to packages that do not have a Plan document yet.
  */
+const PACKAGE_HIERARCHY = entitlementService.LEGACY_PACKAGE_HIERARCHY;
+const PACKAGE_FEATURES = entitlementService.LEGACY_PACKAGE_FEATURES;
 
-const PACKAGE_HIERARCHY = {
-  None: 0,
-  Basic: 1,
-  Diamond: 2,
-  Infinity: 3,
-  Script: 2, // Same level as Diamond but different features
-};
-
-const PACKAGE_FEATURES = {
-  None: [],
-  Basic: [
-    "market_education",
-    "basic_chat_room",
-    "basic_market_updates",
-    "email_support",
-  ],
-  Diamond: [
-    "stock_alerts",
-    "ai_advisor",
-    "option_alerts",
-    "diamond_chat_room",
-    "live_trading_stream",
-    "investment_recommendations",
-    "watchlists",
-    "unusual_options_activity",
-    "ai_stock_breakouts",
-    "analyst_grades",
-    "darkpool_ideas",
-  ],
-  Infinity: [
-    "advanced_market_screening",
-    "professional_quant_scripts",
-    "infinity_advisory_tickets",
-    "portfolio_review_stream",
-    "priority_sms_alerts",
-    "enhanced_ai_advisor",
-    "complete_education_library",
-    "custom_analysis_tools",
-    "vip_advisory_support",
-    "infinity_discord_channels",
-    "infinity_trading_chat",
-    "infinity_challenges",
-    "24_7_market_monitoring",
-  ],
-  Script: [
-    "trading_scripts",
-    "script_notifications",
-    "technical_analysis_tools",
-    "script_education",
-  ],
+/**
+ * Load the current user's entitlements once per request
+ */
+const loadEntitlements = async (req) => {
+  if (!req.entitlements) {
+    req.entitlements = await entitlementService.getEntitlements(req.user._id);
+  }
+  return req.entitlements;
 };
 
 /**
  * Check if user has required package access
  */
 const requirePackage = (requiredPackages) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
-      const userSubscription = req.user?.subscription || "None";
+      if (!req.user) {
+        throw createError(401, "Authentication required");
+      }
 
       // Convert to array if string is passed
       const required = Array.isArray(requiredPackages)
         ? requiredPackages
         : [requiredPackages];
 
-      // Check if user has any of the required packages
-      const hasAccess = required.some((pkg) => {
-        if (userSubscription === pkg) return true;
-
-        // Special case: Infinity has access to all Diamond features
-        if (userSubscription === "Infinity" && pkg === "Diamond") return true;
+      const entitlements = await loadEntitlements(req);
 
-        // Check hierarchy level
-        return PACKAGE_HIERARCHY[userSubscription] >= PACKAGE_HIERARCHY[pkg];
-      });
+      // Check if user has any of the required packages
+      let hasAccess = false;
+      for (const pkg of required) {
+        if (await entitlementService.hasPackage(entitlements, pkg)) {
+          hasAccess = true;
+          break;
+        }
+      }
 
       if (!hasAccess) {
         throw createError(
           403,
           `Access denied. Required package: ${required.join(
             " or "
-          )}. Your package: ${userSubscription}`
+          )}. Your package: ${entitlements.package}`
         );
       }
 
-      req.userPackage = userSubscription;
+      req.userPackage = entitlements.package;
       next();
     } catch (error) {
       next(error);
@@ -105,21 +66,18 @@ const requirePackage = (requiredPackages) => {
  * Check if user has specific feature access
  */
 const requireFeature = (featureName) => {
-  return (req, res, next) => {
+  return async (req, res, next) => {
     try {
-      const userSubscription = req.user?.subscription || "None";
-      const userFeatures = PACKAGE_FEATURES[userSubscription] || [];
+      if (!req.user) {
+        throw createError(401, "Authentication required");
+      }
 
-      // Check if user has the required feature
-      const hasFeature =
-        userFeatures.includes(featureName) ||
-        (userSubscription === "Infinity" &&
-          PACKAGE_FEATURES.Diamond.includes(featureName));
+      const entitlements = await loadEntitlements(req);
 
-      if (!hasFeature) {
+      if (!entitlementService.hasFeature(entitlements, featureName)) {
         throw createError(
           403,
-          `Feature '${featureName}' not available in your package: ${userSubscription}`
+          `Feature '${featureName}' not available in your package: ${entitlements.package}`
         );
       }
 
@@ -131,7 +89,8 @@ const requireFeature = (featureName) => {
 };
 
 /**
- * Get user's available features
+ * Get the legacy feature list for a package name
+ * Prefer entitlementService.getEntitlements for real users
  */
 const getUserFeatures = (subscription) => {
   const features = [...(PACKAGE_FEATURES[subscription] || [])];
@@ -145,7 +104,7 @@ const getUserFeatures = (subscription) => {
 };
 
 /**
- * Check if user can access a specific route based on package
+ * Check route access against the legacy package hierarchy
  */
 const canAccessRoute = (userSubscription, routePackage) => {
   if (!routePackage) return true; // Public route
@@ -159,6 +118,7 @@ const canAccessRoute = (userSubscription, routePackage) => {
 module.exports = {
   requirePackage,
   requireFeature,
+  loadEntitlements,
   getUserFeatures,
   canAccessRoute,
   PACKAGE_HIERARCHY,
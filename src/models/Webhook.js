@@ -91,6 +91,19 @@ const webhookSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    // Failed attempts since the last successful delivery
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    },
+    disabledAt: {
+        type: Date,
+        default: null
+    },
+    disabledReason: {
+        type: String,
+        default: null
+    },
     deliveryStats: {
         total: {
             type: Number,
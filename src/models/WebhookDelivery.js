@@ -7,6 +7,11 @@ const webhookDeliverySchema = new mongoose.Schema({
         required: true,
         index: true
     },
+    outbox: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookOutbox',
+        index: true
+    },
     event: {
         type: String,
         required: true
@@ -56,7 +61,7 @@ webhookDeliverySchema.index({ deliveredAt: -1 });
 // Static method to get recent deliveries for a webhook
 webhookDeliverySchema.statics.getRecentDeliveries = async function (webhookId, limit = 10) {
     return await this.find({ webhook: webhookId })
-        .select('event statusCode duration success deliveredAt attempt')
+        .select('outbox event statusCode duration success deliveredAt attempt error')
         .sort({ deliveredAt: -1 })
         .limit(limit);
 };
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+const webhookOutboxSchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: true,
+        index: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'delivered', 'dead_letter'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastAttemptAt: {
+        type: Date
+    },
+    lastStatusCode: {
+        type: Number
+    },
+    lastError: {
+        type: String,
+        maxlength: 1000
+    },
+    deliveredAt: {
+        type: Date
+    },
+    deadLetteredAt: {
+        type: Date
+    },
+    // Claim held by the worker currently delivering this entry
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    replayOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookOutbox'
+    },
+    replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for the delivery worker and admin queries
+webhookOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookOutboxSchema.index({ webhook: 1, createdAt: -1 });
+webhookOutboxSchema.index({ webhook: 1, status: 1, createdAt: -1 });
+
+const WebhookOutbox = mongoose.model('WebhookOutbox', webhookOutboxSchema);
+
+module.exports = WebhookOutbox;
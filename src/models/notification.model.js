@@ -35,7 +35,7 @@ const notificationSchema = new mongoose.Schema({
     },
     category: {
         type: String,
-        enum: ['subscription', 'payment', 'system', 'user', 'support', 'general'],
+        enum: ['subscription', 'payment', 'system', 'user', 'support', 'general', 'marketing'],
         default: 'general'
     },
     priority: {
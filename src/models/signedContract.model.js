@@ -159,6 +159,14 @@ const signedContractSchema = new mongoose.Schema(
       type: Boolean,
       default: false, // Flag to identify guest contracts (created without user account)
     },
+    // Discount redemption reserved for the open Stripe payment intent; given
+    // back if the intent is cancelled or replaced by a new checkout
+    discountReservation: {
+      paymentIntentId: {
+        type: String,
+      },
+      counterKeys: [{ type: String }],
+    },
     scheduledDowngrade: {
       targetSubscription: {
         type: String,
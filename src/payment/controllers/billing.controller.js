@@ -1,6 +1,11 @@
 const { TaxRate, Invoice, Receipt, TaxReport } = require('../models/billing.model');
 const TaxCalculationService = require('../services/taxCalculation.service');
 const InvoiceService = require('../services/invoiceGeneration.service');
+const UsageMeteringService = require('../services/usageMetering.service');
+const CreditLedgerService = require('../services/creditLedger.service');
+const CreditNoteService = require('../services/creditNote.service');
+const CurrencyService = require('../services/currency.service');
+const FinanceReportService = require('../services/financeReport.service');
 const { validationResult } = require('express-validator');
 
 /**
@@ -11,6 +16,11 @@ class BillingController {
   constructor() {
     this.taxService = new TaxCalculationService();
     this.invoiceService = new InvoiceService();
+    this.usageMeteringService = new UsageMeteringService();
+    this.creditLedgerService = new CreditLedgerService();
+    this.creditNoteService = new CreditNoteService();
+    this.currencyService = new CurrencyService();
+    this.financeReportService = new FinanceReportService();
   }
 
   // ==================== TAX RATE MANAGEMENT ====================
@@ -322,14 +332,20 @@ class BillingController {
         generatePdf = true,
         sendEmail = false,
         templateId = 'default',
-        emailOptions = {}
+        emailOptions = {},
+        includeUsage = true,
+        usagePeriod,
+        applyCredits = true
       } = req.body;
 
       const invoice = await this.invoiceService.createInvoice(req.body, {
         generatePdf,
         sendEmail,
         templateId,
-        emailOptions
+        emailOptions,
+        includeUsage,
+        usagePeriod,
+        applyCredits
       });
 
       res.status(201).json({
@@ -558,10 +574,23 @@ class BillingController {
         });
       }
 
+      if (invoice.creditStatus && invoice.creditStatus !== 'NONE') {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot void an invoice with credit notes. Credit the remaining balance instead.'
+        });
+      }
+
       // Void the invoice
       invoice.void(reason, req.user.id);
       await invoice.save();
 
+      // Return any account credit the invoice consumed
+      await this.creditLedgerService.reverseInvoiceCredits(invoice._id, {
+        reason: `Invoice ${invoice.invoiceNumber} voided`,
+        createdBy: req.user.id
+      });
+
       res.json({
         success: true,
         message: 'Invoice voided successfully',
@@ -648,6 +677,117 @@ class BillingController {
     }
   }
 
+  // ==================== CREDIT NOTES ====================
+
+  /**
+   * Issue a credit note against an invoice
+   */
+  async createCreditNote(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { id } = req.params;
+      const { lines, amount, reason, memo, settlement, refund, generatePdf } = req.body;
+
+      const creditNote = await this.creditNoteService.createCreditNote(id, {
+        lines,
+        amount,
+        reason,
+        memo,
+        settlement,
+        refund,
+        generatePdf,
+        createdBy: req.user.id,
+        idempotencyKey: req.get('Idempotency-Key')
+      });
+
+      const invoice = await Invoice.findById(id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Credit note issued successfully',
+        data: {
+          creditNote,
+          invoice
+        }
+      });
+    } catch (error) {
+      console.error('Credit note creation error:', error);
+      const status = error.message === 'Invoice not found' ? 404 : 400;
+      res.status(status).json({
+        success: false,
+        message: 'Failed to issue credit note',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List credit notes
+   */
+  async getCreditNotes(req, res) {
+    try {
+      const { page = 1, limit = 20, customerId, invoiceId, currency, dateFrom, dateTo } = req.query;
+
+      const result = await this.creditNoteService.getCreditNotes({
+        customerId,
+        invoiceId: invoiceId || req.params.id,
+        currency,
+        dateFrom,
+        dateTo,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Get credit notes error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch credit notes',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Generate credit note PDF
+   */
+  async generateCreditNotePDF(req, res) {
+    try {
+      const { id } = req.params;
+      const { templateId = 'default' } = req.body;
+
+      const result = await this.creditNoteService.generateCreditNotePDF(id, templateId);
+
+      res.json({
+        success: true,
+        message: 'Credit note PDF generated successfully',
+        data: {
+          url: result.url,
+          size: result.size
+        }
+      });
+    } catch (error) {
+      console.error('Credit note PDF generation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate credit note PDF',
+        error: error.message
+      });
+    }
+  }
+
   // ==================== PDF AND EMAIL OPERATIONS ====================
 
   /**
@@ -822,7 +962,7 @@ class BillingController {
    */
   async getBillingDashboard(req, res) {
     try {
-      const { period = '30d', currency } = req.query;
+      const { period = '30d', currency, reportingCurrency } = req.query;
       
       // Calculate date range
       const periodDays = parseInt(period.replace('d', ''));
@@ -915,9 +1055,15 @@ class BillingController {
         ])
       ]);
 
+      // Totals across currencies, converted with historical rates
+      const reporting = reportingCurrency
+        ? await this.financeReportService.getInvoiceTotals(filter, reportingCurrency)
+        : null;
+
       res.json({
         success: true,
         data: {
+          reporting,
           overview: invoiceStats[0] || {
             totalInvoices: 0,
             totalRevenue: 0,
@@ -937,7 +1083,7 @@ class BillingController {
       });
     } catch (error) {
       console.error('Billing dashboard error:', error);
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         message: 'Failed to fetch billing dashboard',
         error: error.message
@@ -1108,6 +1254,234 @@ class BillingController {
     return 'Unsupported data type for CSV export';
   }
 
+  // ==================== USAGE METERING ====================
+
+  /**
+   * Record metered feature usage for a customer
+   */
+  async recordUsage(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { customerId, featureKey, quantity, idempotencyKey, subscriptionId, occurredAt, metadata } = req.body;
+      const key = idempotencyKey || req.get('Idempotency-Key');
+
+      const result = await this.usageMeteringService.recordUsage(customerId, featureKey, Number(quantity), {
+        idempotencyKey: key,
+        subscriptionId,
+        occurredAt: occurredAt ? new Date(occurredAt) : undefined,
+        source: 'api',
+        metadata
+      });
+
+      res.status(result.duplicate ? 200 : 201).json({
+        success: true,
+        message: result.duplicate ? 'Usage already recorded for this idempotency key' : 'Usage recorded successfully',
+        data: result
+      });
+    } catch (error) {
+      console.error('Usage recording error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record usage',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get usage against quotas for the current billing period
+   */
+  async getUsageSummary(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const customerId = req.params.customerId || req.user.id;
+      const summary = await this.usageMeteringService.getUsageSummary(customerId, {
+        subscriptionId: req.query.subscriptionId,
+        at: req.query.at ? new Date(req.query.at) : undefined
+      });
+
+      res.json({
+        success: true,
+        data: summary
+      });
+    } catch (error) {
+      console.error('Usage summary error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch usage summary',
+        error: error.message
+      });
+    }
+  }
+
+  // ==================== ACCOUNT CREDIT ====================
+
+  /**
+   * Get a customer's credit statement
+   */
+  async getCreditStatement(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { currency = 'USD', dateFrom, dateTo, page = 1, limit = 50 } = req.query;
+
+      const [statement, balances] = await Promise.all([
+        this.creditLedgerService.getStatement(req.params.customerId, {
+          currency,
+          from: dateFrom,
+          to: dateTo,
+          page: parseInt(page),
+          limit: parseInt(limit)
+        }),
+        this.creditLedgerService.getBalances(req.params.customerId)
+      ]);
+
+      res.json({
+        success: true,
+        data: { ...statement, balances }
+      });
+    } catch (error) {
+      console.error('Credit statement error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch credit statement',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Issue account credit to a customer
+   */
+  async issueCredit(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { amount, currency = 'USD', reason, source = 'manual', expiresAt, idempotencyKey } = req.body;
+
+      const entry = await this.creditLedgerService.issueCredit(req.params.customerId, Number(amount), {
+        currency,
+        source,
+        reason,
+        expiresAt: expiresAt ? new Date(expiresAt) : undefined,
+        idempotencyKey,
+        createdBy: req.user.id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Credit issued successfully',
+        data: entry
+      });
+    } catch (error) {
+      console.error('Credit issue error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to issue credit',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Reverse an issued or applied credit entry
+   */
+  async reverseCreditEntry(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const entry = await this.creditLedgerService.reverseEntry(req.params.entryId, {
+        reason: req.body.reason,
+        createdBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: 'Credit entry reversed successfully',
+        data: entry
+      });
+    } catch (error) {
+      console.error('Credit reversal error:', error);
+      res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Move credit tracked on subscriptions and user records into the ledger
+   */
+  async reconcileCredits(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const entries = await this.creditLedgerService.migrateLegacyCredits(req.params.customerId, {
+        createdBy: req.user.id
+      });
+
+      res.json({
+        success: true,
+        message: `${entries.length} legacy credit(s) moved to the ledger`,
+        data: {
+          entries,
+          balances: await this.creditLedgerService.getBalances(req.params.customerId)
+        }
+      });
+    } catch (error) {
+      console.error('Credit reconciliation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reconcile credits',
+        error: error.message
+      });
+    }
+  }
+
   // ==================== CURRENCY MANAGEMENT ====================
 
   /**
@@ -1183,6 +1557,94 @@ class BillingController {
     
     return symbols[code] || code;
   }
+
+  // ==================== EXCHANGE RATES ====================
+
+  /**
+   * List stored daily exchange rates
+   */
+  async getExchangeRates(req, res) {
+    try {
+      const { baseCurrency, quoteCurrency, startDate, endDate, source, page = 1, limit = 100 } = req.query;
+
+      const result = await this.currencyService.getStoredRates({
+        baseCurrency,
+        quoteCurrency,
+        startDate,
+        endDate,
+        source,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Get exchange rates error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch exchange rates',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Upload daily exchange rates as JSON rows or CSV
+   */
+  async uploadExchangeRates(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { rates, csv } = req.body;
+      const result = await this.currencyService.importRates(csv || rates, {
+        uploadedBy: req.user.id
+      });
+
+      res.status(result.imported ? 201 : 400).json({
+        success: result.imported > 0,
+        message: `${result.imported} exchange rates imported`,
+        data: result
+      });
+    } catch (error) {
+      console.error('Upload exchange rates error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import exchange rates',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Fetch and store today's rates from the configured provider, replacing any already stored
+   */
+  async refreshExchangeRates(req, res) {
+    try {
+      const result = await this.currencyService.refreshDailyRates({ force: true });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Refresh exchange rates error:', error);
+      res.status(502).json({
+        success: false,
+        message: 'Failed to refresh exchange rates',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new BillingController();
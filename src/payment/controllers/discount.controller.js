@@ -1,9 +1,12 @@
 const { DiscountCode: Discount, DiscountRedemption } = require('../models/discount.model');
 const MembershipPlan = require('../../subscription/models/membershipPlan.model');
 const Subscription = require('../../subscription/models/subscription.model');
+const DiscountVelocityService = require('../services/discountVelocity.service');
 const mongoose = require('mongoose');
 // const { Parser } = require('json2csv'); // TODO: Install json2csv package for CSV export functionality
 
+const velocityService = new DiscountVelocityService();
+
 // Get discount statistics
 const getDiscountStats = async (req, res) => {
   try {
@@ -492,6 +495,28 @@ const validateDiscountCode = async (req, res) => {
       });
     }
 
+    const velocityContext = {
+      userId,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      sessionId: req.body?.sessionId || req.get('X-Session-Id')
+    };
+
+    // Check attempt velocity from this IP
+    const attemptCheck = await velocityService.checkAttemptLimits(
+      discount,
+      discount.fraudPrevention?.velocityLimits,
+      velocityContext
+    );
+
+    if (!attemptCheck.allowed) {
+      return res.status(429).json({
+        success: false,
+        message: 'Too many discount code attempts. Please try again later.',
+        retryAfter: attemptCheck.nextAllowedAt
+      });
+    }
+
     // Check if discount is expired
     const now = new Date();
     if (discount.endDate && now > discount.endDate) {
@@ -515,6 +540,27 @@ const validateDiscountCode = async (req, res) => {
       });
     }
 
+    // Check hourly, daily and per-session redemption limits
+    const redemptionCheck = await velocityService.checkRedemptionLimits(discount, {
+      perHour: discount.usageLimits?.perHour,
+      perDay: discount.usageLimits?.perDay,
+      perSession: discount.usageLimits?.perSession
+    }, velocityContext);
+
+    if (!redemptionCheck.allowed) {
+      const breach = redemptionCheck.breaches[0];
+      return res.json({
+        success: true,
+        data: {
+          valid: false,
+          message: breach.type === 'session_limit'
+            ? 'Discount code has already been used in this session'
+            : 'Discount code is temporarily unavailable. Please try again later.',
+          availableAt: redemptionCheck.nextAllowedAt
+        }
+      });
+    }
+
     // Check if user has already used this code (if userId provided)
     if (userId && discount.usageLimits?.perCustomer) {
       // Query DiscountRedemption collection for user usage
@@ -692,11 +738,15 @@ const getDiscountAnalytics = async (req, res) => {
       { $limit: 10 }
     ]);
 
+    // Velocity and usage-limit breaches
+    const fraud = await velocityService.getFraudSummary(startDate);
+
     res.json({
       success: true,
       data: {
         usageAnalytics,
         topDiscounts,
+        fraud,
         period
       }
     });
@@ -710,6 +760,80 @@ const getDiscountAnalytics = async (req, res) => {
   }
 };
 
+// Get discount fraud events for review
+const getDiscountFraudEvents = async (req, res) => {
+  try {
+    const { status, type, codeId, ipAddress, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const result = await velocityService.getFraudEvents({
+      status,
+      type,
+      codeId: mongoose.isValidObjectId(codeId) ? codeId : undefined,
+      ipAddress,
+      startDate,
+      endDate,
+      page: parseInt(page),
+      limit: Math.min(parseInt(limit), 100)
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error fetching discount fraud events:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch discount fraud events',
+      error: error.message
+    });
+  }
+};
+
+// Review a discount fraud event
+const reviewDiscountFraudEvent = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid fraud event ID'
+      });
+    }
+
+    if (!['open', 'confirmed', 'dismissed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be one of: open, confirmed, dismissed'
+      });
+    }
+
+    const event = await velocityService.reviewFraudEvent(id, { status, notes }, req.user.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Fraud event not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Fraud event reviewed',
+      data: event
+    });
+  } catch (error) {
+    console.error('Error reviewing discount fraud event:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review fraud event',
+      error: error.message
+    });
+  }
+};
+
 // Bulk generate discount codes
 const bulkGenerateDiscounts = async (req, res) => {
   try {
@@ -920,6 +1044,8 @@ module.exports = {
   deleteDiscount,
   validateDiscountCode,
   getDiscountAnalytics,
+  getDiscountFraudEvents,
+  reviewDiscountFraudEvent,
   bulkGenerateDiscounts,
   exportDiscounts
 };
@@ -5,8 +5,13 @@ const Payment = require('../models/payment.model');
 const User = require('../../user/models/user.model');
 const Subscription = require('../../subscription/models/subscription.model');
 const AuditLog = require('../../admin/models/auditLog.model');
+const DunningRetryService = require('../services/dunningRetry.service');
+const DunningEngineService = require('../services/dunningEngine.service');
 const mongoose = require('mongoose');
 
+const dunningRetryService = new DunningRetryService();
+const dunningEngine = new DunningEngineService();
+
 /**
  * Dunning Management Controller
  * Handles automated payment recovery campaigns and failed payment management
@@ -949,10 +954,10 @@ class DunningController {
     timeline.push({
       timestamp: failedPayment.createdAt,
       event: 'payment_failed',
-      description: `Payment failed: ${failedPayment.failureReason}`,
+      description: `Payment failed: ${failedPayment.reason || failedPayment.failureReason}`,
       amount: failedPayment.amount,
       details: {
-        reason: failedPayment.failureReason,
+        reason: failedPayment.reason || failedPayment.failureReason,
         errorCode: failedPayment.errorCode,
         originalPaymentId: failedPayment.originalPaymentId
       }
@@ -972,6 +977,9 @@ class DunningController {
             attempt: index + 1,
             success: retry.success,
             failureReason: retry.failureReason,
+            errorCode: retry.errorCode,
+            declineCode: retry.declineCode,
+            processor: retry.processor,
             paymentMethodId: retry.paymentMethodId,
             campaignStep: retry.campaignStep
           }
@@ -979,6 +987,50 @@ class DunningController {
       });
     }
 
+    // Add dunning campaign steps
+    if (failedPayment.dunningState?.stepHistory) {
+      failedPayment.dunningState.stepHistory.forEach(step => {
+        timeline.push({
+          timestamp: step.executedAt,
+          event: `dunning_${step.action}`,
+          description: step.status === 'failed' ?
+            `Dunning step ${step.stepIndex + 1} (${step.action}) failed: ${step.error}` :
+            `Dunning step ${step.stepIndex + 1} (${step.action}) ${step.status.replace(/_/g, ' ')}`,
+          details: {
+            stepIndex: step.stepIndex,
+            day: step.day,
+            action: step.action,
+            template: step.template,
+            status: step.status,
+            channels: step.channels,
+            retryOutcome: step.retryOutcome,
+            note: step.note
+          }
+        });
+      });
+
+      if (failedPayment.dunningState.stoppedAt) {
+        timeline.push({
+          timestamp: failedPayment.dunningState.stoppedAt,
+          event: 'dunning_stopped',
+          description: `Dunning stopped: ${failedPayment.dunningState.stopReason}`,
+          details: {
+            reason: failedPayment.dunningState.stopReason,
+            restoredAt: failedPayment.dunningState.restoredAt
+          }
+        });
+      } else if (failedPayment.dunningState.completedAt) {
+        timeline.push({
+          timestamp: failedPayment.dunningState.completedAt,
+          event: 'dunning_completed',
+          description: 'All dunning steps executed',
+          details: {
+            stepsExecuted: failedPayment.dunningState.stepHistory.length
+          }
+        });
+      }
+    }
+
     // Add recovery or abandonment
     if (failedPayment.status === 'recovered' && failedPayment.recoveredAt) {
       timeline.push({
@@ -1084,51 +1136,21 @@ class DunningController {
     try {
       const { campaignId, dryRun = false } = req.body;
 
-      let campaigns;
-      if (campaignId) {
-        campaigns = await DunningCampaign.find({ _id: campaignId, status: 'active' });
-      } else {
-        campaigns = await DunningCampaign.find({ status: 'active' });
-      }
-
-      const results = {
-        campaignsProcessed: 0,
-        paymentsProcessed: 0,
-        retriesScheduled: 0,
-        emailsSent: 0,
-        smsSent: 0,
-        subscriptionsCancelled: 0,
-        errors: []
-      };
-
-      for (const campaign of campaigns) {
-        try {
-          const campaignResult = await this.processCampaign(campaign, dryRun);
-          results.campaignsProcessed++;
-          results.paymentsProcessed += campaignResult.paymentsProcessed;
-          results.retriesScheduled += campaignResult.retriesScheduled;
-          results.emailsSent += campaignResult.emailsSent;
-          results.smsSent += campaignResult.smsSent;
-          results.subscriptionsCancelled += campaignResult.subscriptionsCancelled;
-        } catch (error) {
-          console.error(`Error processing campaign ${campaign._id}:`, error);
-          results.errors.push({
-            campaignId: campaign._id,
-            error: error.message
-          });
-        }
-      }
+      const results = await dunningEngine.processDueSteps({ campaignId, dryRun });
 
       // Log execution
       await AuditLog.create({
-        userId: req.user?._id || 'system',
-        action: 'DUNNING_PROCESS_EXECUTED',
+        userId: req.user._id,
+        action: 'system_action',
+        resource: 'dunning',
         details: {
+          event: 'DUNNING_PROCESS_EXECUTED',
+          campaignId,
           results,
           dryRun,
-          processedAt: new Date(),
-          ipAddress: req.ip
-        }
+          processedAt: new Date()
+        },
+        ipAddress: req.ip
       });
 
       res.status(200).json({
@@ -1151,212 +1173,129 @@ class DunningController {
    * Process individual campaign
    */
   async processCampaign(campaign, dryRun = false) {
-    const results = {
-      paymentsProcessed: 0,
-      retriesScheduled: 0,
-      emailsSent: 0,
-      smsSent: 0,
-      subscriptionsCancelled: 0
-    };
-
-    // Find eligible failed payments
-    const eligiblePayments = await this.findEligiblePayments(campaign);
-
-    for (const payment of eligiblePayments) {
-      try {
-        // Process payment based on campaign logic
-        const processResult = await this.processFailedPayment(payment, campaign, dryRun);
-
-        results.paymentsProcessed++;
-        if (processResult.retryScheduled) results.retriesScheduled++;
-        if (processResult.emailSent) results.emailsSent++;
-        if (processResult.smsSent) results.smsSent++;
-        if (processResult.subscriptionCancelled) results.subscriptionsCancelled++;
-
-      } catch (error) {
-        console.error(`Error processing payment ${payment._id}:`, error);
-      }
-    }
-
-    return results;
+    return dunningEngine.processDueSteps({ campaignId: campaign._id, dryRun });
   }
 
   /**
-   * Find eligible payments for dunning
+   * Execute payment retry against the subscriber's saved payment method
    */
-  async findEligiblePayments(campaign) {
-    const query = {
-      status: 'pending',
-      retryAttempts: { $lt: campaign.retrySchedule.length }
-    };
-
-    // Apply campaign trigger conditions
-    if (campaign.triggerConditions.amountThreshold) {
-      query.amount = { $gte: campaign.triggerConditions.amountThreshold };
-    }
-
-    const payments = await FailedPayment.find(query)
-      .populate('userId', 'firstName lastName email currentPlan')
-      .populate('subscriptionId', 'plan status mrr');
-
-    return payments.filter(payment => {
-      // Additional filtering based on campaign conditions
-      if (campaign.triggerConditions.excludeTrialUsers) {
-        if (payment.subscriptionId?.status === 'trial') return false;
-      }
-
-      if (campaign.triggerConditions.planTypes?.length > 0) {
-        if (!campaign.triggerConditions.planTypes.includes(payment.subscriptionId?.plan)) {
-          return false;
-        }
-      }
-
-      return true;
-    });
+  async executePaymentRetry(payment, options = {}) {
+    const result = await dunningRetryService.retryPayment(payment, options);
+    return result.success;
   }
 
   /**
-   * Process individual failed payment
+   * Send dunning email
    */
-  async processFailedPayment(payment, campaign, dryRun) {
-    const result = {
-      retryScheduled: false,
-      emailSent: false,
-      smsSent: false,
-      subscriptionCancelled: false
-    };
-
-    const currentStep = campaign.retrySchedule[payment.retryAttempts];
-    if (!currentStep) return result;
-
-    // Check if enough time has passed for this retry
-    const daysSinceLastAttempt = (Date.now() - payment.lastRetryAt.getTime()) / (1000 * 60 * 60 * 24);
-    if (daysSinceLastAttempt < currentStep.delayDays) return result;
-
-    if (dryRun) {
-      console.log(`[DRY RUN] Would execute step ${currentStep.stepNumber} for payment ${payment._id}`);
-      return { ...result, retryScheduled: true };
-    }
-
-    // Execute step action
-    switch (currentStep.action) {
-      case 'retry_payment':
-        await this.executePaymentRetry(payment);
-        result.retryScheduled = true;
-        break;
-
-      case 'send_email':
-        await this.sendDunningEmail(payment, campaign);
-        result.emailSent = true;
-        break;
-
-      case 'send_sms':
-        await this.sendDunningSms(payment, campaign);
-        result.smsSent = true;
-        break;
-
-      case 'cancel_subscription':
-        await this.cancelSubscriptionForFailure(payment);
-        result.subscriptionCancelled = true;
-        break;
-    }
-
-    // Update payment retry tracking
-    payment.retryAttempts++;
-    payment.lastRetryAt = new Date();
-    await payment.save();
-
-    return result;
+  async sendDunningEmail(payment, step) {
+    const context = await dunningEngine.buildContext(payment);
+    const result = await dunningEngine.sendEmail(step, context);
+    return result.status === 'sent';
   }
 
   /**
-   * Execute payment retry
+   * Send dunning SMS
    */
-  async executePaymentRetry(payment) {
-    // Simulate payment retry
-    const retrySuccessful = Math.random() > 0.4; // 60% success rate
-
-    if (retrySuccessful) {
-      // Create successful payment
-      const successfulPayment = new Payment({
-        userId: payment.userId,
-        subscriptionId: payment.subscriptionId,
-        amount: payment.amount,
-        currency: payment.currency || 'USD',
-        status: 'completed',
-        description: `Dunning retry for failed payment`,
-        metadata: {
-          isDunningRetry: true,
-          originalFailedPaymentId: payment._id
-        }
-      });
-      await successfulPayment.save();
-
-      // Update failed payment status
-      payment.status = 'recovered';
-      payment.recoveredAt = new Date();
-      payment.recoveredPaymentId = successfulPayment._id;
-      await payment.save();
-
-      // Update subscription
-      await Subscription.findByIdAndUpdate(payment.subscriptionId, {
-        $set: { status: 'active', paymentStatus: 'current' }
-      });
-    }
+  async sendDunningSms(payment, step) {
+    const context = await dunningEngine.buildContext(payment);
+    if (!context.phone) return false;
 
-    return retrySuccessful;
+    const result = await dunningEngine.sendSms(step, context);
+    return result.status === 'sent';
   }
 
   /**
-   * Send dunning email
+   * Enroll a failed payment in a dunning campaign
+   * @route POST /v1/dunning/failed-payments/:id/enroll
    */
-  async sendDunningEmail(payment, campaign) {
-    const template = campaign.templates?.email;
-    if (!template) return false;
+  async enrollFailedPayment(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
 
-    console.log(`Sending dunning email to ${payment.userId.email}`);
+      const failedPayment = await FailedPayment.findById(req.params.id);
+      if (!failedPayment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Failed payment not found'
+        });
+      }
 
-    // In real implementation, integrate with email service
-    return true;
-  }
+      if (failedPayment.status === 'recovered') {
+        return res.status(400).json({
+          success: false,
+          message: 'Failed payment has already been recovered'
+        });
+      }
 
-  /**
-   * Send dunning SMS
-   */
-  async sendDunningSms(payment, campaign) {
-    const template = campaign.templates?.sms;
-    if (!template) return false;
+      await dunningEngine.enroll(failedPayment, req.body.campaignId);
 
-    console.log(`Sending dunning SMS to user ${payment.userId._id}`);
+      if (failedPayment.dunningState?.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'No active dunning campaign with steps was found'
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: 'Failed payment enrolled in dunning campaign',
+        data: {
+          failedPaymentId: failedPayment._id,
+          campaignId: failedPayment.dunningCampaign,
+          dunningState: failedPayment.dunningState
+        }
+      });
 
-    // In real implementation, integrate with SMS service
-    return true;
+    } catch (error) {
+      console.error('Error in enrollFailedPayment:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to enroll failed payment',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
   }
 
   /**
-   * Cancel subscription for payment failure
+   * Stop the running dunning campaign for a failed payment
+   * @route POST /v1/dunning/failed-payments/:id/stop
    */
-  async cancelSubscriptionForFailure(payment) {
-    await Subscription.findByIdAndUpdate(payment.subscriptionId, {
-      $set: {
-        status: 'cancelled',
-        cancelledAt: new Date(),
-        cancellationReason: 'payment_failure',
-        endedAt: new Date()
+  async stopFailedPaymentDunning(req, res) {
+    try {
+      const failedPayment = await FailedPayment.findById(req.params.id);
+      if (!failedPayment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Failed payment not found'
+        });
       }
-    });
 
-    await EnhancedUser.findByIdAndUpdate(payment.userId, {
-      $set: {
-        subscriptionStatus: 'cancelled',
-        accessLevel: 'limited'
-      }
-    });
+      await dunningEngine.stop(failedPayment, req.body.reason || 'stopped_by_admin');
+
+      res.status(200).json({
+        success: true,
+        message: 'Dunning stopped',
+        data: {
+          failedPaymentId: failedPayment._id,
+          dunningState: failedPayment.dunningState
+        }
+      });
 
-    payment.status = 'abandoned';
-    payment.abandonedAt = new Date();
-    payment.abandonmentReason = 'subscription_cancelled';
-    await payment.save();
+    } catch (error) {
+      console.error('Error in stopFailedPaymentDunning:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to stop dunning',
+        error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+      });
+    }
   }
 
   /**
@@ -1445,20 +1384,29 @@ class DunningController {
         });
       }
 
-      // Execute retry
-      const retrySuccessful = await this.executePaymentRetry(failedPayment);
+      // Execute retry through the processor that holds the payment method
+      const retryResult = await dunningRetryService.retryPayment(failedPayment, {
+        paymentMethodId: useNewPaymentMethod ? paymentMethodId : null,
+        initiatedBy: 'admin'
+      });
+      const retrySuccessful = retryResult.success;
 
       // Log the manual retry
       await AuditLog.create({
         userId: req.user._id,
-        action: 'MANUAL_PAYMENT_RETRY',
+        action: 'data_modification',
+        resource: 'dunning',
+        resourceId: String(failedPayment._id),
         details: {
-          failedPaymentId: failedPayment._id,
+          event: 'MANUAL_PAYMENT_RETRY',
           successful: retrySuccessful,
           useNewPaymentMethod,
           paymentMethodId,
-          ipAddress: req.ip
-        }
+          errorCode: retryResult.error?.code,
+          declineCode: retryResult.error?.declineCode
+        },
+        ipAddress: req.ip,
+        success: retrySuccessful
       });
 
       res.status(200).json({
@@ -1467,7 +1415,9 @@ class DunningController {
         data: {
           successful: retrySuccessful,
           paymentId: failedPayment._id,
-          status: failedPayment.status
+          status: failedPayment.status,
+          recoveredPaymentId: retryResult.payment?._id,
+          error: retryResult.error || null
         }
       });
 
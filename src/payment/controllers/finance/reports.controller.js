@@ -6,30 +6,30 @@
  * Handles all financial reporting and analytics
  */
 
-// Placeholder implementations - replace with actual business logic
+const FinanceReportService = require('../../services/financeReport.service');
+
+const financeReportService = new FinanceReportService();
+
 const getRevenueReport = async (req, res, next) => {
   try {
-    // TODO: Implement actual revenue reporting logic
-    const mockData = {
-      totalRevenue: 125000,
-      period: req.query.period || 'monthly',
-      breakdown: [
-        { subscription: 'Basic', revenue: 35000, percentage: 28 },
-        { subscription: 'Diamond', revenue: 57000, percentage: 45.6 },
-        { subscription: 'Infinity', revenue: 33000, percentage: 26.4 }
-      ],
-      trends: {
-        growth: 12.5,
-        previousPeriod: 111000
-      }
-    };
-
-    res.status(200).json({ success: true, statusCode: 200, data: mockData, message: 'Revenue report retrieved successfully' });
+    const { period, startDate, endDate, currency, includeRefunds, reportingCurrency } = req.query;
+
+    const data = await financeReportService.getRevenueReport({
+      period,
+      startDate,
+      endDate,
+      currency,
+      includeRefunds: includeRefunds !== 'false',
+      reportingCurrency
+    });
+
+    res.status(200).json({ success: true, statusCode: 200, data, message: 'Revenue report retrieved successfully' });
   } catch (error) {
     next(error);
   }
 };
 
+// Placeholder implementations - replace with actual business logic
 const getSubscriptionReport = async (req, res, next) => {
   try {
     // TODO: Implement actual subscription analytics
@@ -53,18 +53,15 @@ const getSubscriptionReport = async (req, res, next) => {
 
 const getMRRReport = async (req, res, next) => {
   try {
-    // TODO: Implement actual MRR calculation
-    const mockData = {
-      currentMRR: 95000,
-      previousMRR: 88000,
-      growth: 7.95,
-      newMRR: 12000,
-      expansionMRR: 3000,
-      contractionMRR: -2000,
-      churnedMRR: -6000
-    };
+    const { months, currency, reportingCurrency } = req.query;
+
+    const data = await financeReportService.getMRRReport({
+      months: months ? parseInt(months, 10) : undefined,
+      currency,
+      reportingCurrency
+    });
 
-    res.status(200).json({ success: true, statusCode: 200, data: mockData, message: 'MRR report retrieved successfully' });
+    res.status(200).json({ success: true, statusCode: 200, data, message: 'MRR report retrieved successfully' });
   } catch (error) {
     next(error);
   }
@@ -1,6 +1,7 @@
 const axios = require("axios");
 const Payment = require("../models/payment.model");
 const SignedContract = require("../../contract/models/signedContract.model");
+const CreditNoteService = require("../services/creditNote.service");
 require("dotenv").config();
 
 
@@ -386,6 +387,25 @@ exports.processRefund = async (req, res) => {
     transaction.refundDate = new Date();
     await transaction.save();
 
+    // Correct the invoice the captured payment settled; a failure is queued for retry
+    let creditNote = null;
+    let creditNoteRequest = null;
+    if (transaction.invoiceId) {
+      ({ creditNote, request: creditNoteRequest } = await new CreditNoteService().requestCreditNote(transaction.invoiceId, {
+        amount: refundAmount,
+        reason: "REFUND",
+        memo: reason,
+        settlement: "refund",
+        refund: {
+          provider: "paypal",
+          refundId: refundResponse.data.id,
+          paymentId: transaction._id,
+        },
+        createdBy: req.user?._id,
+        idempotencyKey: `paypal_refund_${refundResponse.data.id}`,
+      }));
+    }
+
     res.status(200).json({
       success: true,
       message: "Refund processed successfully",
@@ -394,6 +414,8 @@ exports.processRefund = async (req, res) => {
         amount: refundAmount,
         status: refundResponse.data.status,
         transactionId,
+        creditNoteNumber: creditNote?.creditNoteNumber,
+        creditNotePending: !!creditNoteRequest,
       },
     });
   } catch (error) {
@@ -1,5 +1,7 @@
 const TaxService = require('../services/tax.service');
+const TaxReturnService = require('../services/taxReturn.service');
 const taxService = new TaxService();
+const taxReturnService = new TaxReturnService();
 
 class TaxController {
     async getTaxRates(req, res, next) {
@@ -20,6 +22,15 @@ class TaxController {
         }
     }
 
+    async generateTaxReports(req, res, next) {
+        try {
+            const result = await taxService.generateTaxReports(req.body);
+            res.status(201).json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     async getTaxSummary(req, res, next) {
         try {
             const summary = await taxService.getTaxSummary();
@@ -84,7 +95,11 @@ class TaxController {
     // Tax Validation
     async validateTaxId(req, res, next) {
         try {
-            const result = await taxService.validateTaxId(req.body);
+            const result = await taxService.validateTaxId({
+                ...req.body,
+                requestedBy: req.user?._id?.toString(),
+                ipAddress: req.ip
+            });
             res.json({ success: true, data: result });
         } catch (error) {
             next(error);
@@ -100,6 +115,15 @@ class TaxController {
         }
     }
 
+    async getTaxIdValidations(req, res, next) {
+        try {
+            const result = await taxService.getTaxIdValidations(req.query);
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     // Compliance
     async getComplianceStatus(req, res, next) {
         try {
@@ -152,13 +176,61 @@ class TaxController {
 
     async createExemption(req, res, next) {
         try {
-            const result = await taxService.createExemption(req.body);
+            const result = await taxService.createExemption(req.body, req.user?._id);
+            res.status(201).json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    // Tax Returns
+    async generateTaxReturns(req, res, next) {
+        try {
+            const result = await taxReturnService.generateReturns(req.body, req.user?._id);
             res.status(201).json({ success: true, data: result });
         } catch (error) {
             next(error);
         }
     }
 
+    async getTaxReturns(req, res, next) {
+        try {
+            const result = await taxReturnService.listReturns(req.query);
+            res.json(result);
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async getTaxReturn(req, res, next) {
+        try {
+            const result = await taxReturnService.getReturn(req.params.id);
+            res.json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async fileTaxReturn(req, res, next) {
+        try {
+            const result = await taxReturnService.fileReturn(req.params.id, req.body, req.user?._id);
+            res.json({ success: true, data: result });
+        } catch (error) {
+            next(error);
+        }
+    }
+
+    async exportTaxReturn(req, res, next) {
+        try {
+            const result = await taxReturnService.exportReturn(req.params.id, req.params.format, req.user?._id);
+            res.setHeader('Content-Type', result.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename=${result.filename}`);
+            res.send(result.content);
+        } catch (error) {
+            next(error);
+        }
+    }
+
     // Settings
     async getTaxSettings(req, res, next) {
         try {
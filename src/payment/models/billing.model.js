@@ -29,13 +29,24 @@ const taxRateSchema = new mongoose.Schema({
     uppercase: true,
     maxlength: 10 // State/province code
   },
+  county: {
+    type: String,
+    uppercase: true,
+    maxlength: 100
+  },
   city: {
     type: String,
+    uppercase: true,
     maxlength: 100
   },
   postalCode: {
     type: String,
-    maxlength: 20
+    maxlength: 20 // Matches postal codes starting with this value
+  },
+  // Level the rate stacks at; derived from the fields above when not set
+  jurisdictionLevel: {
+    type: String,
+    enum: ['COUNTRY', 'STATE', 'COUNTY', 'CITY', 'DISTRICT']
   },
 
   // Tax Configuration
@@ -147,7 +158,8 @@ const taxRateSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  collection: 'taxrates'
+  // Previously shared 'taxrates' with taxRate.model.js; scripts/migrateBillingCollections.js moves them
+  collection: 'billing_tax_rates'
 });
 
 // Indexes for performance
@@ -168,8 +180,12 @@ taxRateSchema.methods.isApplicable = function (location, customerType, productTy
   }
 
   // Geographic check
-  if (this.country !== location.country) return false;
-  if (this.state && this.state !== location.state) return false;
+  const matches = (field, value) => !field || field.toUpperCase() === String(value || '').toUpperCase();
+  if (this.country !== String(location.country || '').toUpperCase()) return false;
+  if (!matches(this.state, location.state)) return false;
+  if (!matches(this.county, location.county)) return false;
+  if (!matches(this.city, location.city)) return false;
+  if (this.postalCode && !String(location.postalCode || '').startsWith(this.postalCode)) return false;
 
   // Customer type check
   if (this.customerTypes.length > 0 && !this.customerTypes.includes('ALL')) {
@@ -188,6 +204,15 @@ taxRateSchema.methods.isApplicable = function (location, customerType, productTy
   return true;
 };
 
+taxRateSchema.methods.getJurisdictionLevel = function () {
+  if (this.jurisdictionLevel) return this.jurisdictionLevel;
+  if (this.postalCode) return 'DISTRICT';
+  if (this.city) return 'CITY';
+  if (this.county) return 'COUNTY';
+  if (this.state) return 'STATE';
+  return 'COUNTRY';
+};
+
 taxRateSchema.methods.calculateTax = function (amount, compoundedAmount = 0) {
   const baseAmount = this.compoundTax ? amount + compoundedAmount : amount;
   return (baseAmount * this.rate) / 100;
@@ -252,6 +277,14 @@ const invoiceSchema = new mongoose.Schema({
     default: 'USD',
     uppercase: true
   },
+  // Rate used for exchangeRate, captured when the invoice is booked
+  exchangeRateSnapshot: {
+    baseCurrency: String,
+    rate: Number,
+    rateDate: Date,
+    source: String,
+    capturedAt: Date
+  },
 
   // Line Items
   lineItems: [{
@@ -296,10 +329,19 @@ const invoiceSchema = new mongoose.Schema({
     },
     periodStart: Date,
     periodEnd: Date,
+    // Net amount reversed by credit notes
+    creditedAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     metadata: {
       planId: String,
       addonId: String,
-      prorationReason: String
+      prorationReason: String,
+      featureKey: String,
+      usageQuantity: Number,
+      includedQuantity: Number
     }
   }],
 
@@ -314,7 +356,7 @@ const invoiceSchema = new mongoose.Schema({
     taxLines: [{
       taxRateId: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'TaxRate'
+        ref: 'BillingTaxRate'
       },
       jurisdiction: String,
       taxType: String,
@@ -331,7 +373,16 @@ const invoiceSchema = new mongoose.Schema({
     reverseCharge: {
       applicable: Boolean,
       reason: String,
-      customerVatNumber: String
+      customerVatNumber: String,
+      customerTaxIdType: String,
+      // Evidence of the VAT number check the reverse charge relies on
+      validationId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'TaxIdValidation'
+      },
+      validationStatus: String,
+      validatedAt: Date,
+      consultationNumber: String
     }
   },
 
@@ -357,6 +408,24 @@ const invoiceSchema = new mongoose.Schema({
       required: true,
       min: 0
     },
+    // Account credit drawn from the customer's credit ledger
+    creditApplied: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Total of issued credit notes, tax included
+    creditNoteTotal: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    // Part of creditNoteTotal that reduced the amount due
+    creditNoteApplied: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
     amountDue: {
       type: Number,
       required: true,
@@ -382,6 +451,11 @@ const invoiceSchema = new mongoose.Schema({
     default: 'DRAFT',
     index: true
   },
+  creditStatus: {
+    type: String,
+    enum: ['NONE', 'PARTIALLY_CREDITED', 'FULLY_CREDITED'],
+    default: 'NONE'
+  },
 
   // Important Dates
   invoiceDate: {
@@ -465,7 +539,8 @@ const invoiceSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  collection: 'invoices'
+  // Previously shared 'invoices' with invoice.model.js; scripts/migrateBillingCollections.js moves them
+  collection: 'billing_invoices'
 });
 
 // Indexes for performance and queries
@@ -475,6 +550,31 @@ invoiceSchema.index({ invoiceDate: 1, currency: 1 });
 invoiceSchema.index({ 'amounts.total': 1, status: 1 });
 invoiceSchema.index({ subscriptionId: 1, invoiceDate: -1 });
 
+// Shared so saves reuse one rate cache
+let currencyService = null;
+
+// Snapshot the exchange rate when the invoice is booked
+invoiceSchema.pre('save', async function () {
+  // Saves that leave the amounts and currency alone never need a rate
+  if (!this.isModified('amounts') && !this.isModified('lineItems') && !this.isModified('currency')) return;
+  // The booking-time rate stands unless the currency itself changed
+  if (this.exchangeRateSnapshot?.rate && (this.isNew || !this.isModified('currency'))) return;
+
+  try {
+    if (!currencyService) {
+      const CurrencyService = require('../services/currency.service');
+      currencyService = new CurrencyService();
+    }
+    const snapshot = await currencyService.getRateSnapshot(this.currency, this.invoiceDate);
+    this.exchangeRateSnapshot = snapshot;
+    this.exchangeRate = snapshot.rate;
+    this.baseCurrency = snapshot.baseCurrency;
+  } catch (error) {
+    // Reports fall back to the stored rate for the invoice date
+    console.error('Exchange rate snapshot failed:', error.message);
+  }
+});
+
 // Pre-save middleware to calculate amounts
 invoiceSchema.pre('save', function (next) {
   if (this.isModified('lineItems') || this.isModified('taxCalculation')) {
@@ -498,7 +598,8 @@ invoiceSchema.methods.calculateAmounts = function () {
   this.amounts.total = this.amounts.subtotal - this.amounts.discountTotal + this.amounts.taxTotal;
 
   // Calculate amount due
-  this.amounts.amountDue = this.amounts.total - this.amounts.amountPaid;
+  this.amounts.amountDue = this.amounts.total - (this.amounts.creditApplied || 0) -
+    (this.amounts.creditNoteApplied || 0) - this.amounts.amountPaid;
 
   // Calculate amount remaining
   this.amounts.amountRemaining = Math.max(0, this.amounts.amountDue);
@@ -506,7 +607,8 @@ invoiceSchema.methods.calculateAmounts = function () {
 
 invoiceSchema.methods.markAsPaid = function (paymentAmount, paymentDate = new Date()) {
   this.amounts.amountPaid += paymentAmount;
-  this.amounts.amountRemaining = Math.max(0, this.amounts.total - this.amounts.amountPaid);
+  this.amounts.amountRemaining = Math.max(0, this.amounts.total - (this.amounts.creditApplied || 0) -
+    (this.amounts.creditNoteApplied || 0) - this.amounts.amountPaid);
 
   if (this.amounts.amountRemaining === 0) {
     this.status = 'PAID';
@@ -532,6 +634,236 @@ invoiceSchema.methods.void = function (reason, userId) {
   });
 };
 
+invoiceSchema.methods.applyCreditNote = function (creditNote) {
+  creditNote.lineItems.forEach(creditLine => {
+    const item = this.lineItems.find(line => line.id === creditLine.invoiceLineItemId);
+    if (item) {
+      item.creditedAmount = Math.round(((item.creditedAmount || 0) + creditLine.amount) * 100) / 100;
+    }
+  });
+
+  this.amounts.creditNoteTotal = Math.round(((this.amounts.creditNoteTotal || 0) + creditNote.amounts.total) * 100) / 100;
+  this.amounts.creditNoteApplied = Math.round(
+    ((this.amounts.creditNoteApplied || 0) + (creditNote.amounts.appliedToAmountDue || 0)) * 100
+  ) / 100;
+  this.calculateAmounts();
+
+  this.creditStatus = this.amounts.creditNoteTotal >= this.amounts.total - 0.005
+    ? 'FULLY_CREDITED'
+    : 'PARTIALLY_CREDITED';
+
+  this.compliance.auditTrail.push({
+    action: 'CREDIT_NOTE_ISSUED',
+    performedBy: creditNote.createdBy,
+    performedAt: new Date(),
+    details: {
+      creditNoteId: creditNote._id,
+      creditNoteNumber: creditNote.creditNoteNumber,
+      amount: creditNote.amounts.total
+    }
+  });
+};
+
+/**
+ * Credit Note Schema
+ * Corrects an issued invoice. Each line reverses part of an invoice line
+ * together with its share of the invoice's tax.
+ */
+const creditNoteSchema = new mongoose.Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  creditNoteSequence: {
+    type: Number,
+    required: true
+  },
+
+  // Related Documents
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    refPath: 'invoiceModel',
+    required: true,
+    index: true
+  },
+  // Refunds of subscription payments credit invoices from invoice.model.js
+  invoiceModel: {
+    type: String,
+    enum: ['BillingInvoice', 'Invoice'],
+    default: 'BillingInvoice'
+  },
+  invoiceNumber: String,
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EnhancedUser',
+    required: true,
+    index: true
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription'
+  },
+
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // Where the original invoice was taxed, for tax reporting
+  jurisdiction: {
+    country: {
+      type: String,
+      uppercase: true
+    },
+    state: String
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    enum: ['DUPLICATE', 'FRAUDULENT', 'ORDER_CHANGE', 'PRODUCT_UNSATISFACTORY', 'BILLING_ERROR', 'REFUND', 'OTHER']
+  },
+  memo: {
+    type: String,
+    maxlength: 1000
+  },
+
+  lineItems: [{
+    invoiceLineItemId: {
+      type: String,
+      required: true
+    },
+    description: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      min: 0
+    },
+    unitPrice: {
+      type: Number,
+      min: 0
+    },
+    // Net amount credited, before tax
+    amount: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    taxLines: [{
+      taxRateId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'BillingTaxRate'
+      },
+      jurisdiction: String,
+      taxType: String,
+      rate: Number,
+      taxableAmount: Number,
+      taxAmount: Number
+    }],
+    taxAmount: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    }
+  }],
+
+  amounts: {
+    subtotal: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    taxTotal: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    total: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    // How the credit was settled
+    appliedToAmountDue: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    refunded: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    creditedToBalance: {
+      type: Number,
+      default: 0,
+      min: 0
+    },
+    outOfBand: {
+      type: Number,
+      default: 0,
+      min: 0
+    }
+  },
+
+  refund: {
+    provider: String,
+    refundId: String,
+    paymentId: mongoose.Schema.Types.ObjectId
+  },
+  creditLedgerEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditLedgerEntry'
+  },
+
+  status: {
+    type: String,
+    enum: ['ISSUED', 'VOID'],
+    default: 'ISSUED',
+    index: true
+  },
+  issuedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  // Refund or request that produced this credit note, so retries do not credit twice
+  idempotencyKey: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+
+  pdfGeneration: {
+    generated: {
+      type: Boolean,
+      default: false
+    },
+    generatedAt: Date,
+    fileUrl: String,
+    fileSize: Number
+  }
+}, {
+  timestamps: true,
+  collection: 'creditnotes'
+});
+
+creditNoteSchema.index({ issuedAt: 1, currency: 1 });
+creditNoteSchema.index({ 'jurisdiction.country': 1, issuedAt: 1 });
+creditNoteSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
 /**
  * Receipt Schema for Payment Confirmations
  */
@@ -547,7 +879,7 @@ const receiptSchema = new mongoose.Schema({
   // Related Documents
   invoiceId: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Invoice',
+    ref: 'BillingInvoice',
     required: true
     // Index defined in schema.index() below
   },
@@ -745,15 +1077,20 @@ taxReportSchema.index({ 'jurisdiction.country': 1, periodStart: 1, periodEnd: 1
 taxReportSchema.index({ periodType: 1, 'filing.status': 1 });
 
 // Export models
-const TaxRate = mongoose.models.TaxRate || mongoose.model('TaxRate', taxRateSchema);
-const Invoice = mongoose.models.Invoice || mongoose.model('Invoice', invoiceSchema);
+// taxRate.model.js already registers a simpler 'TaxRate' on the 'taxrates'
+// collection, so the jurisdiction rates used for tax calculation get their own
+// model name and collection. The same goes for invoice.model.js and 'Invoice'.
+const TaxRate = mongoose.models.BillingTaxRate || mongoose.model('BillingTaxRate', taxRateSchema);
+const Invoice = mongoose.models.BillingInvoice || mongoose.model('BillingInvoice', invoiceSchema);
 const Receipt = mongoose.model('Receipt', receiptSchema);
+const CreditNote = mongoose.model('CreditNote', creditNoteSchema);
 const TaxReport = mongoose.models.TaxReport || mongoose.model('TaxReport', taxReportSchema);
 
 module.exports = {
   TaxRate,
   Invoice,
   Receipt,
+  CreditNote,
   TaxReport
 };
 
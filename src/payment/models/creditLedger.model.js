@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+/**
+ * Customer Credit Ledger
+ * Entries are append-only; corrections are made with reversal entries.
+ * Amounts are signed: positive entries add to the customer's balance,
+ * negative entries draw it down.
+ */
+const creditLedgerEntrySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['credit_issued', 'credit_applied', 'credit_expired', 'credit_reversed']
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    default: 'USD'
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+
+  // Where an issued credit came from
+  source: {
+    type: String,
+    enum: ['proration', 'refund', 'credit_note', 'manual', 'goodwill', 'migration', 'reversal']
+  },
+  reason: String,
+  expiresAt: {
+    type: Date,
+    index: true
+  },
+
+  // Issued credits consumed (positive) or restored (negative) by this entry
+  allocations: [{
+    entry: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CreditLedgerEntry'
+    },
+    amount: Number
+  }],
+
+  referenceType: {
+    type: String,
+    enum: ['invoice', 'payment', 'subscription', 'refund']
+  },
+  referenceId: mongoose.Schema.Types.ObjectId,
+  reverses: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditLedgerEntry'
+  },
+  idempotencyKey: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  metadata: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+creditLedgerEntrySchema.index({ userId: 1, currency: 1, createdAt: 1 });
+creditLedgerEntrySchema.index({ 'allocations.entry': 1 });
+creditLedgerEntrySchema.index({ referenceType: 1, referenceId: 1 });
+creditLedgerEntrySchema.index({ reverses: 1 }, { unique: true, sparse: true });
+creditLedgerEntrySchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+creditLedgerEntrySchema.pre('save', function (next) {
+  if (!this.isNew) {
+    return next(new Error('Credit ledger entries are immutable; record a reversal instead'));
+  }
+  next();
+});
+
+const rejectMutation = function (next) {
+  next(new Error('Credit ledger entries are immutable; record a reversal instead'));
+};
+
+creditLedgerEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+
+/**
+ * Running balance per customer and currency
+ * Updated atomically alongside each ledger entry so concurrent instances
+ * never overdraw a balance
+ */
+const customerBalanceSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  lastEntryAt: Date
+}, {
+  timestamps: true
+});
+
+customerBalanceSchema.index({ userId: 1, currency: 1 }, { unique: true });
+
+const CreditLedgerEntry = mongoose.model('CreditLedgerEntry', creditLedgerEntrySchema);
+const CustomerBalance = mongoose.model('CustomerBalance', customerBalanceSchema);
+
+module.exports = {
+  CreditLedgerEntry,
+  CustomerBalance
+};
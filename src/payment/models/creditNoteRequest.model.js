@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+/**
+ * Credit Note Request
+ * A credit note owed for a refund that has already gone through. Created when
+ * issuing the note fails, so the credit is retried instead of lost.
+ */
+const creditNoteRequestSchema = new mongoose.Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  // Options passed to CreditNoteService.createCreditNote
+  options: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Same key as the credit note it produces
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  status: {
+    type: String,
+    enum: ['PENDING', 'PROCESSING', 'COMPLETED', 'FAILED'],
+    default: 'PENDING'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastError: {
+    type: String,
+    maxlength: 1000
+  },
+  creditNoteId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CreditNote'
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+creditNoteRequestSchema.index({ status: 1, nextAttemptAt: 1 });
+
+const CreditNoteRequest = mongoose.model('CreditNoteRequest', creditNoteRequestSchema);
+
+module.exports = CreditNoteRequest;
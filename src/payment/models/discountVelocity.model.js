@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * Discount Velocity Counter
+ * One document per counter and fixed time window, shared by every app instance.
+ * Counts are only changed with atomic $inc updates.
+ */
+const discountVelocityCounterSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  scope: {
+    type: String,
+    required: true,
+    enum: ['ip_attempts', 'ip_redemptions', 'code_redemptions', 'session_redemptions']
+  },
+  subject: String,
+  codeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  windowStart: {
+    type: Date,
+    required: true
+  },
+  windowMs: {
+    type: Number,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Counters remove themselves once their window has passed
+discountVelocityCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Discount Fraud Event
+ * A limit breach, recorded once per code, subject and window, for admin review
+ */
+const discountFraudEventSchema = new mongoose.Schema({
+  dedupeKey: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: [
+      'ip_velocity',
+      'attempts_per_minute',
+      'attempts_per_hour',
+      'attempts_per_day',
+      'hourly_limit',
+      'daily_limit',
+      'session_limit'
+    ],
+    index: true
+  },
+  codeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  code: String,
+  ipAddress: String,
+  sessionId: String,
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  userAgent: String,
+  limit: Number,
+  observed: Number,
+  windowStart: Date,
+  windowMs: Number,
+  occurrences: {
+    type: Number,
+    default: 1
+  },
+  firstSeenAt: Date,
+  lastSeenAt: Date,
+
+  // Review workflow
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'dismissed'],
+    default: 'open',
+    index: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: String
+}, {
+  timestamps: true
+});
+
+discountFraudEventSchema.index({ createdAt: -1 });
+discountFraudEventSchema.index({ ipAddress: 1, createdAt: -1 });
+
+const DiscountVelocityCounter = mongoose.model('DiscountVelocityCounter', discountVelocityCounterSchema);
+const DiscountFraudEvent = mongoose.model('DiscountFraudEvent', discountFraudEventSchema);
+
+module.exports = {
+  DiscountVelocityCounter,
+  DiscountFraudEvent
+};
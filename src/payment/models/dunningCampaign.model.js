@@ -13,6 +13,10 @@ const dunningStepSchema = new mongoose.Schema({
   template: {
     type: String, // Could be an ID to an email/SMS template collection later
   },
+  retryPayment: {
+    type: Boolean, // Charge the saved payment method again before running the action
+    default: false,
+  },
 });
 
 const dunningCampaignSchema = new mongoose.Schema({
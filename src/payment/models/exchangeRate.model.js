@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+/**
+ * Exchange Rate Schema
+ * One rate per currency pair and UTC day. Rates are fetched from the
+ * configured provider or uploaded manually, and are never fetched twice for
+ * the same day.
+ */
+const exchangeRateSchema = new mongoose.Schema({
+  baseCurrency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  quoteCurrency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  // 1 baseCurrency = rate quoteCurrency
+  rate: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // UTC midnight of the day the rate applies to
+  date: {
+    type: Date,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['FIXER', 'EXCHANGERATE_API', 'OPEN_EXCHANGE_RATES', 'MANUAL'],
+    required: true
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  fetchedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+exchangeRateSchema.index({ baseCurrency: 1, quoteCurrency: 1, date: -1 }, { unique: true });
+exchangeRateSchema.index({ date: -1 });
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
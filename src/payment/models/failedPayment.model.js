@@ -1,14 +1,84 @@
 const mongoose = require('mongoose');
 
+const retryAttemptSchema = new mongoose.Schema({
+    attemptedAt: { type: Date, default: Date.now },
+    success: { type: Boolean, required: true },
+    amount: { type: Number },
+    processor: { type: String },
+    paymentMethodId: { type: mongoose.Schema.Types.ObjectId, ref: 'PaymentMethod' },
+    processorPaymentId: { type: String },
+    failureReason: { type: String },
+    errorCode: { type: String },
+    declineCode: { type: String },
+    campaignStep: { type: Number },
+    initiatedBy: { type: String, enum: ['system', 'admin'], default: 'system' },
+}, { _id: false });
+
+const dunningStepRunSchema = new mongoose.Schema({
+    stepIndex: { type: Number, required: true },
+    day: { type: Number },
+    action: { type: String, required: true },
+    template: { type: String },
+    executedAt: { type: Date, default: Date.now },
+    status: { type: String, enum: ['completed', 'failed', 'skipped', 'manual_action_required'], required: true },
+    channels: [{
+        _id: false,
+        channel: { type: String, enum: ['email', 'sms'] },
+        status: { type: String, enum: ['sent', 'failed', 'suppressed'] },
+        provider: String,
+        messageId: String,
+        error: String,
+    }],
+    retryOutcome: { type: String },
+    note: { type: String },
+    error: { type: String },
+}, { _id: false });
+
+const dunningStateSchema = new mongoose.Schema({
+    status: { type: String, enum: ['active', 'completed', 'stopped'], default: 'active' },
+    startedAt: { type: Date },
+    currentStep: { type: Number, default: 0 },
+    nextStepAt: { type: Date },
+    lastStepAt: { type: Date },
+    suspendedAt: { type: Date },
+    restoredAt: { type: Date },
+    completedAt: { type: Date },
+    stoppedAt: { type: Date },
+    stopReason: { type: String },
+    stepHistory: [dunningStepRunSchema],
+}, { _id: false });
+
 const failedPaymentSchema = new mongoose.Schema({
     customer: { type: String, required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    subscriptionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Subscription', index: true },
+    originalPaymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    dunningCampaign: { type: mongoose.Schema.Types.ObjectId, ref: 'DunningCampaign' },
     amount: { type: Number, required: true },
+    currency: { type: String, default: 'USD', uppercase: true },
     reason: { type: String, required: true },
+    failureReason: { type: String },
+    errorCode: { type: String },
+    declineCode: { type: String },
     attempts: { type: Number, default: 1 },
+    retryAttempts: { type: Number, default: 0 },
+    retryHistory: [retryAttemptSchema],
+    dunningState: { type: dunningStateSchema },
+    externalInvoiceId: { type: String, sparse: true, index: true },
+    // Processor that owns externalInvoiceId; retries pay that invoice instead of charging separately
+    externalInvoiceProvider: { type: String },
+    lastRetryAt: { type: Date, default: Date.now },
     nextRetry: { type: Date },
-    status: { type: String, enum: ['retrying', 'failed', 'pending'], default: 'pending' },
+    status: { type: String, enum: ['retrying', 'failed', 'pending', 'recovered', 'abandoned'], default: 'pending' },
+    recoveredAt: { type: Date },
+    recoveredPaymentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+    recoveryMethod: { type: String },
+    abandonedAt: { type: Date },
+    abandonmentReason: { type: String },
 }, { timestamps: true });
 
+failedPaymentSchema.index({ 'dunningState.status': 1, 'dunningState.nextStepAt': 1 });
+
 // Pagination support would be added when mongoose-paginate-v2 is available
 
 const FailedPayment = mongoose.model('FailedPayment', failedPaymentSchema);
@@ -1,11 +1,20 @@
 const mongoose = require('mongoose');
 
 const paymentMethodSchema = new mongoose.Schema({
-    customer: { type: String, required: true },
+    customer: { type: String, required: true, index: true },
     type: { type: String, enum: ['card', 'bank'], required: true },
     last4: { type: String, required: true },
     brand: { type: String, required: true },
+    expMonth: { type: Number },
+    expYear: { type: Number },
     status: { type: String, enum: ['active', 'expired', 'failed'], default: 'active' },
+    isDefault: { type: Boolean, default: false },
+    // Processor references used for off-session charges
+    processor: { type: String, enum: ['stripe', 'braintree', 'local'], default: 'stripe' },
+    processorToken: { type: String },
+    processorCustomerId: { type: String },
+    lastFailureCode: { type: String },
+    lastUsedAt: { type: Date },
 }, { timestamps: true });
 
 // Pagination support would be added when mongoose-paginate-v2 is available
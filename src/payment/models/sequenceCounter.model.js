@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+/**
+ * Sequence Counter
+ * Document numbers shared by every app instance. Incremented atomically, so
+ * two processes never hand out the same number.
+ */
+const sequenceCounterSchema = new mongoose.Schema({
+  // e.g. credit_note:USD:2026
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+const SequenceCounter = mongoose.model('SequenceCounter', sequenceCounterSchema);
+
+module.exports = SequenceCounter;
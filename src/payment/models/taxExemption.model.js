@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tax Exemption Certificate
+ * A customer's exemption from tax in a jurisdiction (resale, charity,
+ * government...). Sales to the customer while the certificate is in force
+ * are reported as exempt on tax returns.
+ */
+const taxExemptionSchema = new mongoose.Schema({
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EnhancedUser',
+    required: true,
+    index: true
+  },
+  customerName: String,
+
+  certificateNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['RESALE', 'CHARITY', 'EDUCATIONAL', 'GOVERNMENT', 'DIPLOMATIC', 'OTHER'],
+    default: 'OTHER'
+  },
+  description: String,
+
+  // Jurisdiction the certificate was issued for; no state means the whole country
+  country: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  state: {
+    type: String,
+    uppercase: true
+  },
+  // Empty means every tax type
+  applicableTaxTypes: [{
+    type: String,
+    enum: ['VAT', 'GST', 'SALES_TAX', 'WITHHOLDING', 'EXCISE', 'OTHER']
+  }],
+
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validTo: Date,
+
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'REVOKED'],
+    default: 'ACTIVE'
+  },
+  revokedAt: Date,
+  documentUrl: String,
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true,
+  collection: 'tax_exemptions'
+});
+
+taxExemptionSchema.index({ country: 1, state: 1, validFrom: 1 });
+taxExemptionSchema.index({ customerId: 1, certificateNumber: 1 }, { unique: true });
+
+/**
+ * Whether the certificate covered a sale on the given date in the given place
+ * A revoked certificate still covers sales made before it was revoked
+ */
+taxExemptionSchema.methods.covers = function (date, country, state) {
+  if (this.country !== String(country || '').toUpperCase()) return false;
+  if (this.state && this.state !== String(state || '').toUpperCase()) return false;
+  if (date < this.validFrom || (this.validTo && date > this.validTo)) return false;
+  if (this.status === 'REVOKED' && (!this.revokedAt || date >= this.revokedAt)) return false;
+  return true;
+};
+
+module.exports = mongoose.models.TaxExemption || mongoose.model('TaxExemption', taxExemptionSchema);
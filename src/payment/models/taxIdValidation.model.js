@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tax ID Validation
+ * Append-only record of each VAT/GST number check, kept as evidence for
+ * zero-rating a sale under the reverse charge. A recent registry check is
+ * reused instead of asking the registry again, recorded for each customer.
+ */
+const taxIdValidationSchema = new mongoose.Schema({
+  taxId: {
+    type: String,
+    required: true,
+    uppercase: true,
+    index: true // Normalized, with its country prefix
+  },
+  country: {
+    type: String,
+    uppercase: true
+  },
+  type: {
+    type: String,
+    enum: ['eu_vat', 'gb_vat', 'xi_vat', 'au_abn', 'ca_gst', 'us_ein', 'unknown'],
+    default: 'unknown'
+  },
+
+  // valid: well formed and confirmed by the registry (or format-only where no registry is used)
+  // unverified: well formed but the registry could not be reached
+  status: {
+    type: String,
+    enum: ['valid', 'invalid', 'unverified'],
+    required: true
+  },
+
+  format: {
+    valid: Boolean,
+    checksumValid: Boolean,
+    message: String
+  },
+
+  remote: {
+    provider: String,
+    status: {
+      type: String,
+      enum: ['valid', 'invalid', 'unavailable', 'unsupported', 'skipped']
+    },
+    name: String,
+    address: String,
+    consultationNumber: String, // Registry's reference for the check
+    error: String,
+    checkedAt: Date
+  },
+
+  // Registry check this record reused instead of asking the registry again
+  cachedFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TaxIdValidation'
+  },
+
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    index: true
+  },
+  source: {
+    type: String,
+    enum: ['api', 'tax_calculation', 'invoice', 'checkout'],
+    default: 'api'
+  },
+  requestedBy: String,
+  ipAddress: String,
+
+  checkedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  }
+}, {
+  timestamps: true,
+  collection: 'tax_id_validations'
+});
+
+taxIdValidationSchema.index({ taxId: 1, checkedAt: -1 });
+
+module.exports = mongoose.models.TaxIdValidation || mongoose.model('TaxIdValidation', taxIdValidationSchema);
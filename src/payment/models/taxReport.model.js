@@ -7,9 +7,22 @@ const taxReportSchema = new mongoose.Schema({
     collected: { type: Number, required: true },
     remitted: { type: Number, required: true },
     status: { type: String, enum: ['filed', 'pending', 'due'], required: true },
-    due: { type: Date, required: true }
+    due: { type: Date, required: true },
+
+    // Set when generated from invoices and credit notes; collected = invoicedTax - creditedTax
+    currency: { type: String, uppercase: true },
+    periodStart: Date,
+    periodEnd: Date,
+    taxableAmount: Number,
+    invoicedTax: Number,
+    creditedTax: Number,
+    invoiceCount: Number,
+    creditNoteCount: Number,
+    generatedAt: Date
 }, { timestamps: true });
 
+taxReportSchema.index({ period: 1, country: 1, currency: 1 });
+
 const TaxReport = mongoose.models.TaxReport || mongoose.model('TaxReport', taxReportSchema);
 
 module.exports = TaxReport;
@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tax Return
+ * Period-close filing for one jurisdiction and currency, built from the
+ * invoices and credit notes dated in the period. A return can be
+ * regenerated until it is filed; after that it is locked and only its
+ * export history changes.
+ */
+const taxReturnSchema = new mongoose.Schema({
+  returnNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Filing period, e.g. 2026-09 (monthly) or 2026-Q3 (quarterly)
+  period: {
+    type: String,
+    required: true
+  },
+  filingFrequency: {
+    type: String,
+    required: true,
+    enum: ['MONTHLY', 'QUARTERLY']
+  },
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  dueDate: Date,
+
+  // State-level for countries that file by state (US, CA), otherwise country-level
+  jurisdiction: {
+    code: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    country: {
+      type: String,
+      required: true,
+      uppercase: true
+    },
+    state: {
+      type: String,
+      uppercase: true
+    }
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+
+  summary: {
+    grossSales: { type: Number, default: 0 }, // Net of discounts, before tax
+    taxableSales: { type: Number, default: 0 },
+    exemptSales: { type: Number, default: 0 },
+    taxCollected: { type: Number, default: 0 },
+    // Credit notes settled by a refund to the customer
+    refundedSales: { type: Number, default: 0 },
+    refundedTax: { type: Number, default: 0 },
+    // Credit notes settled against the amount due, account balance or out of band
+    creditNoteSales: { type: Number, default: 0 },
+    creditNoteTax: { type: Number, default: 0 },
+    // taxCollected - refundedTax - creditNoteTax
+    netTaxDue: { type: Number, default: 0 }
+  },
+
+  taxBreakdown: [{
+    jurisdiction: String,
+    taxType: String,
+    rate: Number,
+    taxableAmount: Number,
+    taxAmount: Number,
+    transactionCount: Number
+  }],
+
+  // Exempt sales by the reason they were exempt
+  exemptions: [{
+    type: {
+      type: String,
+      enum: ['CERTIFICATE', 'REVERSE_CHARGE']
+    },
+    certificateNumber: String,
+    customerId: mongoose.Schema.Types.ObjectId,
+    reason: String,
+    exemptSales: Number,
+    invoiceCount: Number
+  }],
+
+  // Exempt customers who were charged tax anyway. The sales stay taxable in
+  // this return; the tax comes back out once a credit note refunds it.
+  pendingExemptionCredits: [{
+    type: {
+      type: String,
+      enum: ['CERTIFICATE', 'REVERSE_CHARGE']
+    },
+    certificateNumber: String,
+    customerId: mongoose.Schema.Types.ObjectId,
+    reason: String,
+    taxableSales: Number,
+    taxCharged: Number,
+    invoiceCount: Number
+  }],
+
+  counts: {
+    invoices: { type: Number, default: 0 },
+    creditNotes: { type: Number, default: 0 },
+    refunds: { type: Number, default: 0 }
+  },
+
+  status: {
+    type: String,
+    enum: ['DRAFT', 'FILED'],
+    default: 'DRAFT',
+    index: true
+  },
+  filing: {
+    filedAt: Date,
+    filedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    confirmationNumber: String,
+    notes: String
+  },
+
+  generatedAt: Date,
+  generatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  },
+
+  exports: [{
+    format: {
+      type: String,
+      enum: ['CSV', 'PDF']
+    },
+    exportedAt: Date,
+    exportedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    }
+  }]
+}, {
+  timestamps: true,
+  collection: 'tax_returns'
+});
+
+taxReturnSchema.index({ period: 1, 'jurisdiction.code': 1, currency: 1 }, { unique: true });
+taxReturnSchema.index({ status: 1, dueDate: 1 });
+
+taxReturnSchema.post('init', function () {
+  this.$locals.filed = this.status === 'FILED';
+});
+
+// Filed returns are locked; recording an export is the only change allowed
+taxReturnSchema.pre('save', function (next) {
+  if (!this.$locals.filed) return next();
+
+  const changed = this.modifiedPaths({ includeChildren: true })
+    .filter(path => path !== 'exports' && !path.startsWith('exports.') && path !== 'updatedAt');
+
+  if (changed.length > 0) {
+    const error = new Error(`Tax return ${this.returnNumber} has been filed and is locked`);
+    error.statusCode = 409;
+    return next(error);
+  }
+  next();
+});
+
+taxReturnSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function (next) {
+  // Query-level writes bypass the save hook, so they never touch filed returns
+  this.where({ status: { $ne: 'FILED' } });
+  next();
+});
+
+taxReturnSchema.methods.isLocked = function () {
+  return this.status === 'FILED';
+};
+
+module.exports = mongoose.models.TaxReturn || mongoose.model('TaxReturn', taxReturnSchema);
@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * Usage Record
+ * One metered use of a quota-based feature, attributed to a billing period
+ */
+const usageRecordSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Subscription',
+  },
+  featureKey: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Caller-supplied key so retried requests are only counted once
+  idempotencyKey: {
+    type: String,
+    trim: true,
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now,
+  },
+  periodStart: {
+    type: Date,
+    required: true,
+  },
+  periodEnd: {
+    type: Date,
+    required: true,
+  },
+  source: {
+    type: String,
+    default: 'api',
+  },
+  metadata: {
+    type: Map,
+    of: String,
+  },
+}, {
+  timestamps: true,
+});
+
+usageRecordSchema.index({ userId: 1, idempotencyKey: 1 }, {
+  unique: true,
+  partialFilterExpression: { idempotencyKey: { $type: 'string' } },
+});
+usageRecordSchema.index({ userId: 1, featureKey: 1, periodStart: 1 });
+usageRecordSchema.index({ subscriptionId: 1, periodStart: 1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
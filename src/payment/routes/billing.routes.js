@@ -470,7 +470,11 @@ router.post('/invoices',
     body('billingAddress').isObject().withMessage('Billing address is required'),
     body('generatePdf').optional().isBoolean(),
     body('sendEmail').optional().isBoolean(),
-    body('templateId').optional().isIn(['default', 'modern', 'classic'])
+    body('templateId').optional().isIn(['default', 'modern', 'classic']),
+    body('includeUsage').optional().isBoolean(),
+    body('usagePeriod.periodStart').optional().isISO8601(),
+    body('usagePeriod.periodEnd').optional().isISO8601(),
+    body('applyCredits').optional().isBoolean()
   ],
   billingController.createInvoice
 );
@@ -629,7 +633,7 @@ router.post('/invoices/:id/void',
     param('id').isMongoId().withMessage('Invalid invoice ID'),
     body('reason').isString().isLength({ min: 1 }).withMessage('Void reason is required')
   ],
-  billingController.voidInvoice
+  (req, res) => billingController.voidInvoice(req, res)
 );
 
 /**
@@ -686,6 +690,179 @@ router.post('/invoices/:id/mark-paid',
   billingController.markInvoicePaid
 );
 
+// ==================== CREDIT NOTES ====================
+
+/**
+ * @swagger
+ * /api/billing/invoices/{id}/credit-notes:
+ *   post:
+ *     summary: Issue a credit note against an invoice
+ *     description: Credit specific lines (net amounts) or an amount including tax spread across the invoice. Tax is reversed per line. The credit reduces the amount still due first; the rest is settled as account credit, a refund already made, or outside the system.
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lineItemId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *                     quantity:
+ *                       type: number
+ *               amount:
+ *                 type: number
+ *                 description: Amount including tax; defaults to the remaining invoice total when no lines are given
+ *               reason:
+ *                 type: string
+ *                 enum: [DUPLICATE, FRAUDULENT, ORDER_CHANGE, PRODUCT_UNSATISFACTORY, BILLING_ERROR, REFUND, OTHER]
+ *               memo:
+ *                 type: string
+ *               settlement:
+ *                 type: string
+ *                 enum: [account_credit, refund, none]
+ *                 default: account_credit
+ *     responses:
+ *       201:
+ *         description: Credit note issued successfully
+ *       400:
+ *         description: Invoice cannot be credited for this amount
+ *       404:
+ *         description: Invoice not found
+ *   get:
+ *     summary: List credit notes for an invoice
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit notes retrieved successfully
+ */
+router.post('/invoices/:id/credit-notes',
+  rbacMiddleware.checkRole(['admin', 'finance']),
+  [
+    param('id').isMongoId().withMessage('Invalid invoice ID'),
+    body('reason').isIn(['DUPLICATE', 'FRAUDULENT', 'ORDER_CHANGE', 'PRODUCT_UNSATISFACTORY', 'BILLING_ERROR', 'REFUND', 'OTHER'])
+      .withMessage('Valid credit reason required'),
+    body('lines').optional().isArray({ min: 1 }),
+    body('lines.*.lineItemId').optional().isString(),
+    body('lines.*.amount').optional().isFloat({ gt: 0 }),
+    body('lines.*.quantity').optional().isFloat({ gt: 0 }),
+    body('amount').optional().isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('memo').optional().isString().isLength({ max: 1000 }),
+    body('settlement').optional().isIn(['account_credit', 'refund', 'none']),
+    body('generatePdf').optional().isBoolean()
+  ],
+  (req, res) => billingController.createCreditNote(req, res)
+);
+
+router.get('/invoices/:id/credit-notes',
+  rbacMiddleware.checkRole(['admin', 'finance', 'support']),
+  [
+    param('id').isMongoId().withMessage('Invalid invoice ID')
+  ],
+  (req, res) => billingController.getCreditNotes(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/credit-notes:
+ *   get:
+ *     summary: List credit notes
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Credit notes retrieved successfully
+ */
+router.get('/credit-notes',
+  rbacMiddleware.checkRole(['admin', 'finance', 'support']),
+  [
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 100 }),
+    query('customerId').optional().isMongoId(),
+    query('invoiceId').optional().isMongoId(),
+    query('currency').optional().isLength({ min: 3, max: 3 }),
+    query('dateFrom').optional().isISO8601(),
+    query('dateTo').optional().isISO8601()
+  ],
+  (req, res) => billingController.getCreditNotes(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/credit-notes/{id}/generate-pdf:
+ *   post:
+ *     summary: Generate credit note PDF
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit note PDF generated successfully
+ */
+router.post('/credit-notes/:id/generate-pdf',
+  rbacMiddleware.checkRole(['admin', 'finance', 'support']),
+  [
+    param('id').isMongoId().withMessage('Invalid credit note ID'),
+    body('templateId').optional().isIn(['default', 'modern', 'classic'])
+  ],
+  (req, res) => billingController.generateCreditNotePDF(req, res)
+);
+
 // ==================== PDF AND EMAIL OPERATIONS ====================
 
 /**
@@ -901,6 +1078,11 @@ router.post('/receipts/:id/resend-email',
  *         schema:
  *           type: string
  *         description: Filter by currency
+ *       - in: query
+ *         name: reportingCurrency
+ *         schema:
+ *           type: string
+ *         description: Convert totals into this currency using historical exchange rates
  *     responses:
  *       200:
  *         description: Dashboard data retrieved successfully
@@ -909,9 +1091,10 @@ router.get('/dashboard',
   rbacMiddleware.checkRole(['admin', 'finance']),
   [
     query('period').optional().isIn(['7d', '30d', '90d', '365d']),
-    query('currency').optional().isLength({ min: 3, max: 3 })
+    query('currency').optional().isLength({ min: 3, max: 3 }),
+    query('reportingCurrency').optional().isLength({ min: 3, max: 3 })
   ],
-  billingController.getBillingDashboard
+  (req, res) => billingController.getBillingDashboard(req, res)
 );
 
 /**
@@ -986,6 +1169,280 @@ router.get('/export',
   billingController.exportFinancialData
 );
 
+// ==================== USAGE METERING ====================
+
+/**
+ * @swagger
+ * /api/billing/usage:
+ *   post:
+ *     summary: Record metered feature usage
+ *     description: Repeating a request with the same idempotency key returns the original record
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Idempotency-Key
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - customerId
+ *               - featureKey
+ *               - quantity
+ *             properties:
+ *               customerId:
+ *                 type: string
+ *               featureKey:
+ *                 type: string
+ *                 example: "ai_advisor"
+ *               quantity:
+ *                 type: number
+ *               idempotencyKey:
+ *                 type: string
+ *               subscriptionId:
+ *                 type: string
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Usage recorded
+ *       200:
+ *         description: Usage already recorded for this idempotency key
+ */
+router.post('/usage',
+  rbacMiddleware.checkRole(['admin', 'finance']),
+  [
+    body('customerId').isMongoId().withMessage('Invalid customer ID'),
+    body('featureKey').isString().notEmpty().withMessage('Feature key is required'),
+    body('quantity').isFloat({ min: 0 }).withMessage('Quantity must be a non-negative number'),
+    body('idempotencyKey').optional().isString().isLength({ max: 255 }),
+    body('subscriptionId').optional().isMongoId(),
+    body('occurredAt').optional().isISO8601()
+  ],
+  (req, res) => billingController.recordUsage(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/usage:
+ *   get:
+ *     summary: Get the current user's usage for the billing period
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Usage summary retrieved successfully
+ */
+router.get('/usage',
+  [
+    query('subscriptionId').optional().isMongoId(),
+    query('at').optional().isISO8601()
+  ],
+  (req, res) => billingController.getUsageSummary(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/usage/{customerId}:
+ *   get:
+ *     summary: Get a customer's usage for the billing period
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: at
+ *         description: Any date inside the billing period to report
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Usage summary retrieved successfully
+ */
+router.get('/usage/:customerId',
+  rbacMiddleware.checkRole(['admin', 'finance', 'support']),
+  [
+    param('customerId').isMongoId().withMessage('Invalid customer ID'),
+    query('subscriptionId').optional().isMongoId(),
+    query('at').optional().isISO8601()
+  ],
+  (req, res) => billingController.getUsageSummary(req, res)
+);
+
+// ==================== ACCOUNT CREDIT ====================
+
+/**
+ * @swagger
+ * /api/billing/credits/{customerId}/statement:
+ *   get:
+ *     summary: Get a customer's account credit statement
+ *     description: Opening and closing balance, ledger entries and open credits for a period
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *           default: USD
+ *       - in: query
+ *         name: dateFrom
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: dateTo
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Statement retrieved successfully
+ */
+router.get('/credits/:customerId/statement',
+  rbacMiddleware.checkRole(['admin', 'finance', 'support']),
+  [
+    param('customerId').isMongoId().withMessage('Invalid customer ID'),
+    query('currency').optional().isLength({ min: 3, max: 3 }),
+    query('dateFrom').optional().isISO8601(),
+    query('dateTo').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 200 })
+  ],
+  (req, res) => billingController.getCreditStatement(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/credits/{customerId}:
+ *   post:
+ *     summary: Issue account credit to a customer
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - amount
+ *               - reason
+ *             properties:
+ *               amount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 example: "USD"
+ *               reason:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 enum: [manual, goodwill]
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Credit issued successfully
+ */
+router.post('/credits/:customerId',
+  rbacMiddleware.checkRole(['admin', 'finance']),
+  [
+    param('customerId').isMongoId().withMessage('Invalid customer ID'),
+    body('amount').isFloat({ gt: 0 }).withMessage('Amount must be greater than zero'),
+    body('currency').optional().isLength({ min: 3, max: 3 }),
+    body('reason').isString().isLength({ min: 1 }).withMessage('Reason is required'),
+    body('source').optional().isIn(['manual', 'goodwill']),
+    body('expiresAt').optional().isISO8601(),
+    body('idempotencyKey').optional().isString().isLength({ max: 255 })
+  ],
+  (req, res) => billingController.issueCredit(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/credits/entries/{entryId}/reverse:
+ *   post:
+ *     summary: Reverse an issued or applied credit entry
+ *     description: Entries are never edited; the reversal is recorded as a new entry
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit entry reversed successfully
+ *       400:
+ *         description: Entry cannot be reversed
+ */
+router.post('/credits/entries/:entryId/reverse',
+  rbacMiddleware.checkRole(['admin', 'finance']),
+  [
+    param('entryId').isMongoId().withMessage('Invalid entry ID'),
+    body('reason').isString().isLength({ min: 1 }).withMessage('Reversal reason is required')
+  ],
+  (req, res) => billingController.reverseCreditEntry(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/credits/{customerId}/reconcile:
+ *   post:
+ *     summary: Move a customer's legacy proration and refund credits into the ledger
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Legacy credits reconciled
+ */
+router.post('/credits/:customerId/reconcile',
+  rbacMiddleware.checkRole(['admin', 'finance']),
+  [
+    param('customerId').isMongoId().withMessage('Invalid customer ID')
+  ],
+  (req, res) => billingController.reconcileCredits(req, res)
+);
+
 // ==================== CURRENCY MANAGEMENT ====================
 
 /**
@@ -1005,6 +1462,125 @@ router.get('/currencies',
   billingController.getSupportedCurrencies
 );
 
+/**
+ * @swagger
+ * /api/billing/exchange-rates:
+ *   get:
+ *     summary: List stored daily exchange rates
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: baseCurrency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: quoteCurrency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [FIXER, EXCHANGERATE_API, OPEN_EXCHANGE_RATES, MANUAL]
+ *     responses:
+ *       200:
+ *         description: Exchange rates retrieved successfully
+ */
+router.get('/exchange-rates',
+  rbacMiddleware.checkRole(['admin', 'finance']),
+  [
+    query('baseCurrency').optional().isLength({ min: 3, max: 3 }),
+    query('quoteCurrency').optional().isLength({ min: 3, max: 3 }),
+    query('startDate').optional().isISO8601(),
+    query('endDate').optional().isISO8601(),
+    query('page').optional().isInt({ min: 1 }),
+    query('limit').optional().isInt({ min: 1, max: 500 })
+  ],
+  (req, res) => billingController.getExchangeRates(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/exchange-rates:
+ *   post:
+ *     summary: Upload daily exchange rates
+ *     description: Stores rates for environments without network access (EXCHANGE_RATE_PROVIDER=MANUAL) or to correct fetched rates. Send either rates or csv (date,baseCurrency,quoteCurrency,rate).
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rates:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     date:
+ *                       type: string
+ *                       format: date
+ *                     baseCurrency:
+ *                       type: string
+ *                     quoteCurrency:
+ *                       type: string
+ *                     rate:
+ *                       type: number
+ *               csv:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Exchange rates imported
+ *       400:
+ *         description: No valid rates in the upload
+ */
+router.post('/exchange-rates',
+  rbacMiddleware.checkRole(['admin', 'finance']),
+  [
+    body('rates').optional().isArray({ min: 1, max: 5000 }).withMessage('Rates must be a non-empty array'),
+    body('csv').optional().isString(),
+    body().custom(value => {
+      if (!value.rates && !value.csv) {
+        throw new Error('Either rates or csv is required');
+      }
+      return true;
+    })
+  ],
+  (req, res) => billingController.uploadExchangeRates(req, res)
+);
+
+/**
+ * @swagger
+ * /api/billing/exchange-rates/refresh:
+ *   post:
+ *     summary: Fetch and store today's exchange rates from the configured provider
+ *     tags: [Billing & Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Exchange rates refreshed
+ */
+router.post('/exchange-rates/refresh',
+  rbacMiddleware.checkRole(['admin', 'finance']),
+  (req, res) => billingController.refreshExchangeRates(req, res)
+);
+
 module.exports = router;
 
 
@@ -8,6 +8,8 @@ const {
   deleteDiscount,
   validateDiscountCode,
   getDiscountAnalytics,
+  getDiscountFraudEvents,
+  reviewDiscountFraudEvent,
   bulkGenerateDiscounts,
   exportDiscounts
 } = require('../controllers/discount.controller');
@@ -119,6 +121,72 @@ router.get('/stats', getDiscountStats);
  */
 router.get('/analytics', getDiscountAnalytics);
 
+/**
+ * @swagger
+ * /api/discounts/analytics/fraud-events:
+ *   get:
+ *     summary: List velocity and usage-limit breaches for review (Admin)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, confirmed, dismissed]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: codeId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ipAddress
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fraud events
+ */
+router.get('/analytics/fraud-events', getDiscountFraudEvents);
+
+/**
+ * @swagger
+ * /api/discounts/analytics/fraud-events/{id}:
+ *   patch:
+ *     summary: Review a fraud event (Admin)
+ *     tags: [Discounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, confirmed, dismissed]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Fraud event reviewed
+ */
+router.patch('/analytics/fraud-events/:id', reviewDiscountFraudEvent);
+
 /**
  * @swagger
  * /api/discounts/export:
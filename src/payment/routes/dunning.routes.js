@@ -63,7 +63,7 @@ router.get('/campaigns/:id',
   [
     param('id').isMongoId().withMessage('Invalid campaign ID')
   ],
-  dunningController.getCampaignById
+  (req, res) => dunningController.getCampaignById(req, res)
 );
 
 /**
@@ -120,7 +120,7 @@ router.get('/failed-payments',
     query('status').optional().isIn(['failed', 'retrying', 'recovered', 'abandoned', 'all']).withMessage('Invalid status'),
     query('includeRecoveryData').optional().isBoolean().withMessage('Include recovery data must be boolean')
   ],
-  dunningController.getFailedPayments
+  (req, res) => dunningController.getFailedPayments(req, res)
 );
 
 /**
@@ -133,7 +133,7 @@ router.get('/failed-payments/:id',
   [
     param('id').isMongoId().withMessage('Invalid failed payment ID')
   ],
-  dunningController.getFailedPaymentById
+  (req, res) => dunningController.getFailedPaymentById(req, res)
 );
 
 /**
@@ -151,6 +151,34 @@ router.post('/failed-payments/:id/retry',
   dunningController.retryFailedPayment
 );
 
+/**
+ * @route POST /v1/dunning/failed-payments/:id/enroll
+ * @desc Start a dunning campaign for a failed payment (default campaign when none given)
+ * @access Admin, Finance
+ */
+router.post('/failed-payments/:id/enroll',
+  rbacMiddleware.checkRole(['ADMIN', 'FINANCE']),
+  [
+    param('id').isMongoId().withMessage('Invalid failed payment ID'),
+    body('campaignId').optional().isMongoId().withMessage('Invalid campaign ID')
+  ],
+  dunningController.enrollFailedPayment
+);
+
+/**
+ * @route POST /v1/dunning/failed-payments/:id/stop
+ * @desc Stop the running dunning campaign for a failed payment
+ * @access Admin, Finance
+ */
+router.post('/failed-payments/:id/stop',
+  rbacMiddleware.checkRole(['ADMIN', 'FINANCE']),
+  [
+    param('id').isMongoId().withMessage('Invalid failed payment ID'),
+    body('reason').optional().isString().withMessage('Reason must be string')
+  ],
+  dunningController.stopFailedPaymentDunning
+);
+
 module.exports = router;
 
 
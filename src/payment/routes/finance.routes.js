@@ -26,7 +26,7 @@ router.use(rbacMiddleware.checkRole(['super-admin', 'finance-admin']));
 
 /**
  * @route GET /api/finance/reports/revenue
- * @desc Get revenue reports with breakdown
+ * @desc Get revenue reports with breakdown, converted into reportingCurrency with historical rates
  * @access Finance Admin, Super Admin
  */
 router.get('/revenue',
@@ -36,7 +36,8 @@ router.get('/revenue',
     query('endDate').optional().isISO8601().withMessage('Valid end date required'),
     query('subscriptionType').optional().isIn(['Basic', 'Diamond', 'Infinity', 'Script', 'all']),
     query('currency').optional().isIn(['USD', 'EUR', 'GBP', 'all']),
-    query('includeRefunds').optional().isBoolean()
+    query('includeRefunds').optional().isBoolean(),
+    query('reportingCurrency').optional().isLength({ min: 3, max: 3 }).withMessage('Reporting currency must be a 3-letter code')
   ],
   financeController.getRevenueReport
 );
@@ -60,14 +61,15 @@ router.get('/subscriptions',
 
 /**
  * @route GET /api/finance/reports/mrr
- * @desc Get Monthly Recurring Revenue (MRR) analysis
+ * @desc Get Monthly Recurring Revenue (MRR) analysis, converted into reportingCurrency
  * @access Finance Admin, Super Admin
  */
 router.get('/mrr',
   [
     query('months').optional().isInt({ min: 1, max: 24 }).withMessage('Months must be 1-24'),
     query('subscriptionType').optional().isIn(['Basic', 'Diamond', 'Infinity', 'Script', 'all']),
-    query('currency').optional().isIn(['USD', 'EUR', 'GBP', 'all'])
+    query('currency').optional().isIn(['USD', 'EUR', 'GBP', 'all']),
+    query('reportingCurrency').optional().isLength({ min: 3, max: 3 }).withMessage('Reporting currency must be a 3-letter code')
   ],
   financeController.getMRRReport
 );
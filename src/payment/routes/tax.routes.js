@@ -1,6 +1,8 @@
 ﻿
 const express = require('express');
 const taxController = require('../controllers/tax.controller');
+const { protect } = require('../../middlewares/auth.middleware');
+const rbacMiddleware = require('../../admin/middlewares/rbac.middleware');
 const router = express.Router();
 
 /**
@@ -127,6 +129,36 @@ router.post('/validate', taxController.validateTaxId);
  */
 router.post('/validate/bulk', taxController.bulkValidateTaxIds);
 
+/**
+ * @swagger
+ * /api/tax/validations:
+ *   get:
+ *     summary: List stored tax ID validation evidence
+ *     tags: [Tax]
+ *     parameters:
+ *       - in: query
+ *         name: taxId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [valid, invalid, unverified]
+ *     responses:
+ *       200:
+ *         description: Validation records, newest first
+ */
+router.get('/validations',
+    protect,
+    rbacMiddleware.checkRole(['admin', 'finance']),
+    taxController.getTaxIdValidations
+);
+
 /**
  * @swagger
  * /api/tax/compliance:
@@ -174,6 +206,195 @@ router.put('/compliance/:country/:state', taxController.updateComplianceStatus);
  */
 router.get('/reports', taxController.getTaxReports);
 
+/**
+ * @swagger
+ * /api/tax/reports/generate:
+ *   post:
+ *     summary: Generate tax reports for a period from invoices, net of credit notes
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - periodStart
+ *               - periodEnd
+ *             properties:
+ *               periodStart:
+ *                 type: string
+ *                 format: date
+ *               periodEnd:
+ *                 type: string
+ *                 format: date
+ *               period:
+ *                 type: string
+ *               due:
+ *                 type: string
+ *                 format: date
+ *     responses:
+ *       201:
+ *         description: Tax reports generated; filed reports are skipped
+ */
+router.post('/reports/generate',
+    protect,
+    rbacMiddleware.checkRole(['admin', 'finance']),
+    taxController.generateTaxReports
+);
+
+/**
+ * @swagger
+ * /api/tax/returns:
+ *   get:
+ *     summary: List tax returns
+ *     tags: [Tax]
+ *     parameters:
+ *       - in: query
+ *         name: period
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: jurisdiction
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [DRAFT, FILED]
+ *     responses:
+ *       200:
+ *         description: Tax returns, latest period first
+ */
+router.get('/returns',
+    protect,
+    rbacMiddleware.checkRole(['admin', 'finance']),
+    taxController.getTaxReturns
+);
+
+/**
+ * @swagger
+ * /api/tax/returns/generate:
+ *   post:
+ *     summary: Generate tax returns for a filing period
+ *     description: One return per jurisdiction and currency filing at the period's frequency. Filed returns are left untouched.
+ *     tags: [Tax]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - period
+ *             properties:
+ *               period:
+ *                 type: string
+ *                 description: YYYY-MM for monthly filers, YYYY-Q1..Q4 for quarterly filers
+ *               jurisdiction:
+ *                 type: string
+ *                 description: Limit to one jurisdiction, e.g. US-CA or DE
+ *     responses:
+ *       201:
+ *         description: Tax returns generated
+ */
+router.post('/returns/generate',
+    protect,
+    rbacMiddleware.checkRole(['admin', 'finance']),
+    taxController.generateTaxReturns
+);
+
+/**
+ * @swagger
+ * /api/tax/returns/{id}:
+ *   get:
+ *     summary: Get a tax return
+ *     tags: [Tax]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax return with its breakdown and exemptions
+ */
+router.get('/returns/:id',
+    protect,
+    rbacMiddleware.checkRole(['admin', 'finance']),
+    taxController.getTaxReturn
+);
+
+/**
+ * @swagger
+ * /api/tax/returns/{id}/file:
+ *   post:
+ *     summary: Mark a tax return as filed
+ *     description: Filing locks the return against regeneration and edits.
+ *     tags: [Tax]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               confirmationNumber:
+ *                 type: string
+ *               filedAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tax return filed
+ *       409:
+ *         description: Tax return already filed
+ */
+router.post('/returns/:id/file',
+    protect,
+    rbacMiddleware.checkRole(['admin', 'finance']),
+    taxController.fileTaxReturn
+);
+
+/**
+ * @swagger
+ * /api/tax/returns/{id}/export.{format}:
+ *   get:
+ *     summary: Export a tax return
+ *     tags: [Tax]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: format
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [csv, pdf]
+ *     responses:
+ *       200:
+ *         description: Tax return file
+ */
+router.get('/returns/:id/export.:format',
+    protect,
+    rbacMiddleware.checkRole(['admin', 'finance']),
+    taxController.exportTaxReturn
+);
+
 /**
  * @swagger
  * /api/tax/summary:
@@ -227,7 +448,11 @@ router.get('/jurisdictions', taxController.getJurisdictions);
  *         description: Exemption created
  */
 router.get('/exemptions', taxController.getExemptions);
-router.post('/exemptions', taxController.createExemption);
+router.post('/exemptions',
+    protect,
+    rbacMiddleware.checkRole(['admin', 'finance']),
+    taxController.createExemption
+);
 
 /**
  * @swagger
@@ -0,0 +1,457 @@
+const mongoose = require('mongoose');
+const { CreditLedgerEntry, CustomerBalance } = require('../models/creditLedger.model');
+const Subscription = require('../../subscription/models/subscription.model');
+const User = require('../../user/models/user.model');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Credit Ledger Service
+ * Single source of truth for customer account credit. Proration credits,
+ * refund credits and manual adjustments are issued here and drawn down by
+ * invoices, oldest-expiring first.
+ */
+class CreditLedgerService {
+  /**
+   * Issue credit to a customer
+   * @param {string} userId - Customer receiving the credit
+   * @param {number} amount - Positive amount in the given currency
+   * @param {Object} options - currency, source, reason, expiresAt, referenceType,
+   *                           referenceId, idempotencyKey, createdBy, metadata, session
+   */
+  async issueCredit(userId, amount, options = {}) {
+    const { currency = 'USD', source = 'manual', session = null, idempotencyKey } = options;
+    const value = round(amount);
+
+    if (!(value > 0)) {
+      throw new Error('Credit amount must be greater than zero');
+    }
+
+    if (idempotencyKey) {
+      const existing = await CreditLedgerEntry.findOne({ userId, idempotencyKey }).session(session);
+      if (existing) return existing;
+    }
+
+    const balance = await this.adjustBalance(userId, currency, value, { session });
+
+    try {
+      return await this.record({
+        userId,
+        type: 'credit_issued',
+        amount: value,
+        currency,
+        balanceAfter: balance.balance,
+        source,
+        reason: options.reason,
+        expiresAt: options.expiresAt || undefined,
+        referenceType: options.referenceType,
+        referenceId: options.referenceId,
+        idempotencyKey,
+        createdBy: options.createdBy,
+        metadata: options.metadata
+      }, { session, compensate: -value });
+    } catch (error) {
+      // A concurrent request with the same key issued it first
+      if (error.code === 11000 && idempotencyKey) {
+        return CreditLedgerEntry.findOne({ userId, idempotencyKey }).session(session);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Draw down available credit against an invoice
+   * @returns {Promise<Object|null>} The credit_applied entry, or null when no credit is available
+   */
+  async applyToInvoice(userId, invoiceTotal, options = {}) {
+    const { currency = 'USD', invoiceId, createdBy, session = null } = options;
+
+    // Expired credit must not be spent
+    await this.expireCredits({ userId, session });
+
+    const balance = await this.getBalance(userId, currency, { session });
+    const amount = round(Math.min(balance, invoiceTotal));
+    if (!(amount > 0)) return null;
+
+    const updated = await this.adjustBalance(userId, currency, -amount, { session });
+    if (!updated) {
+      // Balance was spent concurrently; leave the invoice unpaid by credit
+      return null;
+    }
+
+    const allocations = await this.allocate(userId, currency, amount, { session });
+
+    return this.record({
+      userId,
+      type: 'credit_applied',
+      amount: -amount,
+      currency,
+      balanceAfter: updated.balance,
+      reason: options.reason || 'Applied to invoice',
+      allocations,
+      referenceType: 'invoice',
+      referenceId: invoiceId,
+      createdBy
+    }, { session, compensate: amount });
+  }
+
+  /**
+   * Expire the unused part of credits past their expiry date
+   */
+  async expireCredits(options = {}) {
+    const { userId, now = new Date(), session = null } = options;
+    const query = { type: 'credit_issued', expiresAt: { $lte: now } };
+    if (userId) {
+      query.userId = userId;
+    }
+
+    const grants = await CreditLedgerEntry.find(query).sort({ expiresAt: 1 }).session(session);
+    const remaining = await this.getRemaining(grants.map(grant => grant._id), { session });
+    const expired = [];
+
+    for (const grant of grants) {
+      const amount = round(remaining.get(String(grant._id)) ?? grant.amount);
+      if (!(amount > 0)) continue;
+
+      const idempotencyKey = `expire_${grant._id}`;
+      if (await CreditLedgerEntry.exists({ userId: grant.userId, idempotencyKey }).session(session)) {
+        continue;
+      }
+
+      const updated = await this.adjustBalance(grant.userId, grant.currency, -amount, { session });
+      if (!updated) continue;
+
+      try {
+        expired.push(await this.record({
+          userId: grant.userId,
+          type: 'credit_expired',
+          amount: -amount,
+          currency: grant.currency,
+          balanceAfter: updated.balance,
+          reason: 'Credit expired',
+          allocations: [{ entry: grant._id, amount }],
+          idempotencyKey
+        }, { session, compensate: amount }));
+      } catch (error) {
+        // Another instance expired it first
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Reverse an issued or applied credit
+   * Issued credits can only be reversed for their unused part
+   */
+  async reverseEntry(entryId, options = {}) {
+    const { reason, createdBy, session = null } = options;
+
+    const entry = await CreditLedgerEntry.findById(entryId).session(session);
+    if (!entry) {
+      throw new Error('Ledger entry not found');
+    }
+    if (!['credit_issued', 'credit_applied'].includes(entry.type)) {
+      throw new Error(`Entries of type ${entry.type} cannot be reversed`);
+    }
+    if (await CreditLedgerEntry.exists({ reverses: entry._id }).session(session)) {
+      throw new Error('Ledger entry has already been reversed');
+    }
+
+    let amount;
+    let allocations;
+
+    if (entry.type === 'credit_issued') {
+      const remaining = await this.getRemaining([entry._id], { session });
+      const unused = round(remaining.get(String(entry._id)) ?? entry.amount);
+      if (!(unused > 0)) {
+        throw new Error('Credit has already been used or expired');
+      }
+      amount = -unused;
+      allocations = [{ entry: entry._id, amount: unused }];
+    } else {
+      // Give the applied credit back to the grants it came from
+      amount = -entry.amount;
+      allocations = entry.allocations.map(allocation => ({
+        entry: allocation.entry,
+        amount: -allocation.amount
+      }));
+    }
+
+    const updated = await this.adjustBalance(entry.userId, entry.currency, amount, { session });
+    if (!updated) {
+      throw new Error('Insufficient balance to reverse credit');
+    }
+
+    return this.record({
+      userId: entry.userId,
+      type: 'credit_reversed',
+      amount,
+      currency: entry.currency,
+      balanceAfter: updated.balance,
+      source: 'reversal',
+      reason: reason || `Reversal of ${entry.type.replace('_', ' ')}`,
+      allocations,
+      reverses: entry._id,
+      referenceType: entry.referenceType,
+      referenceId: entry.referenceId,
+      createdBy
+    }, { session, compensate: -amount });
+  }
+
+  /**
+   * Return credit applied to an invoice, e.g. when the invoice is voided
+   */
+  async reverseInvoiceCredits(invoiceId, options = {}) {
+    const applied = await CreditLedgerEntry.find({
+      type: 'credit_applied',
+      referenceType: 'invoice',
+      referenceId: invoiceId
+    }).session(options.session || null);
+
+    const reversals = [];
+    for (const entry of applied) {
+      if (await CreditLedgerEntry.exists({ reverses: entry._id })) continue;
+      reversals.push(await this.reverseEntry(entry._id, options));
+    }
+    return reversals;
+  }
+
+  async getBalance(userId, currency = 'USD', options = {}) {
+    const balance = await CustomerBalance.findOne({ userId, currency: currency.toUpperCase() })
+      .session(options.session || null);
+    return balance ? balance.balance : 0;
+  }
+
+  async getBalances(userId) {
+    const balances = await CustomerBalance.find({ userId }).select('currency balance lastEntryAt');
+    return balances.map(({ currency, balance, lastEntryAt }) => ({ currency, balance, lastEntryAt }));
+  }
+
+  /**
+   * Account statement for a period: opening balance, entries and closing balance
+   */
+  async getStatement(userId, options = {}) {
+    const { currency = 'USD', from, to, page = 1, limit = 50 } = options;
+    const code = currency.toUpperCase();
+
+    const query = { userId, currency: code };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const opening = from
+      ? await CreditLedgerEntry.findOne({ userId, currency: code, createdAt: { $lt: new Date(from) } })
+        .sort({ createdAt: -1, _id: -1 })
+      : null;
+
+    const [entries, total, closing] = await Promise.all([
+      CreditLedgerEntry.find(query)
+        .sort({ createdAt: 1, _id: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('createdBy', 'firstName lastName email'),
+      CreditLedgerEntry.countDocuments(query),
+      CreditLedgerEntry.findOne(query).sort({ createdAt: -1, _id: -1 })
+    ]);
+
+    const openingBalance = opening ? opening.balanceAfter : 0;
+    const totals = await CreditLedgerEntry.aggregate([
+      { $match: { ...query, userId: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: '$type', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ]);
+
+    return {
+      userId,
+      currency: code,
+      period: { from: from || null, to: to || null },
+      openingBalance,
+      closingBalance: closing ? closing.balanceAfter : openingBalance,
+      currentBalance: await this.getBalance(userId, code),
+      totals: totals.reduce((acc, total) => {
+        acc[total._id] = { amount: round(total.amount), count: total.count };
+        return acc;
+      }, {}),
+      openCredits: await this.getOpenCredits(userId, code),
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Issued credits with an unused part, in the order they are drawn down
+   */
+  async getOpenCredits(userId, currency = 'USD', options = {}) {
+    const { session = null, now = new Date() } = options;
+
+    const grants = await CreditLedgerEntry.find({
+      userId,
+      currency: currency.toUpperCase(),
+      type: 'credit_issued',
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    }).session(session);
+
+    const remaining = await this.getRemaining(grants.map(grant => grant._id), { session });
+
+    return grants
+      .map(grant => ({
+        entryId: grant._id,
+        source: grant.source,
+        reason: grant.reason,
+        issuedAt: grant.createdAt,
+        expiresAt: grant.expiresAt || null,
+        amount: grant.amount,
+        remaining: round(remaining.get(String(grant._id)) ?? grant.amount)
+      }))
+      .filter(grant => grant.remaining > 0)
+      .sort((a, b) => {
+        const aExpiry = a.expiresAt ? a.expiresAt.getTime() : Infinity;
+        const bExpiry = b.expiresAt ? b.expiresAt.getTime() : Infinity;
+        return aExpiry - bExpiry || a.issuedAt - b.issuedAt;
+      });
+  }
+
+  /**
+   * Unused amount of each issued credit
+   */
+  async getRemaining(grantIds, options = {}) {
+    const remaining = new Map();
+    if (!grantIds.length) return remaining;
+
+    const [grants, used] = await Promise.all([
+      CreditLedgerEntry.find({ _id: { $in: grantIds } }).select('amount').session(options.session || null),
+      CreditLedgerEntry.aggregate([
+        { $match: { 'allocations.entry': { $in: grantIds } } },
+        { $unwind: '$allocations' },
+        { $match: { 'allocations.entry': { $in: grantIds } } },
+        { $group: { _id: '$allocations.entry', amount: { $sum: '$allocations.amount' } } }
+      ]).session(options.session || null)
+    ]);
+
+    const usedById = new Map(used.map(item => [String(item._id), item.amount]));
+    for (const grant of grants) {
+      remaining.set(String(grant._id), grant.amount - (usedById.get(String(grant._id)) || 0));
+    }
+    return remaining;
+  }
+
+  /**
+   * Import credit tracked outside the ledger: subscription.proratedCredits and
+   * the legacy user.billing.credits array written by the refund flow
+   */
+  async migrateLegacyCredits(userId, options = {}) {
+    const { createdBy } = options;
+    const issued = [];
+
+    const subscriptions = await Subscription.find({ userId, proratedCredits: { $gt: 0 } });
+    for (const subscription of subscriptions) {
+      issued.push(await this.issueCredit(userId, subscription.proratedCredits, {
+        currency: subscription.currency || 'USD',
+        source: 'migration',
+        reason: 'Proration credit carried over from subscription',
+        referenceType: 'subscription',
+        referenceId: subscription._id,
+        idempotencyKey: `legacy_proration_${subscription._id}`,
+        createdBy
+      }));
+      await Subscription.updateOne({ _id: subscription._id }, { $set: { proratedCredits: 0 } });
+    }
+
+    // billing is not part of the User schema, so read the raw document
+    const rawUser = await User.collection.findOne(
+      { _id: new mongoose.Types.ObjectId(String(userId)) },
+      { projection: { billing: 1 } }
+    );
+    const legacyCredits = rawUser?.billing?.credits || [];
+
+    for (const [index, credit] of legacyCredits.entries()) {
+      if (!(credit.amount > 0)) continue;
+      if (credit.expiresAt && new Date(credit.expiresAt) <= new Date()) continue;
+
+      issued.push(await this.issueCredit(userId, credit.amount, {
+        source: 'migration',
+        reason: credit.reason || 'Refund credit',
+        expiresAt: credit.expiresAt || undefined,
+        idempotencyKey: `legacy_billing_credit_${userId}_${index}`,
+        createdBy: credit.issuedBy || createdBy,
+        metadata: { issuedAt: credit.issuedAt }
+      }));
+    }
+
+    if (rawUser?.billing) {
+      await User.collection.updateOne(
+        { _id: rawUser._id },
+        { $unset: { 'billing.credits': '', 'billing.creditBalance': '' } }
+      );
+    }
+
+    return issued;
+  }
+
+  /**
+   * Atomically move a customer's balance; debits never take it below zero
+   * @returns {Promise<Object|null>} Updated balance, or null when a debit exceeds it
+   */
+  async adjustBalance(userId, currency, amount, options = {}) {
+    const { session = null } = options;
+    const code = currency.toUpperCase();
+    const filter = { userId, currency: code };
+    if (amount < 0) {
+      filter.balance = { $gte: -amount };
+    }
+
+    return CustomerBalance.findOneAndUpdate(
+      filter,
+      { $inc: { balance: amount }, $set: { lastEntryAt: new Date() } },
+      { new: true, upsert: amount > 0, session }
+    );
+  }
+
+  /**
+   * Pick the issued credits an amount is drawn from
+   */
+  async allocate(userId, currency, amount, options = {}) {
+    const openCredits = await this.getOpenCredits(userId, currency, options);
+    const allocations = [];
+    let left = amount;
+
+    for (const credit of openCredits) {
+      if (left <= 0) break;
+      const take = round(Math.min(credit.remaining, left));
+      allocations.push({ entry: credit.entryId, amount: take });
+      left = round(left - take);
+    }
+
+    return allocations;
+  }
+
+  /**
+   * Write an entry; undo the balance change if the write fails outside a transaction
+   */
+  async record(data, options = {}) {
+    const { session = null, compensate = 0 } = options;
+
+    try {
+      const [entry] = await CreditLedgerEntry.create([data], { session });
+      return entry;
+    } catch (error) {
+      if (!session && compensate) {
+        await CustomerBalance.updateOne(
+          { userId: data.userId, currency: data.currency.toUpperCase() },
+          { $inc: { balance: compensate } }
+        );
+      }
+      throw error;
+    }
+  }
+}
+
+module.exports = CreditLedgerService;
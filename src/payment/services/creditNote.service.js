@@ -0,0 +1,734 @@
+const PDFDocument = require('pdfkit');
+const { Invoice, CreditNote } = require('../models/billing.model');
+const LegacyInvoice = require('../models/invoice.model');
+const CreditNoteRequest = require('../models/creditNoteRequest.model');
+const SequenceCounter = require('../models/sequenceCounter.model');
+const InvoiceService = require('./invoiceGeneration.service');
+const CreditLedgerService = require('./creditLedger.service');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Differences below half a cent are rounding noise
+const EPSILON = 0.005;
+
+// Failed credit notes are retried with a growing delay, then left for finance
+const MAX_REQUEST_ATTEMPTS = 8;
+const RETRY_BASE_MS = 5 * 60 * 1000;
+const REQUEST_CLAIM_MS = 30 * 60 * 1000;
+
+const LEGACY_STATUS = {
+  draft: 'DRAFT',
+  canceled: 'VOID',
+  pending: 'OPEN',
+  overdue: 'OPEN',
+  partially_paid: 'OPEN'
+};
+
+/**
+ * Credit Note Service
+ * Issues credit notes against invoices. Each credited line reverses its share
+ * of the invoice's tax, and the credit is settled against the amount still
+ * due first, then as a refund, account credit or outside the system.
+ */
+class CreditNoteService {
+  constructor() {
+    this.invoiceService = new InvoiceService();
+    this.creditLedgerService = new CreditLedgerService();
+  }
+
+  /**
+   * Issue a credit note for an invoice
+   * @param {string} invoiceId - A billing invoice, or a subscription invoice from invoice.model.js
+   * @param {Object} options
+   * @param {Array} [options.lines] - [{lineItemId, amount | quantity}] net amounts to credit per line
+   * @param {number} [options.amount] - Amount including tax, spread across the remaining lines
+   * @param {string} options.reason - DUPLICATE, FRAUDULENT, ORDER_CHANGE, PRODUCT_UNSATISFACTORY, BILLING_ERROR, REFUND, OTHER
+   * @param {string} [options.settlement] - How the part not applied to the amount due is settled:
+   *   account_credit (default), refund or none
+   * @param {Object} [options.refund] - {provider, refundId, paymentId} when settled as a refund
+   * @param {string} [options.creditLedgerEntryId] - Existing ledger credit that settles the note
+   */
+  async createCreditNote(invoiceId, options = {}) {
+    const {
+      reason = 'OTHER',
+      memo,
+      settlement = 'account_credit',
+      refund,
+      createdBy,
+      idempotencyKey,
+      generatePdf = true
+    } = options;
+
+    const { invoice, legacyInvoice } = await this.loadInvoice(invoiceId);
+
+    // A retry finishes whatever the earlier attempt left undone
+    if (idempotencyKey) {
+      const existing = await CreditNote.findOne({ idempotencyKey });
+      if (existing) {
+        await this.settleCreditNote(existing, invoice, legacyInvoice);
+        return existing;
+      }
+    }
+
+    if (!invoice.lineItems?.length) {
+      throw new Error('Invoice has no line items to credit');
+    }
+    if (['DRAFT', 'VOID'].includes(invoice.status)) {
+      throw new Error(`Cannot credit a ${invoice.status.toLowerCase()} invoice`);
+    }
+    if (!['account_credit', 'refund', 'none'].includes(settlement)) {
+      throw new Error(`Unknown settlement: ${settlement}`);
+    }
+
+    const lineItems = options.lines?.length
+      ? this.buildLinesFromItems(invoice, options.lines)
+      : this.buildLinesFromAmount(invoice, options.amount);
+
+    if (!lineItems.length) {
+      throw new Error('Nothing to credit');
+    }
+
+    const subtotal = round(lineItems.reduce((sum, line) => sum + line.amount, 0));
+    const taxTotal = round(lineItems.reduce((sum, line) => sum + line.taxAmount, 0));
+    const total = round(subtotal + taxTotal);
+
+    // Reduce what the customer still owes before returning money
+    const appliedToAmountDue = invoice.status === 'OPEN'
+      ? round(Math.min(total, invoice.amounts.amountRemaining))
+      : 0;
+    const remainder = round(total - appliedToAmountDue);
+
+    const { number, sequence } = await this.generateCreditNoteNumber(invoice.currency);
+
+    const creditNote = new CreditNote({
+      creditNoteNumber: number,
+      creditNoteSequence: sequence,
+      invoiceId: invoice._id,
+      invoiceModel: legacyInvoice ? 'Invoice' : 'BillingInvoice',
+      invoiceNumber: invoice.invoiceNumber,
+      customerId: invoice.customerId,
+      subscriptionId: invoice.subscriptionId,
+      currency: invoice.currency,
+      jurisdiction: {
+        country: invoice.billingAddress?.country,
+        state: invoice.billingAddress?.state
+      },
+      reason,
+      memo,
+      lineItems,
+      amounts: {
+        subtotal,
+        taxTotal,
+        total,
+        appliedToAmountDue,
+        refunded: settlement === 'refund' ? remainder : 0,
+        creditedToBalance: settlement === 'account_credit' ? remainder : 0,
+        outOfBand: settlement === 'none' ? remainder : 0
+      },
+      refund,
+      creditLedgerEntryId: options.creditLedgerEntryId,
+      idempotencyKey,
+      createdBy
+    });
+
+    await creditNote.save();
+    await this.settleCreditNote(creditNote, invoice, legacyInvoice);
+
+    if (generatePdf) {
+      try {
+        await this.generateCreditNotePDF(creditNote._id);
+      } catch (error) {
+        // The note stands without its PDF; it can be regenerated later
+        console.error('Credit note PDF error:', error.message);
+      }
+    }
+
+    return creditNote;
+  }
+
+  /**
+   * Issue a credit note for a refund that has already been paid out. The
+   * refund cannot be undone, so a failure is queued for retry rather than
+   * thrown back at the caller.
+   * @returns {Object} - { creditNote } when issued, { request } when queued for retry
+   */
+  async requestCreditNote(invoiceId, options) {
+    if (!options?.idempotencyKey) {
+      throw new Error('An idempotency key is required to request a credit note');
+    }
+
+    try {
+      const creditNote = await this.createCreditNote(invoiceId, options);
+      return { creditNote, request: null };
+    } catch (error) {
+      console.error(`Credit note ${options.idempotencyKey} failed, queued for retry:`, error.message);
+      const request = await CreditNoteRequest.findOneAndUpdate(
+        { idempotencyKey: options.idempotencyKey },
+        {
+          $setOnInsert: { invoiceId, options, idempotencyKey: options.idempotencyKey },
+          $set: {
+            status: 'PENDING',
+            lastError: String(error.message).slice(0, 1000),
+            nextAttemptAt: new Date(Date.now() + RETRY_BASE_MS)
+          },
+          $inc: { attempts: 1 }
+        },
+        { upsert: true, new: true }
+      );
+      return { creditNote: null, request };
+    }
+  }
+
+  /**
+   * Retry queued credit notes that are due
+   */
+  async processCreditNoteRequests({ limit = 100 } = {}) {
+    const summary = { completed: 0, retrying: 0, failed: 0 };
+
+    for (let processed = 0; processed < limit; processed++) {
+      // Claim one request at a time; the claim lapses if this run dies mid-way
+      const request = await CreditNoteRequest.findOneAndUpdate(
+        { status: { $in: ['PENDING', 'PROCESSING'] }, nextAttemptAt: { $lte: new Date() } },
+        { $set: { status: 'PROCESSING', nextAttemptAt: new Date(Date.now() + REQUEST_CLAIM_MS) }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+      );
+      if (!request) break;
+
+      try {
+        const creditNote = await this.createCreditNote(request.invoiceId, request.options);
+        request.status = 'COMPLETED';
+        request.creditNoteId = creditNote._id;
+        request.completedAt = new Date();
+        request.lastError = undefined;
+        summary.completed += 1;
+      } catch (error) {
+        request.lastError = String(error.message).slice(0, 1000);
+        if (request.attempts >= MAX_REQUEST_ATTEMPTS) {
+          request.status = 'FAILED';
+          request.nextAttemptAt = undefined;
+          summary.failed += 1;
+        } else {
+          request.status = 'PENDING';
+          request.nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (request.attempts - 1));
+          summary.retrying += 1;
+        }
+      }
+      await request.save();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Find the invoice to credit. Payments and transactions point at the older
+   * subscription invoices, which are credited through a converted view.
+   */
+  async loadInvoice(invoiceId) {
+    const invoice = await Invoice.findById(invoiceId);
+    if (invoice) {
+      return { invoice, legacyInvoice: null };
+    }
+
+    const legacyInvoice = await LegacyInvoice.findById(invoiceId);
+    if (!legacyInvoice) {
+      throw new Error('Invoice not found');
+    }
+    return { invoice: await this.toCreditableInvoice(legacyInvoice), legacyInvoice };
+  }
+
+  /**
+   * Shape a subscription invoice like a billing invoice. It has no per-line
+   * tax or discount, so both are spread across the lines by amount, and what
+   * earlier credit notes took comes from the notes themselves.
+   */
+  async toCreditableInvoice(legacyInvoice) {
+    const earlierNotes = await CreditNote.find({ invoiceId: legacyInvoice._id, status: 'ISSUED' })
+      .select('lineItems amounts');
+    const credited = new Map();
+    earlierNotes.forEach(note => note.lineItems.forEach(line => {
+      credited.set(line.invoiceLineItemId, round((credited.get(line.invoiceLineItemId) || 0) + line.amount));
+    }));
+
+    const subtotal = legacyInvoice.subtotal || 0;
+    const discountAmount = legacyInvoice.discountAmount || 0;
+    const taxed = legacyInvoice.taxAmount > 0;
+    const lineItems = legacyInvoice.items.map(item => {
+      const discount = subtotal > 0 ? round(discountAmount * (item.totalPrice / subtotal)) : 0;
+      return {
+        id: String(item._id),
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        amount: item.totalPrice,
+        discountAmount: discount,
+        taxableAmount: taxed ? round(item.totalPrice - discount) : 0,
+        creditedAmount: credited.get(String(item._id)) || 0
+      };
+    });
+
+    const taxLines = legacyInvoice.taxDetails?.length
+      ? legacyInvoice.taxDetails.map(detail => ({
+        jurisdiction: detail.taxName,
+        taxType: (detail.taxType || 'other').toUpperCase(),
+        rate: detail.taxRate,
+        taxAmount: detail.taxAmount
+      }))
+      : [{ taxType: 'OTHER', taxAmount: legacyInvoice.taxAmount || 0 }];
+
+    return {
+      _id: legacyInvoice._id,
+      invoiceNumber: legacyInvoice.invoiceNumber,
+      customerId: legacyInvoice.userId,
+      subscriptionId: legacyInvoice.subscriptionId,
+      currency: legacyInvoice.currency,
+      billingAddress: legacyInvoice.billingAddress,
+      status: LEGACY_STATUS[legacyInvoice.status] || 'PAID',
+      lineItems,
+      taxCalculation: { taxLines },
+      amounts: {
+        total: legacyInvoice.total,
+        amountRemaining: legacyInvoice.amountDue,
+        creditNoteTotal: round(earlierNotes.reduce((sum, note) => sum + (note.amounts?.total || 0), 0))
+      }
+    };
+  }
+
+  /**
+   * Issue the ledger credit and update the invoice for a saved credit note.
+   * Each step checks whether it already happened, so this is safe to repeat.
+   */
+  async settleCreditNote(creditNote, invoice, legacyInvoice) {
+    if (creditNote.amounts.creditedToBalance > 0 && !creditNote.creditLedgerEntryId) {
+      const entry = await this.creditLedgerService.issueCredit(creditNote.customerId, creditNote.amounts.creditedToBalance, {
+        currency: creditNote.currency,
+        source: 'credit_note',
+        reason: `Credit note ${creditNote.creditNoteNumber}`,
+        referenceType: 'invoice',
+        referenceId: creditNote.invoiceId,
+        idempotencyKey: `credit_note_${creditNote._id}`,
+        createdBy: creditNote.createdBy
+      });
+      creditNote.creditLedgerEntryId = entry._id;
+      await creditNote.save();
+    }
+
+    if (legacyInvoice) {
+      await this.applyToLegacyInvoice(legacyInvoice, creditNote);
+      return;
+    }
+
+    const applied = invoice.compliance?.auditTrail?.some(entry => entry.action === 'CREDIT_NOTE_ISSUED'
+      && String(entry.details?.creditNoteId) === String(creditNote._id));
+    if (applied) return;
+
+    invoice.applyCreditNote(creditNote);
+
+    // Credited in full before payment, so nothing is left to collect
+    if (invoice.status === 'OPEN' && invoice.amounts.amountRemaining === 0) {
+      invoice.status = 'PAID';
+      invoice.paidAt = new Date();
+    }
+
+    await invoice.save();
+  }
+
+  /**
+   * Record a credit note on a subscription invoice: the part applied to the
+   * amount due counts as paid, and the refunded part is added to its refunds
+   * unless the refund was already recorded there
+   */
+  async applyToLegacyInvoice(legacyInvoice, creditNote) {
+    const label = `Credit note ${creditNote.creditNoteNumber}`;
+    const { appliedToAmountDue, refunded } = creditNote.amounts;
+
+    if (appliedToAmountDue > 0 && !legacyInvoice.creditsApplied.some(credit => credit.description === label)) {
+      legacyInvoice.creditsApplied.push({
+        amount: appliedToAmountDue,
+        description: label,
+        appliedBy: creditNote.createdBy
+      });
+      legacyInvoice.amountPaid = round(legacyInvoice.amountPaid + appliedToAmountDue);
+    }
+
+    const refundId = creditNote.refund?.refundId || creditNote.creditNoteNumber;
+    if (refunded > 0 && !legacyInvoice.refunds.some(entry => entry.externalRefundId === refundId)) {
+      await legacyInvoice.addRefund(refunded, label, creditNote.createdBy, refundId);
+      return;
+    }
+
+    if (legacyInvoice.isModified()) {
+      await legacyInvoice.save();
+    }
+  }
+
+  /**
+   * Credit lines picked by the caller
+   */
+  buildLinesFromItems(invoice, lines) {
+    return lines.map(line => {
+      const item = invoice.lineItems.find(candidate => candidate.id === line.lineItemId);
+      if (!item) {
+        throw new Error(`Line item ${line.lineItemId} not found on invoice`);
+      }
+
+      const creditable = this.getCreditableAmount(item);
+      const amount = round(line.amount ?? (line.quantity || 0) * item.unitPrice);
+
+      if (!(amount > 0)) {
+        throw new Error(`Credit for line ${item.id} must be greater than zero`);
+      }
+      if (amount > creditable + EPSILON) {
+        throw new Error(`Credit for line ${item.id} exceeds the creditable amount of ${creditable}`);
+      }
+
+      return this.buildLine(invoice, item, Math.min(amount, creditable), line.quantity);
+    });
+  }
+
+  /**
+   * Spread an amount including tax across the remaining lines, in proportion
+   * to what is still creditable on each
+   */
+  buildLinesFromAmount(invoice, amount) {
+    const remainingTotal = round(invoice.amounts.total - (invoice.amounts.creditNoteTotal || 0));
+    const value = round(amount ?? remainingTotal);
+
+    if (!(value > 0)) {
+      throw new Error('Credit amount must be greater than zero');
+    }
+    if (value > remainingTotal + EPSILON) {
+      throw new Error(`Credit amount exceeds the remaining invoice total of ${remainingTotal}`);
+    }
+
+    const share = Math.min(1, value / remainingTotal);
+
+    return invoice.lineItems
+      .map(item => ({ item, creditable: this.getCreditableAmount(item) }))
+      .filter(({ creditable }) => creditable > 0)
+      .map(({ item, creditable }) => this.buildLine(invoice, item, round(creditable * share)))
+      .filter(line => line.amount > 0);
+  }
+
+  buildLine(invoice, item, amount, quantity) {
+    const taxLines = this.getReversedTaxLines(invoice, item, amount);
+    const taxAmount = round(taxLines.reduce((sum, taxLine) => sum + taxLine.taxAmount, 0));
+
+    return {
+      invoiceLineItemId: item.id,
+      description: item.description,
+      quantity: quantity ?? (item.unitPrice ? round(amount / item.unitPrice) : undefined),
+      unitPrice: item.unitPrice,
+      amount,
+      taxLines,
+      taxAmount,
+      total: round(amount + taxAmount)
+    };
+  }
+
+  /**
+   * Tax to reverse for a credited amount on one line
+   * Invoice taxes are held per jurisdiction, so each line carries a share of
+   * every tax line in proportion to its taxable amount
+   */
+  getReversedTaxLines(invoice, item, amount) {
+    const taxLines = invoice.taxCalculation?.taxLines || [];
+    const totalTaxable = invoice.lineItems.reduce((sum, line) => sum + (line.taxableAmount || 0), 0);
+    const lineNet = item.amount - (item.discountAmount || 0);
+
+    if (!taxLines.length || !(totalTaxable > 0) || !(lineNet > 0) || !item.taxableAmount) {
+      return [];
+    }
+
+    const lineShare = item.taxableAmount / totalTaxable;
+    const creditedShare = amount / lineNet;
+
+    return taxLines
+      .map(taxLine => ({
+        taxRateId: taxLine.taxRateId,
+        jurisdiction: taxLine.jurisdiction,
+        taxType: taxLine.taxType,
+        rate: taxLine.rate,
+        taxableAmount: round(item.taxableAmount * creditedShare),
+        taxAmount: round((taxLine.taxAmount || 0) * lineShare * creditedShare)
+      }))
+      .filter(taxLine => taxLine.taxAmount > 0);
+  }
+
+  getCreditableAmount(item) {
+    return round(Math.max(0, item.amount - (item.discountAmount || 0) - (item.creditedAmount || 0)));
+  }
+
+  /**
+   * Credit notes for an invoice, oldest first
+   */
+  async getCreditNotesForInvoice(invoiceId) {
+    return CreditNote.find({ invoiceId }).sort({ issuedAt: 1 });
+  }
+
+  async getCreditNotes(filters = {}) {
+    const { customerId, invoiceId, currency, dateFrom, dateTo, page = 1, limit = 20 } = filters;
+    const query = {};
+    if (customerId) query.customerId = customerId;
+    if (invoiceId) query.invoiceId = invoiceId;
+    if (currency) query.currency = currency.toUpperCase();
+    if (dateFrom || dateTo) {
+      query.issuedAt = {};
+      if (dateFrom) query.issuedAt.$gte = new Date(dateFrom);
+      if (dateTo) query.issuedAt.$lte = new Date(dateTo);
+    }
+
+    const [creditNotes, total] = await Promise.all([
+      CreditNote.find(query)
+        .sort({ issuedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      CreditNote.countDocuments(query)
+    ]);
+
+    return {
+      creditNotes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Generate unique credit note number
+   */
+  async generateCreditNoteNumber(currency) {
+    const year = new Date().getFullYear();
+    const month = String(new Date().getMonth() + 1).padStart(2, '0');
+    const sequence = await this.getNextSequence(currency);
+
+    return {
+      number: `CN-${year}${month}-${currency}-${String(sequence).padStart(6, '0')}`,
+      sequence
+    };
+  }
+
+  /**
+   * Get next credit note sequence number for currency
+   * The counter lives in MongoDB so every instance draws from the same
+   * sequence; it runs for the calendar year
+   */
+  async getNextSequence(currency) {
+    const year = new Date().getFullYear();
+    const key = `credit_note:${currency}:${year}`;
+
+    const next = () => SequenceCounter.findOneAndUpdate(
+      { key },
+      { $inc: { value: 1 } },
+      { new: true }
+    );
+
+    let counter = await next();
+    if (!counter) {
+      // First note this year: continue from any issued before the counter existed
+      const lastCreditNote = await CreditNote.findOne({
+        currency,
+        issuedAt: { $gte: new Date(year, 0, 1), $lt: new Date(year + 1, 0, 1) }
+      }).sort({ creditNoteSequence: -1 });
+
+      await SequenceCounter.updateOne(
+        { key },
+        { $max: { value: lastCreditNote ? lastCreditNote.creditNoteSequence : 0 } },
+        { upsert: true }
+      ).catch(error => {
+        // Another instance created the counter first
+        if (error.code !== 11000) throw error;
+      });
+      counter = await next();
+    }
+
+    return counter.value;
+  }
+
+  /**
+   * Generate PDF for credit note
+   */
+  async generateCreditNotePDF(creditNoteId, templateId = 'default') {
+    const creditNote = await CreditNote.findById(creditNoteId)
+      .populate('customerId', 'name email')
+      .populate('invoiceId', 'billingAddress invoiceDate')
+      .lean();
+
+    if (!creditNote) {
+      throw new Error('Credit note not found');
+    }
+
+    const template = this.invoiceService.getTemplate(templateId);
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Credit Note ${creditNote.creditNoteNumber}`,
+        Author: process.env.COMPANY_NAME || 'Your Company',
+        Subject: `Credit note for invoice ${creditNote.invoiceNumber}`,
+        Creator: 'Eagle Subscription Platform'
+      }
+    });
+
+    this.addPDFContent(doc, creditNote, template);
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+
+    return new Promise((resolve, reject) => {
+      doc.on('end', async () => {
+        try {
+          const pdfBuffer = Buffer.concat(chunks);
+          const uploadResult = await this.invoiceService.uploadPDFToCloud(
+            pdfBuffer,
+            `credit-note-${creditNote.creditNoteNumber}.pdf`
+          );
+
+          await CreditNote.findByIdAndUpdate(creditNoteId, {
+            'pdfGeneration.generated': true,
+            'pdfGeneration.generatedAt': new Date(),
+            'pdfGeneration.fileUrl': uploadResult.secure_url,
+            'pdfGeneration.fileSize': pdfBuffer.length
+          });
+
+          resolve({
+            url: uploadResult.secure_url,
+            size: pdfBuffer.length,
+            buffer: pdfBuffer
+          });
+        } catch (error) {
+          reject(error);
+        }
+      });
+
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+
+  addPDFContent(doc, creditNote, template) {
+    const format = (amount) => this.invoiceService.formatCurrency(amount, creditNote.currency);
+    const billing = creditNote.invoiceId?.billingAddress || {};
+
+    // Header
+    doc.fontSize(20)
+      .fillColor(template.primaryColor)
+      .text(process.env.COMPANY_NAME || 'Your Company', 50, 50);
+    doc.fontSize(24)
+      .text('CREDIT NOTE', 350, 50, { align: 'right' });
+    doc.fontSize(12)
+      .fillColor('#000000')
+      .text(`Credit Note #: ${creditNote.creditNoteNumber}`, 350, 80, { align: 'right' });
+
+    doc.moveTo(50, 110)
+      .lineTo(545, 110)
+      .strokeColor(template.primaryColor)
+      .lineWidth(2)
+      .stroke();
+
+    // Details
+    doc.fontSize(11)
+      .fillColor('#000000')
+      .text('Issue Date:', 50, 130)
+      .text(new Date(creditNote.issuedAt).toLocaleDateString(), 150, 130)
+      .text('Invoice:', 50, 145)
+      .text(creditNote.invoiceNumber || '', 150, 145)
+      .text('Reason:', 50, 160)
+      .text(creditNote.reason.replace(/_/g, ' ').toLowerCase(), 150, 160)
+      .text('Currency:', 50, 175)
+      .text(creditNote.currency, 150, 175);
+
+    doc.text('Credit To:', 350, 130);
+    let customerY = 145;
+    [creditNote.customerId?.name, billing.company, billing.line1, [billing.city, billing.postalCode].filter(Boolean).join(' '), billing.country]
+      .filter(Boolean)
+      .forEach(line => {
+        doc.text(line, 350, customerY);
+        customerY += 15;
+      });
+
+    // Lines
+    let y = 240;
+    const columns = [
+      { label: 'Description', x: 50, width: 220, align: 'left' },
+      { label: 'Amount', x: 270, width: 90, align: 'right' },
+      { label: 'Tax', x: 360, width: 85, align: 'right' },
+      { label: 'Total', x: 445, width: 100, align: 'right' }
+    ];
+
+    doc.fontSize(10).fillColor(template.primaryColor);
+    columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width, align: column.align }));
+    doc.moveTo(50, y + 15).lineTo(545, y + 15).strokeColor(template.primaryColor).lineWidth(1).stroke();
+
+    y += 25;
+    doc.fontSize(9).fillColor('#000000');
+    creditNote.lineItems.forEach(line => {
+      const values = [line.description, format(line.amount), format(line.taxAmount), format(line.total)];
+      columns.forEach((column, index) => doc.text(values[index], column.x, y, {
+        width: column.width,
+        align: column.align,
+        ellipsis: true
+      }));
+      y += 20;
+    });
+
+    // Totals
+    y += 10;
+    [
+      ['Subtotal:', creditNote.amounts.subtotal],
+      ['Tax reversed:', creditNote.amounts.taxTotal],
+      ['Total credited:', creditNote.amounts.total]
+    ].forEach(([label, amount]) => {
+      doc.text(label, 345, y).text(format(amount), 445, y, { width: 100, align: 'right' });
+      y += 15;
+    });
+
+    // Tax reversal by jurisdiction
+    const taxByJurisdiction = {};
+    creditNote.lineItems.forEach(line => (line.taxLines || []).forEach(taxLine => {
+      const key = `${taxLine.jurisdiction} (${Number(taxLine.rate || 0).toFixed(2)}%)`;
+      taxByJurisdiction[key] = (taxByJurisdiction[key] || 0) + taxLine.taxAmount;
+    }));
+
+    if (Object.keys(taxByJurisdiction).length) {
+      y += 15;
+      doc.fontSize(12).fillColor(template.primaryColor).text('Tax Reversed:', 50, y);
+      y += 20;
+      doc.fontSize(9).fillColor('#000000');
+      Object.entries(taxByJurisdiction).forEach(([jurisdiction, amount]) => {
+        doc.text(jurisdiction, 70, y).text(format(round(amount)), 300, y, { align: 'right' });
+        y += 12;
+      });
+    }
+
+    // Settlement
+    y += 20;
+    doc.fontSize(12).fillColor(template.primaryColor).text('Settlement:', 50, y);
+    y += 20;
+    doc.fontSize(9).fillColor('#000000');
+    [
+      ['Applied to invoice balance', creditNote.amounts.appliedToAmountDue],
+      ['Refunded', creditNote.amounts.refunded],
+      ['Added to account credit', creditNote.amounts.creditedToBalance],
+      ['Settled outside this account', creditNote.amounts.outOfBand]
+    ].filter(([, amount]) => amount > 0).forEach(([label, amount]) => {
+      doc.text(`${label}: ${format(amount)}`, 50, y);
+      y += 12;
+    });
+
+    if (creditNote.memo) {
+      y += 10;
+      doc.fillColor(template.secondaryColor).text(creditNote.memo, 50, y, { width: 495 });
+    }
+
+    // Footer
+    doc.fontSize(8)
+      .fillColor(template.secondaryColor)
+      .text(`Generated on ${new Date().toLocaleDateString()}`, 50, 792 - template.footerHeight + 15)
+      .text(`Credit Note ID: ${creditNote._id}`, 50, 792 - template.footerHeight + 28);
+  }
+}
+
+module.exports = CreditNoteService;
@@ -1,8 +1,20 @@
 const axios = require('axios');
+const ExchangeRate = require('../models/exchangeRate.model');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Currencies fetched with each daily rate refresh
+const DAILY_RATE_CURRENCIES = [
+  'USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'CNY', 'SEK', 'NOK',
+  'DKK', 'PLN', 'CZK', 'HUF', 'BRL', 'INR', 'SGD', 'HKD', 'MXN', 'ZAR',
+  'NZD', 'TRY', 'KRW', 'THB', 'ILS', 'PHP', 'AED', 'SAR'
+];
 
 /**
  * Multi-Currency Exchange Rate Service
- * Supports multiple providers for currency conversion
+ * Supports multiple providers for currency conversion. Daily rates are stored
+ * in MongoDB so conversions for past dates always use the rate of that day,
+ * and the last stored rate is used when providers are unreachable.
  */
 class CurrencyService {
   constructor() {
@@ -10,10 +22,12 @@ class CurrencyService {
     this.exchangeRateProviders = {
       FIXER: new FixerProvider(),
       EXCHANGERATE_API: new ExchangeRateAPIProvider(),
-      OPEN_EXCHANGE_RATES: new OpenExchangeRatesProvider()
+      OPEN_EXCHANGE_RATES: new OpenExchangeRatesProvider(),
+      MANUAL: new ManualRateProvider()
     };
     
     this.defaultProvider = process.env.EXCHANGE_RATE_PROVIDER || 'EXCHANGERATE_API';
+    this.maxStaleDays = parseInt(process.env.EXCHANGE_RATE_MAX_STALE_DAYS, 10) || 7;
     this.cacheTimeout = 30 * 60 * 1000; // 30 minutes
     this.exchangeRateCache = new Map();
   }
@@ -22,46 +36,249 @@ class CurrencyService {
    * Get exchange rate from one currency to another
    */
   async getExchangeRate(fromCurrency, toCurrency, date = null) {
-    try {
-      // If same currency, return 1
-      if (fromCurrency === toCurrency) {
-        return 1.0;
-      }
+    const resolved = await this.resolveRate(fromCurrency, toCurrency, date);
+    return resolved.rate;
+  }
 
-      // Check cache first
-      const cacheKey = `${fromCurrency}_${toCurrency}_${date || 'latest'}`;
-      const cached = this.exchangeRateCache.get(cacheKey);
-      
-      if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
-        return cached.rate;
+  /**
+   * Resolve the rate for a day, with the stored rate it came from
+   * @returns {Promise<{rate: number, date: Date, source: string, stale: boolean}>}
+   */
+  async resolveRate(fromCurrency, toCurrency, date = null, options = {}) {
+    const { remote = true } = options;
+    const from = fromCurrency.toUpperCase();
+    const to = toCurrency.toUpperCase();
+    // Rates are not known ahead of time, so future dates use today's rate
+    const day = new Date(Math.min(this.toRateDate(date).getTime(), this.toRateDate().getTime()));
+
+    // If same currency, return 1
+    if (from === to) {
+      return { rate: 1.0, date: day, source: 'IDENTITY', stale: false };
+    }
+
+    // Check cache first
+    const cacheKey = `${from}_${to}_${day.toISOString().slice(0, 10)}`;
+    const cached = this.exchangeRateCache.get(cacheKey);
+    
+    if (cached && Date.now() - cached.timestamp < this.cacheTimeout) {
+      return cached.resolved;
+    }
+
+    let resolved = await this.findStoredRate(from, to, day);
+
+    // Fetch the day's rates once, if the provider can serve that day
+    const provider = this.exchangeRateProviders[this.defaultProvider];
+    if (!resolved && remote && provider && !provider.offline &&
+        (this.isToday(day) || provider.supportsHistorical)) {
+      try {
+        await this.fetchAndStoreRates(day);
+        resolved = await this.findStoredRate(from, to, day);
+      } catch (error) {
+        console.error('Exchange rate fetch error:', error.message);
       }
+    }
+
+    // Fall back to the most recent stored rate
+    if (!resolved) {
+      resolved = await this.findStoredRate(from, to, day, { latest: true });
+    }
 
-      // Get rate from provider
-      const provider = this.exchangeRateProviders[this.defaultProvider];
-      const rate = await provider.getExchangeRate(fromCurrency, toCurrency, date);
+    if (!resolved) {
+      throw new Error(`Failed to get exchange rate from ${from} to ${to}`);
+    }
 
-      // Cache the result
-      this.exchangeRateCache.set(cacheKey, {
-        rate,
-        timestamp: Date.now()
-      });
+    this.exchangeRateCache.set(cacheKey, {
+      resolved,
+      timestamp: Date.now()
+    });
 
-      return rate;
-    } catch (error) {
-      console.error('Exchange rate fetch error:', error);
-      
-      // Try fallback provider
-      if (this.defaultProvider !== 'EXCHANGERATE_API') {
-        try {
-          const fallbackProvider = this.exchangeRateProviders['EXCHANGERATE_API'];
-          return await fallbackProvider.getExchangeRate(fromCurrency, toCurrency, date);
-        } catch (fallbackError) {
-          console.error('Fallback exchange rate error:', fallbackError);
+    return resolved;
+  }
+
+  /**
+   * Look up a stored rate directly, inverted, or crossed through the base currency
+   * With latest, uses the newest rate on or before the day within maxStaleDays
+   */
+  async findStoredRate(from, to, day, options = {}) {
+    const direct = await this.findPair(from, to, day, options);
+    if (direct) {
+      return { rate: direct.rate, date: direct.date, source: direct.source, stale: direct.date < day };
+    }
+
+    const inverse = await this.findPair(to, from, day, options);
+    if (inverse) {
+      return { rate: 1 / inverse.rate, date: inverse.date, source: inverse.source, stale: inverse.date < day };
+    }
+
+    if (from === this.baseCurrency || to === this.baseCurrency) {
+      return null;
+    }
+
+    const [fromLeg, toLeg] = await Promise.all([
+      this.findStoredRate(this.baseCurrency, from, day, options),
+      this.findStoredRate(this.baseCurrency, to, day, options)
+    ]);
+    if (!fromLeg || !toLeg) return null;
+
+    const legDate = fromLeg.date < toLeg.date ? fromLeg.date : toLeg.date;
+    return {
+      rate: toLeg.rate / fromLeg.rate,
+      date: legDate,
+      source: fromLeg.source === toLeg.source ? fromLeg.source : `${fromLeg.source}+${toLeg.source}`,
+      stale: legDate < day
+    };
+  }
+
+  async findPair(baseCurrency, quoteCurrency, day, options = {}) {
+    if (!options.latest) {
+      return ExchangeRate.findOne({ baseCurrency, quoteCurrency, date: day }).lean();
+    }
+
+    return ExchangeRate.findOne({
+      baseCurrency,
+      quoteCurrency,
+      date: { $lte: day, $gte: new Date(day.getTime() - this.maxStaleDays * DAY_MS) }
+    }).sort({ date: -1 }).lean();
+  }
+
+  /**
+   * Fetch the base currency's rates for a day from the provider and store them
+   */
+  async fetchAndStoreRates(date = null) {
+    const day = this.toRateDate(date);
+    const provider = this.exchangeRateProviders[this.defaultProvider];
+
+    if (!provider || provider.offline) {
+      throw new Error(`Exchange rate provider ${this.defaultProvider} does not fetch rates`);
+    }
+
+    const targets = DAILY_RATE_CURRENCIES.filter(currency => currency !== this.baseCurrency);
+    const rates = await provider.getMultipleRates(
+      this.baseCurrency,
+      targets,
+      this.isToday(day) ? null : day.toISOString().slice(0, 10)
+    );
+
+    const operations = Object.entries(rates || {})
+      .filter(([, rate]) => Number.isFinite(rate) && rate > 0)
+      .map(([quoteCurrency, rate]) => ({
+        updateOne: {
+          filter: { baseCurrency: this.baseCurrency, quoteCurrency, date: day },
+          update: { $set: { rate, source: this.defaultProvider, fetchedAt: new Date() } },
+          upsert: true
         }
+      }));
+
+    if (operations.length) {
+      await ExchangeRate.bulkWrite(operations, { ordered: false });
+    }
+
+    return { date: day, stored: operations.length, provider: this.defaultProvider };
+  }
+
+  /**
+   * Store today's rates once per day; run by the scheduler
+   */
+  async refreshDailyRates(options = {}) {
+    const provider = this.exchangeRateProviders[this.defaultProvider];
+    if (!provider || provider.offline) {
+      return { skipped: true, reason: `${this.defaultProvider} provider uses uploaded rates` };
+    }
+
+    const stored = await ExchangeRate.exists({ baseCurrency: this.baseCurrency, date: this.toRateDate() });
+    if (stored && !options.force) {
+      return { skipped: true, reason: 'Rates for today are already stored' };
+    }
+
+    const result = await this.fetchAndStoreRates();
+    this.clearCache();
+    return result;
+  }
+
+  /**
+   * Store manually supplied rates
+   * @param {Array|string} rows - [{date, baseCurrency, quoteCurrency, rate}] or CSV with the same columns
+   */
+  async importRates(rows, options = {}) {
+    const { uploadedBy } = options;
+    const records = typeof rows === 'string' ? this.parseRatesCsv(rows) : rows;
+    const errors = [];
+    const operations = [];
+
+    records.forEach((row, index) => {
+      const baseCurrency = String(row.baseCurrency || '').toUpperCase();
+      const quoteCurrency = String(row.quoteCurrency || '').toUpperCase();
+      const rate = Number(row.rate);
+      const date = new Date(row.date);
+
+      if (!this.isValidCurrency(baseCurrency) || !this.isValidCurrency(quoteCurrency)) {
+        errors.push({ row: index + 1, error: 'Invalid currency code' });
+      } else if (baseCurrency === quoteCurrency) {
+        errors.push({ row: index + 1, error: 'Base and quote currency must differ' });
+      } else if (!Number.isFinite(rate) || rate <= 0) {
+        errors.push({ row: index + 1, error: 'Rate must be a positive number' });
+      } else if (isNaN(date.getTime())) {
+        errors.push({ row: index + 1, error: 'Invalid date' });
+      } else {
+        operations.push({
+          updateOne: {
+            filter: { baseCurrency, quoteCurrency, date: this.toRateDate(date) },
+            update: { $set: { rate, source: 'MANUAL', uploadedBy, fetchedAt: new Date() } },
+            upsert: true
+          }
+        });
       }
+    });
+
+    if (operations.length) {
+      await ExchangeRate.bulkWrite(operations, { ordered: false });
+      this.clearCache();
+    }
+
+    return { imported: operations.length, errors };
+  }
+
+  parseRatesCsv(csv) {
+    const lines = csv.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    if (!lines.length) return [];
+
+    const header = lines[0].split(',').map(column => column.trim());
+    const hasHeader = header.includes('rate');
+    const columns = hasHeader ? header : ['date', 'baseCurrency', 'quoteCurrency', 'rate'];
+
+    return lines.slice(hasHeader ? 1 : 0).map(line => {
+      const values = line.split(',').map(value => value.trim());
+      return columns.reduce((row, column, index) => {
+        row[column] = values[index];
+        return row;
+      }, {});
+    });
+  }
 
-      throw new Error(`Failed to get exchange rate from ${fromCurrency} to ${toCurrency}`);
+  /**
+   * Stored rates, newest first
+   */
+  async getStoredRates(filters = {}) {
+    const { baseCurrency, quoteCurrency, startDate, endDate, source, page = 1, limit = 100 } = filters;
+    const query = {};
+    if (baseCurrency) query.baseCurrency = baseCurrency.toUpperCase();
+    if (quoteCurrency) query.quoteCurrency = quoteCurrency.toUpperCase();
+    if (source) query.source = source;
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = this.toRateDate(startDate);
+      if (endDate) query.date.$lte = this.toRateDate(endDate);
     }
+
+    const [rates, total] = await Promise.all([
+      ExchangeRate.find(query)
+        .sort({ date: -1, baseCurrency: 1, quoteCurrency: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ExchangeRate.countDocuments(query)
+    ]);
+
+    return { rates, total, page, pages: Math.ceil(total / limit) };
   }
 
   /**
@@ -77,20 +294,98 @@ class CurrencyService {
     }
   }
 
+  /**
+   * Rate snapshot stored on transactions and invoices at booking time
+   * Converts the document's currency into the base currency
+   */
+  async getRateSnapshot(currency, date = null) {
+    const resolved = await this.resolveRate(currency, this.baseCurrency, date);
+    return {
+      baseCurrency: this.baseCurrency,
+      rate: resolved.rate,
+      rateDate: resolved.date,
+      source: resolved.source,
+      capturedAt: new Date()
+    };
+  }
+
+  /**
+   * Convert a booked amount into a reporting currency
+   * Uses the booking-time snapshot when there is one, otherwise the stored
+   * rate for the booking date
+   */
+  async convertForReporting(amount, currency, reportingCurrency, options = {}) {
+    const { date = null, snapshot = null } = options;
+    const target = reportingCurrency.toUpperCase();
+
+    if (currency.toUpperCase() === target) return amount;
+
+    if (snapshot?.rate && snapshot.baseCurrency) {
+      const baseAmount = amount * snapshot.rate;
+      return baseAmount * await this.getExchangeRate(snapshot.baseCurrency, target, date);
+    }
+
+    return amount * await this.getExchangeRate(currency, target, date);
+  }
+
+  /**
+   * Convert per-currency, per-day totals into a reporting currency
+   * Rows come from an aggregation grouped by currency and day (YYYY-MM-DD) with
+   * snapshotBaseAmount (amounts already converted with their snapshot rate into
+   * the snapshot's base currency) and unsnapshottedAmount (the rest)
+   */
+  async normalizeDailyTotals(rows, reportingCurrency) {
+    const target = reportingCurrency.toUpperCase();
+    let total = 0;
+
+    const converted = [];
+    for (const row of rows) {
+      const date = new Date(`${row.day}T00:00:00.000Z`);
+      let amount = 0;
+
+      if (row.snapshotBaseAmount) {
+        amount += row.snapshotBaseAmount * await this.getExchangeRate(row.snapshotBaseCurrency || this.baseCurrency, target, date);
+      }
+      if (row.unsnapshottedAmount) {
+        amount += row.unsnapshottedAmount * await this.getExchangeRate(row.currency, target, date);
+      }
+
+      total += amount;
+      converted.push({ ...row, reportingAmount: Math.round(amount * 100) / 100 });
+    }
+
+    return {
+      reportingCurrency: target,
+      total: Math.round(total * 100) / 100,
+      rows: converted
+    };
+  }
+
+  /**
+   * $group fields that split an amount into snapshot-converted and
+   * unconverted parts, for use with normalizeDailyTotals
+   * Group by the snapshot's baseCurrency as well, and pass it on each row
+   */
+  getSnapshotGroupFields(amountExpression, snapshotPath = '$exchangeRateSnapshot') {
+    const hasSnapshot = { $gt: [`${snapshotPath}.rate`, null] };
+    return {
+      amount: { $sum: amountExpression },
+      snapshotBaseAmount: {
+        $sum: { $cond: [hasSnapshot, { $multiply: [amountExpression, `${snapshotPath}.rate`] }, 0] }
+      },
+      unsnapshottedAmount: {
+        $sum: { $cond: [hasSnapshot, 0, amountExpression] }
+      }
+    };
+  }
+
   /**
    * Get multiple exchange rates for a base currency
    */
   async getMultipleRates(baseCurrency, targetCurrencies, date = null) {
     try {
       const rates = {};
-      
-      // Use batch API if available
-      const provider = this.exchangeRateProviders[this.defaultProvider];
-      if (provider.getMultipleRates) {
-        return await provider.getMultipleRates(baseCurrency, targetCurrencies, date);
-      }
 
-      // Otherwise get rates individually
       for (const targetCurrency of targetCurrencies) {
         rates[targetCurrency] = await this.getExchangeRate(baseCurrency, targetCurrency, date);
       }
@@ -103,23 +398,41 @@ class CurrencyService {
   }
 
   /**
-   * Get historical exchange rates for a currency pair
+   * Get historical exchange rates for a currency pair from the rate store
    */
   async getHistoricalRates(fromCurrency, toCurrency, startDate, endDate) {
     try {
-      const provider = this.exchangeRateProviders[this.defaultProvider];
-      
-      if (!provider.getHistoricalRates) {
-        throw new Error('Historical rates not supported by current provider');
+      const rates = [];
+      const end = this.toRateDate(endDate);
+
+      for (let day = this.toRateDate(startDate); day <= end && rates.length < 366; day = new Date(day.getTime() + DAY_MS)) {
+        const resolved = await this.resolveRate(fromCurrency, toCurrency, day, { remote: false }).catch(() => null);
+        if (resolved) {
+          rates.push({
+            date: day.toISOString().slice(0, 10),
+            rate: resolved.rate,
+            source: resolved.source,
+            stale: resolved.stale
+          });
+        }
       }
 
-      return await provider.getHistoricalRates(fromCurrency, toCurrency, startDate, endDate);
+      return rates;
     } catch (error) {
       console.error('Historical rates error:', error);
       throw error;
     }
   }
 
+  toRateDate(date = null) {
+    const value = date ? new Date(date) : new Date();
+    return new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+  }
+
+  isToday(day) {
+    return day.getTime() === this.toRateDate().getTime();
+  }
+
   /**
    * Format currency amount with proper symbol and decimal places
    */
@@ -217,6 +530,7 @@ class FixerProvider {
   constructor() {
     this.apiKey = process.env.FIXER_API_KEY;
     this.baseUrl = 'http://data.fixer.io/api';
+    this.supportsHistorical = true;
   }
 
   async getExchangeRate(fromCurrency, toCurrency, date = null) {
@@ -287,6 +601,8 @@ class ExchangeRateAPIProvider {
   constructor() {
     this.apiKey = process.env.EXCHANGERATE_API_KEY;
     this.baseUrl = 'https://v6.exchangerate-api.com/v6';
+    // Only latest rates are available
+    this.supportsHistorical = false;
   }
 
   async getExchangeRate(fromCurrency, toCurrency, date = null) {
@@ -352,6 +668,7 @@ class OpenExchangeRatesProvider {
   constructor() {
     this.apiKey = process.env.OPEN_EXCHANGE_RATES_APP_ID;
     this.baseUrl = 'https://openexchangerates.org/api';
+    this.supportsHistorical = true;
   }
 
   async getExchangeRate(fromCurrency, toCurrency, date = null) {
@@ -449,6 +766,25 @@ class OpenExchangeRatesProvider {
   }
 }
 
+/**
+ * Manual / Offline Provider
+ * Never calls out; conversions use rates uploaded through the rate store
+ */
+class ManualRateProvider {
+  constructor() {
+    this.offline = true;
+    this.supportsHistorical = true;
+  }
+
+  async getExchangeRate(fromCurrency, toCurrency) {
+    throw new Error(`No uploaded rate from ${fromCurrency} to ${toCurrency}`);
+  }
+
+  async getMultipleRates() {
+    throw new Error('Manual provider only serves uploaded rates');
+  }
+}
+
 module.exports = CurrencyService;
 
 
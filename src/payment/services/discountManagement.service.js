@@ -1,6 +1,7 @@
 const DiscountCode = require('../models/discountCode.model');
 const DiscountRedemption = require('../models/discountRedemption.model');
 const PromotionalCampaign = require('../models/promotionalCampaign.model');
+const DiscountVelocityService = require('./discountVelocity.service');
 const crypto = require('crypto');
 const csv = require('csv-parser');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
@@ -11,7 +12,7 @@ class DiscountManagementService {
   
   constructor() {
     this.fraudCache = new Map(); // In production, use Redis
-    this.velocityTracker = new Map(); // In production, use Redis
+    this.velocityService = new DiscountVelocityService();
   }
   
   // =====================================
@@ -316,7 +317,8 @@ class DiscountManagementService {
         orderData = {},
         country,
         ipAddress,
-        userAgent
+        userAgent,
+        sessionId
       } = context;
       
       // Find the discount code
@@ -347,7 +349,8 @@ class DiscountManagementService {
         userId,
         ipAddress,
         userAgent,
-        country
+        country,
+        sessionId
       });
       
       if (!fraudCheck.allowed) {
@@ -471,9 +474,6 @@ class DiscountManagementService {
         });
       }
       
-      // Record velocity for fraud prevention
-      this.recordVelocity(context.ipAddress, discountCode._id);
-      
       return {
         success: true,
         data: {
@@ -605,7 +605,7 @@ class DiscountManagementService {
       
       // Velocity checks
       if (fraud.velocityChecks?.enabled) {
-        const velocityCheck = this.checkVelocityLimits(ipAddress, discountCode._id, fraud.velocityChecks);
+        const velocityCheck = await this.checkVelocityLimits(discountCode, fraud.velocityChecks, context);
         
         if (!velocityCheck.allowed) {
           results.allowed = false;
@@ -656,18 +656,15 @@ class DiscountManagementService {
         }
       }
       
-      // Daily usage limits
-      const dailyUsage = await this.getDailyCodeUsage(discountCode._id);
-      if (dailyUsage >= fraud.maxRedemptionsPerDay) {
-        results.allowed = false;
-        results.reasons.push('Daily usage limit exceeded');
-      }
+      // Hourly and daily usage limits
+      const usageCheck = await this.velocityService.checkRedemptionLimits(discountCode, {
+        perHour: fraud.maxRedemptionsPerHour,
+        perDay: fraud.maxRedemptionsPerDay
+      }, context);
       
-      // Hourly usage limits
-      const hourlyUsage = await this.getHourlyCodeUsage(discountCode._id);
-      if (hourlyUsage >= fraud.maxRedemptionsPerHour) {
+      for (const breach of usageCheck.breaches) {
         results.allowed = false;
-        results.reasons.push('Hourly usage limit exceeded');
+        results.reasons.push(breach.type === 'daily_limit' ? 'Daily usage limit exceeded' : 'Hourly usage limit exceeded');
       }
       
       return results;
@@ -686,38 +683,20 @@ class DiscountManagementService {
   /**
    * Check velocity limits
    */
-  checkVelocityLimits(ipAddress, codeId, velocitySettings) {
-    const key = `${ipAddress}:${codeId}`;
-    const now = Date.now();
-    const timeWindow = velocitySettings.timeWindow * 1000; // Convert to milliseconds
-    
-    // Get or initialize velocity data
-    let velocityData = this.velocityTracker.get(key) || {
-      attempts: [],
-      lastCleanup: now
-    };
+  async checkVelocityLimits(discountCode, velocitySettings, context = {}) {
+    const velocityCheck = await this.velocityService.checkIpVelocity(discountCode, velocitySettings, context);
     
-    // Clean old attempts
-    velocityData.attempts = velocityData.attempts.filter(
-      attempt => now - attempt < timeWindow
-    );
-    
-    // Check if limit exceeded
-    if (velocityData.attempts.length >= velocitySettings.maxPerIP) {
+    if (!velocityCheck.allowed) {
       return {
         allowed: false,
         reason: 'Too many attempts from this IP',
-        nextAllowedAt: new Date(velocityData.attempts[0] + timeWindow)
+        nextAllowedAt: velocityCheck.nextAllowedAt
       };
     }
     
-    // Record this attempt
-    velocityData.attempts.push(now);
-    this.velocityTracker.set(key, velocityData);
-    
     return {
       allowed: true,
-      attemptsRemaining: velocitySettings.maxPerIP - velocityData.attempts.length
+      attemptsRemaining: velocityCheck.attemptsRemaining
     };
   }
   
@@ -1016,46 +995,6 @@ class DiscountManagementService {
     return redemption;
   }
   
-  /**
-   * Record velocity for fraud prevention
-   */
-  recordVelocity(ipAddress, codeId) {
-    // In production, this would use Redis with TTL
-    const key = `velocity:${ipAddress}:${codeId}`;
-    const now = Date.now();
-    
-    let velocityData = this.velocityTracker.get(key) || [];
-    velocityData.push(now);
-    
-    // Keep only last hour
-    velocityData = velocityData.filter(timestamp => now - timestamp < 3600000);
-    
-    this.velocityTracker.set(key, velocityData);
-    
-    // Clean up old entries periodically
-    if (Math.random() < 0.01) { // 1% chance
-      this.cleanupVelocityTracker();
-    }
-  }
-  
-  /**
-   * Clean up velocity tracker
-   */
-  cleanupVelocityTracker() {
-    const now = Date.now();
-    const oneHourAgo = now - 3600000;
-    
-    for (const [key, timestamps] of this.velocityTracker.entries()) {
-      const validTimestamps = timestamps.filter(ts => ts > oneHourAgo);
-      
-      if (validTimestamps.length === 0) {
-        this.velocityTracker.delete(key);
-      } else {
-        this.velocityTracker.set(key, validTimestamps);
-      }
-    }
-  }
-  
   /**
    * Additional helper methods would go here...
    */
@@ -0,0 +1,379 @@
+const mongoose = require('mongoose');
+const { DiscountVelocityCounter, DiscountFraudEvent } = require('../models/discountVelocity.model');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Sessions are not tracked beyond a day
+const SESSION_WINDOW_MS = DAY_MS;
+
+// Keep counters a little past their window so late reads still see them
+const COUNTER_GRACE_MS = 5 * MINUTE_MS;
+
+/**
+ * Discount Velocity Service
+ * Velocity and usage-rate limits for discount codes, enforced with atomic
+ * counters in MongoDB so every app instance shares the same limits.
+ * Breaches are recorded as fraud events for admin review.
+ */
+class DiscountVelocityService {
+  /**
+   * Count one event against a limit
+   * The increment only happens while the count is below the limit, so
+   * concurrent requests on different instances can never exceed it
+   * @returns {Promise<{allowed: boolean, count: number, limit: number, resetAt: Date, key: string}>}
+   */
+  async hit(scope, subject, codeId, { limit, windowMs }) {
+    const window = this.getWindow(windowMs);
+    const key = this.getKey(scope, subject, codeId, window.start, windowMs);
+
+    if (limit !== undefined && limit !== null && limit <= 0) {
+      return { allowed: false, count: 0, limit, resetAt: window.end, key };
+    }
+
+    const filter = { key };
+    if (limit !== undefined && limit !== null) {
+      filter.count = { $lt: limit };
+    }
+
+    try {
+      const counter = await DiscountVelocityCounter.findOneAndUpdate(
+        filter,
+        {
+          $inc: { count: 1 },
+          $setOnInsert: {
+            scope,
+            subject,
+            codeId,
+            windowStart: window.start,
+            windowMs,
+            expiresAt: new Date(window.end.getTime() + COUNTER_GRACE_MS)
+          }
+        },
+        { upsert: true, new: true }
+      );
+
+      return { allowed: true, count: counter.count, limit, resetAt: window.end, key };
+    } catch (error) {
+      // The counter exists but is already at its limit, so the upsert collided
+      if (error.code === 11000) {
+        return { allowed: false, count: limit, limit, resetAt: window.end, key };
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Current count for a counter without changing it
+   */
+  async getCount(scope, subject, codeId, windowMs) {
+    const window = this.getWindow(windowMs);
+    const counter = await DiscountVelocityCounter.findOne({
+      key: this.getKey(scope, subject, codeId, window.start, windowMs)
+    }).select('count');
+
+    return counter ? counter.count : 0;
+  }
+
+  /**
+   * Count a validation attempt from an IP against per-minute/hour/day limits
+   */
+  async checkAttemptLimits(discount, velocityLimits = {}, context = {}) {
+    const { ipAddress } = context;
+    if (!ipAddress) return { allowed: true, breaches: [] };
+
+    const checks = [
+      { type: 'attempts_per_minute', limit: velocityLimits.maxAttemptsPerMinute, windowMs: MINUTE_MS },
+      { type: 'attempts_per_hour', limit: velocityLimits.maxAttemptsPerHour, windowMs: HOUR_MS },
+      { type: 'attempts_per_day', limit: velocityLimits.maxAttemptsPerDay, windowMs: DAY_MS }
+    ].filter(check => check.limit);
+
+    const breaches = [];
+    for (const check of checks) {
+      const result = await this.hit('ip_attempts', ipAddress, discount._id, check);
+      if (!result.allowed) {
+        breaches.push({ ...check, observed: result.count, resetAt: result.resetAt });
+      }
+    }
+
+    await this.recordBreaches(discount, breaches, context);
+    return this.toResult(breaches);
+  }
+
+  /**
+   * Count a validation attempt from an IP against a rolling IP limit
+   */
+  async checkIpVelocity(discount, { maxPerIP, timeWindow }, context = {}) {
+    const { ipAddress } = context;
+    if (!ipAddress || !maxPerIP) return { allowed: true, breaches: [] };
+
+    const windowMs = (timeWindow || 3600) * 1000;
+    const result = await this.hit('ip_attempts', ipAddress, discount._id, { limit: maxPerIP, windowMs });
+
+    const breaches = result.allowed
+      ? []
+      : [{ type: 'ip_velocity', limit: maxPerIP, windowMs, observed: result.count, resetAt: result.resetAt }];
+
+    await this.recordBreaches(discount, breaches, context);
+    return {
+      ...this.toResult(breaches),
+      attemptsRemaining: Math.max(0, maxPerIP - result.count)
+    };
+  }
+
+  /**
+   * Check redemption rate limits before a code is accepted
+   * Only reads the counters; reserveRedemption enforces the limits at checkout
+   * @param {Object} limits - perHour, perDay, perSession
+   */
+  async checkRedemptionLimits(discount, limits = {}, context = {}) {
+    const checks = this.getRedemptionChecks(limits, context).filter(item => item.limit);
+
+    const breaches = [];
+    for (const check of checks) {
+      const count = await this.getCount(check.scope, check.subject, discount._id, check.windowMs);
+      if (count >= check.limit) {
+        breaches.push({
+          type: check.type,
+          limit: check.limit,
+          windowMs: check.windowMs,
+          observed: count,
+          resetAt: this.getWindow(check.windowMs).end
+        });
+      }
+    }
+
+    await this.recordBreaches(discount, breaches, context);
+    return this.toResult(breaches);
+  }
+
+  /**
+   * Reserve one redemption against the code, IP and session counters
+   * Each counter only increments while it is below its limit, so concurrent
+   * checkouts cannot take the code past it. The reservation is the redemption
+   * count: release it if the payment does not go through.
+   * @param {Object} limits - perHour, perDay, perSession
+   * @returns {Promise<{allowed: boolean, breaches: Array, nextAllowedAt: Date, counterKeys: string[]}>}
+   */
+  async reserveRedemption(discount, limits = {}, context = {}) {
+    const checks = this.getRedemptionChecks(limits, context);
+
+    const counterKeys = [];
+    const breaches = [];
+    for (const check of checks) {
+      const result = await this.hit(check.scope, check.subject, discount._id, {
+        limit: check.limit || undefined,
+        windowMs: check.windowMs
+      });
+      if (!result.allowed) {
+        breaches.push({
+          type: check.type,
+          limit: check.limit,
+          windowMs: check.windowMs,
+          observed: result.count,
+          resetAt: result.resetAt
+        });
+        break;
+      }
+      counterKeys.push(result.key);
+    }
+
+    if (breaches.length) {
+      // Give back the counters taken before the one at its limit
+      await this.releaseRedemption(counterKeys);
+      await this.recordBreaches(discount, breaches, context);
+      return { ...this.toResult(breaches), counterKeys: [] };
+    }
+
+    return { ...this.toResult(breaches), counterKeys };
+  }
+
+  /**
+   * Give back a reservation made by reserveRedemption
+   */
+  async releaseRedemption(counterKeys = []) {
+    if (!counterKeys.length) return;
+
+    await DiscountVelocityCounter.updateMany(
+      { key: { $in: counterKeys }, count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  /**
+   * Redemption counters for a code; IP redemptions are counted but not limited
+   */
+  getRedemptionChecks(limits, { ipAddress, sessionId } = {}) {
+    const checks = [
+      { type: 'hourly_limit', scope: 'code_redemptions', subject: 'code', limit: limits.perHour, windowMs: HOUR_MS },
+      { type: 'daily_limit', scope: 'code_redemptions', subject: 'code', limit: limits.perDay, windowMs: DAY_MS }
+    ];
+    if (ipAddress) {
+      checks.push({ type: 'ip_redemptions', scope: 'ip_redemptions', subject: ipAddress, windowMs: HOUR_MS });
+    }
+    if (sessionId) {
+      checks.push({
+        type: 'session_limit',
+        scope: 'session_redemptions',
+        subject: sessionId,
+        limit: limits.perSession,
+        windowMs: SESSION_WINDOW_MS
+      });
+    }
+    return checks;
+  }
+
+  async getHourlyRedemptions(codeId) {
+    return this.getCount('code_redemptions', 'code', codeId, HOUR_MS);
+  }
+
+  async getDailyRedemptions(codeId) {
+    return this.getCount('code_redemptions', 'code', codeId, DAY_MS);
+  }
+
+  /**
+   * Record limit breaches as fraud events; repeated breaches in the same
+   * window update one event instead of creating new ones
+   */
+  async recordBreaches(discount, breaches, context = {}) {
+    if (!breaches.length) return [];
+
+    const now = new Date();
+    return Promise.all(breaches.map(breach => {
+      const window = this.getWindow(breach.windowMs, now);
+      const subject = breach.type === 'session_limit' ? context.sessionId
+        : ['hourly_limit', 'daily_limit'].includes(breach.type) ? 'code'
+          : context.ipAddress;
+
+      return DiscountFraudEvent.findOneAndUpdate(
+        { dedupeKey: this.getKey(breach.type, subject, discount._id, window.start, breach.windowMs) },
+        {
+          $inc: { occurrences: 1 },
+          $set: { lastSeenAt: now, observed: breach.observed },
+          $setOnInsert: {
+            type: breach.type,
+            codeId: discount._id,
+            code: discount.code,
+            ipAddress: context.ipAddress,
+            sessionId: context.sessionId,
+            userId: mongoose.isValidObjectId(context.userId) ? context.userId : undefined,
+            userAgent: context.userAgent,
+            limit: breach.limit,
+            windowStart: window.start,
+            windowMs: breach.windowMs,
+            firstSeenAt: now,
+            status: 'open'
+          }
+        },
+        { upsert: true, new: true }
+      ).catch(error => {
+        // Two instances recorded the same breach at once; the other write counts it
+        if (error.code !== 11000) {
+          console.error('Failed to record discount fraud event:', error);
+        }
+      });
+    }));
+  }
+
+  /**
+   * Fraud events for the admin review queue
+   */
+  async getFraudEvents(options = {}) {
+    const { status, type, codeId, ipAddress, startDate, endDate, page = 1, limit = 20 } = options;
+
+    const query = {};
+    if (status) query.status = status;
+    if (type) query.type = type;
+    if (codeId) query.codeId = codeId;
+    if (ipAddress) query.ipAddress = ipAddress;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [events, total] = await Promise.all([
+      DiscountFraudEvent.find(query)
+        .sort({ lastSeenAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reviewedBy', 'firstName lastName email'),
+      DiscountFraudEvent.countDocuments(query)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Breach counts by type and status since a date, plus the most affected codes and IPs
+   */
+  async getFraudSummary(startDate) {
+    const match = { createdAt: { $gte: startDate } };
+
+    const [byType, topCodes, topIps, openCount] = await Promise.all([
+      DiscountFraudEvent.aggregate([
+        { $match: match },
+        { $group: { _id: { type: '$type', status: '$status' }, events: { $sum: 1 }, occurrences: { $sum: '$occurrences' } } },
+        { $sort: { events: -1 } }
+      ]),
+      DiscountFraudEvent.aggregate([
+        { $match: match },
+        { $group: { _id: '$codeId', code: { $first: '$code' }, events: { $sum: 1 }, occurrences: { $sum: '$occurrences' } } },
+        { $sort: { occurrences: -1 } },
+        { $limit: 10 }
+      ]),
+      DiscountFraudEvent.aggregate([
+        { $match: { ...match, ipAddress: { $ne: null } } },
+        { $group: { _id: '$ipAddress', events: { $sum: 1 }, occurrences: { $sum: '$occurrences' } } },
+        { $sort: { occurrences: -1 } },
+        { $limit: 10 }
+      ]),
+      DiscountFraudEvent.countDocuments({ status: 'open' })
+    ]);
+
+    return { openCount, byType, topCodes, topIps };
+  }
+
+  async reviewFraudEvent(eventId, { status, notes }, reviewerId) {
+    return DiscountFraudEvent.findByIdAndUpdate(
+      eventId,
+      {
+        status,
+        reviewNotes: notes,
+        reviewedBy: reviewerId,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    );
+  }
+
+  getWindow(windowMs, now = new Date()) {
+    const start = Math.floor(now.getTime() / windowMs) * windowMs;
+    return { start: new Date(start), end: new Date(start + windowMs) };
+  }
+
+  getKey(scope, subject, codeId, windowStart, windowMs) {
+    return `${scope}:${subject}:${codeId}:${windowMs}:${windowStart.getTime()}`;
+  }
+
+  toResult(breaches) {
+    return {
+      allowed: breaches.length === 0,
+      breaches,
+      nextAllowedAt: breaches.length
+        ? new Date(Math.max(...breaches.map(breach => breach.resetAt.getTime())))
+        : null
+    };
+  }
+}
+
+module.exports = DiscountVelocityService;
@@ -0,0 +1,452 @@
+const FailedPayment = require('../models/failedPayment.model');
+const DunningCampaign = require('../models/dunningCampaign.model');
+const Subscription = require('../../subscription/models/subscription.model');
+const User = require('../../user/models/user.model');
+const communicationManager = require('../../integrations/managers/CommunicationManager');
+const DunningRetryService = require('./dunningRetry.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Built-in copy used when a step has no provider template configured
+const DEFAULT_MESSAGES = {
+  email_reminder: {
+    subject: 'Action needed: your {{planName}} payment did not go through',
+    html: '<p>Hi {{firstName}},</p><p>We were unable to process your payment of {{amount}} {{currency}}. Please update your payment method to keep your subscription active.</p><p><a href="{{billingUrl}}">Update payment method</a></p>',
+    sms: 'Eagle Investors: your payment of {{amount}} {{currency}} failed. Update your card: {{billingUrl}}'
+  },
+  personal_email: {
+    subject: 'A quick note about your {{planName}} subscription',
+    html: '<p>Hi {{firstName}},</p><p>I noticed your recent payment of {{amount}} {{currency}} was declined. If anything is wrong, just reply to this email and we will help sort it out.</p><p><a href="{{billingUrl}}">Update payment method</a></p>'
+  },
+  final_notice: {
+    subject: 'Final notice: your {{planName}} access will be suspended',
+    html: '<p>Hi {{firstName}},</p><p>This is our final reminder that your payment of {{amount}} {{currency}} is still outstanding. Your access will be suspended unless the payment method is updated.</p><p><a href="{{billingUrl}}">Update payment method</a></p>',
+    sms: 'Eagle Investors: final notice. Your access will be suspended unless your payment of {{amount}} {{currency}} is completed: {{billingUrl}}'
+  },
+  suspend_service: {
+    subject: 'Your {{planName}} access has been suspended',
+    html: '<p>Hi {{firstName}},</p><p>We have suspended your subscription because the payment of {{amount}} {{currency}} could not be collected. Update your payment method to restore access immediately.</p><p><a href="{{billingUrl}}">Restore access</a></p>'
+  }
+};
+
+// Steps that need a person to act; the engine records them for the team
+const MANUAL_ACTIONS = ['phone_call', 'account_manager_outreach'];
+
+/**
+ * Dunning Engine Service
+ * Runs a campaign's steps against each failed payment and persists where it is
+ */
+class DunningEngineService {
+  constructor() {
+    this.retryService = new DunningRetryService();
+  }
+
+  /**
+   * Attach a failed payment to a campaign and schedule its first step
+   */
+  async enroll(failedPayment, campaignId = null) {
+    if (failedPayment.dunningState?.status === 'active') {
+      return failedPayment;
+    }
+
+    const campaign = campaignId
+      ? await DunningCampaign.findById(campaignId)
+      : await DunningCampaign.findOne({ isDefault: true, isActive: true });
+
+    if (!campaign || !campaign.steps?.length) {
+      return failedPayment;
+    }
+
+    const startedAt = new Date();
+    const steps = this.getOrderedSteps(campaign);
+
+    failedPayment.dunningCampaign = campaign._id;
+    failedPayment.dunningState = {
+      status: 'active',
+      startedAt,
+      currentStep: 0,
+      nextStepAt: new Date(startedAt.getTime() + steps[0].day * DAY_MS),
+      stepHistory: []
+    };
+    await failedPayment.save();
+
+    return failedPayment;
+  }
+
+  getOrderedSteps(campaign) {
+    return [...campaign.steps].sort((a, b) => a.day - b.day);
+  }
+
+  /**
+   * Execute every step that has come due
+   */
+  async processDueSteps(options = {}) {
+    const { campaignId = null, dryRun = false, now = new Date(), limit = 500 } = options;
+
+    const query = {
+      'dunningState.status': 'active',
+      'dunningState.nextStepAt': { $lte: now }
+    };
+    if (campaignId) {
+      query.dunningCampaign = campaignId;
+    }
+
+    const failedPayments = await FailedPayment.find(query)
+      .sort({ 'dunningState.nextStepAt': 1 })
+      .limit(limit);
+
+    const results = {
+      paymentsProcessed: 0,
+      stepsExecuted: 0,
+      emailsSent: 0,
+      smsSent: 0,
+      retriesAttempted: 0,
+      recovered: 0,
+      subscriptionsSuspended: 0,
+      manualActions: 0,
+      completed: 0,
+      errors: []
+    };
+
+    for (const failedPayment of failedPayments) {
+      try {
+        const outcome = await this.advance(failedPayment, { dryRun, now });
+        results.paymentsProcessed++;
+        if (outcome.executed) results.stepsExecuted++;
+        if (outcome.emailSent) results.emailsSent++;
+        if (outcome.smsSent) results.smsSent++;
+        if (outcome.retried) results.retriesAttempted++;
+        if (outcome.recovered) results.recovered++;
+        if (outcome.suspended) results.subscriptionsSuspended++;
+        if (outcome.manualAction) results.manualActions++;
+        if (outcome.completed) results.completed++;
+      } catch (error) {
+        console.error(`Error advancing dunning for payment ${failedPayment._id}:`, error);
+        results.errors.push({ failedPaymentId: failedPayment._id, error: error.message });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Run the current step for one failed payment and schedule the next one
+   */
+  async advance(failedPayment, options = {}) {
+    const { dryRun = false, now = new Date() } = options;
+    const state = failedPayment.dunningState;
+    const outcome = { executed: false };
+
+    if (!state || state.status !== 'active') {
+      return outcome;
+    }
+
+    if (failedPayment.status === 'recovered') {
+      await this.stop(failedPayment, 'recovered');
+      return outcome;
+    }
+
+    const campaign = await DunningCampaign.findById(failedPayment.dunningCampaign);
+    if (!campaign || !campaign.isActive) {
+      await this.stop(failedPayment, 'campaign_inactive');
+      return outcome;
+    }
+
+    const steps = this.getOrderedSteps(campaign);
+    const step = steps[state.currentStep];
+    if (!step) {
+      await this.complete(failedPayment);
+      return { ...outcome, completed: true };
+    }
+
+    if (dryRun) {
+      console.log(`[DRY RUN] Would execute ${step.action} (day ${step.day}) for payment ${failedPayment._id}`);
+      return { ...outcome, executed: true };
+    }
+
+    const context = await this.buildContext(failedPayment);
+    const entry = {
+      stepIndex: state.currentStep,
+      day: step.day,
+      action: step.action,
+      template: step.template,
+      executedAt: now,
+      status: 'completed',
+      channels: []
+    };
+
+    // Give the card one more go first; a recovery makes the rest of the campaign moot
+    if (step.retryPayment) {
+      const retry = await this.retryService.retryPayment(failedPayment, {
+        campaignStep: state.currentStep
+      });
+      outcome.retried = true;
+      entry.retryOutcome = retry.success ? 'succeeded' : (retry.error?.declineCode || retry.error?.code || 'failed');
+
+      if (retry.success) {
+        entry.status = 'skipped';
+        entry.note = 'Payment recovered before step ran';
+        failedPayment.dunningState.stepHistory.push(entry);
+        await this.stop(failedPayment, 'recovered');
+        await failedPayment.save();
+        return { ...outcome, executed: true, recovered: true };
+      }
+    }
+
+    try {
+      const result = await this.executeStep(step, failedPayment, context);
+      Object.assign(outcome, result);
+      entry.channels = result.channels || [];
+      if (result.manualAction) {
+        entry.status = 'manual_action_required';
+      }
+    } catch (error) {
+      entry.status = 'failed';
+      entry.error = error.message;
+    }
+
+    outcome.executed = true;
+    failedPayment.dunningState.stepHistory.push(entry);
+    failedPayment.dunningState.lastStepAt = now;
+    failedPayment.dunningState.currentStep = state.currentStep + 1;
+
+    const nextStep = steps[failedPayment.dunningState.currentStep];
+    if (nextStep) {
+      failedPayment.dunningState.nextStepAt = new Date(
+        failedPayment.dunningState.startedAt.getTime() + nextStep.day * DAY_MS
+      );
+      await failedPayment.save();
+    } else {
+      await this.complete(failedPayment);
+      outcome.completed = true;
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Perform a single campaign action
+   */
+  async executeStep(step, failedPayment, context) {
+    const result = { channels: [] };
+
+    switch (step.action) {
+      case 'email_reminder':
+      case 'personal_email':
+      case 'final_notice':
+        result.channels.push(await this.sendEmail(step, context));
+        result.emailSent = result.channels[0].status === 'sent';
+        if (step.action === 'final_notice' && context.phone) {
+          result.channels.push(await this.sendSms(step, context));
+          result.smsSent = result.channels[1].status === 'sent';
+        }
+        break;
+
+      case 'email_sms':
+        result.channels.push(await this.sendEmail(step, context));
+        result.emailSent = result.channels[0].status === 'sent';
+        if (context.phone) {
+          result.channels.push(await this.sendSms(step, context));
+          result.smsSent = result.channels[1].status === 'sent';
+        }
+        break;
+
+      case 'suspend_service':
+        await this.suspendAccess(failedPayment);
+        result.suspended = true;
+        result.channels.push(await this.sendEmail(step, context));
+        result.emailSent = result.channels[0].status === 'sent';
+        break;
+
+      default:
+        if (MANUAL_ACTIONS.includes(step.action)) {
+          result.manualAction = true;
+          break;
+        }
+        throw new Error(`Unsupported dunning action: ${step.action}`);
+    }
+
+    if (result.channels.length > 0 && result.channels.every(channel => channel.status !== 'sent')) {
+      throw new Error(result.channels.map(channel => channel.error).filter(Boolean).join('; ') || 'Message delivery failed');
+    }
+
+    return result;
+  }
+
+  async buildContext(failedPayment) {
+    const [user, subscription] = await Promise.all([
+      failedPayment.userId ? User.findById(failedPayment.userId).select('firstName lastName email phone subscription') : null,
+      failedPayment.subscriptionId ? Subscription.findById(failedPayment.subscriptionId).populate('planId', 'name displayName') : null
+    ]);
+
+    return {
+      email: user?.email || (failedPayment.customer?.includes('@') ? failedPayment.customer : null),
+      phone: user?.phone || null,
+      templateData: {
+        firstName: user?.firstName || 'there',
+        lastName: user?.lastName || '',
+        amount: Number(failedPayment.amount).toFixed(2),
+        currency: failedPayment.currency || 'USD',
+        planName: subscription?.planId?.displayName || subscription?.planId?.name || user?.subscription || 'Eagle',
+        billingUrl: `${process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000'}/dashboard/billing`,
+        failureReason: failedPayment.failureReason || failedPayment.reason
+      }
+    };
+  }
+
+  async sendEmail(step, context) {
+    if (!context.email) {
+      return { channel: 'email', status: 'failed', error: 'No email address on file' };
+    }
+
+    const defaults = DEFAULT_MESSAGES[step.action] || DEFAULT_MESSAGES.email_reminder;
+    // No preference category: payment-failure notices are transactional, so
+    // opt-outs do not apply (the suppression list still does)
+    const emailData = {
+      to: context.email,
+      subject: defaults.subject,
+      templateData: context.templateData
+    };
+
+    // A configured template is treated as a provider template id
+    if (step.template) {
+      emailData.template = { id: step.template };
+    } else {
+      emailData.html = defaults.html;
+    }
+
+    try {
+      const result = await communicationManager.sendEmail(emailData);
+      if (!result.success && result.suppressed) {
+        return { channel: 'email', status: 'suppressed', error: result.error };
+      }
+      return result.success
+        ? { channel: 'email', status: 'sent', provider: result.provider, messageId: result.data?.messageId }
+        : { channel: 'email', status: 'failed', error: result.error?.message || String(result.error) };
+    } catch (error) {
+      return { channel: 'email', status: 'failed', error: error.message };
+    }
+  }
+
+  async sendSms(step, context) {
+    const defaults = DEFAULT_MESSAGES[step.action] || DEFAULT_MESSAGES.email_reminder;
+
+    try {
+      const result = await communicationManager.sendSMS({
+        to: context.phone,
+        template: defaults.sms || DEFAULT_MESSAGES.email_reminder.sms,
+        templateData: context.templateData
+      });
+      if (!result.success && result.suppressed) {
+        return { channel: 'sms', status: 'suppressed', error: result.error };
+      }
+      return result.success
+        ? { channel: 'sms', status: 'sent', provider: result.provider, messageId: result.data?.messageId }
+        : { channel: 'sms', status: 'failed', error: result.error?.message || String(result.error) };
+    } catch (error) {
+      return { channel: 'sms', status: 'failed', error: error.message };
+    }
+  }
+
+  /**
+   * Suspend the subscription and the user's access for non-payment
+   */
+  async suspendAccess(failedPayment) {
+    const now = new Date();
+
+    if (failedPayment.subscriptionId) {
+      await Subscription.findByIdAndUpdate(failedPayment.subscriptionId, {
+        $set: { status: 'suspended' }
+      });
+    }
+
+    if (failedPayment.userId) {
+      await User.findByIdAndUpdate(failedPayment.userId, {
+        $set: {
+          subscriptionStatus: 'suspended',
+          suspendedAt: now,
+          suspensionReason: 'payment_failure'
+        }
+      });
+    }
+
+    failedPayment.dunningState.suspendedAt = now;
+  }
+
+  /**
+   * Undo a dunning suspension once the balance has been collected
+   */
+  async restoreAccess(failedPayment) {
+    if (!failedPayment.dunningState?.suspendedAt) return;
+
+    // Only a suspension dunning put in place; a cancellation since then stands
+    if (failedPayment.subscriptionId) {
+      await Subscription.findOneAndUpdate(
+        { _id: failedPayment.subscriptionId, status: 'suspended' },
+        { $set: { status: 'active' } }
+      );
+    }
+
+    if (failedPayment.userId) {
+      await User.findOneAndUpdate(
+        { _id: failedPayment.userId, subscriptionStatus: 'suspended', suspensionReason: 'payment_failure' },
+        { $set: { subscriptionStatus: 'active' }, $unset: { suspendedAt: 1, suspensionReason: 1 } }
+      );
+    }
+
+    failedPayment.dunningState.restoredAt = new Date();
+  }
+
+  async complete(failedPayment) {
+    failedPayment.dunningState.status = 'completed';
+    failedPayment.dunningState.completedAt = new Date();
+    failedPayment.dunningState.nextStepAt = undefined;
+    await failedPayment.save();
+  }
+
+  /**
+   * Halt the campaign for a failed payment, restoring access on recovery
+   */
+  async stop(failedPayment, reason) {
+    if (!failedPayment.dunningState || ['stopped', 'completed'].includes(failedPayment.dunningState.status)) {
+      return failedPayment;
+    }
+
+    if (reason === 'recovered') {
+      await this.restoreAccess(failedPayment);
+    }
+
+    failedPayment.dunningState.status = 'stopped';
+    failedPayment.dunningState.stoppedAt = new Date();
+    failedPayment.dunningState.stopReason = reason;
+    failedPayment.dunningState.nextStepAt = undefined;
+    await failedPayment.save();
+
+    return failedPayment;
+  }
+
+  /**
+   * Stop every running campaign for a subscription after an out-of-band payment
+   */
+  async stopForSubscription(subscriptionId, reason = 'recovered') {
+    const failedPayments = await FailedPayment.find({
+      subscriptionId,
+      'dunningState.status': 'active'
+    });
+
+    for (const failedPayment of failedPayments) {
+      if (reason === 'recovered' && failedPayment.status !== 'recovered') {
+        failedPayment.status = 'recovered';
+        failedPayment.recoveredAt = new Date();
+        failedPayment.recoveryMethod = 'external_payment';
+      }
+      await this.stop(failedPayment, reason);
+    }
+
+    return failedPayments.length;
+  }
+}
+
+DunningEngineService.MANUAL_ACTIONS = MANUAL_ACTIONS;
+
+module.exports = DunningEngineService;
@@ -0,0 +1,266 @@
+const mongoose = require('mongoose');
+const FailedPayment = require('../models/failedPayment.model');
+const Payment = require('../models/payment.model');
+const PaymentMethod = require('../models/paymentMethod.model');
+const Subscription = require('../../subscription/models/subscription.model');
+const paymentManager = require('../../integrations/managers/PaymentManager');
+const subscriptionManagementService = require('../../subscription/services/subscriptionManagement.service');
+
+// Decline codes that mean the stored card will never succeed again
+const HARD_DECLINES = ['expired_card', 'lost_card', 'stolen_card', 'pickup_card', 'restricted_card'];
+
+/**
+ * Dunning Retry Service
+ * Charges a subscriber's saved payment method through the configured processor
+ * and records the real outcome on the failed payment
+ */
+class DunningRetryService {
+  /**
+   * Find the payment method to charge for a retry
+   */
+  async resolvePaymentMethod(failedPayment, paymentMethodId = null) {
+    const customer = String(failedPayment.userId?._id || failedPayment.userId || failedPayment.customer);
+
+    if (paymentMethodId) {
+      const query = mongoose.Types.ObjectId.isValid(paymentMethodId)
+        ? { _id: paymentMethodId }
+        : { processorToken: paymentMethodId };
+      return PaymentMethod.findOne({ ...query, customer });
+    }
+
+    const defaultMethod = await PaymentMethod.findOne({ customer, isDefault: true, status: 'active' });
+    if (defaultMethod) return defaultMethod;
+
+    return PaymentMethod.findOne({ customer, status: 'active' }).sort({ updatedAt: -1 });
+  }
+
+  /**
+   * Retry a failed payment against the stored payment method
+   * @returns {Promise<{success: boolean, payment?: Object, error?: Object}>}
+   */
+  async retryPayment(failedPayment, options = {}) {
+    const { paymentMethodId = null, campaignStep, initiatedBy = 'system' } = options;
+
+    if (failedPayment.status === 'recovered') {
+      return { success: true, alreadyRecovered: true, payment: null };
+    }
+
+    const userId = failedPayment.userId?._id || failedPayment.userId;
+    const subscriptionId = failedPayment.subscriptionId?._id || failedPayment.subscriptionId;
+
+    // The recovered charge is recorded as a Payment, which belongs to a user
+    if (!userId) {
+      const error = { code: 'no_user', message: 'Failed payment is not linked to a user' };
+      await this.recordFailure(failedPayment, error, { campaignStep, initiatedBy });
+      return { success: false, error };
+    }
+
+    const stripeInvoice = this.isStripeInvoice(failedPayment);
+    // Stripe invoices are paid with the customer's default method unless one was picked
+    const paymentMethod = stripeInvoice && !paymentMethodId
+      ? null
+      : await this.resolvePaymentMethod(failedPayment, paymentMethodId);
+
+    if (!paymentMethod && !stripeInvoice) {
+      await this.recordFailure(failedPayment, {
+        message: 'No usable payment method on file',
+        code: 'no_payment_method'
+      }, { campaignStep, initiatedBy });
+      return { success: false, error: { code: 'no_payment_method', message: 'No usable payment method on file' } };
+    }
+
+    const orderId = `dunning_${failedPayment._id}_${failedPayment.attempts + 1}`;
+
+    let result;
+    try {
+      if (stripeInvoice) {
+        // Charging the amount separately would leave the invoice open, and
+        // Stripe's own retries could then collect it a second time
+        result = await paymentManager.payInvoice('stripe', failedPayment.externalInvoiceId, {
+          paymentMethodId: paymentMethod?.processorToken,
+          idempotencyKey: orderId
+        });
+      } else {
+        result = await paymentManager.chargeStoredPaymentMethod(paymentMethod, {
+          amount: failedPayment.amount,
+          currency: failedPayment.currency,
+          description: 'Dunning retry for failed payment',
+          orderId,
+          userId: String(userId),
+          metadata: {
+            failedPaymentId: String(failedPayment._id),
+            subscriptionId: subscriptionId ? String(subscriptionId) : ''
+          },
+          idempotencyKey: orderId
+        });
+      }
+    } catch (error) {
+      // Configuration problems (no processor) are recorded like any other failed attempt
+      result = {
+        success: false,
+        provider: stripeInvoice ? 'stripe' : paymentMethod.processor,
+        error: { message: error.message, code: 'processor_unavailable' }
+      };
+    }
+
+    if (!result.success) {
+      await this.recordFailure(failedPayment, result.error, {
+        campaignStep,
+        initiatedBy,
+        paymentMethod,
+        processor: result.provider
+      });
+      return { success: false, error: result.error };
+    }
+
+    const payment = await this.recordSuccess(failedPayment, result, {
+      campaignStep,
+      initiatedBy,
+      paymentMethod,
+      userId,
+      subscriptionId,
+      stripeInvoice
+    });
+
+    return { success: true, payment };
+  }
+
+  /**
+   * Failures raised by Stripe subscription invoices; older records only carry the invoice id
+   */
+  isStripeInvoice(failedPayment) {
+    return failedPayment.externalInvoiceProvider === 'stripe'
+      || /^in_/.test(failedPayment.externalInvoiceId || '');
+  }
+
+  async recordSuccess(failedPayment, result, context) {
+    const { paymentMethod, userId, subscriptionId, campaignStep, initiatedBy, stripeInvoice } = context;
+    const charge = result.data || {};
+    // Failures raised by the local renewals job carry the period key as their invoice id
+    const renewalKey = /^renewal_/.test(failedPayment.externalInvoiceId || '') ? failedPayment.externalInvoiceId : undefined;
+
+    // Mark the debt recovered first: if writing the Payment fails, the next
+    // run must not charge the card again
+    failedPayment.attempts += 1;
+    failedPayment.lastRetryAt = new Date();
+    failedPayment.retryHistory.push({
+      success: true,
+      amount: failedPayment.amount,
+      processor: result.provider,
+      paymentMethodId: paymentMethod?._id,
+      processorPaymentId: charge.id,
+      campaignStep,
+      initiatedBy
+    });
+    failedPayment.status = 'recovered';
+    failedPayment.recoveredAt = new Date();
+    failedPayment.recoveryMethod = initiatedBy === 'admin' ? 'manual_retry' : 'automatic_retry';
+    failedPayment.nextRetry = undefined;
+    await failedPayment.save();
+
+    const payment = await Payment.create({
+      paymentId: Payment.generatePaymentId(),
+      userId,
+      subscriptionId,
+      status: 'succeeded',
+      amount: failedPayment.amount,
+      currency: failedPayment.currency || 'USD',
+      netAmount: failedPayment.amount,
+      paymentMethod: {
+        type: paymentMethod?.type === 'bank' ? 'bank_account' : 'card',
+        details: {
+          last4: paymentMethod?.last4,
+          brand: paymentMethod?.brand
+        }
+      },
+      stripePaymentIntentId: result.provider === 'stripe' ? charge.id : undefined,
+      processedAt: new Date(),
+      description: 'Dunning retry for failed payment',
+      metadata: {
+        isDunningRetry: 'true',
+        ...(renewalKey && { renewalKey }),
+        originalFailedPaymentId: String(failedPayment._id),
+        processor: result.provider,
+        processorPaymentId: String(charge.id || '')
+      }
+    });
+
+    failedPayment.recoveredPaymentId = payment._id;
+    await failedPayment.save();
+
+    // Required lazily: the engine depends on this service
+    const DunningEngineService = require('./dunningEngine.service');
+    await new DunningEngineService().stop(failedPayment, 'recovered');
+
+    if (paymentMethod) {
+      paymentMethod.lastUsedAt = new Date();
+      paymentMethod.lastFailureCode = undefined;
+      await paymentMethod.save();
+    }
+
+    // Stripe's invoice.payment_succeeded webhook updates the subscription for its invoices
+    if (subscriptionId && !stripeInvoice) {
+      await Subscription.findByIdAndUpdate(subscriptionId, {
+        $set: { status: 'active', lastBillingDate: new Date(), billingAttempts: 0 },
+        $inc: { totalPaid: failedPayment.amount }
+      });
+
+      // The missed period is now paid, so move the billing date past it
+      if (renewalKey) {
+        await subscriptionManagementService.processSubscriptionRenewal(subscriptionId);
+      }
+    }
+
+    return payment;
+  }
+
+  async recordFailure(failedPayment, error = {}, context = {}) {
+    const { paymentMethod, processor, campaignStep, initiatedBy } = context;
+    const declineCode = error.declineCode || null;
+
+    failedPayment.attempts += 1;
+    failedPayment.lastRetryAt = new Date();
+    failedPayment.failureReason = error.message;
+    failedPayment.errorCode = error.code;
+    failedPayment.declineCode = declineCode;
+    failedPayment.status = 'retrying';
+    failedPayment.retryHistory.push({
+      success: false,
+      amount: failedPayment.amount,
+      processor,
+      paymentMethodId: paymentMethod?._id,
+      failureReason: error.message,
+      errorCode: error.code,
+      declineCode,
+      campaignStep,
+      initiatedBy
+    });
+    await failedPayment.save();
+
+    if (paymentMethod) {
+      paymentMethod.lastFailureCode = declineCode || error.code;
+      if (HARD_DECLINES.includes(declineCode)) {
+        paymentMethod.status = declineCode === 'expired_card' ? 'expired' : 'failed';
+      }
+      await paymentMethod.save();
+    }
+
+    const subscriptionId = failedPayment.subscriptionId?._id || failedPayment.subscriptionId;
+    if (subscriptionId) {
+      await Subscription.findByIdAndUpdate(subscriptionId, { $inc: { billingAttempts: 1 } });
+    }
+  }
+
+  /**
+   * Retry by id, for callers that only hold the FailedPayment reference
+   */
+  async retryById(failedPaymentId, options = {}) {
+    const failedPayment = await FailedPayment.findById(failedPaymentId);
+    if (!failedPayment) {
+      throw new Error('Failed payment not found');
+    }
+    return { failedPayment, ...(await this.retryPayment(failedPayment, options)) };
+  }
+}
+
+module.exports = DunningRetryService;
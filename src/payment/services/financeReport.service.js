@@ -0,0 +1,322 @@
+const Transaction = require('../../transaction/models/transaction.model');
+const Subscription = require('../../subscription/models/subscription.model');
+const { Invoice } = require('../models/billing.model');
+const CurrencyService = require('./currency.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscription price normalized to one month
+const MONTHLY_PRICE = {
+  $switch: {
+    branches: [
+      { case: { $eq: ['$billingCycle', 'quarterly'] }, then: { $divide: ['$currentPrice', 3] } },
+      { case: { $eq: ['$billingCycle', 'semiannual'] }, then: { $divide: ['$currentPrice', 6] } },
+      { case: { $eq: ['$billingCycle', 'annual'] }, then: { $divide: ['$currentPrice', 12] } }
+    ],
+    default: '$currentPrice'
+  }
+};
+
+/**
+ * Finance Report Service
+ * Revenue and MRR reporting across currencies. Amounts are converted into a
+ * single reporting currency with the exchange rate snapshot taken at booking
+ * time, or the stored rate for the booking date when there is no snapshot.
+ */
+class FinanceReportService {
+  constructor() {
+    this.currencyService = new CurrencyService();
+  }
+
+  /**
+   * Revenue from captured charges, net of refunds, per currency and period
+   * @param {Object} options - period, startDate, endDate, currency, includeRefunds, reportingCurrency
+   */
+  async getRevenueReport(options = {}) {
+    const { period = 'monthly', currency, includeRefunds = true } = options;
+    const reportingCurrency = this.getReportingCurrency(options.reportingCurrency);
+    const endDate = options.endDate ? new Date(options.endDate) : new Date();
+    const startDate = options.startDate ? new Date(options.startDate) : new Date(endDate.getTime() - 30 * DAY_MS);
+
+    const match = {
+      type: { $in: includeRefunds ? ['charge', 'refund'] : ['charge'] },
+      status: { $in: ['succeeded', 'partially_refunded', 'refunded'] },
+      'timeline.initiatedAt': { $gte: startDate, $lte: endDate }
+    };
+    if (currency && currency !== 'all') {
+      match.currency = currency.toUpperCase();
+    }
+
+    const groups = await Transaction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            currency: '$currency',
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$timeline.initiatedAt' } },
+            type: '$type',
+            snapshotBaseCurrency: '$exchangeRateSnapshot.baseCurrency'
+          },
+          transactions: { $sum: 1 },
+          ...this.currencyService.getSnapshotGroupFields('$amount.gross')
+        }
+      }
+    ]);
+
+    // Transaction amounts are stored in the smallest currency unit
+    const rows = groups.map(group => this.toRow(group, true));
+    const { rows: converted } = await this.currencyService.normalizeDailyTotals(rows, reportingCurrency);
+
+    const byCurrency = {};
+    const series = {};
+    let grossRevenue = 0;
+    let refunds = 0;
+
+    converted.forEach(row => {
+      const isRefund = row.type === 'refund';
+      const currencyTotals = byCurrency[row.currency] || (byCurrency[row.currency] = {
+        currency: row.currency,
+        grossRevenue: 0,
+        refunds: 0,
+        netRevenue: 0,
+        reportingAmount: 0,
+        transactions: 0
+      });
+      const bucket = this.getPeriodKey(row.day, period);
+      const periodTotals = series[bucket] || (series[bucket] = { period: bucket, grossRevenue: 0, refunds: 0, netRevenue: 0 });
+
+      if (isRefund) {
+        refunds += row.reportingAmount;
+        currencyTotals.refunds += row.amount;
+        periodTotals.refunds += row.reportingAmount;
+      } else {
+        grossRevenue += row.reportingAmount;
+        currencyTotals.grossRevenue += row.amount;
+        periodTotals.grossRevenue += row.reportingAmount;
+      }
+      currencyTotals.netRevenue += isRefund ? -row.amount : row.amount;
+      currencyTotals.reportingAmount += isRefund ? -row.reportingAmount : row.reportingAmount;
+      currencyTotals.transactions += row.transactions;
+      periodTotals.netRevenue += isRefund ? -row.reportingAmount : row.reportingAmount;
+    });
+
+    return {
+      reportingCurrency,
+      period,
+      startDate,
+      endDate,
+      grossRevenue: this.round(grossRevenue),
+      refunds: this.round(refunds),
+      totalRevenue: this.round(grossRevenue - refunds),
+      byCurrency: Object.values(byCurrency).map(totals => this.roundAll(totals)),
+      series: Object.values(series)
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(totals => this.roundAll(totals))
+    };
+  }
+
+  /**
+   * Monthly recurring revenue now and at the end of each previous month
+   * Subscriptions carry no snapshot, so each month uses the rate stored for
+   * its last day
+   * @param {Object} options - months, currency, reportingCurrency
+   */
+  async getMRRReport(options = {}) {
+    const { months = 12, currency } = options;
+    const reportingCurrency = this.getReportingCurrency(options.reportingCurrency);
+    const now = new Date();
+
+    const current = await this.getMRRAt(now, currency, reportingCurrency);
+
+    const history = [];
+    for (let offset = months; offset >= 1; offset--) {
+      const monthEnd = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - offset + 1, 1) - 1);
+      const snapshot = await this.getMRRAt(monthEnd, currency, reportingCurrency);
+      history.push({
+        month: monthEnd.toISOString().slice(0, 7),
+        mrr: snapshot.mrr,
+        activeSubscriptions: snapshot.activeSubscriptions
+      });
+    }
+
+    const previousMRR = history.length ? history[history.length - 1].mrr : 0;
+
+    return {
+      reportingCurrency,
+      currentMRR: current.mrr,
+      previousMRR,
+      growth: previousMRR ? this.round(((current.mrr - previousMRR) / previousMRR) * 100) : null,
+      arr: this.round(current.mrr * 12),
+      activeSubscriptions: current.activeSubscriptions,
+      byCurrency: current.byCurrency,
+      history
+    };
+  }
+
+  async getMRRAt(date, currency, reportingCurrency) {
+    const isCurrent = Date.now() - date.getTime() < DAY_MS;
+
+    // Past months count subscriptions that had started and not yet been canceled
+    const match = isCurrent
+      ? { status: { $in: ['active', 'past_due'] } }
+      : {
+        status: { $in: ['active', 'past_due', 'canceled'] },
+        startDate: { $lte: date },
+        $or: [{ canceledAt: null }, { canceledAt: { $gt: date } }]
+      };
+    if (currency && currency !== 'all') {
+      match.currency = currency.toUpperCase();
+    }
+
+    const groups = await Subscription.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: '$currency',
+          subscriptions: { $sum: 1 },
+          amount: { $sum: MONTHLY_PRICE }
+        }
+      }
+    ]);
+
+    const day = date.toISOString().slice(0, 10);
+    const { total, rows } = await this.currencyService.normalizeDailyTotals(
+      groups.map(group => ({
+        currency: group._id || 'USD',
+        day,
+        subscriptions: group.subscriptions,
+        amount: group.amount,
+        unsnapshottedAmount: group.amount
+      })),
+      reportingCurrency
+    );
+
+    return {
+      mrr: total,
+      activeSubscriptions: rows.reduce((sum, row) => sum + row.subscriptions, 0),
+      byCurrency: rows.map(row => ({
+        currency: row.currency,
+        mrr: this.round(row.amount),
+        reportingAmount: row.reportingAmount,
+        subscriptions: row.subscriptions
+      }))
+    };
+  }
+
+  /**
+   * Invoice totals and monthly trend converted into a reporting currency
+   * @param {Object} filter - Invoice query
+   */
+  async getInvoiceTotals(filter, reportingCurrency) {
+    const target = this.getReportingCurrency(reportingCurrency);
+
+    const groups = await Invoice.aggregate([
+      { $match: filter },
+      {
+        $group: {
+          _id: {
+            currency: '$currency',
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$invoiceDate' } },
+            status: '$status',
+            snapshotBaseCurrency: '$exchangeRateSnapshot.baseCurrency'
+          },
+          invoices: { $sum: 1 },
+          ...this.currencyService.getSnapshotGroupFields('$amounts.total')
+        }
+      }
+    ]);
+
+    const { total, rows } = await this.currencyService.normalizeDailyTotals(
+      groups.map(group => this.toRow(group, false)),
+      target
+    );
+
+    const monthlyTrend = {};
+    let totalPaid = 0;
+    let totalPending = 0;
+
+    rows.forEach(row => {
+      const month = this.getPeriodKey(row.day, 'monthly');
+      const trend = monthlyTrend[month] || (monthlyTrend[month] = { month, totalRevenue: 0, paidRevenue: 0, invoiceCount: 0 });
+
+      trend.totalRevenue += row.reportingAmount;
+      trend.invoiceCount += row.invoices;
+      if (row.status === 'PAID') {
+        trend.paidRevenue += row.reportingAmount;
+        totalPaid += row.reportingAmount;
+      } else if (row.status === 'OPEN') {
+        totalPending += row.reportingAmount;
+      }
+    });
+
+    return {
+      reportingCurrency: target,
+      totalRevenue: total,
+      totalPaid: this.round(totalPaid),
+      totalPending: this.round(totalPending),
+      monthlyTrend: Object.values(monthlyTrend)
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map(trend => this.roundAll(trend))
+    };
+  }
+
+  getReportingCurrency(reportingCurrency) {
+    const currency = (reportingCurrency || this.currencyService.baseCurrency).toUpperCase();
+    if (!this.currencyService.isValidCurrency(currency)) {
+      const error = new Error(`Unsupported reporting currency: ${currency}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    return currency;
+  }
+
+  /**
+   * Flatten an aggregation group into a normalizeDailyTotals row
+   */
+  toRow(group, minorUnits) {
+    const { _id, ...totals } = group;
+    const divisor = minorUnits ? Math.pow(10, this.currencyService.getDecimalPlaces(_id.currency)) : 1;
+
+    return {
+      ..._id,
+      ...totals,
+      amount: totals.amount / divisor,
+      snapshotBaseAmount: totals.snapshotBaseAmount / divisor,
+      unsnapshottedAmount: totals.unsnapshottedAmount / divisor
+    };
+  }
+
+  getPeriodKey(day, period) {
+    const date = new Date(`${day}T00:00:00.000Z`);
+    const year = date.getUTCFullYear();
+
+    switch (period) {
+      case 'daily':
+        return day;
+      case 'weekly': {
+        // Weeks start on Monday
+        const monday = new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS);
+        return monday.toISOString().slice(0, 10);
+      }
+      case 'quarterly':
+        return `${year}-Q${Math.floor(date.getUTCMonth() / 3) + 1}`;
+      case 'yearly':
+        return `${year}`;
+      default:
+        return day.slice(0, 7);
+    }
+  }
+
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  roundAll(totals) {
+    return Object.fromEntries(Object.entries(totals).map(([key, value]) => [
+      key,
+      typeof value === 'number' && !Number.isInteger(value) ? this.round(value) : value
+    ]));
+  }
+}
+
+module.exports = FinanceReportService;
@@ -1,10 +1,13 @@
 const { Invoice, Receipt } = require('../models/billing.model');
 const TaxCalculationService = require('./taxCalculation.service');
+const UsageMeteringService = require('./usageMetering.service');
+const CreditLedgerService = require('./creditLedger.service');
 const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const cloudinary = require('../../config/cloudinary');
 const nodemailer = require('nodemailer');
+const suppressionService = require('../../services/suppression.service');
 
 /**
  * Invoice Generation Service with PDF Support and Email Delivery
@@ -12,6 +15,8 @@ const nodemailer = require('nodemailer');
 class InvoiceService {
   constructor() {
     this.taxService = new TaxCalculationService();
+    this.usageMeteringService = new UsageMeteringService();
+    this.creditLedgerService = new CreditLedgerService();
     this.sequenceCounters = new Map();
 
     // Email transporter setup
@@ -34,6 +39,11 @@ class InvoiceService {
       // Generate invoice number
       const invoiceNumber = await this.generateInvoiceNumber(invoiceData.currency);
 
+      // Bill metered usage above the plan's included quota
+      if (invoiceData.subscriptionId && options.includeUsage !== false) {
+        invoiceData = await this.addUsageLineItems(invoiceData, options.usagePeriod);
+      }
+
       // Calculate taxes if not provided
       let taxCalculation = invoiceData.taxCalculation;
       if (!taxCalculation || options.recalculateTax) {
@@ -53,8 +63,21 @@ class InvoiceService {
       // Calculate all amounts
       invoice.calculateAmounts();
 
+      // Draw down the customer's account credit
+      let creditEntry = null;
+      if (options.applyCredits !== false && invoice.amounts.amountDue > 0) {
+        creditEntry = await this.applyAccountCredit(invoice);
+      }
+
       // Save invoice
-      await invoice.save();
+      try {
+        await invoice.save();
+      } catch (error) {
+        if (creditEntry) {
+          await this.creditLedgerService.reverseEntry(creditEntry._id, { reason: 'Invoice creation failed' });
+        }
+        throw error;
+      }
 
       // Generate PDF if requested
       if (options.generatePdf !== false) {
@@ -73,6 +96,60 @@ class InvoiceService {
     }
   }
 
+  /**
+   * Append overage line items for the subscription's billing period
+   * The period comes from options.usagePeriod, the subscription line item,
+   * or the last closed period of the subscription
+   */
+  async addUsageLineItems(invoiceData, usagePeriod = {}) {
+    const lineItems = invoiceData.lineItems || [];
+    const periodItem = lineItems.find(item => item.periodStart && item.periodEnd);
+
+    const usageItems = await this.usageMeteringService.calculateOverageLineItems(invoiceData.customerId, {
+      subscriptionId: invoiceData.subscriptionId,
+      currency: invoiceData.currency,
+      periodStart: usagePeriod.periodStart || periodItem?.periodStart,
+      periodEnd: usagePeriod.periodEnd || periodItem?.periodEnd
+    });
+
+    // Skip items already on the invoice, e.g. when re-creating from a draft
+    const existingIds = new Set(lineItems.map(item => item.id));
+    const newItems = usageItems.filter(item => !existingIds.has(item.id));
+    if (!newItems.length) return invoiceData;
+
+    return { ...invoiceData, lineItems: [...lineItems, ...newItems] };
+  }
+
+  /**
+   * Apply available account credit to an unsaved invoice
+   * @returns {Promise<Object|null>} The ledger entry, if any credit was applied
+   */
+  async applyAccountCredit(invoice) {
+    const entry = await this.creditLedgerService.applyToInvoice(invoice.customerId, invoice.amounts.amountDue, {
+      currency: invoice.currency,
+      invoiceId: invoice._id,
+      reason: `Applied to invoice ${invoice.invoiceNumber}`
+    });
+    if (!entry) return null;
+
+    const applied = -entry.amount;
+    invoice.amounts.creditApplied = (invoice.amounts.creditApplied || 0) + applied;
+    invoice.calculateAmounts();
+
+    invoice.compliance.auditTrail.push({
+      action: 'CREDIT_APPLIED',
+      performedAt: new Date(),
+      details: { amount: applied, ledgerEntryId: entry._id }
+    });
+
+    if (invoice.amounts.amountRemaining === 0) {
+      invoice.status = 'PAID';
+      invoice.paidAt = new Date();
+    }
+
+    return entry;
+  }
+
   /**
    * Calculate tax for invoice
    */
@@ -386,12 +463,28 @@ class InvoiceService {
 
     doc.text(billing.country, 350, yPosition);
 
-    if (billing.vatNumber) {
+    // A reverse-charged invoice shows the VAT number that was validated
+    const reverseCharge = invoice.taxCalculation?.reverseCharge;
+    const taxId = reverseCharge?.applicable ? reverseCharge.customerVatNumber : billing.vatNumber;
+
+    if (taxId) {
+      yPosition += 15;
+      doc.text(`${this.getTaxIdLabel(reverseCharge?.customerTaxIdType)}: ${taxId}`, 350, yPosition);
+    } else if (billing.taxNumber) {
       yPosition += 15;
-      doc.text(`VAT: ${billing.vatNumber}`, 350, yPosition);
+      doc.text(`Tax ID: ${billing.taxNumber}`, 350, yPosition);
     }
   }
 
+  getTaxIdLabel(type) {
+    const labels = {
+      au_abn: 'ABN',
+      ca_gst: 'GST/HST',
+      us_ein: 'EIN'
+    };
+    return labels[type] || 'VAT';
+  }
+
   /**
    * Add line items table
    */
@@ -512,7 +605,8 @@ class InvoiceService {
    * Add tax breakdown section
    */
   addTaxBreakdown(doc, invoice, template) {
-    if (!invoice.taxCalculation.taxLines || invoice.taxCalculation.taxLines.length === 0) {
+    const reverseCharge = invoice.taxCalculation.reverseCharge || {};
+    if ((!invoice.taxCalculation.taxLines || invoice.taxCalculation.taxLines.length === 0) && !reverseCharge.applicable) {
       return;
     }
 
@@ -532,12 +626,23 @@ class InvoiceService {
       currentY += 12;
     });
 
-    // Reverse charge notice
-    if (invoice.taxCalculation.reverseCharge.applicable) {
+    // Reverse charge legend, with both parties' VAT numbers as the rules require
+    if (reverseCharge.applicable) {
       currentY += 10;
       doc.fontSize(8)
         .fillColor(template.secondaryColor)
-        .text('* Reverse charge applicable - VAT to be accounted for by recipient', 70, currentY);
+        .text('Reverse charge: VAT to be accounted for by the recipient (Article 196, Council Directive 2006/112/EC)', 70, currentY);
+
+      const validated = reverseCharge.validatedAt
+        ? ` - validated ${new Date(reverseCharge.validatedAt).toLocaleDateString()}${reverseCharge.consultationNumber ? `, ref. ${reverseCharge.consultationNumber}` : ''}`
+        : '';
+      currentY += 12;
+      doc.text(`Customer VAT number: ${reverseCharge.customerVatNumber}${validated}`, 70, currentY);
+
+      if (process.env.BUSINESS_VAT_NUMBER) {
+        currentY += 12;
+        doc.text(`Supplier VAT number: ${process.env.BUSINESS_VAT_NUMBER}`, 70, currentY);
+      }
     }
   }
 
@@ -661,8 +766,7 @@ class InvoiceService {
       // Prepare email content
       const emailContent = this.generateInvoiceEmailContent(invoice, emailOptions);
 
-      // Send email
-      const result = await this.emailTransporter.sendMail({
+      const { message } = await suppressionService.filterEmailMessage({
         from: emailOptions.from || process.env.INVOICE_FROM_EMAIL || process.env.SMTP_USER,
         to: recipientEmail,
         cc: emailOptions.cc,
@@ -672,12 +776,18 @@ class InvoiceService {
         text: emailContent.text,
         attachments: pdfAttachment ? [pdfAttachment] : []
       });
+      if (!message) {
+        throw new Error(`${recipientEmail} is on the suppression list`);
+      }
+
+      // Send email
+      const result = await this.emailTransporter.sendMail(message);
 
       // Update invoice with delivery information
       await Invoice.findByIdAndUpdate(invoiceId, {
         'emailDelivery.sent': true,
         'emailDelivery.sentAt': new Date(),
-        'emailDelivery.sentTo': [recipientEmail],
+        'emailDelivery.sentTo': message.to,
         $push: {
           'emailDelivery.deliveryAttempts': {
             attemptedAt: new Date(),
@@ -690,7 +800,7 @@ class InvoiceService {
       return {
         success: true,
         messageId: result.messageId,
-        sentTo: recipientEmail
+        sentTo: message.to.join(', ')
       };
     } catch (error) {
       console.error('Invoice email error:', error);
@@ -998,12 +1108,17 @@ ${process.env.COMPANY_PHONE || ''}
         </div>
       `;
 
-      const result = await this.emailTransporter.sendMail({
+      const { message } = await suppressionService.filterEmailMessage({
         from: process.env.RECEIPT_FROM_EMAIL || process.env.SMTP_USER,
         to: recipientEmail,
         subject,
         html
       });
+      if (!message) {
+        throw new Error(`${recipientEmail} is on the suppression list`);
+      }
+
+      const result = await this.emailTransporter.sendMail(message);
 
       await Receipt.findByIdAndUpdate(receiptId, {
         'emailDelivery.sent': true,
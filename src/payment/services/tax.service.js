@@ -1,7 +1,17 @@
 const TaxRate = require('../models/taxRate.model');
 const TaxReport = require('../models/taxReport.model');
+const { Invoice, CreditNote } = require('../models/billing.model');
+const TaxExemption = require('../models/taxExemption.model');
+const TaxIdValidationService = require('./taxIdValidation.service');
+const { EU_VAT_COUNTRIES } = require('../utils/taxIdChecksums');
+
+const round = (amount) => Math.round(amount * 100) / 100;
 
 class TaxService {
+    constructor() {
+        this.taxIdValidationService = new TaxIdValidationService();
+    }
+
     async getTaxRates(queryParams) {
         const {
             page = 1,
@@ -122,16 +132,11 @@ class TaxService {
             const countries = await TaxRate.distinct('country');
             const states = await TaxRate.distinct('state');
 
-            // Get recent activity (mock data - replace with real transaction data)
-            const last30DaysData = {
-                taxCollected: 5000,
-                transactionCount: 150
-            };
-
-            const last7DaysData = {
-                taxCollected: 1500,
-                transactionCount: 45
-            };
+            // Tax collected on invoices, net of credit notes
+            const [last30DaysData, last7DaysData] = await Promise.all([
+                this.getNetTaxCollected(last30Days, new Date()),
+                this.getNetTaxCollected(last7Days, new Date())
+            ]);
 
             return {
                 data: {
@@ -154,6 +159,166 @@ class TaxService {
         }
     }
 
+    /**
+     * Tax collected per country and currency for a period
+     * Invoices count in the period they are dated, credit notes in the period
+     * they are issued, so a later correction reduces the period it falls in
+     */
+    async getTaxByJurisdiction(periodStart, periodEnd) {
+        const [invoiced, credited] = await Promise.all([
+            Invoice.aggregate([
+                {
+                    $match: {
+                        invoiceDate: { $gte: periodStart, $lte: periodEnd },
+                        status: { $in: ['OPEN', 'PAID', 'UNCOLLECTIBLE'] }
+                    }
+                },
+                { $unwind: '$taxCalculation.taxLines' },
+                {
+                    $group: {
+                        _id: { country: '$billingAddress.country', currency: '$currency' },
+                        taxableAmount: { $sum: '$taxCalculation.taxLines.taxableAmount' },
+                        taxAmount: { $sum: '$taxCalculation.taxLines.taxAmount' },
+                        invoices: { $addToSet: '$_id' }
+                    }
+                }
+            ]),
+            CreditNote.aggregate([
+                {
+                    $match: {
+                        issuedAt: { $gte: periodStart, $lte: periodEnd },
+                        status: 'ISSUED',
+                        // Only credits against the invoices counted above
+                        invoiceModel: { $ne: 'Invoice' }
+                    }
+                },
+                { $unwind: '$lineItems' },
+                { $unwind: '$lineItems.taxLines' },
+                {
+                    $group: {
+                        _id: { country: '$jurisdiction.country', currency: '$currency' },
+                        taxableAmount: { $sum: '$lineItems.taxLines.taxableAmount' },
+                        taxAmount: { $sum: '$lineItems.taxLines.taxAmount' },
+                        creditNotes: { $addToSet: '$_id' }
+                    }
+                }
+            ])
+        ]);
+
+        const jurisdictions = {};
+        const getEntry = ({ country, currency }) => {
+            const key = `${country || 'UNKNOWN'}_${currency}`;
+            if (!jurisdictions[key]) {
+                jurisdictions[key] = {
+                    country: country || 'UNKNOWN',
+                    currency,
+                    taxableAmount: 0,
+                    invoicedTax: 0,
+                    creditedTax: 0,
+                    invoiceCount: 0,
+                    creditNoteCount: 0
+                };
+            }
+            return jurisdictions[key];
+        };
+
+        invoiced.forEach(row => {
+            const entry = getEntry(row._id);
+            entry.taxableAmount += row.taxableAmount;
+            entry.invoicedTax += row.taxAmount;
+            entry.invoiceCount = row.invoices.length;
+        });
+
+        credited.forEach(row => {
+            const entry = getEntry(row._id);
+            entry.taxableAmount -= row.taxableAmount;
+            entry.creditedTax += row.taxAmount;
+            entry.creditNoteCount = row.creditNotes.length;
+        });
+
+        return Object.values(jurisdictions).map(entry => ({
+            ...entry,
+            taxableAmount: round(entry.taxableAmount),
+            invoicedTax: round(entry.invoicedTax),
+            creditedTax: round(entry.creditedTax),
+            collected: round(entry.invoicedTax - entry.creditedTax)
+        }));
+    }
+
+    async getNetTaxCollected(periodStart, periodEnd) {
+        const jurisdictions = await this.getTaxByJurisdiction(periodStart, periodEnd);
+
+        return {
+            taxCollected: round(jurisdictions.reduce((sum, entry) => sum + entry.collected, 0)),
+            transactionCount: jurisdictions.reduce((sum, entry) => sum + entry.invoiceCount + entry.creditNoteCount, 0)
+        };
+    }
+
+    /**
+     * Create or refresh the tax reports for a period, one per country and currency
+     * Filed reports are left untouched
+     */
+    async generateTaxReports(params) {
+        const periodStart = new Date(params.periodStart);
+        const periodEnd = new Date(params.periodEnd);
+
+        if (isNaN(periodStart.getTime()) || isNaN(periodEnd.getTime()) || periodStart > periodEnd) {
+            const error = new Error('A valid periodStart and periodEnd are required');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        const period = params.period || this.getPeriodLabel(periodStart, periodEnd);
+        const due = params.due ? new Date(params.due) : new Date(periodEnd.getTime() + 30 * 24 * 60 * 60 * 1000);
+        const jurisdictions = await this.getTaxByJurisdiction(periodStart, periodEnd);
+
+        const reports = [];
+        const skipped = [];
+
+        for (const entry of jurisdictions) {
+            const filter = { period, country: entry.country, currency: entry.currency };
+            const existing = await TaxReport.findOne(filter);
+
+            if (existing && existing.status === 'filed') {
+                skipped.push(existing);
+                continue;
+            }
+
+            reports.push(await TaxReport.findOneAndUpdate(
+                filter,
+                {
+                    $set: {
+                        periodStart,
+                        periodEnd,
+                        collected: entry.collected,
+                        taxableAmount: entry.taxableAmount,
+                        invoicedTax: entry.invoicedTax,
+                        creditedTax: entry.creditedTax,
+                        invoiceCount: entry.invoiceCount,
+                        creditNoteCount: entry.creditNoteCount,
+                        generatedAt: new Date()
+                    },
+                    $setOnInsert: {
+                        remitted: 0,
+                        status: 'pending',
+                        due
+                    }
+                },
+                { upsert: true, new: true }
+            ));
+        }
+
+        return { period, reports, skipped };
+    }
+
+    getPeriodLabel(periodStart, periodEnd) {
+        const start = periodStart.toISOString().slice(0, 10);
+        const end = periodEnd.toISOString().slice(0, 10);
+        const sameMonth = start.slice(0, 7) === end.slice(0, 7);
+
+        return sameMonth && start.endsWith('-01') ? start.slice(0, 7) : `${start}/${end}`;
+    }
+
     async addTaxRate(rateData) {
         const newRate = new TaxRate({
             ...rateData,
@@ -222,38 +387,49 @@ class TaxService {
 
     // Tax Validation
     async validateTaxId(data) {
-        const { taxId, country, state } = data;
-
-        // Basic validation logic - can be extended with real API integrations
-        const patterns = {
-            US: /^\d{2}-\d{7}$/,  // EIN format
-            GB: /^GB\d{9}$/,       // UK VAT
-            CA: /^\d{9}RT\d{4}$/,  // Canadian BN
-            AU: /^\d{11}$/         // Australian ABN
-        };
+        const { taxId, country, state, customerId, requestedBy, ipAddress, forceRefresh } = data;
+
+        const { validation, check, cached } = await this.taxIdValidationService.validate({
+            taxId,
+            country,
+            customerId,
+            requestedBy,
+            ipAddress,
+            forceRefresh,
+            source: 'api'
+        });
 
-        const pattern = patterns[country];
-        if (!pattern) {
+        if (!validation) {
             return {
                 valid: false,
-                message: `Tax ID validation not supported for ${country}`,
+                message: check.message,
                 taxId,
                 country,
                 state
             };
         }
 
-        const valid = pattern.test(taxId);
+        const messages = {
+            valid: 'Tax ID is valid',
+            invalid: check.checksumValid ? 'Tax ID is not registered' : check.message,
+            unverified: 'Tax ID format is valid but the registry could not be reached'
+        };
 
         return {
-            valid,
-            message: valid ? 'Tax ID is valid' : 'Tax ID format is invalid',
+            valid: validation.status === 'valid',
+            status: validation.status,
+            message: messages[validation.status],
             taxId,
-            formattedTaxId: valid ? taxId : null,
-            country,
+            formattedTaxId: check.formatValid ? check.formatted : null,
+            country: check.country,
             state,
-            jurisdiction: state || country,
-            type: this.getTaxIdType(country)
+            jurisdiction: state || check.country,
+            type: this.getTaxIdType(check.country),
+            checksumValid: check.checksumValid,
+            remote: validation.remote,
+            validationId: validation._id,
+            checkedAt: validation.checkedAt,
+            cached
         };
     }
 
@@ -261,12 +437,20 @@ class TaxService {
         const types = {
             US: 'EIN (Employer Identification Number)',
             GB: 'VAT Registration Number',
-            CA: 'Business Number (BN)',
+            XI: 'VAT Registration Number (Northern Ireland)',
+            CA: 'GST/HST Registration Number',
             AU: 'Australian Business Number (ABN)'
         };
+        if (EU_VAT_COUNTRIES.includes(country)) {
+            return 'EU VAT Identification Number';
+        }
         return types[country] || 'Tax Identification Number';
     }
 
+    async getTaxIdValidations(filters) {
+        return this.taxIdValidationService.listValidations(filters);
+    }
+
     async bulkValidateTaxIds(validations) {
         return Promise.all(validations.map(v => this.validateTaxId(v)));
     }
@@ -355,19 +539,44 @@ class TaxService {
 
     // Tax Exemptions
     async getExemptions(params) {
-        const { customerId, country, state } = params;
+        const { customerId, country, state, status, activeOn } = params;
+
+        const query = {};
+        if (customerId) query.customerId = customerId;
+        if (country) query.country = country.toUpperCase();
+        if (state) query.state = state.toUpperCase();
+        if (status) query.status = status.toUpperCase();
+
+        if (activeOn) {
+            const date = new Date(activeOn);
+            query.status = 'ACTIVE';
+            query.validFrom = { $lte: date };
+            query.$or = [{ validTo: null }, { validTo: { $gte: date } }];
+        }
 
-        // Mock exemptions - implement real DB
-        return [];
+        return TaxExemption.find(query).sort({ validFrom: -1 });
     }
 
-    async createExemption(data) {
-        // Mock creation - implement real DB
-        return {
-            id: Date.now().toString(),
-            ...data,
-            createdAt: new Date()
-        };
+    async createExemption(data, userId) {
+        const { customerId, certificateNumber, country, validFrom } = data;
+
+        if (!customerId || !certificateNumber || !country || !validFrom) {
+            const error = new Error('customerId, certificateNumber, country and validFrom are required');
+            error.statusCode = 400;
+            throw error;
+        }
+
+        try {
+            return await TaxExemption.create({ ...data, createdBy: userId });
+        } catch (error) {
+            if (error.code === 11000) {
+                error.statusCode = 409;
+                error.message = `Certificate ${certificateNumber} is already on file for this customer`;
+            } else if (error.name === 'ValidationError') {
+                error.statusCode = 400;
+            }
+            throw error;
+        }
     }
 
     // Tax Settings
@@ -1,5 +1,6 @@
 const { TaxRate, Invoice } = require('../models/billing.model');
 const axios = require('axios');
+const TaxIdValidationService = require('./taxIdValidation.service');
 
 /**
  * Provider-Agnostic Tax Calculation Service
@@ -67,9 +68,9 @@ class TaxCalculationService {
       );
 
       return applicableRates.sort((a, b) => {
-        // Sort by specificity: city > state > country
-        const aSpecificity = (a.city ? 4 : 0) + (a.state ? 2 : 0) + 1;
-        const bSpecificity = (b.city ? 4 : 0) + (b.state ? 2 : 0) + 1;
+        // Sort by specificity: postal code > city > county > state > country
+        const aSpecificity = (a.postalCode ? 16 : 0) + (a.city ? 8 : 0) + (a.county ? 4 : 0) + (a.state ? 2 : 0) + 1;
+        const bSpecificity = (b.postalCode ? 16 : 0) + (b.city ? 8 : 0) + (b.county ? 4 : 0) + (b.state ? 2 : 0) + 1;
         return bSpecificity - aSpecificity;
       });
     } catch (error) {
@@ -537,10 +538,14 @@ class ManualTaxProvider {
       const location = {
         country: transactionData.billingAddress.country,
         state: transactionData.billingAddress.state,
+        county: transactionData.billingAddress.county,
         city: transactionData.billingAddress.city,
         postalCode: transactionData.billingAddress.postalCode
       };
 
+      // VAT-style taxes are zero-rated, not dropped, so the sale still shows as reverse charged
+      const reverseCharge = await this.checkReverseCharge(transactionData);
+
       const taxLines = [];
       let compoundedAmount = 0;
 
@@ -554,6 +559,7 @@ class ManualTaxProvider {
 
         for (const rate of applicableRates) {
           const taxAmount = rate.calculateTax(lineItem.amount, compoundedAmount);
+          const reverseCharged = reverseCharge.applicable && ['VAT', 'GST'].includes(rate.taxType);
           
           if (taxAmount > 0) {
             taxLines.push({
@@ -562,10 +568,12 @@ class ManualTaxProvider {
               taxType: rate.taxType,
               rate: rate.rate,
               taxableAmount: lineItem.amount,
-              taxAmount: taxAmount,
-              exemptAmount: 0
+              taxAmount: reverseCharged ? 0 : taxAmount,
+              exemptAmount: reverseCharged ? taxAmount : 0
             });
 
+            if (reverseCharged) continue;
+
             if (rate.compoundTax) {
               compoundedAmount += taxAmount;
             }
@@ -577,7 +585,7 @@ class ManualTaxProvider {
         provider: 'MANUAL',
         taxLines,
         exemptions: [],
-        reverseCharge: this.checkReverseCharge(transactionData),
+        reverseCharge,
         confidence: 'MEDIUM'
       };
     } catch (error) {
@@ -603,8 +611,12 @@ class ManualTaxProvider {
     return parts.join(', ');
   }
 
-  checkReverseCharge(transactionData) {
-    // EU reverse charge logic
+  /**
+   * EU reverse charge for B2B sales to another member state
+   * Applies only when the customer's VAT number checks out against the
+   * registry; the validation record is kept as evidence on the calculation
+   */
+  async checkReverseCharge(transactionData) {
     const euCountries = [
       'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR',
       'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU', 'MT', 'NL',
@@ -615,19 +627,37 @@ class ManualTaxProvider {
     const customerCountry = transactionData.billingAddress.country;
     const customerVatNumber = transactionData.billingAddress.vatNumber;
 
-    // B2B transactions within EU with valid VAT numbers
-    if (euCountries.includes(businessCountry) && 
-        euCountries.includes(customerCountry) && 
-        businessCountry !== customerCountry &&
-        customerVatNumber) {
+    if (!euCountries.includes(businessCountry) ||
+        !euCountries.includes(customerCountry) ||
+        businessCountry === customerCountry ||
+        !customerVatNumber) {
+      return { applicable: false };
+    }
+
+    const result = await new TaxIdValidationService().verifyForReverseCharge(customerVatNumber, customerCountry, {
+      customerId: transactionData.customerId,
+      source: 'tax_calculation'
+    });
+
+    if (!result.eligible) {
       return {
-        applicable: true,
-        reason: 'EU B2B reverse charge mechanism',
-        customerVatNumber: customerVatNumber
+        applicable: false,
+        reason: `Customer VAT number could not be validated (${result.validation?.status || 'unsupported'})`,
+        customerVatNumber: result.taxId,
+        validationId: result.validation?._id
       };
     }
 
-    return { applicable: false };
+    return {
+      applicable: true,
+      reason: 'EU B2B reverse charge mechanism',
+      customerVatNumber: result.taxId,
+      customerTaxIdType: result.taxIdType,
+      validationId: result.validation._id,
+      validationStatus: result.validation.status,
+      validatedAt: result.validation.checkedAt,
+      consultationNumber: result.validation.remote?.consultationNumber
+    };
   }
 }
 
@@ -0,0 +1,176 @@
+const TaxIdValidation = require('../models/taxIdValidation.model');
+const { checkTaxIdFormat } = require('../utils/taxIdChecksums');
+const ViesTaxIdVerifier = require('../../integrations/adapters/ViesTaxIdVerifier');
+const LocalTaxIdVerifier = require('../../integrations/adapters/LocalTaxIdVerifier');
+
+const REMOTE_STATUS = {
+  valid: 'valid',
+  invalid: 'invalid',
+  unavailable: 'unverified'
+};
+
+/**
+ * Tax ID Validation Service
+ * Format and check-digit validation, then a registry lookup through the
+ * configured verifier (TAX_ID_VERIFIER=vies|local|none). Every check is
+ * stored as evidence; a valid or invalid answer is reused for
+ * TAX_ID_CACHE_HOURS before the registry is asked again.
+ */
+class TaxIdValidationService {
+  constructor(options = {}) {
+    this.verifier = options.verifier !== undefined ? options.verifier : this.createVerifier();
+    this.cacheHours = Number(process.env.TAX_ID_CACHE_HOURS || 24);
+    this.allowUnverified = process.env.TAX_ID_ALLOW_UNVERIFIED === 'true';
+  }
+
+  createVerifier() {
+    switch ((process.env.TAX_ID_VERIFIER || 'vies').toLowerCase()) {
+      case 'vies':
+        return new ViesTaxIdVerifier({ baseUrl: process.env.VIES_BASE_URL });
+      case 'local':
+        return new LocalTaxIdVerifier({
+          invalid: (process.env.TAX_ID_LOCAL_INVALID || '').split(',').filter(Boolean)
+        });
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Validate a tax ID and record the result
+   * @param {Object} params - taxId, country, customerId, source, requestedBy, ipAddress,
+   *                          forceRefresh to skip the cache
+   * @returns {Object} - { validation, check, cached }; validation is null for unsupported countries
+   */
+  async validate(params) {
+    const { taxId, country, customerId, source = 'api', requestedBy, ipAddress, forceRefresh = false } = params;
+    const check = checkTaxIdFormat(taxId, country);
+
+    if (!check.supported) {
+      return { validation: null, check, cached: false };
+    }
+
+    if (!forceRefresh && check.checksumValid) {
+      // Only registry checks are reused, so reusing one never extends its age
+      const cached = await TaxIdValidation.findOne({
+        taxId: check.formatted,
+        status: { $in: ['valid', 'invalid'] },
+        cachedFrom: null,
+        checkedAt: { $gte: new Date(Date.now() - this.cacheHours * 60 * 60 * 1000) }
+      }).sort({ checkedAt: -1 });
+
+      if (cached) {
+        // The cached check may have been made for another customer, so record
+        // this one as its own evidence pointing at that registry answer
+        const validation = await TaxIdValidation.create({
+          taxId: cached.taxId,
+          country: cached.country,
+          type: cached.type,
+          status: cached.status,
+          format: cached.format,
+          remote: cached.remote,
+          cachedFrom: cached._id,
+          customerId,
+          source,
+          requestedBy,
+          ipAddress,
+          checkedAt: new Date()
+        });
+
+        return { validation, check, cached: true };
+      }
+    }
+
+    let remote = { status: 'skipped' };
+    let status = 'invalid';
+
+    if (check.checksumValid) {
+      if (this.verifier && this.verifier.supports(check.country)) {
+        remote = await this.verifier.verify(check, { vatNumber: process.env.BUSINESS_VAT_NUMBER });
+        status = REMOTE_STATUS[remote.status];
+      } else {
+        // No registry for this country; the check digits are all we have
+        remote = { status: 'unsupported' };
+        status = 'valid';
+      }
+    }
+
+    const validation = await TaxIdValidation.create({
+      taxId: check.formatted,
+      country: check.country,
+      type: check.type,
+      status,
+      format: {
+        valid: check.formatValid,
+        checksumValid: check.checksumValid,
+        message: check.message
+      },
+      remote: {
+        provider: remote.provider,
+        status: remote.status,
+        name: remote.name,
+        address: remote.address,
+        consultationNumber: remote.consultationNumber,
+        error: remote.error,
+        checkedAt: remote.checkedAt
+      },
+      customerId,
+      source,
+      requestedBy,
+      ipAddress,
+      checkedAt: new Date()
+    });
+
+    return { validation, check, cached: false };
+  }
+
+  /**
+   * Whether a customer's VAT number supports a reverse-charge sale
+   * Unverified numbers (registry down) only qualify with TAX_ID_ALLOW_UNVERIFIED=true
+   */
+  async verifyForReverseCharge(vatNumber, country, context = {}) {
+    try {
+      const { validation, check } = await this.validate({ taxId: vatNumber, country, ...context });
+      const eligible = Boolean(validation) && (
+        validation.status === 'valid' || (validation.status === 'unverified' && this.allowUnverified)
+      );
+
+      return {
+        eligible,
+        taxId: check.formatted || vatNumber,
+        taxIdType: check.type,
+        validation
+      };
+    } catch (error) {
+      console.error('Tax ID validation error:', error);
+      return { eligible: false, taxId: vatNumber, validation: null, error: error.message };
+    }
+  }
+
+  async listValidations(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 20, 100);
+    const query = {};
+
+    if (filters.taxId) query.taxId = checkTaxIdFormat(filters.taxId, filters.country).formatted || filters.taxId.toUpperCase();
+    if (filters.customerId) query.customerId = filters.customerId;
+    if (filters.status) query.status = filters.status;
+
+    const [validations, total] = await Promise.all([
+      TaxIdValidation.find(query)
+        .sort({ checkedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TaxIdValidation.countDocuments(query)
+    ]);
+
+    return {
+      data: validations,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  }
+}
+
+module.exports = TaxIdValidationService;
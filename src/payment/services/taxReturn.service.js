@@ -0,0 +1,574 @@
+const PDFDocument = require('pdfkit');
+const { Invoice, CreditNote } = require('../models/billing.model');
+const SubscriptionInvoice = require('../models/invoice.model');
+const TaxReturn = require('../models/taxReturn.model');
+const TaxExemption = require('../models/taxExemption.model');
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+// Countries whose sales tax is filed with each state or province
+const STATE_FILING_COUNTRIES = ['US', 'CA'];
+
+const FILING_FREQUENCIES = ['MONTHLY', 'QUARTERLY'];
+
+// Invoices that count as sales; drafts and voided invoices never do
+const REPORTABLE_INVOICE_STATUSES = ['OPEN', 'PAID', 'UNCOLLECTIBLE'];
+const REPORTABLE_SUBSCRIPTION_INVOICE_STATUSES = ['pending', 'paid', 'partially_paid', 'overdue', 'refunded', 'partially_refunded'];
+
+const SUMMARY_FIELDS = [
+  ['grossSales', 'Gross sales'],
+  ['taxableSales', 'Taxable sales'],
+  ['exemptSales', 'Exempt sales'],
+  ['taxCollected', 'Tax collected'],
+  ['refundedSales', 'Refunded sales'],
+  ['refundedTax', 'Refunded tax'],
+  ['creditNoteSales', 'Credit note sales adjustments'],
+  ['creditNoteTax', 'Credit note tax adjustments'],
+  ['netTaxDue', 'Net tax due']
+];
+
+const createError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Tax Return Service
+ * Builds period-close returns per jurisdiction from invoices and credit
+ * notes. Each jurisdiction files monthly or quarterly per
+ * TAX_FILING_FREQUENCIES (e.g. "US-CA:MONTHLY,DE:QUARTERLY"); the rest use
+ * TAX_FILING_DEFAULT_FREQUENCY. Generating a period only touches the
+ * jurisdictions that file at that frequency.
+ */
+class TaxReturnService {
+  constructor() {
+    this.defaultFrequency = (process.env.TAX_FILING_DEFAULT_FREQUENCY || 'QUARTERLY').toUpperCase();
+    this.frequencies = this.parseFrequencies(process.env.TAX_FILING_FREQUENCIES);
+    this.dueDays = Number(process.env.TAX_FILING_DUE_DAYS || 30);
+  }
+
+  parseFrequencies(value) {
+    return String(value || '').split(',').reduce((frequencies, entry) => {
+      const [code, frequency] = entry.split(':').map(part => part && part.trim().toUpperCase());
+      if (code && FILING_FREQUENCIES.includes(frequency)) {
+        frequencies[code] = frequency;
+      }
+      return frequencies;
+    }, {});
+  }
+
+  getFilingFrequency(jurisdiction) {
+    return this.frequencies[jurisdiction.code] || this.frequencies[jurisdiction.country] || this.defaultFrequency;
+  }
+
+  getJurisdiction(country, state) {
+    const countryCode = String(country || 'UNKNOWN').toUpperCase();
+    const stateCode = STATE_FILING_COUNTRIES.includes(countryCode) && state ? String(state).toUpperCase() : undefined;
+
+    return {
+      code: stateCode ? `${countryCode}-${stateCode}` : countryCode,
+      country: countryCode,
+      state: stateCode
+    };
+  }
+
+  /**
+   * Period label to dates, in UTC
+   * "2026-09" is a monthly period, "2026-Q3" a quarterly one
+   */
+  parsePeriod(period) {
+    const label = String(period || '').toUpperCase();
+    let match = label.match(/^(\d{4})-(0[1-9]|1[0-2])$/);
+
+    if (match) {
+      const year = Number(match[1]);
+      const month = Number(match[2]) - 1;
+      return {
+        period: label,
+        filingFrequency: 'MONTHLY',
+        periodStart: new Date(Date.UTC(year, month, 1)),
+        periodEnd: new Date(Date.UTC(year, month + 1, 1) - 1)
+      };
+    }
+
+    match = label.match(/^(\d{4})-Q([1-4])$/);
+    if (match) {
+      const year = Number(match[1]);
+      const month = (Number(match[2]) - 1) * 3;
+      return {
+        period: label,
+        filingFrequency: 'QUARTERLY',
+        periodStart: new Date(Date.UTC(year, month, 1)),
+        periodEnd: new Date(Date.UTC(year, month + 3, 1) - 1)
+      };
+    }
+
+    throw createError('period must be a month (YYYY-MM) or a quarter (YYYY-Q1..Q4)', 400);
+  }
+
+  /**
+   * Create or refresh the returns for a period
+   * @param {Object} params - period, and optionally jurisdiction (e.g. US-CA) to limit it to one
+   * @returns {Object} - { period, filingFrequency, returns, skipped }; filed returns are skipped
+   */
+  async generateReturns(params, userId) {
+    const { period, filingFrequency, periodStart, periodEnd } = this.parsePeriod(params.period);
+    const onlyJurisdiction = params.jurisdiction ? String(params.jurisdiction).toUpperCase() : null;
+
+    const [billingInvoices, subscriptionInvoices, creditNotes] = await Promise.all([
+      Invoice.find({
+        invoiceDate: { $gte: periodStart, $lte: periodEnd },
+        status: { $in: REPORTABLE_INVOICE_STATUSES }
+      })
+        .select('customerId billingAddress currency invoiceDate amounts taxCalculation')
+        .lean(),
+      SubscriptionInvoice.find({
+        issueDate: { $gte: periodStart, $lte: periodEnd },
+        status: { $in: REPORTABLE_SUBSCRIPTION_INVOICE_STATUSES }
+      })
+        .select('userId billingAddress currency issueDate subtotal discountAmount taxAmount taxDetails')
+        .lean(),
+      // Credit notes against either kind of invoice
+      CreditNote.find({
+        issuedAt: { $gte: periodStart, $lte: periodEnd },
+        status: 'ISSUED'
+      })
+        .select('jurisdiction currency amounts')
+        .lean()
+    ]);
+    const invoices = billingInvoices.concat(subscriptionInvoices.map(invoice => this.fromSubscriptionInvoice(invoice)));
+
+    const exemptions = await TaxExemption.find({
+      customerId: { $in: [...new Set(invoices.map(invoice => String(invoice.customerId)))] },
+      validFrom: { $lte: periodEnd },
+      $or: [{ validTo: null }, { validTo: { $gte: periodStart } }]
+    });
+
+    const entries = new Map();
+    const getEntry = (jurisdiction, currency) => {
+      if (this.getFilingFrequency(jurisdiction) !== filingFrequency) return null;
+      if (onlyJurisdiction && jurisdiction.code !== onlyJurisdiction) return null;
+
+      const key = `${jurisdiction.code}_${currency}`;
+      if (!entries.has(key)) {
+        entries.set(key, this.createEntry(jurisdiction, currency));
+      }
+      return entries.get(key);
+    };
+
+    invoices.forEach(invoice => {
+      const jurisdiction = this.getJurisdiction(invoice.billingAddress?.country, invoice.billingAddress?.state);
+      const entry = getEntry(jurisdiction, invoice.currency);
+      if (entry) this.addInvoice(entry, invoice, exemptions);
+    });
+
+    creditNotes.forEach(creditNote => {
+      const jurisdiction = this.getJurisdiction(creditNote.jurisdiction?.country, creditNote.jurisdiction?.state);
+      const entry = getEntry(jurisdiction, creditNote.currency);
+      if (entry) this.addCreditNote(entry, creditNote);
+    });
+
+    const returns = [];
+    const skipped = [];
+    const dueDate = new Date(periodEnd.getTime() + 1 + this.dueDays * 24 * 60 * 60 * 1000);
+
+    for (const entry of entries.values()) {
+      const filter = { period, 'jurisdiction.code': entry.jurisdiction.code, currency: entry.currency };
+      let taxReturn = await TaxReturn.findOne(filter);
+
+      if (taxReturn && taxReturn.isLocked()) {
+        skipped.push(taxReturn);
+        continue;
+      }
+
+      if (!taxReturn) {
+        taxReturn = new TaxReturn({
+          returnNumber: `TR-${period}-${entry.jurisdiction.code}-${entry.currency}`,
+          period,
+          filingFrequency,
+          jurisdiction: entry.jurisdiction,
+          currency: entry.currency
+        });
+      }
+
+      taxReturn.set({
+        periodStart,
+        periodEnd,
+        dueDate,
+        summary: this.finalizeSummary(entry.summary),
+        taxBreakdown: [...entry.taxBreakdown.values()].map(line => ({
+          ...line,
+          taxableAmount: round(line.taxableAmount),
+          taxAmount: round(line.taxAmount)
+        })),
+        exemptions: [...entry.exemptions.values()].map(exemption => ({
+          ...exemption,
+          exemptSales: round(exemption.exemptSales)
+        })),
+        pendingExemptionCredits: [...entry.pendingExemptionCredits.values()].map(credit => ({
+          ...credit,
+          taxableSales: round(credit.taxableSales),
+          taxCharged: round(credit.taxCharged)
+        })),
+        counts: entry.counts,
+        generatedAt: new Date(),
+        generatedBy: userId
+      });
+
+      returns.push(await taxReturn.save());
+    }
+
+    return { period, filingFrequency, returns, skipped };
+  }
+
+  createEntry(jurisdiction, currency) {
+    return {
+      jurisdiction,
+      currency,
+      summary: SUMMARY_FIELDS.reduce((summary, [field]) => ({ ...summary, [field]: 0 }), {}),
+      taxBreakdown: new Map(),
+      exemptions: new Map(),
+      pendingExemptionCredits: new Map(),
+      counts: { invoices: 0, creditNotes: 0, refunds: 0 }
+    };
+  }
+
+  /**
+   * Shape a subscription invoice (invoice.model.js) like a billing invoice.
+   * Its tax is held per tax, not per line, so each tax applies to the whole
+   * discounted subtotal.
+   */
+  fromSubscriptionInvoice(invoice) {
+    const sales = (invoice.subtotal || 0) - (invoice.discountAmount || 0);
+    const taxDetails = invoice.taxDetails?.length
+      ? invoice.taxDetails
+      : (invoice.taxAmount > 0 ? [{ taxType: 'other', taxAmount: invoice.taxAmount }] : []);
+
+    return {
+      customerId: invoice.userId,
+      billingAddress: invoice.billingAddress,
+      currency: invoice.currency,
+      invoiceDate: invoice.issueDate,
+      amounts: {
+        subtotal: invoice.subtotal || 0,
+        discountTotal: invoice.discountAmount || 0,
+        taxTotal: invoice.taxAmount || 0
+      },
+      taxCalculation: {
+        taxLines: taxDetails.map(detail => ({
+          jurisdiction: detail.taxName,
+          taxType: (detail.taxType || 'other').toUpperCase(),
+          rate: detail.taxRate,
+          taxableAmount: sales,
+          taxAmount: detail.taxAmount || 0
+        }))
+      }
+    };
+  }
+
+  /**
+   * An invoice is exempt as a whole when the customer held a certificate for
+   * the jurisdiction on the invoice date, one was applied when the tax was
+   * calculated, or the sale was reverse charged. If tax was charged anyway,
+   * the sale stays taxable and is flagged for a credit note instead.
+   */
+  addInvoice(entry, invoice, exemptions) {
+    const { summary } = entry;
+    const amounts = invoice.amounts || {};
+    const sales = (amounts.subtotal || 0) - (amounts.discountTotal || 0);
+    const taxCalculation = invoice.taxCalculation || {};
+    const invoiceDate = new Date(invoice.invoiceDate);
+
+    const certificate = exemptions.find(exemption =>
+      String(exemption.customerId) === String(invoice.customerId) &&
+      exemption.covers(invoiceDate, entry.jurisdiction.country, invoice.billingAddress?.state));
+    const appliedCertificate = (taxCalculation.exemptions || []).find(exemption => exemption.certificateNumber);
+
+    let exemption = null;
+    if (certificate) {
+      exemption = { type: 'CERTIFICATE', certificateNumber: certificate.certificateNumber, reason: certificate.reason };
+    } else if (appliedCertificate) {
+      exemption = { type: 'CERTIFICATE', certificateNumber: appliedCertificate.certificateNumber, reason: appliedCertificate.reason };
+    } else if (taxCalculation.reverseCharge?.applicable) {
+      exemption = { type: 'REVERSE_CHARGE', reason: taxCalculation.reverseCharge.reason };
+    }
+
+    summary.grossSales += sales;
+    summary.taxCollected += amounts.taxTotal || 0;
+    entry.counts.invoices += 1;
+
+    if (exemption && amounts.taxTotal > 0) {
+      summary.taxableSales += sales;
+
+      const key = `${exemption.type}:${exemption.certificateNumber || ''}:${invoice.customerId}`;
+      if (!entry.pendingExemptionCredits.has(key)) {
+        entry.pendingExemptionCredits.set(key, {
+          ...exemption,
+          customerId: invoice.customerId,
+          taxableSales: 0,
+          taxCharged: 0,
+          invoiceCount: 0
+        });
+      }
+      const credit = entry.pendingExemptionCredits.get(key);
+      credit.taxableSales += sales;
+      credit.taxCharged += amounts.taxTotal;
+      credit.invoiceCount += 1;
+    } else if (exemption) {
+      summary.exemptSales += sales;
+
+      const key = `${exemption.type}:${exemption.certificateNumber || ''}:${invoice.customerId}`;
+      if (!entry.exemptions.has(key)) {
+        entry.exemptions.set(key, { ...exemption, customerId: invoice.customerId, exemptSales: 0, invoiceCount: 0 });
+      }
+      const line = entry.exemptions.get(key);
+      line.exemptSales += sales;
+      line.invoiceCount += 1;
+    } else {
+      summary.taxableSales += sales;
+    }
+
+    (taxCalculation.taxLines || []).forEach(taxLine => {
+      const key = `${taxLine.jurisdiction}:${taxLine.taxType}:${taxLine.rate}`;
+      if (!entry.taxBreakdown.has(key)) {
+        entry.taxBreakdown.set(key, {
+          jurisdiction: taxLine.jurisdiction,
+          taxType: taxLine.taxType,
+          rate: taxLine.rate,
+          taxableAmount: 0,
+          taxAmount: 0,
+          transactionCount: 0
+        });
+      }
+      const line = entry.taxBreakdown.get(key);
+      line.taxableAmount += taxLine.taxableAmount || 0;
+      line.taxAmount += taxLine.taxAmount || 0;
+      line.transactionCount += 1;
+    });
+  }
+
+  /**
+   * Credit notes reduce the period they are issued in; the share settled by
+   * a refund is reported as a refund, the rest as a credit note adjustment
+   */
+  addCreditNote(entry, creditNote) {
+    const { summary } = entry;
+    const amounts = creditNote.amounts || {};
+    const refundShare = amounts.total > 0 ? Math.min((amounts.refunded || 0) / amounts.total, 1) : 0;
+
+    summary.refundedSales += (amounts.subtotal || 0) * refundShare;
+    summary.refundedTax += (amounts.taxTotal || 0) * refundShare;
+    summary.creditNoteSales += (amounts.subtotal || 0) * (1 - refundShare);
+    summary.creditNoteTax += (amounts.taxTotal || 0) * (1 - refundShare);
+
+    entry.counts.creditNotes += 1;
+    if (refundShare > 0) entry.counts.refunds += 1;
+  }
+
+  finalizeSummary(summary) {
+    const rounded = SUMMARY_FIELDS.reduce((result, [field]) => ({ ...result, [field]: round(summary[field]) }), {});
+    rounded.netTaxDue = round(rounded.taxCollected - rounded.refundedTax - rounded.creditNoteTax);
+    return rounded;
+  }
+
+  async listReturns(filters = {}) {
+    const page = parseInt(filters.page) || 1;
+    const limit = Math.min(parseInt(filters.limit) || 20, 100);
+    const query = {};
+
+    if (filters.status) query.status = String(filters.status).toUpperCase();
+    if (filters.period) query.period = String(filters.period).toUpperCase();
+    if (filters.filingFrequency) query.filingFrequency = String(filters.filingFrequency).toUpperCase();
+    if (filters.country) query['jurisdiction.country'] = String(filters.country).toUpperCase();
+    if (filters.jurisdiction) query['jurisdiction.code'] = String(filters.jurisdiction).toUpperCase();
+
+    const [returns, total] = await Promise.all([
+      TaxReturn.find(query)
+        .select('-taxBreakdown -exemptions -pendingExemptionCredits')
+        .sort({ periodStart: -1, 'jurisdiction.code': 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      TaxReturn.countDocuments(query)
+    ]);
+
+    return {
+      data: returns,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    };
+  }
+
+  async getReturn(returnId) {
+    const taxReturn = await TaxReturn.findById(returnId);
+    if (!taxReturn) {
+      throw createError('Tax return not found', 404);
+    }
+    return taxReturn;
+  }
+
+  /**
+   * Mark a return as filed with the tax authority, locking it
+   */
+  async fileReturn(returnId, data, userId) {
+    const taxReturn = await this.getReturn(returnId);
+
+    if (taxReturn.isLocked()) {
+      throw createError(`Tax return ${taxReturn.returnNumber} has already been filed`, 409);
+    }
+
+    taxReturn.status = 'FILED';
+    taxReturn.filing = {
+      filedAt: data.filedAt ? new Date(data.filedAt) : new Date(),
+      filedBy: userId,
+      confirmationNumber: data.confirmationNumber,
+      notes: data.notes
+    };
+
+    return taxReturn.save();
+  }
+
+  /**
+   * Export a return as CSV or PDF, recording the export on the return
+   * @returns {Object} - { filename, contentType, content }
+   */
+  async exportReturn(returnId, format, userId) {
+    const exportFormat = String(format || '').toLowerCase();
+    if (!['csv', 'pdf'].includes(exportFormat)) {
+      throw createError('Export format not supported', 400);
+    }
+
+    const taxReturn = await this.getReturn(returnId);
+    const content = exportFormat === 'csv' ? this.toCsv(taxReturn) : await this.toPdf(taxReturn);
+
+    taxReturn.exports.push({ format: exportFormat.toUpperCase(), exportedAt: new Date(), exportedBy: userId });
+    await taxReturn.save();
+
+    return {
+      filename: `${taxReturn.returnNumber}.${exportFormat}`,
+      contentType: exportFormat === 'csv' ? 'text/csv' : 'application/pdf',
+      content
+    };
+  }
+
+  toCsv(taxReturn) {
+    const rows = [
+      ['Return', taxReturn.returnNumber],
+      ['Jurisdiction', taxReturn.jurisdiction.code],
+      ['Period', taxReturn.period],
+      ['Period start', taxReturn.periodStart.toISOString().slice(0, 10)],
+      ['Period end', taxReturn.periodEnd.toISOString().slice(0, 10)],
+      ['Filing frequency', taxReturn.filingFrequency],
+      ['Currency', taxReturn.currency],
+      ['Status', taxReturn.status],
+      ['Filed at', taxReturn.filing?.filedAt ? taxReturn.filing.filedAt.toISOString() : ''],
+      ['Confirmation number', taxReturn.filing?.confirmationNumber || ''],
+      [],
+      ['Summary', 'Amount'],
+      ...SUMMARY_FIELDS.map(([field, label]) => [label, taxReturn.summary[field]]),
+      [],
+      ['Tax jurisdiction', 'Tax type', 'Rate', 'Taxable amount', 'Tax amount', 'Transactions'],
+      ...taxReturn.taxBreakdown.map(line => [
+        line.jurisdiction, line.taxType, line.rate, line.taxableAmount, line.taxAmount, line.transactionCount
+      ]),
+      [],
+      ['Exemption', 'Certificate', 'Customer', 'Reason', 'Exempt sales', 'Invoices'],
+      ...taxReturn.exemptions.map(exemption => [
+        exemption.type, exemption.certificateNumber, exemption.customerId, exemption.reason,
+        exemption.exemptSales, exemption.invoiceCount
+      ]),
+      [],
+      ['Charged despite exemption', 'Certificate', 'Customer', 'Reason', 'Taxable sales', 'Tax to credit', 'Invoices'],
+      ...(taxReturn.pendingExemptionCredits || []).map(credit => [
+        credit.type, credit.certificateNumber, credit.customerId, credit.reason,
+        credit.taxableSales, credit.taxCharged, credit.invoiceCount
+      ])
+    ];
+
+    return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\n');
+  }
+
+  escapeCsv(value) {
+    if (value === undefined || value === null) return '';
+    const text = String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  toPdf(taxReturn) {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: {
+        Title: `Tax return ${taxReturn.returnNumber}`,
+        Author: process.env.COMPANY_NAME || 'Your Company',
+        Creator: 'Eagle Subscription Platform'
+      }
+    });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+
+    const money = amount => `${Number(amount || 0).toFixed(2)} ${taxReturn.currency}`;
+
+    doc.fontSize(18).text(`Tax Return ${taxReturn.returnNumber}`);
+    doc.moveDown(0.5).fontSize(10)
+      .text(`Jurisdiction: ${taxReturn.jurisdiction.code}`)
+      .text(`Period: ${taxReturn.period} (${taxReturn.periodStart.toISOString().slice(0, 10)} to ${taxReturn.periodEnd.toISOString().slice(0, 10)})`)
+      .text(`Filing frequency: ${taxReturn.filingFrequency}`)
+      .text(`Due: ${taxReturn.dueDate ? taxReturn.dueDate.toISOString().slice(0, 10) : '-'}`)
+      .text(`Status: ${taxReturn.status}${taxReturn.filing?.filedAt ? ` on ${taxReturn.filing.filedAt.toISOString().slice(0, 10)}` : ''}`);
+
+    if (taxReturn.filing?.confirmationNumber) {
+      doc.text(`Confirmation number: ${taxReturn.filing.confirmationNumber}`);
+    }
+
+    doc.moveDown().fontSize(12).text('Summary');
+    doc.fontSize(10);
+    SUMMARY_FIELDS.forEach(([field, label]) => {
+      const y = doc.y;
+      doc.text(label, 50, y);
+      doc.text(money(taxReturn.summary[field]), 300, y, { width: 200, align: 'right' });
+    });
+
+    if (taxReturn.taxBreakdown.length > 0) {
+      doc.moveDown().fontSize(12).text('Tax breakdown', 50);
+      doc.fontSize(10);
+      taxReturn.taxBreakdown.forEach(line => {
+        const y = doc.y;
+        doc.text(`${line.jurisdiction || '-'} ${line.taxType || ''} ${line.rate ?? ''}%`, 50, y);
+        doc.text(`${money(line.taxAmount)} on ${money(line.taxableAmount)}`, 250, y, { width: 250, align: 'right' });
+      });
+    }
+
+    if (taxReturn.exemptions.length > 0) {
+      doc.moveDown().fontSize(12).text('Exempt sales', 50);
+      doc.fontSize(10);
+      taxReturn.exemptions.forEach(exemption => {
+        const y = doc.y;
+        doc.text(`${exemption.type === 'REVERSE_CHARGE' ? 'Reverse charge' : `Certificate ${exemption.certificateNumber}`} (${exemption.invoiceCount} invoices)`, 50, y);
+        doc.text(money(exemption.exemptSales), 300, y, { width: 200, align: 'right' });
+      });
+    }
+
+    if (taxReturn.pendingExemptionCredits?.length > 0) {
+      doc.moveDown().fontSize(12).text('Tax charged to exempt customers (credit note due)', 50);
+      doc.fontSize(10);
+      taxReturn.pendingExemptionCredits.forEach(credit => {
+        const y = doc.y;
+        doc.text(`${credit.type === 'REVERSE_CHARGE' ? 'Reverse charge' : `Certificate ${credit.certificateNumber}`} (${credit.invoiceCount} invoices)`, 50, y);
+        doc.text(`${money(credit.taxCharged)} on ${money(credit.taxableSales)}`, 250, y, { width: 250, align: 'right' });
+      });
+    }
+
+    doc.moveDown(2).fontSize(8).fillColor('#666666')
+      .text(`Generated ${taxReturn.generatedAt ? taxReturn.generatedAt.toISOString() : '-'} from ${taxReturn.counts.invoices} invoices and ${taxReturn.counts.creditNotes} credit notes`, 50);
+
+    return new Promise((resolve, reject) => {
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+      doc.end();
+    });
+  }
+}
+
+module.exports = TaxReturnService;
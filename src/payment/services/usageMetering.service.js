@@ -0,0 +1,339 @@
+const mongoose = require('mongoose');
+const UsageRecord = require('../models/usageRecord.model');
+const { Invoice } = require('../models/billing.model');
+const Subscription = require('../../subscription/models/subscription.model');
+const Plan = require('../../plans/models/plan.model');
+const entitlementService = require('../../plans/services/entitlement.service');
+const subscriptionManagementService = require('../../subscription/services/subscriptionManagement.service');
+const CurrencyService = require('./currency.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BILLABLE_SUBSCRIPTION_STATUSES = ['trial', 'active', 'past_due'];
+
+/**
+ * Usage Metering Service
+ * Records usage of quota-based features per billing period and prices the
+ * overage for invoicing
+ */
+class UsageMeteringService {
+  constructor() {
+    this.currencyService = new CurrencyService();
+  }
+
+  /**
+   * Record usage of a feature
+   * @param {string} userId - User who used the feature
+   * @param {string} featureKey - Feature key, e.g. 'ai_advisor'
+   * @param {number} quantity - Units consumed
+   * @param {Object} options - idempotencyKey, subscriptionId, occurredAt, source, metadata
+   * @returns {Promise<{record: Object, duplicate: boolean, usage: Object}>}
+   */
+  async recordUsage(userId, featureKey, quantity = 1, options = {}) {
+    const { idempotencyKey, subscriptionId, occurredAt = new Date(), source = 'api', metadata } = options;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      throw new Error('A valid userId is required');
+    }
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      throw new Error('Quantity must be a non-negative number');
+    }
+
+    const key = entitlementService.toFeatureKey(featureKey);
+    if (!key) {
+      throw new Error('A feature key is required');
+    }
+
+    if (idempotencyKey) {
+      const existing = await UsageRecord.findOne({ userId, idempotencyKey });
+      if (existing) {
+        return { record: existing, duplicate: true, usage: await this.getFeatureUsage(userId, key, { at: existing.occurredAt }) };
+      }
+    }
+
+    const subscription = await this.resolveSubscription(userId, subscriptionId);
+    const period = this.getBillingPeriod(subscription, new Date(occurredAt));
+
+    let record;
+    try {
+      record = await UsageRecord.create({
+        userId,
+        subscriptionId: subscription?._id,
+        featureKey: key,
+        quantity,
+        idempotencyKey,
+        occurredAt,
+        periodStart: period.start,
+        periodEnd: period.end,
+        source,
+        metadata
+      });
+    } catch (error) {
+      // A concurrent request with the same key won the insert
+      if (error.code === 11000 && idempotencyKey) {
+        record = await UsageRecord.findOne({ userId, idempotencyKey });
+        return { record, duplicate: true, usage: await this.getFeatureUsage(userId, key, { at: record.occurredAt }) };
+      }
+      throw error;
+    }
+
+    return { record, duplicate: false, usage: await this.getFeatureUsage(userId, key, { at: record.occurredAt }) };
+  }
+
+  async resolveSubscription(userId, subscriptionId = null) {
+    if (subscriptionId) {
+      return Subscription.findOne({ _id: subscriptionId, userId });
+    }
+
+    return Subscription.findOne({
+      userId,
+      status: { $in: BILLABLE_SUBSCRIPTION_STATUSES }
+    }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Billing period containing a date, following the subscription's cycle
+   * Users without a subscription are metered per calendar month
+   */
+  getBillingPeriod(subscription, at = new Date()) {
+    if (!subscription) {
+      return {
+        start: new Date(at.getFullYear(), at.getMonth(), 1),
+        end: new Date(at.getFullYear(), at.getMonth() + 1, 1)
+      };
+    }
+
+    const next = (date) => subscriptionManagementService.calculateNextBillingDate(date, subscription.billingCycle);
+
+    const currentStart = subscription.lastBillingDate || subscription.startDate;
+    const currentEnd = subscription.nextBillingDate || next(currentStart);
+    if (at >= currentStart && at < currentEnd) {
+      return { start: new Date(currentStart), end: new Date(currentEnd) };
+    }
+
+    // Walk the cycle from the subscription start for dates outside the current period
+    let start = new Date(subscription.startDate);
+    let end = next(start);
+    for (let i = 0; end <= at && i < 1000; i++) {
+      start = end;
+      end = next(start);
+    }
+
+    return { start, end };
+  }
+
+  /**
+   * Total usage and quota for one feature in the period containing `at`
+   */
+  async getFeatureUsage(userId, featureKey, options = {}) {
+    const { at = new Date(), subscriptionId } = options;
+    const key = entitlementService.toFeatureKey(featureKey);
+    const subscription = await this.resolveSubscription(userId, subscriptionId);
+    const period = this.getBillingPeriod(subscription, new Date(at));
+
+    const used = await this.sumUsage(userId, [key], period);
+    const entitlements = await entitlementService.getEntitlements(userId);
+    const included = this.getIncludedQuantity(entitlements, key, period);
+
+    return {
+      featureKey: key,
+      periodStart: period.start,
+      periodEnd: period.end,
+      used: used[key] || 0,
+      included,
+      remaining: included === null ? null : Math.max(0, included - (used[key] || 0)),
+      overLimit: included !== null && (used[key] || 0) > included
+    };
+  }
+
+  /**
+   * Usage per feature for the current billing period
+   */
+  async getUsageSummary(userId, options = {}) {
+    const { at = new Date(), subscriptionId } = options;
+    const subscription = await this.resolveSubscription(userId, subscriptionId);
+    const period = this.getBillingPeriod(subscription, new Date(at));
+    const entitlements = await entitlementService.getEntitlements(userId);
+
+    const used = await this.sumUsage(userId, null, period);
+    const featureKeys = new Set([
+      ...Object.keys(used),
+      ...entitlements.quotas.map(quota => quota.feature)
+    ]);
+
+    return {
+      subscriptionId: subscription?._id || null,
+      periodStart: period.start,
+      periodEnd: period.end,
+      features: [...featureKeys].map(key => {
+        const included = this.getIncludedQuantity(entitlements, key, period);
+        const featureUsed = used[key] || 0;
+        return {
+          featureKey: key,
+          used: featureUsed,
+          included,
+          remaining: included === null ? null : Math.max(0, included - featureUsed),
+          overage: included === null ? 0 : Math.max(0, featureUsed - included)
+        };
+      })
+    };
+  }
+
+  async sumUsage(userId, featureKeys, period) {
+    const match = {
+      userId: new mongoose.Types.ObjectId(String(userId)),
+      occurredAt: { $gte: period.start, $lt: period.end }
+    };
+    if (featureKeys) {
+      match.featureKey = { $in: featureKeys };
+    }
+
+    const totals = await UsageRecord.aggregate([
+      { $match: match },
+      { $group: { _id: '$featureKey', quantity: { $sum: '$quantity' } } }
+    ]);
+
+    return totals.reduce((acc, total) => {
+      acc[total._id] = total.quantity;
+      return acc;
+    }, {});
+  }
+
+  /**
+   * Quantity included by the user's quotas over a billing period
+   * Returns null when no quota limits the feature
+   */
+  getIncludedQuantity(entitlements, featureKey, period) {
+    const quotas = entitlements.quotas.filter(quota => quota.feature === featureKey);
+    if (!quotas.length) return null;
+
+    const days = Math.max(1, Math.round((period.end - period.start) / DAY_MS));
+    const scaled = quotas.map(quota => {
+      switch (quota.period) {
+        case 'day':
+          return quota.limit * days;
+        case 'month':
+          return quota.limit * Math.max(1, Math.round(days / 30));
+        case 'year':
+          return quota.limit * Math.max(1, Math.round(days / 365));
+        default:
+          // billing_period and lifetime limits apply as-is
+          return quota.limit;
+      }
+    });
+
+    return Math.max(...scaled);
+  }
+
+  /**
+   * Overage line items for an invoice covering a billing period
+   * Usage already billed on earlier invoices for the same period is excluded
+   */
+  async calculateOverageLineItems(userId, options = {}) {
+    const { subscriptionId, currency = 'USD', periodStart, periodEnd } = options;
+
+    let period;
+    if (periodStart && periodEnd) {
+      period = { start: new Date(periodStart), end: new Date(periodEnd) };
+    } else {
+      const subscription = await this.resolveSubscription(userId, subscriptionId);
+      // Invoices are raised at the end of a period, so bill the one that just closed
+      const current = this.getBillingPeriod(subscription);
+      period = this.getBillingPeriod(subscription, new Date(current.start.getTime() - 1));
+    }
+
+    const entitlements = await entitlementService.getEntitlements(userId);
+    const plans = await Plan.find({ _id: { $in: entitlements.plans.map(plan => plan.id) } })
+      .select('name meteredPricing');
+
+    // Cheapest metered price per feature across held plans
+    const prices = new Map();
+    for (const plan of plans) {
+      for (const price of plan.meteredPricing || []) {
+        const key = entitlementService.toFeatureKey(price.feature);
+        const existing = prices.get(key);
+        if (!existing || price.unitPrice / price.unitSize < existing.unitPrice / existing.unitSize) {
+          prices.set(key, {
+            featureKey: key,
+            unitPrice: price.unitPrice,
+            unitSize: price.unitSize || 1,
+            currency: price.currency || 'USD',
+            description: price.description,
+            planId: String(plan._id)
+          });
+        }
+      }
+    }
+
+    if (!prices.size) return [];
+
+    const used = await this.sumUsage(userId, [...prices.keys()], period);
+    const lineItems = [];
+
+    for (const price of prices.values()) {
+      const featureUsed = used[price.featureKey] || 0;
+      const included = this.getIncludedQuantity(entitlements, price.featureKey, period) || 0;
+      const overage = Math.max(0, featureUsed - included);
+      const alreadyBilled = await this.getBilledOverage(userId, price.featureKey, period);
+      const billable = overage - alreadyBilled;
+
+      if (billable <= 0) continue;
+
+      let unitPrice = price.unitPrice;
+      if (price.currency !== currency.toUpperCase()) {
+        const rate = await this.currencyService.getExchangeRate(price.currency, currency.toUpperCase());
+        unitPrice = Math.round(unitPrice * rate * 100) / 100;
+      }
+
+      const units = Math.ceil(billable / price.unitSize);
+      const amount = Math.round(units * unitPrice * 100) / 100;
+      const label = price.description || `${price.featureKey.replace(/_/g, ' ')} usage`;
+
+      lineItems.push({
+        id: `usage_${price.featureKey}_${period.start.getTime()}`,
+        description: `${label} overage: ${billable} over ${included} included`,
+        quantity: units,
+        unitPrice,
+        amount,
+        taxableAmount: amount,
+        productType: 'DIGITAL_SERVICES',
+        periodStart: period.start,
+        periodEnd: period.end,
+        metadata: {
+          planId: price.planId,
+          featureKey: price.featureKey,
+          usageQuantity: billable,
+          includedQuantity: included
+        }
+      });
+    }
+
+    return lineItems;
+  }
+
+  /**
+   * Overage quantity already invoiced for a feature and period
+   */
+  async getBilledOverage(userId, featureKey, period) {
+    const [result] = await Invoice.aggregate([
+      {
+        $match: {
+          customerId: new mongoose.Types.ObjectId(String(userId)),
+          status: { $ne: 'VOID' },
+          'lineItems.metadata.featureKey': featureKey
+        }
+      },
+      { $unwind: '$lineItems' },
+      {
+        $match: {
+          'lineItems.metadata.featureKey': featureKey,
+          'lineItems.periodStart': period.start
+        }
+      },
+      { $group: { _id: null, quantity: { $sum: '$lineItems.metadata.usageQuantity' } } }
+    ]);
+
+    return result ? result.quantity : 0;
+  }
+}
+
+module.exports = UsageMeteringService;
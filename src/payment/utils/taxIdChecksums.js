@@ -0,0 +1,210 @@
+/**
+ * Tax ID format and check-digit rules
+ * EU VAT numbers (per member state), UK VAT, Australian ABN, Canadian GST/HST
+ * and US EIN. A passing check means the number is well formed, not that it is
+ * registered; that takes a remote lookup.
+ */
+
+const digits = value => value.split('').map(Number);
+
+const weightedSum = (values, weights) => weights.reduce((sum, weight, index) => sum + values[index] * weight, 0);
+
+const luhn = value => {
+  const sum = digits(value).reverse().reduce((total, digit, index) => {
+    if (index % 2 === 0) return total + digit;
+    const doubled = digit * 2;
+    return total + (doubled > 9 ? doubled - 9 : doubled);
+  }, 0);
+  return sum % 10 === 0;
+};
+
+// ISO 7064 MOD 11,10 (Germany, Croatia)
+const mod11_10 = value => {
+  const values = digits(value);
+  let product = 10;
+  for (let i = 0; i < values.length - 1; i++) {
+    let sum = (values[i] + product) % 10;
+    if (sum === 0) sum = 10;
+    product = (2 * sum) % 11;
+  }
+  return (11 - product) % 10 === values[values.length - 1];
+};
+
+// ISO 3166 country code => VAT prefix, where they differ
+const VAT_PREFIXES = { GR: 'EL' };
+
+/**
+ * Rules per country
+ * pattern is matched against the number without its country prefix;
+ * checksum, when present, is run on the same value
+ */
+const TAX_ID_FORMATS = {
+  AT: { type: 'eu_vat', pattern: /^U\d{8}$/, checksum: number => {
+    const values = digits(number.slice(1));
+    const sum = values.slice(0, 7).reduce((total, digit, index) => {
+      const product = index % 2 === 1 ? digit * 2 : digit;
+      return total + Math.floor(product / 10) + (product % 10);
+    }, 0);
+    return (10 - ((sum + 4) % 10)) % 10 === values[7];
+  } },
+  BE: { type: 'eu_vat', pattern: /^[01]\d{9}$/, checksum: number =>
+    97 - (Number(number.slice(0, 8)) % 97) === Number(number.slice(8)) },
+  BG: { type: 'eu_vat', pattern: /^\d{9,10}$/ },
+  CY: { type: 'eu_vat', pattern: /^\d{8}[A-Z]$/ },
+  CZ: { type: 'eu_vat', pattern: /^\d{8,10}$/ },
+  DE: { type: 'eu_vat', pattern: /^\d{9}$/, checksum: mod11_10 },
+  DK: { type: 'eu_vat', pattern: /^\d{8}$/, checksum: number =>
+    weightedSum(digits(number), [2, 7, 6, 5, 4, 3, 2, 1]) % 11 === 0 },
+  EE: { type: 'eu_vat', pattern: /^10\d{7}$/, checksum: number => {
+    const values = digits(number);
+    return (10 - (weightedSum(values, [3, 7, 1, 3, 7, 1, 3, 7]) % 10)) % 10 === values[8];
+  } },
+  ES: { type: 'eu_vat', pattern: /^[A-Z0-9]\d{7}[A-Z0-9]$/ },
+  FI: { type: 'eu_vat', pattern: /^\d{8}$/, checksum: number => {
+    const values = digits(number);
+    const remainder = weightedSum(values, [7, 9, 10, 5, 8, 4, 2]) % 11;
+    if (remainder === 1) return false;
+    return (remainder === 0 ? 0 : 11 - remainder) === values[7];
+  } },
+  FR: { type: 'eu_vat', pattern: /^[0-9A-HJ-NP-Z]{2}\d{9}$/, checksum: number => {
+    // Letter keys use a different scheme; only numeric keys are checked
+    if (!/^\d{2}/.test(number)) return true;
+    return (12 + 3 * (Number(number.slice(2)) % 97)) % 97 === Number(number.slice(0, 2));
+  } },
+  GR: { type: 'eu_vat', pattern: /^\d{9}$/, checksum: number => {
+    const values = digits(number);
+    return (weightedSum(values, [256, 128, 64, 32, 16, 8, 4, 2]) % 11) % 10 === values[8];
+  } },
+  HR: { type: 'eu_vat', pattern: /^\d{11}$/, checksum: mod11_10 },
+  HU: { type: 'eu_vat', pattern: /^\d{8}$/, checksum: number => {
+    const values = digits(number);
+    return (10 - (weightedSum(values, [9, 7, 3, 1, 9, 7, 3]) % 10)) % 10 === values[7];
+  } },
+  IE: { type: 'eu_vat', pattern: /^(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/ },
+  IT: { type: 'eu_vat', pattern: /^\d{11}$/, checksum: luhn },
+  LT: { type: 'eu_vat', pattern: /^(\d{9}|\d{12})$/ },
+  LU: { type: 'eu_vat', pattern: /^\d{8}$/, checksum: number =>
+    Number(number.slice(0, 6)) % 89 === Number(number.slice(6)) },
+  LV: { type: 'eu_vat', pattern: /^\d{11}$/ },
+  MT: { type: 'eu_vat', pattern: /^\d{8}$/, checksum: number =>
+    37 - (weightedSum(digits(number), [3, 4, 6, 7, 8, 9]) % 37) === Number(number.slice(6)) },
+  NL: { type: 'eu_vat', pattern: /^\d{9}B\d{2}$/, checksum: number => {
+    const values = digits(number.slice(0, 9));
+    if (weightedSum(values, [9, 8, 7, 6, 5, 4, 3, 2]) % 11 === values[8]) return true;
+    // Numbers issued to sole traders since 2020 use ISO 7064 MOD 97-10 over "NL" + number
+    const numeric = `2321${number.replace('B', '11')}`;
+    return BigInt(numeric) % 97n === 1n;
+  } },
+  PL: { type: 'eu_vat', pattern: /^\d{10}$/, checksum: number => {
+    const values = digits(number);
+    return weightedSum(values, [6, 5, 7, 2, 3, 4, 5, 6, 7]) % 11 === values[9];
+  } },
+  PT: { type: 'eu_vat', pattern: /^\d{9}$/, checksum: number => {
+    const values = digits(number);
+    const check = 11 - (weightedSum(values, [9, 8, 7, 6, 5, 4, 3, 2]) % 11);
+    return (check > 9 ? 0 : check) === values[8];
+  } },
+  RO: { type: 'eu_vat', pattern: /^[1-9]\d{1,9}$/, checksum: number => {
+    const values = digits(number.padStart(10, '0'));
+    return ((weightedSum(values, [7, 5, 3, 2, 1, 7, 5, 3, 2]) * 10) % 11) % 10 === values[9];
+  } },
+  SE: { type: 'eu_vat', pattern: /^\d{10}01$/, checksum: number => luhn(number.slice(0, 10)) },
+  SI: { type: 'eu_vat', pattern: /^[1-9]\d{7}$/, checksum: number => {
+    const values = digits(number);
+    const check = 11 - (weightedSum(values, [8, 7, 6, 5, 4, 3, 2]) % 11);
+    if (check === 11) return false;
+    return (check === 10 ? 0 : check) === values[7];
+  } },
+  SK: { type: 'eu_vat', pattern: /^[1-9]\d{9}$/, checksum: number => BigInt(number) % 11n === 0n },
+
+  GB: { type: 'gb_vat', pattern: /^(\d{9}|\d{12}|GD[0-4]\d{2}|HA[5-9]\d{2})$/, checksum: number => {
+    // Government departments and health authorities have no check digits
+    if (/^(GD|HA)/.test(number)) return true;
+    const values = digits(number.slice(0, 9));
+    const sum = weightedSum(values, [8, 7, 6, 5, 4, 3, 2]);
+    const check = Number(number.slice(7, 9));
+    return (sum + check) % 97 === 0 || (sum + check + 55) % 97 === 0;
+  } },
+  AU: { type: 'au_abn', pattern: /^\d{11}$/, checksum: number => {
+    const values = digits(number);
+    values[0] -= 1;
+    return weightedSum(values, [10, 1, 3, 5, 7, 9, 11, 13, 15, 17, 19]) % 89 === 0;
+  } },
+  CA: { type: 'ca_gst', pattern: /^\d{9}RT\d{4}$/, checksum: number => luhn(number.slice(0, 9)) },
+  US: { type: 'us_ein', pattern: /^\d{9}$/ }
+};
+
+// Northern Ireland traders keep a UK VAT number under the XI prefix for goods
+TAX_ID_FORMATS.XI = { ...TAX_ID_FORMATS.GB, type: 'xi_vat' };
+
+const EU_VAT_COUNTRIES = Object.keys(TAX_ID_FORMATS).filter(country => TAX_ID_FORMATS[country].type === 'eu_vat');
+
+/**
+ * Split a tax ID into country and number
+ * Separators are dropped; a leading VAT prefix (DE, EL, GB...) decides the
+ * country when none is given
+ */
+const normalizeTaxId = (taxId, country) => {
+  let value = String(taxId || '').toUpperCase().replace(/[\s.\-/]/g, '');
+  let resolvedCountry = country ? String(country).toUpperCase() : null;
+
+  const prefix = value.slice(0, 2);
+  const prefixCountry = prefix === 'EL' ? 'GR' : prefix;
+  if (/^[A-Z]{2}$/.test(prefix) && TAX_ID_FORMATS[prefixCountry] && !/^(GD|HA)/.test(value)
+    && (!resolvedCountry || resolvedCountry === prefixCountry)) {
+    resolvedCountry = prefixCountry;
+    value = value.slice(2);
+  }
+
+  return {
+    country: resolvedCountry,
+    number: value,
+    prefix: resolvedCountry && ['eu_vat', 'gb_vat', 'xi_vat'].includes(TAX_ID_FORMATS[resolvedCountry]?.type)
+      ? (VAT_PREFIXES[resolvedCountry] || resolvedCountry)
+      : null
+  };
+};
+
+/**
+ * Format and check-digit result for a tax ID
+ */
+const checkTaxIdFormat = (taxId, country) => {
+  const normalized = normalizeTaxId(taxId, country);
+  const rules = normalized.country && TAX_ID_FORMATS[normalized.country];
+
+  if (!rules) {
+    return {
+      ...normalized,
+      supported: false,
+      formatValid: false,
+      checksumValid: false,
+      message: `Tax ID validation not supported for ${normalized.country || 'unknown country'}`
+    };
+  }
+
+  const formatValid = rules.pattern.test(normalized.number);
+  const checksumValid = formatValid && (!rules.checksum || rules.checksum(normalized.number));
+  let message = 'Tax ID format is valid';
+  if (!formatValid) message = 'Tax ID format is invalid';
+  else if (!checksumValid) message = 'Tax ID check digits are invalid';
+
+  return {
+    ...normalized,
+    type: rules.type,
+    formatted: rules.type === 'us_ein'
+      ? `${normalized.number.slice(0, 2)}-${normalized.number.slice(2)}`
+      : `${normalized.prefix || ''}${normalized.number}`,
+    supported: true,
+    formatValid,
+    checksumValid,
+    hasChecksum: Boolean(rules.checksum),
+    message
+  };
+};
+
+module.exports = {
+  TAX_ID_FORMATS,
+  EU_VAT_COUNTRIES,
+  normalizeTaxId,
+  checkTaxIdFormat
+};
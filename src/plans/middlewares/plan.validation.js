@@ -57,6 +57,24 @@ const planSchema = Joi.object({
         "array.min": "At least one feature is required",
         "any.required": "Features are required",
     }),
+    quotas: Joi.array().items(
+        Joi.object({
+            feature: Joi.string().required(),
+            limit: Joi.number().min(0).required(),
+            period: Joi.string().valid("day", "month", "year", "billing_period", "lifetime"),
+            description: Joi.string().allow(""),
+        })
+    ),
+    meteredPricing: Joi.array().items(
+        Joi.object({
+            feature: Joi.string().required(),
+            unitPrice: Joi.number().min(0).required(),
+            unitSize: Joi.number().integer().min(1),
+            currency: Joi.string().length(3),
+            description: Joi.string().allow(""),
+        })
+    ),
+    includesPlans: Joi.array().items(Joi.string()),
     advancedFeatures: Joi.array().items(
         Joi.object({
             name: Joi.string().required(),
@@ -58,6 +58,64 @@ const planSchema = new mongoose.Schema(
             },
         ],
 
+        // Usage limits granted by this plan, keyed by feature (e.g. 50 AI advisor queries/month)
+        quotas: [
+            {
+                feature: {
+                    type: String,
+                    required: true,
+                    trim: true,
+                },
+                limit: {
+                    type: Number,
+                    required: true,
+                    min: 0,
+                },
+                period: {
+                    type: String,
+                    enum: ["day", "month", "year", "billing_period", "lifetime"],
+                    default: "month",
+                },
+                description: String,
+            },
+        ],
+
+        // Price charged for usage beyond the plan's quota, per feature
+        meteredPricing: [
+            {
+                feature: {
+                    type: String,
+                    required: true,
+                    trim: true,
+                },
+                unitPrice: {
+                    type: Number,
+                    required: true,
+                    min: 0,
+                },
+                // Number of units covered by one unitPrice (e.g. 10 SMS alerts)
+                unitSize: {
+                    type: Number,
+                    default: 1,
+                    min: 1,
+                },
+                currency: {
+                    type: String,
+                    default: "USD",
+                    uppercase: true,
+                },
+                description: String,
+            },
+        ],
+
+        // Plans whose features are granted along with this one (e.g. Infinity includes Diamond)
+        includesPlans: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Plan",
+            },
+        ],
+
         advancedFeatures: [
             {
                 name: {
@@ -240,4 +298,17 @@ planSchema.statics.findByCategory = function (category) {
     return this.find({ category, isActive: true, isDeleted: false });
 };
 
+// Any plan change can alter what users are entitled to
+const clearEntitlementCache = () => {
+    const UserEntitlement = require("./userEntitlement.model");
+    UserEntitlement.deleteMany({}).catch((error) =>
+        console.error("Failed to clear entitlement cache:", error.message)
+    );
+};
+
+planSchema.post("save", clearEntitlementCache);
+planSchema.post("findOneAndUpdate", clearEntitlementCache);
+planSchema.post("findOneAndDelete", clearEntitlementCache);
+planSchema.post("updateMany", clearEntitlementCache);
+
 module.exports = mongoose.model("Plan", planSchema, "plans");
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// Resolved entitlements are rebuilt at least this often even without an invalidation
+const CACHE_TTL_SECONDS = 15 * 60;
+
+/**
+ * Cached entitlement resolution per user, shared by every app instance
+ */
+const userEntitlementSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            unique: true,
+        },
+        entitlements: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        resolvedAt: {
+            type: Date,
+            default: Date.now,
+            expires: CACHE_TTL_SECONDS,
+        },
+    },
+    {
+        timestamps: false,
+    }
+);
+
+module.exports = mongoose.model("UserEntitlement", userEntitlementSchema);
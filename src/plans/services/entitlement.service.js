@@ -0,0 +1,355 @@
+const Plan = require("../models/plan.model");
+const UserEntitlement = require("../models/userEntitlement.model");
+const User = require("../../user/models/user.model");
+
+const CACHE_MAX_AGE_MS = 15 * 60 * 1000;
+
+// Subscription statuses that no longer grant the package's features
+const INACTIVE_STATUSES = ["inactive", "cancelled", "suspended", "expired", "paused"];
+
+// User.subscription values whose plan category differs from their name
+const PACKAGE_CATEGORIES = {
+    "Eagle Ultimate": "ultimate",
+};
+
+/**
+ * Legacy package tables
+ * Only used for users whose package has no Plan document yet
+ */
+const LEGACY_PACKAGE_HIERARCHY = {
+    None: 0,
+    Basic: 1,
+    Diamond: 2,
+    Infinity: 3,
+    Script: 2, // Same level as Diamond but different features
+};
+
+const LEGACY_PACKAGE_FEATURES = {
+    None: [],
+    Basic: [
+        "market_education",
+        "basic_chat_room",
+        "basic_market_updates",
+        "email_support",
+    ],
+    Diamond: [
+        "stock_alerts",
+        "ai_advisor",
+        "option_alerts",
+        "diamond_chat_room",
+        "live_trading_stream",
+        "investment_recommendations",
+        "watchlists",
+        "unusual_options_activity",
+        "ai_stock_breakouts",
+        "analyst_grades",
+        "darkpool_ideas",
+    ],
+    Infinity: [
+        "advanced_market_screening",
+        "professional_quant_scripts",
+        "infinity_advisory_tickets",
+        "portfolio_review_stream",
+        "priority_sms_alerts",
+        "enhanced_ai_advisor",
+        "complete_education_library",
+        "custom_analysis_tools",
+        "vip_advisory_support",
+        "infinity_discord_channels",
+        "infinity_trading_chat",
+        "infinity_challenges",
+        "24_7_market_monitoring",
+    ],
+    Script: [
+        "trading_scripts",
+        "script_notifications",
+        "technical_analysis_tools",
+        "script_education",
+    ],
+};
+
+/**
+ * Entitlement Service - Resolves what a user may access from the plans and
+ * add-ons they hold
+ */
+class EntitlementService {
+    /**
+     * Normalize a plan feature label ("AI Advisor") to its key ("ai_advisor")
+     */
+    toFeatureKey(feature) {
+        return String(feature)
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "_")
+            .replace(/^_+|_+$/g, "");
+    }
+
+    toPlanName(packageName) {
+        return String(packageName)
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-")
+            .replace(/^-+|-+$/g, "");
+    }
+
+    /**
+     * Get a user's entitlements, from cache when fresh
+     */
+    async getEntitlements(userId, options = {}) {
+        const { refresh = false } = options;
+
+        if (!refresh) {
+            const cached = await UserEntitlement.findOne({ userId }).lean();
+            if (cached && Date.now() - new Date(cached.resolvedAt).getTime() < CACHE_MAX_AGE_MS) {
+                return cached.entitlements;
+            }
+        }
+
+        const entitlements = await this.resolve(userId);
+
+        await UserEntitlement.findOneAndUpdate(
+            { userId },
+            { entitlements, resolvedAt: new Date() },
+            { upsert: true }
+        );
+
+        return entitlements;
+    }
+
+    async invalidate(userId) {
+        await UserEntitlement.deleteOne({ userId });
+    }
+
+    /**
+     * Find the Plan document behind a User.subscription package name
+     */
+    async findPackagePlan(packageName) {
+        const name = this.toPlanName(packageName);
+        const category = PACKAGE_CATEGORIES[packageName] || name;
+
+        const plans = await Plan.find({
+            isActive: true,
+            isDeleted: false,
+            planType: { $ne: "addon" },
+            $or: [{ name }, { category }],
+        }).sort({ accessLevel: -1 });
+
+        return plans.find((plan) => plan.name === name) || plans[0] || null;
+    }
+
+    /**
+     * Build entitlements from the user's subscription, add-ons and included plans
+     */
+    async resolve(userId) {
+        const user = await User.findById(userId)
+            .select("subscription subscriptionStatus addons")
+            .populate("addons.plan");
+
+        if (!user) {
+            throw new Error("User not found");
+        }
+
+        const packageName = user.subscription || "None";
+        const hasActivePackage = packageName !== "None" && !INACTIVE_STATUSES.includes(user.subscriptionStatus);
+        const held = [];
+        let legacy = false;
+
+        if (hasActivePackage) {
+            const plan = await this.findPackagePlan(packageName);
+            if (plan) {
+                held.push({ plan, source: "subscription" });
+            } else {
+                legacy = true;
+            }
+        }
+
+        const now = new Date();
+        for (const addon of user.addons || []) {
+            const plan = addon.plan;
+            if (
+                addon.status === "active" &&
+                plan && plan.isActive && !plan.isDeleted &&
+                (!addon.endDate || addon.endDate > now)
+            ) {
+                held.push({ plan, source: "addon" });
+            }
+        }
+
+        const allPlans = await this.expandIncludedPlans(held);
+
+        return this.merge(allPlans, {
+            userId: user._id,
+            packageName: hasActivePackage ? packageName : "None",
+            subscriptionStatus: user.subscriptionStatus,
+            legacy,
+        });
+    }
+
+    /**
+     * Add every plan reachable through includesPlans, once each
+     */
+    async expandIncludedPlans(held) {
+        const result = [...held];
+        const seen = new Set(held.map(({ plan }) => String(plan._id)));
+        let queue = held;
+
+        while (queue.length) {
+            const next = [];
+
+            for (const { plan } of queue) {
+                const ids = (plan.includesPlans || [])
+                    .map((id) => String(id._id || id))
+                    .filter((id) => !seen.has(id));
+                if (!ids.length) continue;
+
+                const included = await Plan.find({ _id: { $in: ids }, isActive: true, isDeleted: false });
+                for (const includedPlan of included) {
+                    seen.add(String(includedPlan._id));
+                    next.push({ plan: includedPlan, source: "included", includedBy: plan.name });
+                }
+            }
+
+            result.push(...next);
+            queue = next;
+        }
+
+        return result;
+    }
+
+    /**
+     * Merge features and quotas across plans
+     * Subscription and included plans take the highest quota; add-ons add on top
+     */
+    merge(held, context) {
+        const features = new Map();
+        const quotas = new Map();
+        let accessLevel = 0;
+
+        const grantFeature = (label, grantedBy) => {
+            const key = this.toFeatureKey(label);
+            if (!key) return;
+            if (!features.has(key)) {
+                features.set(key, { key, name: label, grantedBy: [] });
+            }
+            features.get(key).grantedBy.push(grantedBy);
+        };
+
+        for (const { plan, source } of held) {
+            accessLevel = Math.max(accessLevel, plan.accessLevel || 0);
+
+            (plan.features || []).forEach((feature) => grantFeature(feature, plan.name));
+            (plan.advancedFeatures || []).forEach((feature) => grantFeature(feature.name, plan.name));
+
+            for (const quota of plan.quotas || []) {
+                const feature = this.toFeatureKey(quota.feature);
+                const period = quota.period || "month";
+                const key = `${feature}:${period}`;
+                const existing = quotas.get(key);
+
+                if (!existing) {
+                    quotas.set(key, { feature, period, limit: quota.limit, grantedBy: [plan.name] });
+                } else {
+                    existing.limit = source === "addon"
+                        ? existing.limit + quota.limit
+                        : Math.max(existing.limit, quota.limit);
+                    existing.grantedBy.push(plan.name);
+                }
+            }
+        }
+
+        if (context.legacy) {
+            const legacyFeatures = [...(LEGACY_PACKAGE_FEATURES[context.packageName] || [])];
+            if (context.packageName === "Infinity") {
+                legacyFeatures.push(...LEGACY_PACKAGE_FEATURES.Diamond);
+            }
+            legacyFeatures.forEach((feature) => grantFeature(feature, context.packageName));
+            accessLevel = Math.max(accessLevel, LEGACY_PACKAGE_HIERARCHY[context.packageName] || 0);
+        }
+
+        return {
+            userId: context.userId,
+            package: context.packageName,
+            subscriptionStatus: context.subscriptionStatus,
+            legacy: context.legacy,
+            accessLevel,
+            plans: held.map(({ plan, source, includedBy }) => ({
+                id: plan._id,
+                name: plan.name,
+                displayName: plan.displayName,
+                planType: plan.planType,
+                category: plan.category,
+                accessLevel: plan.accessLevel,
+                source,
+                ...(includedBy && { includedBy }),
+            })),
+            features: [...features.keys()],
+            featureDetails: [...features.values()],
+            quotas: [...quotas.values()],
+            resolvedAt: new Date(),
+        };
+    }
+
+    hasFeature(entitlements, feature) {
+        return entitlements.features.includes(this.toFeatureKey(feature));
+    }
+
+    getQuota(entitlements, feature, period = null) {
+        const key = this.toFeatureKey(feature);
+        return entitlements.quotas.find(
+            (quota) => quota.feature === key && (!period || quota.period === period)
+        ) || null;
+    }
+
+    /**
+     * Check package-level access: holding the package, or a higher access level
+     */
+    async hasPackage(entitlements, packageName) {
+        const name = this.toPlanName(packageName);
+        const category = PACKAGE_CATEGORIES[packageName] || name;
+
+        if (entitlements.package === packageName) return true;
+        if (entitlements.plans.some((plan) => plan.name === name || plan.category === category)) {
+            return true;
+        }
+
+        if (entitlements.legacy) {
+            const required = LEGACY_PACKAGE_HIERARCHY[packageName];
+            return required !== undefined && entitlements.accessLevel >= required;
+        }
+
+        const requiredPlan = await this.findPackagePlan(packageName);
+        const requiredLevel = requiredPlan ? requiredPlan.accessLevel : LEGACY_PACKAGE_HIERARCHY[packageName];
+        return requiredLevel !== undefined && entitlements.accessLevel >= requiredLevel;
+    }
+
+    /**
+     * Feature keys offered by each active plan
+     */
+    async getCatalog() {
+        const plans = await Plan.findActive().sort({ sortOrder: 1, accessLevel: 1 });
+
+        return plans.reduce((catalog, plan) => {
+            catalog[plan.name] = {
+                displayName: plan.displayName,
+                planType: plan.planType,
+                accessLevel: plan.accessLevel,
+                features: [
+                    ...(plan.features || []),
+                    ...(plan.advancedFeatures || []).map((feature) => feature.name),
+                ].map((feature) => this.toFeatureKey(feature)),
+                quotas: (plan.quotas || []).map((quota) => ({
+                    feature: this.toFeatureKey(quota.feature),
+                    limit: quota.limit,
+                    period: quota.period,
+                })),
+            };
+            return catalog;
+        }, {});
+    }
+}
+
+const entitlementService = new EntitlementService();
+entitlementService.LEGACY_PACKAGE_HIERARCHY = LEGACY_PACKAGE_HIERARCHY;
+entitlementService.LEGACY_PACKAGE_FEATURES = LEGACY_PACKAGE_FEATURES;
+
+module.exports = entitlementService;
@@ -7,9 +7,15 @@ const {
     deleteTemplate,
     createTemplateVersion,
     approveTemplate,
+    validateContractTemplate,
     publishTemplate,
     getTemplateStatistics,
-    cloneTemplate
+    cloneTemplate,
+    getTemplateDiff,
+    startReconsentCampaign,
+    getReconsentCampaigns,
+    getReconsentCampaign,
+    cancelReconsentCampaign
 } = require('../contract/controllers/enhancedContract.controller');
 
 const { protect } = require('../middlewares/auth.middleware');
@@ -76,9 +82,16 @@ router.post('/:templateId/versions', requireRole(['admin', 'manager']), createTe
  */
 router.post('/:templateId/approve', requireRole(['admin']), approveTemplate);
 
+/**
+ * @route   POST /api/contract-templates/:templateId/validate
+ * @desc    Validate template syntax and variable usage
+ * @access  Admin, Manager
+ */
+router.post('/:templateId/validate', requireRole(['admin', 'manager']), validateContractTemplate);
+
 /**
  * @route   POST /api/contract-templates/:templateId/publish
- * @desc    Publish contract template
+ * @desc    Publish contract template; body.startReconsent also starts a re-consent campaign
  * @access  Admin only
  */
 router.post('/:templateId/publish', requireRole(['admin']), publishTemplate);
@@ -97,4 +110,39 @@ router.get('/:templateId/statistics', requireRole(['admin', 'manager']), getTemp
  */
 router.post('/:templateId/clone', requireRole(['admin', 'manager']), cloneTemplate);
 
+/**
+ * @route   GET /api/contract-templates/:templateId/diff?from=&to=
+ * @desc    Clause-level diff of rendered content and placeholders between two versions
+ * @access  Admin, Manager
+ */
+router.get('/:templateId/diff', requireRole(['admin', 'manager']), getTemplateDiff);
+
+/**
+ * @route   GET /api/contract-templates/:templateId/reconsent-campaigns
+ * @desc    List re-consent campaigns of a template
+ * @access  Admin, Manager
+ */
+router.get('/:templateId/reconsent-campaigns', requireRole(['admin', 'manager']), getReconsentCampaigns);
+
+/**
+ * @route   POST /api/contract-templates/:templateId/reconsent-campaigns
+ * @desc    Issue the published version to subscribers on older versions
+ * @access  Admin only
+ */
+router.post('/:templateId/reconsent-campaigns', requireRole(['admin']), startReconsentCampaign);
+
+/**
+ * @route   GET /api/contract-templates/:templateId/reconsent-campaigns/:campaignId
+ * @desc    Get re-consent campaign progress
+ * @access  Admin, Manager
+ */
+router.get('/:templateId/reconsent-campaigns/:campaignId', requireRole(['admin', 'manager']), getReconsentCampaign);
+
+/**
+ * @route   POST /api/contract-templates/:templateId/reconsent-campaigns/:campaignId/cancel
+ * @desc    Cancel a running re-consent campaign
+ * @access  Admin only
+ */
+router.post('/:templateId/reconsent-campaigns/:campaignId/cancel', requireRole(['admin']), cancelReconsentCampaign);
+
 module.exports = router;
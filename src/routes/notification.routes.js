@@ -10,9 +10,37 @@ const { protect, restrictTo } = require('../middlewares/auth.middleware');
  *   description: User notification management
  */
 
-// All routes require authentication
+/**
+ * @route GET /api/notifications/unsubscribe
+ * @desc Signed unsubscribe link from an email; redirects to the confirmation page without changing anything
+ * @access Public
+ */
+router.get('/unsubscribe', notificationController.showUnsubscribe);
+
+/**
+ * @route POST /api/notifications/unsubscribe
+ * @desc Confirm an unsubscribe, or one-click unsubscribe (List-Unsubscribe-Post)
+ * @access Public
+ */
+router.post('/unsubscribe', notificationController.confirmUnsubscribe);
+
+// All other routes require authentication
 router.use(protect);
 
+/**
+ * @route GET /api/notifications/preferences
+ * @desc Get notification preferences per channel (email, sms, inApp) and category
+ * @access Private
+ */
+router.get('/preferences', notificationController.getPreferences);
+
+/**
+ * @route PUT /api/notifications/preferences
+ * @desc Update notification preferences, e.g. { email: { marketing: false } }
+ * @access Private
+ */
+router.put('/preferences', notificationController.updatePreferences);
+
 /**
  * @route GET /api/notifications
  * @desc Get user notifications
@@ -4,7 +4,9 @@ const { protect } = require("../middlewares/auth.middleware");
 const {
   requirePackage,
   requireFeature,
+  loadEntitlements,
 } = require("../middlewares/packageAccess.middleware");
+const entitlementService = require("../plans/services/entitlement.service");
 
 /**
  * @swagger
@@ -16,27 +18,78 @@ const {
 // Protect all package routes
 router.use(protect);
 
-// Get user's package features
-router.get("/features", (req, res) => {
-  res.json({
-    success: true,
-    message: "Package features retrieved successfully",
-    data: {
-      basic: ["Education", "Community", "Basic Alerts"],
-      diamond: ["AI Advisor", "Live Streams", "Premium Alerts"],
-      infinity: ["All Diamond Features", "VIP Support", "Advanced Tools"],
-      script: ["Trading Scripts", "Technical Analysis"]
-    }
-  });
+// Get the current user's merged entitlements (plans, add-ons, features, quotas)
+router.get("/entitlements", async (req, res, next) => {
+  try {
+    const entitlements = await entitlementService.getEntitlements(req.user._id, {
+      refresh: req.query.refresh === "true",
+    });
+    req.entitlements = entitlements;
+
+    res.json({
+      success: true,
+      message: "Entitlements retrieved successfully",
+      data: entitlements,
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Check access to specific routes/features
-router.post("/access/check", (req, res) => {
-  res.json({
-    success: true,
-    message: "Access check completed",
-    hasAccess: true
-  });
+// Get features offered by each plan and the ones the user holds
+router.get("/features", async (req, res, next) => {
+  try {
+    const [catalog, entitlements] = await Promise.all([
+      entitlementService.getCatalog(),
+      loadEntitlements(req),
+    ]);
+
+    res.json({
+      success: true,
+      message: "Package features retrieved successfully",
+      data: catalog,
+      userFeatures: entitlements.features,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check access to specific packages/features
+router.post("/access/check", async (req, res, next) => {
+  try {
+    const { feature, package: packageName, accessLevel } = req.body;
+
+    if (!feature && !packageName && accessLevel === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide a feature, package or accessLevel to check",
+      });
+    }
+
+    const entitlements = await loadEntitlements(req);
+    const checks = {};
+
+    if (feature) {
+      checks.feature = entitlementService.hasFeature(entitlements, feature);
+    }
+    if (packageName) {
+      checks.package = await entitlementService.hasPackage(entitlements, packageName);
+    }
+    if (accessLevel !== undefined) {
+      checks.accessLevel = entitlements.accessLevel >= Number(accessLevel);
+    }
+
+    res.json({
+      success: true,
+      message: "Access check completed",
+      hasAccess: Object.values(checks).every(Boolean),
+      checks,
+      quota: feature ? entitlementService.getQuota(entitlements, feature) : undefined,
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
 // Get upgrade suggestions
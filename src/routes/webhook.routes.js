@@ -14,10 +14,14 @@ const {
     deleteWebhook,
     regenerateSecret,
     testWebhook,
-    getWebhookDeliveries
+    getWebhookDeliveries,
+    getWebhookOutbox,
+    replayDelivery,
+    replayDeliveries
 } = require('../controllers/webhookController');
 const paymentWebhookController = require('../controllers/paymentWebhook.controller');
 const stripeWebhookController = require('../controllers/stripeWebhook.controller');
+const communicationWebhookController = require('../controllers/communicationWebhook.controller');
 const { protect, restrictTo, adminOnly } = require('../middlewares/auth.middleware');
 
 // ========================================
@@ -31,6 +35,53 @@ router.post('/stripe', express.raw({ type: 'application/json' }), stripeWebhookC
 // PayPal webhook handler  
 router.post('/paypal', express.json(), paymentWebhookController.handlePayPalWebhook);
 
+// ========================================
+// EMAIL & SMS DELIVERABILITY WEBHOOKS (Public - Verified per provider)
+// Bounces, complaints and opt-outs feed the suppression list
+// ========================================
+
+/**
+ * @swagger
+ * /api/webhooks/sendgrid:
+ *   post:
+ *     summary: SendGrid Event Webhook (bounces, drops, spam reports, unsubscribes)
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Events recorded
+ *       401:
+ *         description: Invalid signature
+ */
+router.post('/sendgrid', communicationWebhookController.handleSendGridWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/postmark:
+ *   post:
+ *     summary: Postmark bounce, spam complaint and subscription change webhook
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Events recorded
+ *       401:
+ *         description: Invalid webhook token
+ */
+router.post('/postmark', communicationWebhookController.handlePostmarkWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/twilio:
+ *   post:
+ *     summary: Twilio inbound SMS (STOP/START) and status callback webhook
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Empty TwiML response
+ *       401:
+ *         description: Invalid signature
+ */
+router.post('/twilio', express.urlencoded({ extended: false }), communicationWebhookController.handleTwilioWebhook);
+
 // All routes below require authentication and admin privileges
 router.use(protect);
 router.use(adminOnly);
@@ -49,6 +100,9 @@ router.route('/:id')
 router.post('/:id/regenerate-secret', regenerateSecret);
 router.post('/:id/test', testWebhook);
 router.get('/:id/deliveries', getWebhookDeliveries);
+router.get('/:id/outbox', getWebhookOutbox);
+router.post('/:id/deliveries/replay', replayDeliveries);
+router.post('/:id/deliveries/:deliveryId/replay', replayDelivery);
 
 // ========================================
 // ADMIN TRANSACTION ROUTES (Auth Required)
@@ -1,5 +1,6 @@
 // Email service for sending various types of emails
 const nodemailer = require('nodemailer');
+const suppressionService = require('./suppression.service');
 
 // Create reusable transporter using Gmail
 const createTransporter = () => {
@@ -22,6 +23,21 @@ const sendEmail = async (to, subject, htmlContent, textContent = null) => {
     console.log(`📧 [EMAIL SERVICE] Sending email to: ${to}`);
     console.log(`📧 [EMAIL SERVICE] Subject: ${subject}`);
 
+    // Comma-separated lists are checked address by address
+    const { allowed, suppressed } = await suppressionService.filterRecipients('EMAIL', to);
+    suppressed.forEach(({ address, reason }) => {
+      console.warn(`🚫 [EMAIL SERVICE] Not sending to ${address}: on the suppression list (${reason})`);
+    });
+    if (allowed.length === 0) {
+      return {
+        success: false,
+        suppressed: true,
+        error: 'Recipient is on the suppression list',
+        to,
+        subject
+      };
+    }
+
     const transporter = createTransporter();
 
     if (!transporter) {
@@ -34,7 +50,7 @@ const sendEmail = async (to, subject, htmlContent, textContent = null) => {
 
     const mailOptions = {
       from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-      to: to,
+      to: allowed.join(', '),
       subject: subject,
       html: htmlContent,
       text: textContent || htmlContent.replace(/<[^>]*>/g, ''), // Strip HTML for text version
@@ -229,6 +245,110 @@ const sendContractConfirmationEmail = async (email, name, contractId, productTyp
   }
 };
 
+/**
+ * Send a signing request to a signer whose turn in the routing order has come
+ */
+const sendContractSigningRequestEmail = async ({ email, name, title, signingUrl, expiresAt }) => {
+  try {
+    const subject = `Please sign: "${title}"`;
+
+    const formattedExpiry = new Date(expiresAt).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Signature Request</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Signature Requested</h1>
+          </div>
+
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${name},</h2>
+
+            <p style="font-size: 16px; margin-bottom: 20px;">
+              You have been asked to review and sign <strong>${title}</strong>. The signing link expires on ${formattedExpiry}.
+            </p>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${signingUrl}" style="background: #667eea; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                Review and Sign
+              </a>
+            </div>
+          </div>
+        </body>
+      </html>
+    `;
+
+    return await sendEmail(email, subject, htmlContent);
+  } catch (error) {
+    console.error("❌ Error sending contract signing request email:", error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send a reminder to a signer whose contract is still waiting for a signature
+ */
+const sendContractReminderEmail = async ({ email, name, title, signingUrl, expiresAt, daysLeft }) => {
+  try {
+    const subject = daysLeft <= 1
+      ? `Reminder: "${title}" expires tomorrow`
+      : `Reminder: "${title}" expires in ${daysLeft} days`;
+
+    const formattedExpiry = new Date(expiresAt).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    const htmlContent = `
+      <!DOCTYPE html>
+      <html>
+        <head>
+          <meta charset="utf-8">
+          <title>Contract Reminder</title>
+        </head>
+        <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center; border-radius: 10px 10px 0 0;">
+            <h1 style="margin: 0; font-size: 28px;">Your Signature Is Needed</h1>
+          </div>
+
+          <div style="background: #f8f9fa; padding: 30px; border-radius: 0 0 10px 10px;">
+            <h2 style="color: #333; margin-bottom: 20px;">Hello ${name},</h2>
+
+            <p style="font-size: 16px; margin-bottom: 20px;">
+              <strong>${title}</strong> is still waiting for your signature. The signing link expires on ${formattedExpiry}.
+            </p>
+
+            <div style="text-align: center; margin: 30px 0;">
+              <a href="${signingUrl}" style="background: #667eea; color: white; padding: 14px 28px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+                Review and Sign
+              </a>
+            </div>
+
+            <p style="font-size: 14px; color: #666;">
+              If you have already signed, you can ignore this email.
+            </p>
+          </div>
+        </body>
+      </html>
+    `;
+
+    return await sendEmail(email, subject, htmlContent);
+  } catch (error) {
+    console.error("❌ Error sending contract reminder email:", error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Send subscription confirmation email with account credentials and plan details
  * For guest users who purchased a subscription
@@ -429,5 +549,7 @@ module.exports = {
   sendAccountActivationEmail,
   sendWelcomeEmail,
   sendContractConfirmationEmail,
+  sendContractSigningRequestEmail,
+  sendContractReminderEmail,
   sendSubscriptionConfirmationEmail,
 };
\ No newline at end of file
@@ -1,4 +1,19 @@
 const Notification = require('../models/notification.model');
+const notificationPreferences = require('./notificationPreference.service');
+
+// Notification category => preference category; the others, system notices
+// included, are always delivered
+const PREFERENCE_CATEGORIES = {
+    subscription: 'billing',
+    payment: 'billing',
+    marketing: 'marketing'
+};
+
+// Warnings and errors, such as a failed payment, are service messages whatever their category
+const TRANSACTIONAL_TYPES = ['warning', 'error'];
+
+const getPreferenceCategory = (category, type) =>
+    (TRANSACTIONAL_TYPES.includes(type) ? null : PREFERENCE_CATEGORIES[category]);
 
 /**
  * Notification Service
@@ -7,6 +22,8 @@ const Notification = require('../models/notification.model');
 class NotificationService {
     /**
      * Create a notification for a user
+     * Returns null without creating one when the user has opted out of the
+     * category in-app
      */
     static async createNotification({
         userId,
@@ -20,6 +37,11 @@ class NotificationService {
         expiresAt = null
     }) {
         try {
+            const preferenceCategory = getPreferenceCategory(category, type);
+            if (preferenceCategory && !(await notificationPreferences.isUserAllowed(userId, 'inApp', preferenceCategory))) {
+                return null;
+            }
+
             return await Notification.createNotification({
                 userId,
                 title,
@@ -177,12 +199,17 @@ class NotificationService {
      * Send bulk notifications to multiple users
      */
     static async sendBulkNotifications(userIds, notificationData) {
-        const notifications = userIds.map(userId => ({
-            userId,
-            ...notificationData
-        }));
-
         try {
+            const preferenceCategory = getPreferenceCategory(notificationData.category, notificationData.type);
+            const recipients = preferenceCategory
+                ? await notificationPreferences.filterUserIds('inApp', preferenceCategory, userIds)
+                : userIds;
+
+            const notifications = recipients.map(userId => ({
+                userId,
+                ...notificationData
+            }));
+
             return await Notification.insertMany(notifications);
         } catch (error) {
             console.error('Error sending bulk notifications:', error);
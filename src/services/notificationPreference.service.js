@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../user/models/user.model');
+const suppressionService = require('./suppression.service');
+
+const CHANNELS = ['email', 'sms', 'inApp'];
+
+// Categories a subscriber can opt out of; every other message is transactional
+const CATEGORIES = ['billing', 'productAlerts', 'marketing'];
+
+// Channel defaults while the user has made no choice
+const DEFAULTS = {
+    email: { billing: true, productAlerts: true, marketing: false },
+    sms: { billing: true, productAlerts: false, marketing: false },
+    inApp: { billing: true, productAlerts: true, marketing: true }
+};
+
+const CATEGORY_LABELS = {
+    billing: 'billing emails',
+    productAlerts: 'product alert emails',
+    marketing: 'marketing emails'
+};
+
+const createError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Notification Preference Service
+ * Per channel and category opt-outs for subscribers, and the signed
+ * unsubscribe links that optional-category emails carry. Transactional
+ * messages are never filtered here; the suppression list still applies.
+ */
+class NotificationPreferenceService {
+    isOptional(category) {
+        return CATEGORIES.includes(category);
+    }
+
+    /**
+     * Effective channel x category matrix for a user
+     */
+    resolve(user) {
+        const preferences = user?.preferences || {};
+        const chosen = preferences.notifications || {};
+        const resolved = {};
+
+        CHANNELS.forEach(channel => {
+            resolved[channel] = {};
+            CATEGORIES.forEach(category => {
+                const value = chosen[channel]?.[category];
+                resolved[channel][category] = typeof value === 'boolean'
+                    ? value
+                    : this.getDefault(preferences, channel, category);
+            });
+        });
+
+        return resolved;
+    }
+
+    // Accounts that never used the preference center fall back to the older flags
+    getDefault(preferences, channel, category) {
+        if (channel === 'email') {
+            if (category === 'marketing') return preferences.marketingEmails === true;
+            if (preferences.emailNotifications === false) return false;
+        }
+        return DEFAULTS[channel][category];
+    }
+
+    isAllowed(user, channel, category) {
+        if (!this.isOptional(category)) return true;
+        return this.resolve(user)[channel][category];
+    }
+
+    async isUserAllowed(userId, channel, category) {
+        if (!this.isOptional(category)) return true;
+
+        const user = await User.findById(userId).select('preferences');
+        return !user || this.isAllowed(user, channel, category);
+    }
+
+    /**
+     * Drop users who opted out of this category on this channel
+     */
+    async filterUserIds(channel, category, userIds) {
+        if (!this.isOptional(category)) return userIds;
+
+        const users = await User.find({ _id: { $in: userIds } }).select('preferences');
+        const optedOut = new Set(users
+            .filter(user => !this.isAllowed(user, channel, category))
+            .map(user => String(user._id)));
+
+        return userIds.filter(userId => !optedOut.has(String(userId)));
+    }
+
+    /**
+     * Split email or SMS recipients by their account's preferences; addresses
+     * without an account have none to honour
+     * @returns {Object} - { allowed, accounts (user or null per allowed recipient), optedOut: [address] }
+     */
+    async filterRecipients(channel, category, recipients) {
+        const list = suppressionService.splitRecipients(recipients);
+        const addressChannel = channel === 'sms' ? 'SMS' : 'EMAIL';
+        const addresses = list.map(recipient => suppressionService.normalizeAddress(addressChannel, recipient.email || recipient));
+
+        if (!this.isOptional(category)) {
+            return { allowed: list, accounts: list.map(() => null), optedOut: [] };
+        }
+
+        const query = channel === 'sms'
+            ? { phone: { $in: addresses.filter(Boolean).flatMap(address => [address, address.slice(1)]) } }
+            : { email: { $in: addresses.filter(Boolean) } };
+        const users = await User.find(query).select('email phone preferences');
+        const byAddress = new Map(users.map(user => [
+            suppressionService.normalizeAddress(addressChannel, channel === 'sms' ? user.phone : user.email),
+            user
+        ]));
+
+        const allowed = [];
+        const accounts = [];
+        const optedOut = [];
+        list.forEach((recipient, index) => {
+            const user = byAddress.get(addresses[index]) || null;
+            if (user && !this.isAllowed(user, channel, category)) {
+                optedOut.push(addresses[index]);
+            } else {
+                allowed.push(recipient);
+                accounts.push(user);
+            }
+        });
+
+        return { allowed, accounts, optedOut };
+    }
+
+    async getPreferences(userId) {
+        const user = await User.findById(userId).select('preferences');
+        if (!user) {
+            throw createError(404, 'User not found');
+        }
+        return this.format(user);
+    }
+
+    /**
+     * Apply opt-in/opt-out changes
+     * @param {Object} updates - e.g. { email: { marketing: false }, sms: { billing: true } }
+     * @param {string} via - preference_center, unsubscribe_link, list_unsubscribe or admin
+     */
+    async updatePreferences(userId, updates = {}, via = 'preference_center') {
+        const $set = {};
+
+        Object.entries(updates || {}).forEach(([channel, categories]) => {
+            if (!CHANNELS.includes(channel) || !categories || typeof categories !== 'object') {
+                throw createError(400, `Unknown notification channel: ${channel}`);
+            }
+            Object.entries(categories).forEach(([category, enabled]) => {
+                if (!CATEGORIES.includes(category)) {
+                    throw createError(400, `Unknown notification category: ${category}`);
+                }
+                if (typeof enabled !== 'boolean') {
+                    throw createError(400, `${channel}.${category} must be true or false`);
+                }
+                $set[`preferences.notifications.${channel}.${category}`] = enabled;
+            });
+        });
+
+        if (Object.keys($set).length === 0) {
+            throw createError(400, 'No preference changes given');
+        }
+
+        // Keep the older flag in step for code that still reads it
+        const marketing = $set['preferences.notifications.email.marketing'];
+        if (marketing !== undefined) $set['preferences.marketingEmails'] = marketing;
+
+        $set['preferences.notifications.updatedAt'] = new Date();
+        $set['preferences.notifications.updatedVia'] = via;
+
+        const user = await User.findByIdAndUpdate(userId, { $set }, { new: true, runValidators: true }).select('preferences');
+        if (!user) {
+            throw createError(404, 'User not found');
+        }
+        return this.format(user);
+    }
+
+    format(user) {
+        const notifications = user.preferences?.notifications || {};
+        return {
+            channels: CHANNELS,
+            categories: CATEGORIES,
+            preferences: this.resolve(user),
+            updatedAt: notifications.updatedAt,
+            updatedVia: notifications.updatedVia
+        };
+    }
+
+    /**
+     * Opt a user out of email for the category named in a signed link
+     */
+    async unsubscribe(token, via = 'unsubscribe_link') {
+        const claims = this.verifyUnsubscribeToken(token);
+        if (!claims) {
+            throw createError(400, 'Invalid unsubscribe link');
+        }
+
+        const categories = claims.category === 'all' ? CATEGORIES : [claims.category];
+        const email = Object.fromEntries(categories.map(category => [category, false]));
+        const result = await this.updatePreferences(claims.userId, { email }, via);
+
+        return { ...result, category: claims.category };
+    }
+
+    /**
+     * Signed token naming a user and the category to opt out of ('all' covers
+     * every optional category). It does not expire: links in old emails must
+     * keep working.
+     */
+    createUnsubscribeToken(userId, category = 'all') {
+        const payload = Buffer.from(JSON.stringify({ u: String(userId), c: category })).toString('base64url');
+        return `${payload}.${this.sign(payload)}`;
+    }
+
+    verifyUnsubscribeToken(token) {
+        const [payload, signature] = String(token || '').split('.');
+        if (!payload || !signature) return null;
+
+        const expected = Buffer.from(this.sign(payload));
+        const received = Buffer.from(signature);
+        if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+
+        try {
+            const { u: userId, c: category } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+            if (!mongoose.Types.ObjectId.isValid(userId) || (category !== 'all' && !CATEGORIES.includes(category))) {
+                return null;
+            }
+            return { userId, category };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    sign(payload) {
+        const secret = process.env.NOTIFICATION_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+        if (!secret) {
+            throw new Error('NOTIFICATION_UNSUBSCRIBE_SECRET is not configured');
+        }
+        return crypto.createHmac('sha256', secret).update(`unsubscribe:${payload}`).digest('base64url');
+    }
+
+    getUnsubscribeUrl(userId, category) {
+        const baseUrl = process.env.APP_URL || 'http://localhost:5000';
+        return `${baseUrl}/api/notifications/unsubscribe?token=${this.createUnsubscribeToken(userId, category)}`;
+    }
+
+    getPreferenceCenterUrl() {
+        return `${process.env.FRONTEND_URL || process.env.CLIENT_URL || 'http://localhost:3000'}/settings/notifications`;
+    }
+
+    /**
+     * Add the unsubscribe footer, template variables and List-Unsubscribe
+     * headers to an optional-category email. Links are per user, so without a
+     * single recipient account the footer points at the preference center and
+     * no one-click header is set.
+     */
+    addUnsubscribe(emailData, category, user = null) {
+        const preferencesUrl = this.getPreferenceCenterUrl();
+        const unsubscribeUrl = user ? this.getUnsubscribeUrl(user._id, category) : preferencesUrl;
+        const message = {
+            ...emailData,
+            templateData: { ...emailData.templateData, unsubscribeUrl, preferencesUrl }
+        };
+
+        if (user) {
+            message.headers = {
+                ...emailData.headers,
+                'List-Unsubscribe': `<${unsubscribeUrl}>`,
+                'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+            };
+        }
+
+        const label = CATEGORY_LABELS[category];
+        if (message.html) {
+            const footer = '<p style="margin-top:24px;font-size:12px;color:#6b7280;text-align:center;">'
+                + `You are receiving ${label} from Eagle. `
+                + `<a href="${unsubscribeUrl}">Unsubscribe</a> &middot; <a href="${preferencesUrl}">Manage email preferences</a></p>`;
+            message.html = /<\/body>/i.test(message.html)
+                ? message.html.replace(/<\/body>/i, `${footer}</body>`)
+                : `${message.html}${footer}`;
+        }
+        if (message.text) {
+            message.text = `${message.text}\n\n--\nUnsubscribe from ${label}: ${unsubscribeUrl}\nManage email preferences: ${preferencesUrl}`;
+        }
+
+        return message;
+    }
+}
+
+module.exports = new NotificationPreferenceService();
@@ -0,0 +1,391 @@
+const Suppression = require('../integrations/models/suppression.model');
+const User = require('../user/models/user.model');
+
+// Events kept on a suppression record
+const MAX_EVENTS = 20;
+
+// Event type => suppression reason; the rest only update counters or lift
+const SUPPRESSING_EVENTS = {
+    HARD_BOUNCE: 'HARD_BOUNCE',
+    SPAM_COMPLAINT: 'SPAM_COMPLAINT',
+    INVALID_ADDRESS: 'INVALID_ADDRESS',
+    UNSUBSCRIBE: 'UNSUBSCRIBE',
+    SMS_STOP: 'SMS_STOP'
+};
+
+// Opt-in events lift only the opt-out they reverse
+const LIFTING_EVENTS = {
+    RESUBSCRIBE: 'UNSUBSCRIBE',
+    SMS_START: 'SMS_STOP'
+};
+
+// SMS flags only distinguish these; other reasons show as 'suppressed'
+const SMS_DELIVERABILITY_STATUSES = ['invalid', 'opted_out'];
+
+// What a suppression reason shows as on the user
+const DELIVERABILITY_STATUSES = {
+    HARD_BOUNCE: 'bounced',
+    SOFT_BOUNCE: 'soft_bounced',
+    SPAM_COMPLAINT: 'complained',
+    INVALID_ADDRESS: 'invalid',
+    UNSUBSCRIBE: 'unsubscribed',
+    SMS_STOP: 'opted_out',
+    MANUAL: 'suppressed'
+};
+
+/**
+ * Suppression Service
+ * Central do-not-send list for email and SMS. Provider webhooks record
+ * bounces, complaints and opt-outs here; every send path checks it first.
+ * Soft bounces suppress an address for EMAIL_SOFT_BOUNCE_SUPPRESSION_HOURS
+ * once EMAIL_SOFT_BOUNCE_LIMIT of them arrive in a row.
+ */
+class SuppressionService {
+    constructor() {
+        this.softBounceLimit = parseInt(process.env.EMAIL_SOFT_BOUNCE_LIMIT, 10) || 3;
+        this.softBounceHours = parseInt(process.env.EMAIL_SOFT_BOUNCE_SUPPRESSION_HOURS, 10) || 72;
+    }
+
+    normalizeAddress(channel, address) {
+        const value = String(address || '').trim();
+        if (channel === 'SMS') {
+            const digits = value.replace(/[^\d]/g, '');
+            return digits ? `+${digits}` : '';
+        }
+        // "Name <user@example.com>" => user@example.com
+        const match = value.match(/<([^>]+)>/);
+        return (match ? match[1] : value).trim().toLowerCase();
+    }
+
+    /**
+     * Active suppression for an address, or null
+     */
+    async getActiveSuppression(channel, address) {
+        const normalized = this.normalizeAddress(channel, address);
+        if (!normalized) return null;
+
+        const suppression = await Suppression.findOne({ channel, address: normalized, status: 'ACTIVE' });
+        return suppression && suppression.isActive() ? suppression : null;
+    }
+
+    async isSuppressed(channel, address) {
+        return Boolean(await this.getActiveSuppression(channel, address));
+    }
+
+    /**
+     * Split recipients into those we may send to and those on the list
+     * @returns {Object} - { allowed, suppressed: [{ address, reason }] }
+     */
+    async filterRecipients(channel, recipients) {
+        const list = this.splitRecipients(recipients);
+        const addresses = list.map(recipient => this.normalizeAddress(channel, recipient.email || recipient.address || recipient));
+
+        const suppressions = await Suppression.find({
+            channel,
+            address: { $in: addresses.filter(Boolean) },
+            status: 'ACTIVE'
+        });
+        const active = new Map(suppressions.filter(suppression => suppression.isActive())
+            .map(suppression => [suppression.address, suppression]));
+
+        const allowed = [];
+        const suppressed = [];
+        list.forEach((recipient, index) => {
+            const suppression = active.get(addresses[index]);
+            if (suppression) {
+                suppressed.push({ address: addresses[index], reason: suppression.reason });
+            } else {
+                allowed.push(recipient);
+            }
+        });
+
+        return { allowed, suppressed };
+    }
+
+    /**
+     * Recipients as a list; "a@x.com, B <b@x.com>" strings are split, keeping
+     * commas inside quoted names
+     */
+    splitRecipients(recipients) {
+        return (Array.isArray(recipients) ? recipients : [recipients])
+            .flatMap(recipient => (typeof recipient === 'string'
+                ? recipient.match(/(?:"[^"]*"|<[^>]*>|[^,;])+/g) || []
+                : [recipient]))
+            .map(recipient => (typeof recipient === 'string' ? recipient.trim() : recipient))
+            .filter(Boolean);
+    }
+
+    /**
+     * Drop suppressed addresses from a nodemailer message's to, cc and bcc
+     * @returns {Object} - { message, suppressed }; message is null when no
+     *   primary recipient is left
+     */
+    async filterEmailMessage(message) {
+        const filtered = { ...message };
+        const suppressed = [];
+
+        for (const field of ['to', 'cc', 'bcc']) {
+            if (!message[field]) continue;
+            const result = await this.filterRecipients('EMAIL', message[field]);
+            suppressed.push(...result.suppressed);
+            filtered[field] = result.allowed.length > 0 ? result.allowed : undefined;
+        }
+
+        return { message: filtered.to ? filtered : null, suppressed };
+    }
+
+    /**
+     * Apply one provider event to the list
+     * @param {Object} event - channel, type, address, provider, providerEventId, description, occurredAt
+     * @returns {Object|null} - the suppression record, or null when the event changes nothing
+     */
+    async recordEvent(event) {
+        try {
+            return await this.applyEvent(event);
+        } catch (error) {
+            // Two first events for one address raced to insert; apply this one to the winner's record
+            if (error.code === 11000) {
+                return this.applyEvent(event);
+            }
+            throw error;
+        }
+    }
+
+    async applyEvent(event) {
+        const channel = event.channel || 'EMAIL';
+        const address = this.normalizeAddress(channel, event.address);
+        if (!address) return null;
+
+        const occurredAt = event.occurredAt ? new Date(event.occurredAt) : new Date();
+        let suppression = await Suppression.findOne({ channel, address });
+
+        if (!suppression) {
+            // Nothing to lift or reset for an address we have never seen
+            if (!SUPPRESSING_EVENTS[event.type] && event.type !== 'SOFT_BOUNCE') return null;
+
+            suppression = new Suppression({
+                channel,
+                address,
+                reason: SUPPRESSING_EVENTS[event.type] || 'SOFT_BOUNCE',
+                status: 'LIFTED'
+            });
+        } else if (event.providerEventId && suppression.events.some(existing => existing.providerEventId === event.providerEventId)) {
+            // Providers retry webhooks; an event already applied is skipped
+            return suppression;
+        }
+
+        const wasActive = suppression.isActive(occurredAt);
+
+        if (SUPPRESSING_EVENTS[event.type]) {
+            // A permanent reason replaces a temporary one but not another permanent one
+            if (!wasActive || !suppression.isPermanent()) {
+                this.activate(suppression, SUPPRESSING_EVENTS[event.type], event, occurredAt);
+            }
+        } else if (event.type === 'SOFT_BOUNCE') {
+            suppression.softBounceCount += 1;
+            if (!wasActive && suppression.softBounceCount >= this.softBounceLimit) {
+                this.activate(suppression, 'SOFT_BOUNCE', event, occurredAt);
+                suppression.expiresAt = new Date(occurredAt.getTime() + this.softBounceHours * 60 * 60 * 1000);
+            }
+        } else if (event.type === 'DELIVERED') {
+            suppression.softBounceCount = 0;
+        } else if (LIFTING_EVENTS[event.type]) {
+            if (wasActive && suppression.reason === LIFTING_EVENTS[event.type]) {
+                suppression.status = 'LIFTED';
+                suppression.lifted = { at: occurredAt, reason: `${event.type} from ${event.provider || 'provider'}` };
+            }
+        } else {
+            return null;
+        }
+
+        suppression.lastEventAt = occurredAt;
+        suppression.events.push({
+            type: event.type,
+            provider: event.provider,
+            providerEventId: event.providerEventId,
+            description: event.description,
+            occurredAt
+        });
+        if (suppression.events.length > MAX_EVENTS) {
+            suppression.events.splice(0, suppression.events.length - MAX_EVENTS);
+        }
+
+        await suppression.save();
+        await this.syncUser(suppression);
+        return suppression;
+    }
+
+    activate(suppression, reason, event, occurredAt) {
+        suppression.reason = reason;
+        suppression.status = 'ACTIVE';
+        suppression.provider = event.provider;
+        suppression.description = event.description;
+        suppression.suppressedAt = occurredAt;
+        suppression.expiresAt = undefined;
+        suppression.lifted = undefined;
+    }
+
+    async recordEvents(events) {
+        const results = [];
+        for (const event of events) {
+            try {
+                results.push(await this.recordEvent(event));
+            } catch (error) {
+                console.error(`Failed to record ${event.type} for ${event.address}:`, error.message);
+            }
+        }
+        return results.filter(Boolean);
+    }
+
+    /**
+     * Suppress an address by hand
+     */
+    async suppress({ channel = 'EMAIL', address, reason = 'MANUAL', description }, adminId) {
+        const normalized = this.normalizeAddress(channel, address);
+        if (!normalized) {
+            throw new Error('A valid address is required');
+        }
+
+        let suppression = await Suppression.findOne({ channel, address: normalized });
+        if (!suppression) {
+            suppression = new Suppression({ channel, address: normalized, reason, createdBy: adminId });
+        }
+
+        this.activate(suppression, reason, { provider: 'admin', description }, new Date());
+        suppression.lastEventAt = suppression.suppressedAt;
+        suppression.events.push({ type: reason, provider: 'admin', description, occurredAt: suppression.suppressedAt });
+
+        try {
+            await suppression.save();
+        } catch (error) {
+            // A provider event created the record first; suppress that one
+            if (error.code === 11000 && suppression.isNew) {
+                return this.suppress({ channel, address, reason, description }, adminId);
+            }
+            throw error;
+        }
+        await this.syncUser(suppression);
+        return suppression;
+    }
+
+    /**
+     * Allow sending to a suppressed address again
+     */
+    async lift(suppressionId, { reason } = {}, adminId) {
+        const suppression = await Suppression.findById(suppressionId);
+        if (!suppression) {
+            throw new Error('Suppression not found');
+        }
+        if (suppression.status === 'LIFTED') {
+            throw new Error('Suppression is already lifted');
+        }
+
+        suppression.status = 'LIFTED';
+        suppression.softBounceCount = 0;
+        suppression.lifted = { at: new Date(), by: adminId, reason };
+        await suppression.save();
+        await this.syncUser(suppression);
+        return suppression;
+    }
+
+    /**
+     * Lift soft-bounce suppressions whose window has passed, so user flags catch up
+     */
+    async liftExpired(now = new Date()) {
+        const expired = await Suppression.find({ status: 'ACTIVE', expiresAt: { $lte: now } });
+
+        for (const suppression of expired) {
+            suppression.status = 'LIFTED';
+            suppression.softBounceCount = 0;
+            suppression.lifted = { at: now, reason: 'Soft bounce suppression expired' };
+            await suppression.save();
+            await this.syncUser(suppression);
+        }
+
+        return { lifted: expired.length };
+    }
+
+    async listSuppressions(filters = {}) {
+        const page = parseInt(filters.page) || 1;
+        const limit = Math.min(parseInt(filters.limit) || 20, 100);
+        const query = {};
+
+        if (filters.channel) query.channel = String(filters.channel).toUpperCase();
+        if (filters.status) query.status = String(filters.status).toUpperCase();
+        if (filters.reason) query.reason = String(filters.reason).toUpperCase();
+        if (filters.userId) query.userId = filters.userId;
+        if (filters.search) {
+            query.address = { $regex: String(filters.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+        }
+
+        const [suppressions, total] = await Promise.all([
+            Suppression.find(query)
+                .select('-events')
+                .populate('userId', 'firstName lastName email')
+                .sort({ lastEventAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Suppression.countDocuments(query)
+        ]);
+
+        return {
+            data: suppressions,
+            total,
+            page,
+            pages: Math.ceil(total / limit)
+        };
+    }
+
+    async getSuppression(suppressionId) {
+        const suppression = await Suppression.findById(suppressionId).populate('userId', 'firstName lastName email');
+        if (!suppression) {
+            throw new Error('Suppression not found');
+        }
+        return suppression;
+    }
+
+    /**
+     * Mirror the suppression onto the matching user's deliverability flags
+     */
+    async syncUser(suppression) {
+        const query = suppression.channel === 'EMAIL'
+            ? { email: suppression.address }
+            : { phone: { $in: [suppression.address, suppression.address.slice(1)] } };
+        const user = suppression.userId
+            ? await User.findById(suppression.userId).select('_id')
+            : await User.findOne(query).select('_id');
+
+        if (!user) return null;
+
+        if (!suppression.userId) {
+            suppression.userId = user._id;
+            await suppression.save();
+        }
+
+        const active = suppression.isActive();
+        const flags = {
+            status: 'deliverable',
+            suppressed: active,
+            reason: active ? suppression.reason : undefined,
+            suppressionId: suppression._id,
+            lastEventAt: suppression.lastEventAt,
+            updatedAt: new Date()
+        };
+
+        if (suppression.channel === 'EMAIL') {
+            if (active) flags.status = DELIVERABILITY_STATUSES[suppression.reason];
+            else if (suppression.softBounceCount > 0) flags.status = 'soft_bounced';
+            flags.softBounceCount = suppression.softBounceCount;
+        } else if (active) {
+            const status = DELIVERABILITY_STATUSES[suppression.reason];
+            flags.status = SMS_DELIVERABILITY_STATUSES.includes(status) ? status : 'suppressed';
+        }
+
+        const field = suppression.channel === 'EMAIL' ? 'emailDeliverability' : 'smsDeliverability';
+        await User.updateOne({ _id: user._id }, { $set: { [field]: flags } });
+
+        return user._id;
+    }
+}
+
+module.exports = new SuppressionService();
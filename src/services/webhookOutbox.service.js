@@ -0,0 +1,271 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookOutbox = require('../models/WebhookOutbox');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { deliverWebhook } = require('../controllers/webhookController');
+
+// How long a worker may hold an entry before another one can reclaim it
+const CLAIM_TTL_MS = 5 * 60 * 1000;
+
+// Retry delays per webhook retryPolicy
+const EXPONENTIAL_BASE_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const LINEAR_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Webhook Outbox Service
+ * Persists every outgoing webhook before delivery so pending deliveries survive
+ * restarts; a worker delivers them with backoff and dead-letters the ones that
+ * keep failing
+ */
+class WebhookOutboxService {
+    constructor() {
+        this.workerId = `${os.hostname()}:${process.pid}`;
+        this.autoDisableThreshold = parseInt(process.env.WEBHOOK_AUTO_DISABLE_THRESHOLD, 10) || 20;
+    }
+
+    /**
+     * Queue one delivery per webhook for an event
+     */
+    async enqueue(webhooks, eventName, payload, userId = null) {
+        if (!webhooks.length) return [];
+
+        return WebhookOutbox.insertMany(webhooks.map(webhook => ({
+            webhook: webhook._id,
+            event: eventName,
+            payload,
+            triggeredBy: mongoose.isValidObjectId(userId) ? userId : undefined,
+            status: 'pending',
+            nextAttemptAt: new Date()
+        })));
+    }
+
+    /**
+     * Atomically claim the next due entry so two workers never send it twice
+     */
+    async claimNext(now = new Date()) {
+        return WebhookOutbox.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', nextAttemptAt: { $lte: now } },
+                    // Entries left behind by a worker that died mid-delivery
+                    { status: 'processing', lockedUntil: { $lte: now } }
+                ]
+            },
+            {
+                $set: {
+                    status: 'processing',
+                    lockedBy: this.workerId,
+                    lockedUntil: new Date(now.getTime() + CLAIM_TTL_MS)
+                }
+            },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Deliver due outbox entries; called by the scheduled worker
+     */
+    async processDue(options = {}) {
+        const { limit = 100 } = options;
+        const results = { processed: 0, delivered: 0, retrying: 0, deadLettered: 0 };
+
+        while (results.processed < limit) {
+            const entry = await this.claimNext();
+            if (!entry) break;
+
+            const outcome = await this.attempt(entry);
+            results.processed++;
+            results[outcome]++;
+        }
+
+        return results;
+    }
+
+    /**
+     * Make one delivery attempt for a claimed entry
+     * @returns {Promise<'delivered'|'retrying'|'deadLettered'>}
+     */
+    async attempt(entry) {
+        const webhook = await Webhook.findById(entry.webhook);
+
+        if (!webhook || !webhook.enabled || webhook.status !== 'active') {
+            await this.deadLetter(entry, webhook ? 'Webhook endpoint is disabled' : 'Webhook endpoint was deleted');
+            return 'deadLettered';
+        }
+
+        const attempt = entry.attempts + 1;
+        let result;
+        try {
+            result = await deliverWebhook(webhook, entry.event, entry.payload, {
+                attempt,
+                outboxId: entry._id
+            });
+        } catch (error) {
+            result = { success: false, statusCode: 0, error: error.message };
+        }
+
+        entry.attempts = attempt;
+        entry.lastAttemptAt = new Date();
+        entry.lastStatusCode = result.statusCode;
+        entry.lockedBy = null;
+        entry.lockedUntil = null;
+
+        if (result.success) {
+            entry.status = 'delivered';
+            entry.deliveredAt = new Date();
+            entry.lastError = undefined;
+            await entry.save();
+
+            if (webhook.consecutiveFailures > 0) {
+                await Webhook.updateOne({ _id: webhook._id }, { $set: { consecutiveFailures: 0 } });
+            }
+            return 'delivered';
+        }
+
+        entry.lastError = (result.error || 'Delivery failed').substring(0, 1000);
+        await this.recordEndpointFailure(webhook);
+
+        // maxRetries counts retries after the first attempt
+        if (webhook.retryPolicy === 'none' || attempt > webhook.maxRetries) {
+            await this.deadLetter(entry, entry.lastError);
+            return 'deadLettered';
+        }
+
+        entry.status = 'pending';
+        entry.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(webhook.retryPolicy, attempt));
+        await entry.save();
+        return 'retrying';
+    }
+
+    getRetryDelay(retryPolicy, attempt) {
+        if (retryPolicy === 'linear') {
+            return LINEAR_DELAY_MS * attempt;
+        }
+        return Math.min(EXPONENTIAL_BASE_MS * Math.pow(2, attempt - 1), MAX_BACKOFF_MS);
+    }
+
+    async deadLetter(entry, reason) {
+        entry.status = 'dead_letter';
+        entry.deadLetteredAt = new Date();
+        entry.lastError = reason;
+        entry.lockedBy = null;
+        entry.lockedUntil = null;
+        await entry.save();
+    }
+
+    /**
+     * Count the failure against the endpoint and disable it past the threshold
+     */
+    async recordEndpointFailure(webhook) {
+        const updated = await Webhook.findOneAndUpdate(
+            { _id: webhook._id },
+            { $inc: { consecutiveFailures: 1 } },
+            { new: true }
+        );
+
+        if (updated && updated.enabled && updated.consecutiveFailures >= this.autoDisableThreshold) {
+            await Webhook.updateOne({ _id: webhook._id, enabled: true }, {
+                $set: {
+                    enabled: false,
+                    status: 'error',
+                    disabledAt: new Date(),
+                    disabledReason: `Automatically disabled after ${updated.consecutiveFailures} consecutive failed deliveries`
+                }
+            });
+            console.warn(`⚠️ Webhook ${webhook.name} disabled after ${updated.consecutiveFailures} consecutive failures`);
+        }
+    }
+
+    /**
+     * Queue a fresh copy of a past delivery
+     * Accepts an outbox entry id or a delivery attempt log id
+     */
+    async replay(webhookId, deliveryId, userId) {
+        let source = await WebhookOutbox.findOne({ _id: deliveryId, webhook: webhookId });
+
+        if (!source) {
+            const attemptLog = await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhookId });
+            if (!attemptLog) return null;
+
+            source = attemptLog.outbox
+                ? await WebhookOutbox.findById(attemptLog.outbox)
+                : null;
+
+            // Attempts logged before the outbox existed are replayed from the log itself
+            if (!source) {
+                return WebhookOutbox.create({
+                    webhook: webhookId,
+                    event: attemptLog.event,
+                    payload: attemptLog.payload,
+                    replayedBy: userId,
+                    status: 'pending',
+                    nextAttemptAt: new Date()
+                });
+            }
+        }
+
+        return WebhookOutbox.create({
+            webhook: source.webhook,
+            event: source.event,
+            payload: source.payload,
+            triggeredBy: source.triggeredBy,
+            replayOf: source._id,
+            replayedBy: userId,
+            status: 'pending',
+            nextAttemptAt: new Date()
+        });
+    }
+
+    /**
+     * Replay every matching delivery created in a time range
+     */
+    async replayRange(webhookId, { from, to, status = 'dead_letter', event }, userId) {
+        const query = {
+            webhook: webhookId,
+            createdAt: { $gte: from, $lte: to }
+        };
+        if (status !== 'all') {
+            query.status = status;
+        }
+        if (event) {
+            query.event = event;
+        }
+
+        const sources = await WebhookOutbox.find(query).sort({ createdAt: 1 });
+        if (!sources.length) return [];
+
+        return WebhookOutbox.insertMany(sources.map(source => ({
+            webhook: source.webhook,
+            event: source.event,
+            payload: source.payload,
+            triggeredBy: source.triggeredBy,
+            replayOf: source._id,
+            replayedBy: userId,
+            status: 'pending',
+            nextAttemptAt: new Date()
+        })));
+    }
+
+    async getOutbox(webhookId, options = {}) {
+        const { status, page = 1, limit = 20 } = options;
+        const query = { webhook: webhookId };
+        if (status) {
+            query.status = status;
+        }
+
+        const [entries, total] = await Promise.all([
+            WebhookOutbox.find(query)
+                .select('-payload')
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit),
+            WebhookOutbox.countDocuments(query)
+        ]);
+
+        return { entries, total, page, pages: Math.ceil(total / limit) };
+    }
+}
+
+module.exports = new WebhookOutboxService();
@@ -1,5 +1,5 @@
 const Webhook = require('../models/Webhook');
-const { deliverWebhook } = require('../controllers/webhookController');
+const webhookOutbox = require('./webhookOutbox.service');
 
 /**
  * Webhook Trigger Service
@@ -43,25 +43,18 @@ class WebhookTriggerService {
                 triggeredBy: userId
             };
 
-            // Trigger all webhooks (don't wait for completion)
-            const deliveryPromises = webhooks.map(webhook =>
-                deliverWebhook(webhook, eventName, eventPayload)
-                    .catch(error => {
-                        console.error(`Failed to deliver webhook ${webhook.name}:`, error.message);
-                        return { success: false, error: error.message };
-                    })
-            );
+            // Persist to the outbox first so a restart cannot lose the delivery
+            await webhookOutbox.enqueue(webhooks, eventName, eventPayload, userId);
 
-            // Don't block - fire and forget (webhooks are async)
-            Promise.all(deliveryPromises).then(results => {
-                const successCount = results.filter(r => r.success).length;
-                console.log(`✅ Webhooks delivered: ${successCount}/${webhooks.length} for event: ${eventName}`);
+            // Start delivering right away; the scheduled worker picks up anything left
+            webhookOutbox.processDue({ limit: webhooks.length }).catch(error => {
+                console.error(`Failed to deliver webhooks for event ${eventName}:`, error.message);
             });
 
             return {
                 success: true,
                 webhooksTriggered: webhooks.length,
-                message: `${webhooks.length} webhook(s) triggered`
+                message: `${webhooks.length} webhook(s) queued`
             };
 
         } catch (error) {
@@ -195,6 +188,26 @@ class WebhookTriggerService {
         });
     }
 
+    /**
+     * Contract Events
+     */
+    async onContractExpired(contract) {
+        return this.triggerEvent('contract.expired', {
+            id: contract.id,
+            templateId: contract.templateId,
+            subscriberId: contract.subscriberId,
+            subscriptionId: contract.subscriptionId,
+            title: contract.title,
+            expiresAt: contract.dates.expires,
+            expiredAt: (contract.dates.expired || new Date()).toISOString(),
+            signers: contract.signers.map(signer => ({
+                signerId: signer.signerId,
+                email: signer.email,
+                status: signer.status
+            }))
+        });
+    }
+
     /**
      * Transaction Events
      */
@@ -4,6 +4,7 @@ const User = require('../../user/models/user.model');
 const { validationResult } = require('express-validator');
 const PDFDocument = require('pdfkit'); // You'll need to install this
 const nodemailer = require('nodemailer'); // You'll need to install this
+const suppressionService = require('../../services/suppression.service');
 
 class InvoiceController {
 
@@ -423,13 +424,27 @@ class InvoiceController {
         Eagle Trading Team
       `;
 
-      const mailOptions = {
+      const { message: mailOptions } = await suppressionService.filterEmailMessage({
         from: process.env.EMAIL_FROM || 'noreply@eagle-trading.com',
         to: emailRecipient,
         subject: emailSubject,
         text: emailMessage,
         html: emailMessage.replace(/\n/g, '<br>')
-      };
+      });
+
+      if (!mailOptions) {
+        invoice.emailAttempts.push({
+          recipient: emailRecipient,
+          status: 'failed',
+          emailType: 'invoice'
+        });
+        await invoice.save();
+
+        return res.status(409).json({
+          success: false,
+          message: 'Recipient is on the suppression list'
+        });
+      }
 
       await transporter.sendMail(mailOptions);
 
@@ -6,11 +6,16 @@ const AuditLog = require('../../admin/models/auditLog.model');
 const Payment = require('../../payment/models/payment.model');
 const Invoice = require('../../payment/models/invoice.model');
 const { DiscountCode, DiscountRedemption } = require('../../payment/models/discount.model');
+const CreditLedgerService = require('../../payment/services/creditLedger.service');
+const CreditNoteService = require('../../payment/services/creditNote.service');
 // Note: Dashboard models will be implemented when support module is available
 // const { SupportTicket, SupportNote } = require('../../dashboard/models/supportTicket.model');
 const mongoose = require('mongoose');
 const crypto = require('crypto');
 
+const creditLedger = new CreditLedgerService();
+const creditNotes = new CreditNoteService();
+
 /**
  * Complete Subscriber Lifecycle Controller
  * Handles all subscriber lifecycle operations including cancellation, refunds, payment updates, dunning
@@ -378,20 +383,37 @@ class CompleteSubscriberLifecycleController {
 
       // Handle credit issuance
       let creditBalance = null;
+      let creditEntry = null;
       if (issueCredit) {
-        const user = await User.findById(targetUserId);
-        user.billing.creditBalance = (user.billing.creditBalance || 0) + refundAmount;
-        user.billing.credits = user.billing.credits || [];
-        user.billing.credits.push({
-          amount: refundAmount,
+        const currency = refund.currency || 'USD';
+        creditEntry = await creditLedger.issueCredit(targetUserId, refundAmount, {
+          currency,
+          source: 'refund',
           reason: `Refund credit: ${reason}`,
-          issuedAt: new Date(),
           expiresAt: creditExpirationDays ?
-            new Date(Date.now() + creditExpirationDays * 24 * 60 * 60 * 1000) : null,
-          issuedBy: processedBy || req.user?._id
+            new Date(Date.now() + creditExpirationDays * 24 * 60 * 60 * 1000) : undefined,
+          referenceType: 'refund',
+          referenceId: refund._id,
+          idempotencyKey: `refund_${refund._id}`,
+          createdBy: processedBy || req.user?._id
         });
-        await user.save();
-        creditBalance = user.billing.creditBalance;
+        creditBalance = await creditLedger.getBalance(targetUserId, currency);
+      }
+
+      // Correct the invoice the payment settled; a failure is queued for retry
+      let creditNote = null;
+      let creditNoteRequest = null;
+      if (paymentToRefund.invoiceId) {
+        ({ creditNote, request: creditNoteRequest } = await creditNotes.requestCreditNote(paymentToRefund.invoiceId, {
+          amount: refundAmount,
+          reason: 'REFUND',
+          memo: reason,
+          settlement: issueCredit ? 'account_credit' : 'refund',
+          creditLedgerEntryId: creditEntry?._id,
+          refund: issueCredit ? undefined : { provider: paymentToRefund.paymentMethod, paymentId: refund._id },
+          createdBy: processedBy || req.user?._id,
+          idempotencyKey: `refund_${refund._id}`
+        }));
       }
 
       // Log the refund
@@ -407,6 +429,8 @@ class CompleteSubscriberLifecycleController {
           reason,
           issueCredit,
           creditBalance,
+          creditNoteId: creditNote?._id,
+          creditNoteRequestId: creditNoteRequest?._id,
           ipAddress: req?.ip
         }
       });
@@ -432,7 +456,13 @@ class CompleteSubscriberLifecycleController {
           refundedAmount: paymentToRefund.refundedAmount,
           status: paymentToRefund.status
         },
-        creditBalance: creditBalance
+        creditBalance: creditBalance,
+        creditNote: creditNote ? {
+          id: creditNote._id,
+          number: creditNote.creditNoteNumber,
+          total: creditNote.amounts.total
+        } : null,
+        creditNotePending: !!creditNoteRequest
       };
 
       if (isInternalCall) {
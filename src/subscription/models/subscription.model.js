@@ -153,6 +153,8 @@ const subscriptionSchema = new mongoose.Schema(
     }],
 
     // Proration and Credits
+    // Legacy balance only; proration credit is now issued to the customer
+    // credit ledger and carried over by CreditLedgerService.migrateLegacyCredits
     proratedCredits: {
       type: Number,
       default: 0,
@@ -329,6 +331,18 @@ subscriptionSchema.statics.calculateChurnRisk = function (subscription, userActi
   return { score, level, factors };
 };
 
+// Subscription changes can alter what the user is entitled to
+const invalidateEntitlements = (doc) => {
+  if (!doc?.userId) return;
+  const entitlementService = require("../../plans/services/entitlement.service");
+  entitlementService.invalidate(doc.userId._id || doc.userId).catch((error) =>
+    console.error("Failed to invalidate entitlements:", error.message)
+  );
+};
+
+subscriptionSchema.post("save", invalidateEntitlements);
+subscriptionSchema.post("findOneAndUpdate", invalidateEntitlements);
+
 module.exports = mongoose.model("Subscription", subscriptionSchema);
 
 
@@ -7,8 +7,11 @@
 const User = require('../../user/models/user.model');
 const MembershipPlan = require('../models/membershipPlan.model');
 const Subscription = require('../models/subscription.model');
+const CreditLedgerService = require('../../payment/services/creditLedger.service');
 const mongoose = require('mongoose');
 
+const creditLedger = new CreditLedgerService();
+
 class SubscriptionManagementService {
 
     /**
@@ -380,6 +383,7 @@ class SubscriptionManagementService {
             // Calculate proration if immediate upgrade
             let proratedCredit = 0;
             let immediateCharge = 0;
+            let carryOverCredit = 0;
 
             if (newPlan.subscriptionRules.upgradePolicy === 'immediate' || upgradeData.immediate) {
                 const remainingDays = this.calculateRemainingDays(subscription.nextBillingDate);
@@ -391,15 +395,27 @@ class SubscriptionManagementService {
                 // Charge for new plan prorated
                 immediateCharge = (newPrice * remainingDays) / totalDaysInCycle;
 
-                // Net charge
+                // Net charge; any unused value the charge does not absorb becomes account credit
                 const netCharge = immediateCharge - proratedCredit;
+                carryOverCredit = Math.max(0, -netCharge);
                 immediateCharge = Math.max(0, netCharge);
             }
 
             // Update subscription
             subscription.planId = newPlan._id;
             subscription.currentPrice = newPrice;
-            subscription.proratedCredits += proratedCredit;
+
+            if (carryOverCredit > 0) {
+                await creditLedger.issueCredit(subscription.userId._id, carryOverCredit, {
+                    currency: subscription.currency,
+                    source: 'proration',
+                    reason: `Unused time on ${currentPlan.name} after upgrade to ${newPlan.name}`,
+                    referenceType: 'subscription',
+                    referenceId: subscription._id,
+                    createdBy: upgradeData.userId,
+                    session
+                });
+            }
 
             // Add to metadata
             subscription.metadata.set('previousPlan', currentPlan.name);
@@ -458,7 +474,8 @@ class SubscriptionManagementService {
                     fromPlan: currentPlan.name,
                     toPlan: newPlan.name,
                     proratedCredit,
-                    immediateCharge
+                    immediateCharge,
+                    accountCredit: carryOverCredit
                 },
                 message: 'Subscription upgraded successfully'
             };
@@ -506,11 +523,7 @@ class SubscriptionManagementService {
             const immediateDowngrade = downgradePolicy === 'immediate' || downgradeData.immediate;
 
             if (immediateDowngrade) {
-                // Immediate downgrade
-                subscription.planId = newPlan._id;
-                subscription.currentPrice = newPrice;
-
-                // Calculate credit for remaining period
+                // Calculate credit for remaining period at the price being left
                 const remainingDays = this.calculateRemainingDays(subscription.nextBillingDate);
                 const totalDaysInCycle = this.getDaysInBillingCycle(subscription.billingCycle);
                 const currentPrice = subscription.currentPrice;
@@ -519,7 +532,21 @@ class SubscriptionManagementService {
                 const newPlanCharge = (newPrice * remainingDays) / totalDaysInCycle;
                 const netCredit = currentPlanCredit - newPlanCharge;
 
-                subscription.proratedCredits += Math.max(0, netCredit);
+                // Immediate downgrade
+                subscription.planId = newPlan._id;
+                subscription.currentPrice = newPrice;
+
+                if (netCredit > 0) {
+                    await creditLedger.issueCredit(subscription.userId._id, netCredit, {
+                        currency: subscription.currency,
+                        source: 'proration',
+                        reason: `Unused time on ${currentPlan.name} after downgrade to ${newPlan.name}`,
+                        referenceType: 'subscription',
+                        referenceId: subscription._id,
+                        createdBy: downgradeData.userId,
+                        session
+                    });
+                }
 
                 await subscription.save({ session });
 
@@ -0,0 +1,330 @@
+/**
+ * Subscription Renewal Service
+ * Background work for locally billed subscriptions: charging renewals,
+ * applying scheduled plan changes and ending trials
+ */
+
+const User = require('../../user/models/user.model');
+const MembershipPlan = require('../models/membershipPlan.model');
+const Subscription = require('../models/subscription.model');
+const Payment = require('../../payment/models/payment.model');
+const FailedPayment = require('../../payment/models/failedPayment.model');
+const DunningRetryService = require('../../payment/services/dunningRetry.service');
+const DunningEngineService = require('../../payment/services/dunningEngine.service');
+const paymentManager = require('../../integrations/managers/PaymentManager');
+const subscriptionManagementService = require('./subscriptionManagement.service');
+
+class SubscriptionRenewalService {
+    constructor() {
+        this.retryService = new DunningRetryService();
+        this.dunningEngine = new DunningEngineService();
+    }
+
+    /**
+     * Charge every locally billed subscription whose billing date has passed
+     * Stripe and PayPal subscriptions are skipped because the processor bills them itself
+     */
+    async processDueRenewals(options = {}) {
+        const { now = new Date(), limit = 200 } = options;
+
+        const dueSubscriptions = await Subscription.find({
+            status: 'active',
+            autoRenew: true,
+            nextBillingDate: { $lte: now },
+            stripeSubscriptionId: { $in: [null, ''] },
+            paypalSubscriptionId: { $in: [null, ''] }
+        })
+            .sort({ nextBillingDate: 1 })
+            .limit(limit);
+
+        const results = { processed: 0, renewed: 0, failed: 0, errors: [] };
+
+        for (const subscription of dueSubscriptions) {
+            try {
+                const outcome = await this.renewSubscription(subscription);
+                results.processed++;
+                if (outcome.renewed) results.renewed++;
+                else results.failed++;
+            } catch (error) {
+                console.error(`Renewal failed for subscription ${subscription._id}:`, error);
+                results.errors.push({ subscriptionId: subscription._id, error: error.message });
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Charge one subscription for its next period
+     */
+    async renewSubscription(subscription) {
+        const amount = subscription.currentPrice;
+        const periodKey = `renewal_${subscription._id}_${subscription.nextBillingDate.getTime()}`;
+
+        if (!amount || amount <= 0) {
+            await subscriptionManagementService.processSubscriptionRenewal(subscription._id);
+            return { renewed: true };
+        }
+
+        // Charged on an earlier run that stopped before the period was advanced
+        const existingPayment = await Payment.findOne({
+            subscriptionId: subscription._id,
+            status: 'succeeded',
+            'metadata.renewalKey': periodKey
+        });
+        if (existingPayment) {
+            await this.completeRenewal(subscription, existingPayment.amount);
+            return { renewed: true };
+        }
+
+        const paymentMethod = await this.retryService.resolvePaymentMethod({ userId: subscription.userId });
+
+        let result;
+        if (!paymentMethod) {
+            result = { success: false, error: { message: 'No usable payment method on file', code: 'no_payment_method' } };
+        } else {
+            try {
+                result = await paymentManager.chargeStoredPaymentMethod(paymentMethod, {
+                    amount,
+                    currency: subscription.currency,
+                    description: 'Subscription renewal',
+                    orderId: periodKey,
+                    userId: String(subscription.userId),
+                    metadata: { subscriptionId: String(subscription._id) },
+                    idempotencyKey: periodKey
+                });
+            } catch (error) {
+                result = { success: false, error: { message: error.message, code: 'processor_unavailable' } };
+            }
+        }
+
+        if (!result.success) {
+            await this.recordRenewalFailure(subscription, result.error || {}, periodKey, paymentMethod);
+            return { renewed: false, error: result.error };
+        }
+
+        const charge = result.data || {};
+        await Payment.create({
+            paymentId: Payment.generatePaymentId(),
+            userId: subscription.userId,
+            subscriptionId: subscription._id,
+            status: 'succeeded',
+            amount,
+            currency: subscription.currency || 'USD',
+            netAmount: amount,
+            paymentMethod: {
+                type: paymentMethod.type === 'bank' ? 'bank_account' : 'card',
+                details: {
+                    last4: paymentMethod.last4,
+                    brand: paymentMethod.brand
+                }
+            },
+            stripePaymentIntentId: result.provider === 'stripe' ? charge.id : undefined,
+            processedAt: new Date(),
+            description: 'Subscription renewal',
+            metadata: {
+                renewalKey: periodKey,
+                processor: result.provider,
+                processorPaymentId: String(charge.id || '')
+            }
+        });
+
+        paymentMethod.lastUsedAt = new Date();
+        paymentMethod.lastFailureCode = undefined;
+        await paymentMethod.save();
+
+        await this.completeRenewal(subscription, amount);
+
+        return { renewed: true };
+    }
+
+    /**
+     * Advance a paid subscription to its next period
+     */
+    async completeRenewal(subscription, amount) {
+        await subscriptionManagementService.processSubscriptionRenewal(subscription._id);
+        await Subscription.findByIdAndUpdate(subscription._id, { $inc: { totalPaid: amount } });
+    }
+
+    /**
+     * Move the subscription to past_due and hand the debt to dunning
+     */
+    async recordRenewalFailure(subscription, error, periodKey, paymentMethod) {
+        subscription.status = 'past_due';
+        subscription.billingAttempts = (subscription.billingAttempts || 0) + 1;
+        await subscription.save();
+
+        await User.findByIdAndUpdate(subscription.userId, { subscriptionStatus: 'past_due' });
+
+        if (paymentMethod) {
+            paymentMethod.lastFailureCode = error.declineCode || error.code;
+            await paymentMethod.save();
+        }
+
+        let failedPayment = await FailedPayment.findOne({ externalInvoiceId: periodKey });
+        if (!failedPayment) {
+            failedPayment = await FailedPayment.create({
+                customer: String(subscription.userId),
+                userId: subscription.userId,
+                subscriptionId: subscription._id,
+                externalInvoiceId: periodKey,
+                amount: subscription.currentPrice,
+                currency: subscription.currency,
+                reason: error.message || 'Renewal payment failed',
+                failureReason: error.message,
+                errorCode: error.code,
+                declineCode: error.declineCode || null,
+                status: 'failed'
+            });
+        }
+
+        await this.dunningEngine.enroll(failedPayment);
+    }
+
+    /**
+     * Apply plan changes, cancellations and pauses whose scheduled date has passed
+     */
+    async processScheduledChanges(options = {}) {
+        const { now = new Date() } = options;
+
+        const subscriptions = await Subscription.find({
+            scheduledChanges: {
+                $elemMatch: { status: 'scheduled', scheduledDate: { $lte: now } }
+            }
+        });
+
+        const results = { subscriptions: 0, applied: 0, errors: [] };
+
+        for (const subscription of subscriptions) {
+            results.subscriptions++;
+
+            const dueChanges = subscription.scheduledChanges
+                .filter(change => change.status === 'scheduled' && change.scheduledDate <= now)
+                .sort((a, b) => a.scheduledDate - b.scheduledDate);
+
+            for (const change of dueChanges) {
+                try {
+                    await this.applyScheduledChange(subscription, change);
+                    change.status = 'processed';
+                    change.processedAt = now;
+                    change.effectiveDate = now;
+                    results.applied++;
+                } catch (error) {
+                    console.error(`Scheduled change ${change._id} failed for subscription ${subscription._id}:`, error);
+                    results.errors.push({ subscriptionId: subscription._id, changeId: change._id, error: error.message });
+                }
+            }
+
+            await subscription.save();
+        }
+
+        return results;
+    }
+
+    async applyScheduledChange(subscription, change) {
+        switch (change.changeType) {
+            case 'plan_change': {
+                const newPlan = await MembershipPlan.findById(change.newPlanId);
+                if (!newPlan) {
+                    throw new Error('Scheduled plan no longer exists');
+                }
+
+                subscription.planId = newPlan._id;
+                subscription.currentPrice = newPlan.getPriceForCycle(subscription.billingCycle);
+
+                await User.findByIdAndUpdate(subscription.userId, {
+                    subscriptionPlanId: newPlan._id,
+                    subscription: newPlan.name
+                });
+                break;
+            }
+
+            case 'cancellation':
+                subscription.status = 'canceled';
+                subscription.autoRenew = false;
+                subscription.endDate = subscription.endDate || change.scheduledDate;
+
+                await User.findByIdAndUpdate(subscription.userId, {
+                    subscriptionStatus: 'cancelled',
+                    subscriptionEndDate: subscription.endDate
+                });
+                break;
+
+            case 'pause':
+                subscription.status = 'paused';
+                subscription.pausedAt = new Date();
+
+                await User.findByIdAndUpdate(subscription.userId, { subscriptionStatus: 'paused' });
+                break;
+
+            case 'resume':
+                subscription.status = 'active';
+                subscription.resumedAt = new Date();
+                subscription.pausedUntil = undefined;
+
+                await User.findByIdAndUpdate(subscription.userId, { subscriptionStatus: 'active' });
+                break;
+
+            default:
+                throw new Error(`Unsupported scheduled change: ${change.changeType}`);
+        }
+    }
+
+    /**
+     * End trials that have run out: convert to paid when a card is on file,
+     * otherwise expire the subscription
+     * Stripe and PayPal trials are skipped; the processor ends them itself
+     */
+    async processTrialExpirations(options = {}) {
+        const { now = new Date(), limit = 500 } = options;
+
+        const expiredTrials = await Subscription.find({
+            status: 'trial',
+            trialEndDate: { $lte: now },
+            stripeSubscriptionId: { $in: [null, ''] },
+            paypalSubscriptionId: { $in: [null, ''] }
+        }).limit(limit);
+
+        const results = { processed: 0, converted: 0, expired: 0, errors: [] };
+
+        for (const subscription of expiredTrials) {
+            try {
+                const paymentMethod = subscription.autoRenew
+                    ? await this.retryService.resolvePaymentMethod({ userId: subscription.userId })
+                    : null;
+
+                if (paymentMethod) {
+                    // The renewals job picks it up and charges the first period
+                    subscription.status = 'active';
+                    subscription.nextBillingDate = subscription.trialEndDate;
+                    await subscription.save();
+
+                    await User.findByIdAndUpdate(subscription.userId, {
+                        subscriptionStatus: 'active',
+                        nextBillingDate: subscription.trialEndDate
+                    });
+                    results.converted++;
+                } else {
+                    subscription.status = 'incomplete_expired';
+                    subscription.endDate = subscription.trialEndDate;
+                    subscription.autoRenew = false;
+                    await subscription.save();
+
+                    await User.findByIdAndUpdate(subscription.userId, {
+                        subscriptionStatus: 'expired',
+                        subscriptionEndDate: subscription.trialEndDate
+                    });
+                    results.expired++;
+                }
+                results.processed++;
+            } catch (error) {
+                console.error(`Trial expiration failed for subscription ${subscription._id}:`, error);
+                results.errors.push({ subscriptionId: subscription._id, error: error.message });
+            }
+        }
+
+        return results;
+    }
+}
+
+module.exports = SubscriptionRenewalService;
@@ -96,6 +96,15 @@ const transactionSchema = new mongoose.Schema({
         default: 'USD',
     },
 
+    // Exchange rate into the base currency at booking time
+    exchangeRateSnapshot: {
+        baseCurrency: String,
+        rate: Number,
+        rateDate: Date,
+        source: String,
+        capturedAt: Date,
+    },
+
     // Payment Service Provider (PSP) Details
     psp: {
         provider: {
@@ -414,6 +423,31 @@ transactionSchema.virtual('ageInDays').get(function () {
     return Math.floor((Date.now() - this.timeline.initiatedAt) / (1000 * 60 * 60 * 24));
 });
 
+// Shared so saves reuse one rate cache
+let currencyService = null;
+
+// Snapshot the exchange rate when the transaction is booked
+transactionSchema.pre('save', async function () {
+    // Saves that leave the amount and currency alone never need a rate
+    if (!this.isModified('amount') && !this.isModified('currency')) return;
+    // The booking-time rate stands unless the currency itself changed
+    if (this.exchangeRateSnapshot?.rate && (this.isNew || !this.isModified('currency'))) return;
+
+    try {
+        if (!currencyService) {
+            const CurrencyService = require('../../payment/services/currency.service');
+            currencyService = new CurrencyService();
+        }
+        this.exchangeRateSnapshot = await currencyService.getRateSnapshot(
+            this.currency,
+            this.timeline?.initiatedAt
+        );
+    } catch (error) {
+        // Reports fall back to the stored rate for the booking date
+        console.error('Exchange rate snapshot failed:', error.message);
+    }
+});
+
 // Pre-save middleware
 transactionSchema.pre('save', function (next) {
     // Calculate net amount if not set
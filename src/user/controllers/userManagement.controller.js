@@ -34,7 +34,10 @@ const transformUserForFrontend = (user) => {
         ...userObj,
         name,
         status,
-        isEmailVerified: userObj.emailVerified // Map for frontend compatibility
+        isEmailVerified: userObj.emailVerified, // Map for frontend compatibility
+        // Users with no bounce or opt-out history have no stored flags
+        emailDeliverability: userObj.emailDeliverability || { status: 'deliverable', suppressed: false },
+        smsDeliverability: userObj.smsDeliverability || { status: 'deliverable', suppressed: false }
     };
 };
 
@@ -128,6 +128,26 @@ const userSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'MembershipPlan'
     },
+    // Add-on plans held alongside the main subscription
+    addons: [{
+      plan: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Plan',
+        required: true
+      },
+      status: {
+        type: String,
+        enum: ['active', 'cancelled', 'expired'],
+        default: 'active'
+      },
+      startDate: {
+        type: Date,
+        default: Date.now
+      },
+      endDate: {
+        type: Date
+      }
+    }],
     paymentMethodId: {
       type: String
     },
@@ -326,9 +346,66 @@ const userSchema = new mongoose.Schema(
         type: String,
         enum: ["light", "dark", "auto"],
         default: "light"
+      },
+      // Per channel and category opt-outs; unset means the channel default.
+      // Transactional messages (receipts, security, account) ignore these.
+      notifications: {
+        email: {
+          billing: Boolean,
+          productAlerts: Boolean,
+          marketing: Boolean
+        },
+        sms: {
+          billing: Boolean,
+          productAlerts: Boolean,
+          marketing: Boolean
+        },
+        inApp: {
+          billing: Boolean,
+          productAlerts: Boolean,
+          marketing: Boolean
+        },
+        updatedAt: Date,
+        updatedVia: {
+          type: String,
+          enum: ["preference_center", "unsubscribe_link", "list_unsubscribe", "admin"]
+        }
       }
     },
 
+    // Deliverability, kept in sync with the suppression list by provider webhooks
+    emailDeliverability: {
+      status: {
+        type: String,
+        enum: ["deliverable", "soft_bounced", "bounced", "complained", "invalid", "unsubscribed", "suppressed"],
+        default: "deliverable"
+      },
+      suppressed: {
+        type: Boolean,
+        default: false
+      },
+      reason: String,
+      suppressionId: mongoose.Schema.Types.ObjectId,
+      softBounceCount: Number,
+      lastEventAt: Date,
+      updatedAt: Date
+    },
+    smsDeliverability: {
+      status: {
+        type: String,
+        enum: ["deliverable", "invalid", "opted_out", "suppressed"],
+        default: "deliverable"
+      },
+      suppressed: {
+        type: Boolean,
+        default: false
+      },
+      reason: String,
+      suppressionId: mongoose.Schema.Types.ObjectId,
+      lastEventAt: Date,
+      updatedAt: Date
+    },
+
     // Marketing & Analytics
     referralSource: {
       type: String
@@ -661,6 +738,40 @@ userSchema.statics.getSubscriptionStats = function () {
   ]);
 };
 
+// Entitlements are cached per user; drop the cache when a field they derive from changes
+const ENTITLEMENT_FIELDS = ['subscription', 'subscriptionStatus', 'subscriptionPlanId', 'addons'];
+
+const invalidateEntitlements = (userId) => {
+  const entitlementService = require('../../plans/services/entitlement.service');
+  entitlementService.invalidate(userId).catch((error) =>
+    console.error('Failed to invalidate entitlements:', error.message)
+  );
+};
+
+const updateTouchesEntitlements = (update = {}) => {
+  const paths = Object.keys(update).flatMap((key) =>
+    key.startsWith('$') ? Object.keys(update[key] || {}) : [key]
+  );
+  return paths.some((path) => ENTITLEMENT_FIELDS.includes(path.split('.')[0]));
+};
+
+userSchema.pre('save', function (next) {
+  this.$locals.entitlementsChanged = !this.isNew && ENTITLEMENT_FIELDS.some((field) => this.isModified(field));
+  next();
+});
+
+userSchema.post('save', function (doc) {
+  if (doc.$locals.entitlementsChanged) {
+    invalidateEntitlements(doc._id);
+  }
+});
+
+userSchema.post('findOneAndUpdate', function (doc) {
+  if (doc && updateTouchesEntitlements(this.getUpdate())) {
+    invalidateEntitlements(doc._id);
+  }
+});
+
 // Ensure virtual fields are serialized
 userSchema.set('toJSON', {
   virtuals: true,
@@ -1,4 +1,5 @@
 const nodemailer = require("nodemailer");
+const suppressionService = require("../services/suppression.service");
 
 const sendEmail = async (to, subject, html) => {
   const transporter = nodemailer.createTransport({
@@ -9,12 +10,18 @@ const sendEmail = async (to, subject, html) => {
     },
   });
 
-  await transporter.sendMail({
+  const { message, suppressed } = await suppressionService.filterEmailMessage({
     from: process.env.EMAIL_USER,
     to,
     subject,
     html,
   });
+  if (!message) {
+    console.warn(`Not sending "${subject}": ${suppressed.map((entry) => entry.address).join(", ")} on the suppression list`);
+    return;
+  }
+
+  await transporter.sendMail(message);
 };
 
 module.exports = sendEmail;